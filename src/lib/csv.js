@@ -0,0 +1,107 @@
+/**
+ * Helper CSV sederhana (RFC 4180) untuk export & import
+ */
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return "";
+
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Ubah array of object jadi CSV
+ * @param {object[]} rows
+ * @param {string[]} columns - urutan kolom (juga dipakai sebagai header)
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.join(",")];
+
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCell(row[column])).join(","));
+  }
+
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Kirim CSV sebagai file download
+ */
+function sendCsv(res, filename, rows, columns) {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(toCsv(rows, columns));
+}
+
+/**
+ * Parse CSV jadi array of object, baris pertama = header
+ * Cell kosong tetap string kosong, konversi tipe diserahkan ke pemanggil
+ * @returns {{ columns: string[], rows: object[] }}
+ * @throws {Error} kalau quote tidak ditutup
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+
+  // Buang BOM dari export Excel
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(cell);
+      cell = "";
+    } else if (char === "\r" || char === "\n") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("CSV tidak valid: tanda kutip tidak ditutup");
+  }
+
+  if (cell !== "" || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  // Baris kosong diabaikan
+  const [header = [], ...body] = records.filter((r) => r.length > 1 || r[0] !== "");
+  const columns = header.map((column) => column.trim());
+
+  return {
+    columns,
+    rows: body.map((r) => Object.fromEntries(columns.map((column, i) => [column, r[i] ?? ""]))),
+  };
+}
+
+module.exports = {
+  toCsv,
+  sendCsv,
+  parseCsv,
+};
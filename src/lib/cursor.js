@@ -0,0 +1,25 @@
+/**
+ * Cursor pagination (keyset): cursor = base64url JSON dari posisi row terakhir
+ * Client cukup kirim ulang `next_cursor` apa adanya
+ */
+
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * @returns {object | null} null kalau cursor rusak / bukan buatan server
+ */
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return payload && typeof payload === "object" ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+};
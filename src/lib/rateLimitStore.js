@@ -0,0 +1,80 @@
+/**
+ * Store state rate limiter (counter per window, set anggota unik per window, lockout)
+ *
+ * Interface (semua async supaya bisa diganti store bersama, misal Redis):
+ * - increment(key, windowMs)         -> { count, resetAt }  counter fixed window
+ * - addMember(key, member, windowMs) -> { count, resetAt, members }  jumlah anggota unik di window
+ * - block(key, durationMs)           -> void
+ * - blockedUntil(key)                -> number | null  (epoch ms)
+ * - reset(key)                       -> void
+ *
+ * Default: in-memory per proses, state tidak dibagi antar instance
+ * @param {{ maxKeys?: number }} [options]
+ */
+function createMemoryRateLimitStore({ maxKeys = 100000 } = {}) {
+  const entries = new Map();
+
+  function read(key, now = Date.now()) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  function write(key, entry) {
+    entries.set(key, entry);
+    if (entries.size <= maxKeys) return;
+
+    // Buang yang expired dulu, kalau masih penuh buang yang paling lama dibuat
+    const now = Date.now();
+    for (const [k, e] of entries) {
+      if (e.expiresAt <= now) entries.delete(k);
+    }
+    while (entries.size > maxKeys) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const entry = read(key, now) || { count: 0, expiresAt: now + windowMs };
+
+      entry.count++;
+      write(key, entry);
+
+      return { count: entry.count, resetAt: entry.expiresAt };
+    },
+
+    async addMember(key, member, windowMs) {
+      const now = Date.now();
+      const entry = read(key, now) || { members: new Set(), expiresAt: now + windowMs };
+
+      entry.members.add(member);
+      write(key, entry);
+
+      return { count: entry.members.size, resetAt: entry.expiresAt, members: [...entry.members] };
+    },
+
+    async block(key, durationMs) {
+      write(key, { expiresAt: Date.now() + durationMs });
+    },
+
+    async blockedUntil(key) {
+      return read(key)?.expiresAt ?? null;
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+module.exports = {
+  createMemoryRateLimitStore,
+};
@@ -0,0 +1,70 @@
+const { createClient } = require("@supabase/supabase-js");
+
+let client = null;
+let adminClient = null;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Ambil Supabase client (dibuat sekali, lazy)
+ * Lazy supaya service tetap bisa start dengan STORAGE_DRIVER=sqlite
+ * tanpa SUPABASE_URL
+ */
+function getSupabase() {
+  if (!client) {
+    client = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_ANON_KEY
+    );
+  }
+
+  return client;
+}
+
+/**
+ * Client dengan service role key, khusus Supabase Auth admin API (auth.admin.*)
+ * Jangan dipakai untuk query tabel atas nama user (service role bypass RLS)
+ * @returns {import("@supabase/supabase-js").SupabaseClient | null} null kalau SUPABASE_SERVICE_ROLE_KEY belum di-set
+ */
+function getSupabaseAdmin() {
+  if (!process.env.SUPABASE_SERVICE_ROLE_KEY) return null;
+
+  if (!adminClient) {
+    adminClient = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY, {
+      auth: { autoRefreshToken: false, persistSession: false },
+    });
+  }
+
+  return adminClient;
+}
+
+/**
+ * User Supabase Auth by id (email, created_at untuk aturan eligibility)
+ * @returns {Promise<{ data: object | null, error }>} data null + error null = user tidak ada,
+ *   error = tidak bisa dicek (service role key belum di-set / Supabase Auth error)
+ */
+async function findAuthUser(userId) {
+  // Id user Supabase Auth selalu UUID (getUserById throw untuk id lain)
+  if (!UUID_PATTERN.test(userId)) return { data: null, error: null };
+
+  const admin = getSupabaseAdmin();
+
+  if (!admin) {
+    return { data: null, error: { message: "SUPABASE_SERVICE_ROLE_KEY belum di-set" } };
+  }
+
+  const { data, error } = await admin.auth.admin.getUserById(userId);
+
+  if (error) {
+    if (error.status === 404 || error.code === "user_not_found") return { data: null, error: null };
+    return { data: null, error };
+  }
+
+  return { data: data?.user || null, error: null };
+}
+
+module.exports = {
+  getSupabase,
+  getSupabaseAdmin,
+  findAuthUser,
+};
@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+/**
+ * Verifikasi access token Supabase secara lokal (tanpa request ke Supabase Auth)
+ * - HS256: SUPABASE_JWT_SECRET (JWT secret project)
+ * - RS256 / ES256: public key dari JWKS project (SUPABASE_JWKS_URL,
+ *   default <SUPABASE_URL>/auth/v1/.well-known/jwks.json), di-cache JWKS_CACHE_SECONDS
+ */
+
+const JWKS_CACHE_SECONDS = parseInt(process.env.JWKS_CACHE_SECONDS || "600", 10);
+const JWKS_FETCH_TIMEOUT_MS = 5000;
+// Jeda minimal antar fetch JWKS (kid baru setelah rotasi key / Supabase sedang down)
+const JWKS_REFETCH_COOLDOWN_MS = 30 * 1000;
+const ASYMMETRIC_ALGORITHMS = ["RS256", "ES256"];
+
+let jwks = { keys: new Map(), fetchedAt: 0, attemptedAt: 0 };
+let pendingFetch = null;
+
+function getJwksUrl() {
+  if (process.env.SUPABASE_JWKS_URL) return process.env.SUPABASE_JWKS_URL;
+  if (!process.env.SUPABASE_URL) return null;
+
+  return `${process.env.SUPABASE_URL.replace(/\/$/, "")}/auth/v1/.well-known/jwks.json`;
+}
+
+async function fetchJwks(url) {
+  jwks.attemptedAt = Date.now();
+
+  const response = await fetch(url, { signal: AbortSignal.timeout(JWKS_FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const body = await response.json();
+  const keys = new Map();
+  for (const key of body.keys || []) {
+    if (key.kid) keys.set(key.kid, crypto.createPublicKey({ key, format: "jwk" }));
+  }
+
+  jwks = { keys, fetchedAt: Date.now(), attemptedAt: jwks.attemptedAt };
+}
+
+/**
+ * Public key untuk kid dari JWKS
+ * Kalau fetch gagal, key lama tetap dipakai sampai fetch berikutnya berhasil
+ */
+async function getPublicKey(kid) {
+  const url = getJwksUrl();
+  if (!url || !kid) return null;
+
+  const stale = Date.now() - jwks.fetchedAt > JWKS_CACHE_SECONDS * 1000;
+  const canFetch = Date.now() - jwks.attemptedAt > JWKS_REFETCH_COOLDOWN_MS;
+
+  if ((stale || !jwks.keys.has(kid)) && canFetch) {
+    pendingFetch ||= fetchJwks(url)
+      .catch((err) => console.error("❌ Gagal mengambil JWKS:", err.message))
+      .finally(() => {
+        pendingFetch = null;
+      });
+    await pendingFetch;
+  }
+
+  return jwks.keys.get(kid) || null;
+}
+
+/**
+ * Verifikasi signature, audience & expiry access token Supabase
+ * @returns {Promise<{ claims: object } | { reason: "TOKEN_EXPIRED" | "TOKEN_INVALID_SIGNATURE" | "TOKEN_INVALID" | "KEY_UNAVAILABLE" }>}
+ *   KEY_UNAVAILABLE = key verifikasi belum dikonfigurasi / JWKS tidak bisa diambil
+ */
+async function verifySupabaseToken(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || typeof decoded.payload !== "object") {
+    return { reason: "TOKEN_INVALID" };
+  }
+
+  const { alg, kid } = decoded.header;
+  let key;
+
+  if (alg === "HS256") {
+    key = process.env.SUPABASE_JWT_SECRET || null;
+  } else if (ASYMMETRIC_ALGORITHMS.includes(alg)) {
+    key = await getPublicKey(kid);
+  } else {
+    return { reason: "TOKEN_INVALID" };
+  }
+
+  if (!key) return { reason: "KEY_UNAVAILABLE" };
+
+  try {
+    // audience "authenticated" = token user login (anon / service_role key ditolak)
+    const claims = jwt.verify(token, key, {
+      algorithms: [alg],
+      audience: process.env.SUPABASE_JWT_AUDIENCE || "authenticated",
+    });
+
+    return claims.sub ? { claims } : { reason: "TOKEN_INVALID" };
+  } catch (err) {
+    if (err instanceof jwt.TokenExpiredError) return { reason: "TOKEN_EXPIRED" };
+    if (err.message === "invalid signature") return { reason: "TOKEN_INVALID_SIGNATURE" };
+    return { reason: "TOKEN_INVALID" };
+  }
+}
+
+module.exports = {
+  verifySupabaseToken,
+};
@@ -0,0 +1,47 @@
+/**
+ * Cache in-memory dengan TTL per entry (per proses, tidak dibagi antar instance)
+ * Entry paling lama dibuang kalau jumlah entry melebihi maxEntries
+ * @param {{ ttlMs: number, maxEntries?: number }} options
+ */
+function createTtlCache({ ttlMs, maxEntries = 10000 }) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+
+      return entry.value;
+    },
+
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    delete(key) {
+      return entries.delete(key);
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+module.exports = {
+  createTtlCache,
+};
@@ -1,13 +1,71 @@
-const { createClient } = require("@supabase/supabase-js");
+const { getSupabase, findAuthUser } = require("../lib/supabase");
+const { verifySupabaseToken } = require("../lib/supabaseJwt");
+const { hasSigningSecret, isServiceToken, verifyServiceToken } = require("../services/serviceAuth");
+const { getProfile } = require("../services/profileCache");
+const { USER_PERMISSIONS, hasPermission, isRestaurantScoped } = require("../services/permissions");
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+// local = verifikasi JWT di proses ini, remote = cek ke Supabase Auth tiap request
+const AUTH_VERIFY_MODE = process.env.AUTH_VERIFY_MODE || "local";
+// Mode local: kalau key verifikasi tidak tersedia (secret belum di-set / JWKS gagal), cek ke Supabase Auth
+const AUTH_REMOTE_FALLBACK = process.env.AUTH_REMOTE_FALLBACK !== "false";
+
+const AUTH_ERRORS = {
+  TOKEN_EXPIRED: { status: 401, message: "Token sudah expired, silakan login ulang" },
+  TOKEN_INVALID_SIGNATURE: { status: 401, message: "Signature token tidak valid" },
+  TOKEN_INVALID: { status: 401, message: "Token tidak valid" },
+  USER_NOT_FOUND: { status: 401, message: "User pemilik token tidak ditemukan" },
+  KEY_UNAVAILABLE: { status: 503, message: "Verifikasi token sedang tidak tersedia, coba lagi nanti" },
+};
+
+function sendAuthError(res, reason) {
+  const { status, message } = AUTH_ERRORS[reason];
+
+  return res.status(status).json({
+    error: status === 401 ? "Unauthorized" : "Service Unavailable",
+    message,
+    reason,
+  });
+}
+
+/**
+ * Cek token ke Supabase Auth (1 request ke Supabase)
+ * @returns {Promise<{ user } | { reason }>}
+ */
+async function verifyRemote(token) {
+  const { data, error } = await getSupabase().auth.getUser(token);
+
+  if (!error && data?.user) return { user: data.user };
+
+  if (error?.code === "user_not_found" || error?.status === 404) return { reason: "USER_NOT_FOUND" };
+  if (/expired/i.test(error?.message || "")) return { reason: "TOKEN_EXPIRED" };
+  if (/signature/i.test(error?.message || "")) return { reason: "TOKEN_INVALID_SIGNATURE" };
+  return { reason: "TOKEN_INVALID" };
+}
+
+/**
+ * Verifikasi token user sesuai AUTH_VERIFY_MODE
+ * @returns {Promise<{ user: { id, email, created_at? }, local: boolean } | { reason }>}
+ */
+async function verifyUserToken(token) {
+  if (AUTH_VERIFY_MODE === "local") {
+    const verified = await verifySupabaseToken(token);
+
+    if (verified.claims) {
+      return { user: { id: verified.claims.sub, email: verified.claims.email }, local: true };
+    }
+
+    if (verified.reason !== "KEY_UNAVAILABLE" || !AUTH_REMOTE_FALLBACK) {
+      return verified;
+    }
+  }
+
+  return { ...(await verifyRemote(token)), local: false };
+}
 
 /**
  * Middleware untuk verify JWT token dari Supabase
  * Token harus dikirim via header: Authorization: Bearer <token>
+ * Role diambil dari cache profile (lihat services/profileCache.js)
  */
 async function authenticateToken(req, res, next) {
   try {
@@ -23,22 +81,21 @@ async function authenticateToken(req, res, next) {
 
     const token = authHeader.substring(7); // Remove "Bearer " prefix
 
-    // Verify token dengan Supabase
-    const { data: { user }, error } = await supabase.auth.getUser(token);
+    // Token service client (POST /auth/token) diverifikasi lokal, bukan ke Supabase
+    if (isServiceToken(token)) {
+      return await authenticateServiceClient(token, req, res, next);
+    }
 
-    if (error || !user) {
-      return res.status(401).json({
-        error: "Unauthorized",
-        message: "Token tidak valid atau sudah expired",
-      });
+    const verified = await verifyUserToken(token);
+
+    if (verified.reason) {
+      return sendAuthError(res, verified.reason);
     }
 
-    // Ambil data user dari tabel profiles untuk cek role
-    const { data: userData, error: userError } = await supabase
-      .from("profiles")
-      .select("*")
-      .eq("id", user.id)
-      .single();
+    const { user } = verified;
+
+    // Ambil data user dari tabel profiles (via cache) untuk cek role
+    const { data: cached, error: userError } = await getProfile(user.id, { checkAuthUser: verified.local });
 
     if (userError) {
       console.error("Error fetching user profile:", userError);
@@ -48,10 +105,17 @@ async function authenticateToken(req, res, next) {
       });
     }
 
+    if (!cached.exists) {
+      return sendAuthError(res, "USER_NOT_FOUND");
+    }
+
+    const userData = cached.profile;
+
     // Attach user info ke request object
     req.user = {
       id: user.id,
-      email: user.email,
+      email: user.email ?? cached.user?.email,
+      created_at: user.created_at ?? cached.user?.created_at, // Tanggal registrasi (ditimpa profile kalau ada)
       role: userData?.role || "USER", // Default role USER
       ...userData,
     };
@@ -67,51 +131,194 @@ async function authenticateToken(req, res, next) {
 }
 
 /**
- * Middleware untuk check apakah user adalah ADMIN
- * HARUS dipanggil SETELAH authenticateToken
+ * Izinkan token service client dengan scope tertentu di endpoint ini
+ * HARUS dipasang SEBELUM authenticateToken, endpoint tanpa allowServiceScope
+ * menolak semua token service client (403)
+ * @param {string} scope - salah satu SERVICE_SCOPES
+ */
+function allowServiceScope(scope) {
+  return (req, res, next) => {
+    req.serviceScope = scope;
+    next();
+  };
+}
+
+/**
+ * Verifikasi token service client + scope endpoint, lalu set req.serviceClient
+ * User yang diwakili diambil dari header X-On-Behalf-Of (atau body.on_behalf_of):
+ * - ada: req.user = user tersebut (harus role USER), handler USER jalan seperti biasa
+ * - tidak ada: req.user = principal service (role SERVICE), ditolak endpoint atas nama user (vouchers:redeem)
  */
-function requireAdmin(req, res, next) {
-  if (!req.user) {
+async function authenticateServiceClient(token, req, res, next) {
+  // Secret belum dikonfigurasi = masalah server, bukan token client yang salah
+  if (!hasSigningSecret()) {
+    console.error("❌ SERVICE_JWT_SECRET / JWT_SECRET belum di-set, token service tidak bisa diverifikasi");
+    return sendAuthError(res, "KEY_UNAVAILABLE");
+  }
+
+  const client = verifyServiceToken(token);
+
+  if (!client) {
     return res.status(401).json({
       error: "Unauthorized",
-      message: "User belum terautentikasi",
+      message: "Token service tidak valid atau sudah expired",
     });
   }
 
-  if (req.user.role !== "ADMIN") {
+  if (!req.serviceScope) {
     return res.status(403).json({
       error: "Forbidden",
-      message: "Akses ditolak. Hanya ADMIN yang bisa mengakses endpoint ini",
+      message: "Endpoint ini tidak bisa diakses dengan token service",
     });
   }
 
-  next();
-}
+  if (!client.scopes.includes(req.serviceScope)) {
+    return res.status(403).json({
+      error: "Forbidden",
+      message: `Token service tidak punya scope '${req.serviceScope}'`,
+      reason: "INSUFFICIENT_SCOPE",
+      required_scope: req.serviceScope,
+    });
+  }
 
-/**
- * Middleware untuk check apakah user adalah USER (bukan ADMIN)
- * HARUS dipanggil SETELAH authenticateToken
- */
-function requireUser(req, res, next) {
-  if (!req.user) {
-    return res.status(401).json({
-      error: "Unauthorized",
-      message: "User belum terautentikasi",
+  req.serviceClient = client;
+
+  const header = req.get("X-On-Behalf-Of");
+  const fromBody = req.body?.on_behalf_of;
+
+  if (header && fromBody && header !== fromBody) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: "X-On-Behalf-Of dan on_behalf_of berbeda",
+    });
+  }
+
+  const onBehalfOf = header || fromBody;
+
+  if (!onBehalfOf) {
+    req.user = { id: `service:${client.id}`, role: "SERVICE", client_id: client.id };
+    return next();
+  }
+
+  if (typeof onBehalfOf !== "string") {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: "on_behalf_of harus berupa user id",
+    });
+  }
+
+  const [{ data: cached, error: profileError }, { data: user, error: authError }] = await Promise.all([
+    getProfile(onBehalfOf),
+    findAuthUser(onBehalfOf),
+  ]);
+
+  if (profileError) {
+    console.error("Error fetching user profile:", profileError);
+    return res.status(500).json({
+      error: "Internal Server Error",
+      message: "Gagal mengambil data user",
+    });
+  }
+
+  // Email & tanggal registrasi dipakai aturan eligibility, tanpa itu request tidak bisa diproses
+  if (authError) {
+    console.error("Error fetching auth user:", authError);
+    return res.status(503).json({
+      error: "Service Unavailable",
+      message: "Data user dari Supabase Auth tidak tersedia, coba lagi nanti",
+    });
+  }
+
+  const profile = cached.profile;
+
+  if (!user && !profile) {
+    return res.status(404).json({
+      error: "Not Found",
+      message: `User '${onBehalfOf}' (on_behalf_of) tidak ditemukan`,
     });
   }
 
-  if (req.user.role !== "USER") {
+  if ((profile?.role || "USER") !== "USER") {
     return res.status(403).json({
       error: "Forbidden",
-      message: "Endpoint ini hanya untuk USER biasa",
+      message: "on_behalf_of hanya bisa untuk USER biasa",
     });
   }
 
+  req.user = {
+    id: onBehalfOf,
+    email: user?.email,
+    created_at: user?.created_at,
+    role: "USER",
+    ...profile,
+  };
+
   next();
 }
 
+/**
+ * Sama seperti authenticateToken, tapi request tanpa header Authorization
+ * tetap diteruskan (req.user tidak di-set)
+ * Dipakai untuk endpoint public yang bisa menampilkan data tambahan per user
+ */
+function optionalAuthenticateToken(req, res, next) {
+  if (!req.headers.authorization) {
+    return next();
+  }
+
+  return authenticateToken(req, res, next);
+}
+
+/**
+ * Middleware untuk check permission role user (lihat services/permissions.js)
+ * User harus punya SEMUA permission yang disebut
+ * Service client lolos kalau sudah punya scope endpoint (dicek di authenticateToken),
+ * kecuali permission atas nama user (vouchers:redeem) yang butuh on_behalf_of
+ * HARUS dipanggil SETELAH authenticateToken
+ * @param {...string} permissions
+ */
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: "Unauthorized",
+        message: "User belum terautentikasi",
+      });
+    }
+
+    if (req.serviceClient) {
+      if (!permissions.some((permission) => USER_PERMISSIONS.includes(permission))) {
+        return next();
+      }
+
+      if (req.user.role === "SERVICE") {
+        return res.status(403).json({
+          error: "Forbidden",
+          message: "Token service harus menyertakan on_behalf_of (header X-On-Behalf-Of) untuk endpoint ini",
+        });
+      }
+    }
+
+    const missing = permissions.filter((permission) => !hasPermission(req.user, permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: isRestaurantScoped(req.user) && !req.user.restaurant_id
+          ? `Akun ${req.user.role} belum terhubung ke restaurant_id`
+          : `Akses ditolak. Role ${req.user.role} tidak punya permission: ${missing.join(", ")}`,
+        reason: "PERMISSION_DENIED",
+        required_permissions: missing,
+      });
+    }
+
+    next();
+  };
+}
+
 module.exports = {
   authenticateToken,
-  requireAdmin,
-  requireUser,
+  optionalAuthenticateToken,
+  allowServiceScope,
+  requirePermission,
 };
@@ -0,0 +1,141 @@
+const crypto = require("crypto");
+const { getStorage } = require("../storage");
+
+// Lama response disimpan untuk replay & lama key ditahan selama request pertama diproses
+const IDEMPOTENCY_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS || "86400", 10);
+const IDEMPOTENCY_LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS || "60", 10);
+
+/**
+ * JSON dengan key object terurut, body yang sama selalu menghasilkan hash yang sama
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+}
+
+function hashRequest(req) {
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body)}`)
+    .digest("hex");
+}
+
+/**
+ * Middleware idempotency untuk endpoint yang mengubah data (dipasang setelah authenticateToken)
+ * Key dari header Idempotency-Key (berlaku per caller: user, atau service client + user yang diwakili),
+ * kalau kosong pakai naturalKey(req)
+ * - key baru: request diproses, response disimpan selama IDEMPOTENCY_TTL_SECONDS
+ *   (header: semua response < 500, naturalKey: hanya response 2xx)
+ * - key sama + request sama: response pertama di-replay apa adanya (Idempotent-Replayed: true)
+ * - key sama + request beda: 422
+ * - key sama, request pertama belum selesai: 409
+ * @param {{ naturalKey?: (req) => string | null }} [options]
+ */
+function idempotent(options = {}) {
+  return async (req, res, next) => {
+    try {
+      const header = req.get("Idempotency-Key");
+
+      if (header !== undefined && (header.trim().length === 0 || header.length > 255)) {
+        return res.status(400).json({
+          error: "Bad Request",
+          message: "Header Idempotency-Key harus 1 - 255 karakter",
+        });
+      }
+
+      const naturalKey = header ? null : options.naturalKey?.(req);
+      const key = header ? `key:${header}` : naturalKey && `natural:${naturalKey}`;
+
+      if (!key) return next();
+
+      const storage = getStorage();
+      // Service client yang mewakili user punya scope sendiri, tidak bentrok dengan key user / client lain
+      const scope = req.serviceClient ? `service:${req.serviceClient.id}:${req.user.id}` : req.user.id;
+      const requestHash = hashRequest(req);
+
+      const { data: existing, error } = await storage.idempotency.begin({
+        scope,
+        key,
+        requestHash,
+        lockSeconds: IDEMPOTENCY_LOCK_SECONDS,
+      });
+
+      if (error) {
+        console.error("❌ Storage error:", error);
+        return res.status(500).json({
+          error: "Database Error",
+          message: "Gagal memproses idempotency key",
+        });
+      }
+
+      if (existing) {
+        if (existing.request_hash !== requestHash) {
+          return res.status(422).json({
+            error: "Unprocessable Entity",
+            message: header
+              ? "Idempotency-Key sudah dipakai untuk request yang berbeda"
+              : "Voucher sudah dipakai untuk order ini dengan data order yang berbeda",
+            reason: "IDEMPOTENCY_KEY_MISMATCH",
+          });
+        }
+
+        if (existing.status_code === null) {
+          return res.status(409).json({
+            error: "Conflict",
+            message: "Request yang sama masih diproses, coba lagi sebentar",
+            reason: "IDEMPOTENCY_KEY_IN_PROGRESS",
+          });
+        }
+
+        res.set("Idempotent-Replayed", "true");
+        return res.status(existing.status_code).json(existing.response);
+      }
+
+      // Simpan response pertama sebelum dikirim, supaya retry setelahnya pasti dapat replay
+      const send = res.json.bind(res);
+      res.json = (body) => {
+        const keep = header ? res.statusCode < 500 : res.statusCode < 300;
+        const saved = keep
+          ? storage.idempotency.complete({
+              scope,
+              key,
+              statusCode: res.statusCode,
+              response: body,
+              ttlSeconds: IDEMPOTENCY_TTL_SECONDS,
+            })
+          : storage.idempotency.release(scope, key);
+
+        saved
+          .then(({ error: saveError }) => {
+            if (saveError) console.error("❌ Error saving idempotency key:", saveError);
+          })
+          .catch((err) => console.error("❌ Error saving idempotency key:", err))
+          .finally(() => send(body));
+
+        return res;
+      };
+
+      next();
+    } catch (err) {
+      console.error("❌ Idempotency middleware error:", err);
+      return res.status(500).json({
+        error: "Internal Server Error",
+        message: "Terjadi kesalahan saat memproses idempotency key",
+      });
+    }
+  };
+}
+
+module.exports = {
+  idempotent,
+};
@@ -0,0 +1,266 @@
+const { getStorage } = require("../storage");
+const { createMemoryRateLimitStore } = require("../lib/rateLimitStore");
+
+/**
+ * Proteksi brute-force lookup / redeem code voucher
+ *
+ * - rate limit fixed window per IP, per user & per code (limit 0 = tanpa batas)
+ * - response 404 (code tidak ditemukan) dihitung per IP & per user, setelah FAILED_LOOKUP_MAX
+ *   dalam FAILED_LOOKUP_WINDOW_SECONDS subject tersebut di-lockout FAILED_LOOKUP_LOCKOUT_SECONDS
+ * - pola mencurigakan ditandai ke tabel abuse_flags: banyak user redeem dari 1 IP,
+ *   1 user mencoba banyak code berbeda
+ *
+ * Semua ditolak dengan 429 + header Retry-After. Token service client tidak dibatasi per IP
+ * (1 IP backend mewakili banyak user), user yang diwakili (on_behalf_of) tetap dibatasi
+ */
+
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== "false";
+const RATE_LIMIT_WINDOW_SECONDS = parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS || "60", 10);
+
+const LIMITS = {
+  lookup: {
+    ip: parseInt(process.env.RATE_LIMIT_LOOKUP_PER_IP || "60", 10),
+    user: parseInt(process.env.RATE_LIMIT_LOOKUP_PER_USER || "60", 10),
+    code: parseInt(process.env.RATE_LIMIT_LOOKUP_PER_CODE || "600", 10),
+  },
+  redeem: {
+    ip: parseInt(process.env.RATE_LIMIT_REDEEM_PER_IP || "30", 10),
+    user: parseInt(process.env.RATE_LIMIT_REDEEM_PER_USER || "20", 10),
+    code: parseInt(process.env.RATE_LIMIT_REDEEM_PER_CODE || "300", 10),
+  },
+};
+
+const FAILED_LOOKUP_MAX = parseInt(process.env.FAILED_LOOKUP_MAX || "10", 10);
+const FAILED_LOOKUP_WINDOW_SECONDS = parseInt(process.env.FAILED_LOOKUP_WINDOW_SECONDS || "900", 10);
+const FAILED_LOOKUP_LOCKOUT_SECONDS = parseInt(process.env.FAILED_LOOKUP_LOCKOUT_SECONDS || "900", 10);
+
+const ABUSE_WINDOW_SECONDS = parseInt(process.env.ABUSE_WINDOW_SECONDS || "3600", 10);
+const ABUSE_USERS_PER_IP = parseInt(process.env.ABUSE_USERS_PER_IP || "20", 10);
+const ABUSE_CODES_PER_USER = parseInt(process.env.ABUSE_CODES_PER_USER || "15", 10);
+
+const ABUSE_FLAG_KINDS = ["MANY_USERS_PER_IP", "MANY_CODES_PER_USER", "FAILED_LOOKUP_LOCKOUT"];
+
+let store = createMemoryRateLimitStore();
+
+/**
+ * Ganti store state limiter (misal store bersama antar instance), interface lihat lib/rateLimitStore
+ */
+function setRateLimitStore(nextStore) {
+  store = nextStore;
+}
+
+// User asli pemilik request (bukan principal service tanpa on_behalf_of)
+function userOf(req) {
+  return req.user && req.user.role !== "SERVICE" ? req.user : null;
+}
+
+/**
+ * Subject lockout untuk request ini: IP (kecuali service client) & user
+ * @returns {{ type: "ip" | "user", value: string }[]}
+ */
+function subjectsOf(req) {
+  const subjects = [];
+  const user = userOf(req);
+
+  if (!req.serviceClient) subjects.push({ type: "ip", value: req.ip });
+  if (user) subjects.push({ type: "user", value: user.id });
+
+  return subjects;
+}
+
+// Code dari path (:code) atau body (codes[] di endpoint order), dinormalisasi seperti lookup
+// voucher (case-insensitive) supaya variasi huruf besar / kecil tetap 1 counter
+function codesOf(req) {
+  let codes = [];
+  if (req.params.code) codes = [req.params.code];
+  else if (Array.isArray(req.body?.codes)) codes = req.body.codes.filter((code) => typeof code === "string");
+
+  return [...new Set(codes.map((code) => code.trim().toUpperCase()))];
+}
+
+function secondsUntil(epochMs) {
+  return Math.max(Math.ceil((epochMs - Date.now()) / 1000), 1);
+}
+
+function sendTooManyRequests(res, reason, retryAfter, message) {
+  res.set("Retry-After", String(retryAfter));
+
+  return res.status(429).json({
+    error: "Too Many Requests",
+    message,
+    reason,
+    retry_after: retryAfter,
+  });
+}
+
+/**
+ * @returns {Promise<boolean>} true kalau request sudah ditolak
+ */
+async function rejectLockedOut(req, res) {
+  for (const { type, value } of subjectsOf(req)) {
+    const until = await store.blockedUntil(`lockout:${type}:${value}`);
+
+    if (until) {
+      const retryAfter = secondsUntil(until);
+      sendTooManyRequests(
+        res,
+        "TOO_MANY_FAILED_ATTEMPTS",
+        retryAfter,
+        `Terlalu banyak code voucher yang tidak ditemukan, coba lagi dalam ${retryAfter} detik`
+      );
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * @returns {Promise<boolean>} true kalau request sudah ditolak
+ */
+async function rejectRateLimited(req, res, group) {
+  const limits = LIMITS[group];
+  const user = userOf(req);
+  const counters = [];
+
+  if (!req.serviceClient) counters.push([`ip:${req.ip}`, limits.ip]);
+  if (user) counters.push([`user:${user.id}`, limits.user]);
+  for (const code of codesOf(req)) counters.push([`code:${code}`, limits.code]);
+
+  for (const [subject, limit] of counters) {
+    if (!limit) continue;
+
+    const { count, resetAt } = await store.increment(`${group}:${subject}`, RATE_LIMIT_WINDOW_SECONDS * 1000);
+
+    if (count > limit) {
+      const retryAfter = secondsUntil(resetAt);
+      sendTooManyRequests(res, "RATE_LIMITED", retryAfter, `Terlalu banyak request, coba lagi dalam ${retryAfter} detik`);
+      return true;
+    }
+  }
+
+  return false;
+}
+
+async function flagAbuse(req, kind, subject, details) {
+  const user = userOf(req);
+  const { error } = await getStorage().abuse.flag({
+    kind,
+    subject,
+    ip: req.ip,
+    user_id: user?.id ?? null,
+    request_id: req.id,
+    details,
+  });
+
+  if (error) console.error("❌ Error saving abuse flag:", error);
+}
+
+/**
+ * Tandai sekali per window begitu jumlah anggota unik mencapai threshold
+ */
+async function trackMembers(req, { kind, subject, key, members, threshold }) {
+  if (!threshold || members.length === 0) return;
+
+  const windowMs = ABUSE_WINDOW_SECONDS * 1000;
+  let tracked;
+
+  for (const member of members) {
+    tracked = await store.addMember(key, member, windowMs);
+  }
+
+  if (tracked.count < threshold || (await store.blockedUntil(`flagged:${key}`))) return;
+
+  await store.block(`flagged:${key}`, windowMs);
+  await flagAbuse(req, kind, subject, {
+    count: tracked.count,
+    members: tracked.members,
+    window_seconds: ABUSE_WINDOW_SECONDS,
+  });
+}
+
+async function trackAbuse(req) {
+  const user = userOf(req);
+  if (!user) return;
+
+  if (!req.serviceClient) {
+    await trackMembers(req, {
+      kind: "MANY_USERS_PER_IP",
+      subject: req.ip,
+      key: `abuse:ip-users:${req.ip}`,
+      members: [user.id],
+      threshold: ABUSE_USERS_PER_IP,
+    });
+  }
+
+  await trackMembers(req, {
+    kind: "MANY_CODES_PER_USER",
+    subject: user.id,
+    key: `abuse:user-codes:${user.id}`,
+    members: codesOf(req),
+    threshold: ABUSE_CODES_PER_USER,
+  });
+}
+
+/**
+ * Hitung 404 per subject, lockout kalau sudah FAILED_LOOKUP_MAX
+ */
+async function recordFailedLookup(req) {
+  for (const { type, value } of subjectsOf(req)) {
+    const key = `${type}:${value}`;
+    const { count } = await store.increment(`failed:${key}`, FAILED_LOOKUP_WINDOW_SECONDS * 1000);
+
+    if (count >= FAILED_LOOKUP_MAX) {
+      await store.block(`lockout:${key}`, FAILED_LOOKUP_LOCKOUT_SECONDS * 1000);
+      await store.reset(`failed:${key}`);
+      await flagAbuse(req, "FAILED_LOOKUP_LOCKOUT", value, {
+        subject_type: type,
+        failed_lookups: count,
+        lockout_seconds: FAILED_LOOKUP_LOCKOUT_SECONDS,
+      });
+    }
+  }
+}
+
+/**
+ * Middleware guard untuk 1 grup limit (dipasang setelah authenticateToken / optionalAuthenticateToken,
+ * sebelum idempotent supaya request yang ditolak tidak memakai idempotency key)
+ * Error store limiter tidak menolak request (fail open), hanya di-log
+ * @param {"lookup" | "redeem"} group
+ * @param {{ trackAbuse?: boolean }} [options]
+ */
+function rateLimitGuard(group, options = {}) {
+  return async (req, res, next) => {
+    if (!RATE_LIMIT_ENABLED) return next();
+
+    try {
+      if (await rejectLockedOut(req, res)) return;
+      if (await rejectRateLimited(req, res, group)) return;
+
+      res.on("finish", () => {
+        if (res.statusCode !== 404) return;
+        recordFailedLookup(req).catch((err) => console.error("❌ Error recording failed lookup:", err));
+      });
+
+      if (options.trackAbuse) {
+        trackAbuse(req).catch((err) => console.error("❌ Error tracking abuse:", err));
+      }
+    } catch (err) {
+      console.error("❌ Rate limiter error:", err);
+    }
+
+    next();
+  };
+}
+
+// GET /vouchers/:code
+const lookupGuard = rateLimitGuard("lookup");
+// Quote, redeem, reserve, claim (per code & stack order)
+const redeemGuard = rateLimitGuard("redeem", { trackAbuse: true });
+
+module.exports = {
+  ABUSE_FLAG_KINDS,
+  lookupGuard,
+  redeemGuard,
+  setRateLimitStore,
+};
@@ -0,0 +1,20 @@
+const crypto = require("crypto");
+
+// X-Request-Id dari client dipakai kalau formatnya aman untuk log & audit
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Middleware request id: req.id = header X-Request-Id (kalau valid) atau UUID baru,
+ * dikirim balik di response header X-Request-Id
+ */
+function requestId(req, res, next) {
+  const header = req.get("X-Request-Id");
+
+  req.id = header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+}
+
+module.exports = {
+  requestId,
+};
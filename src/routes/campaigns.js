@@ -0,0 +1,369 @@
+const express = require("express");
+const { z } = require("zod");
+const { getStorage } = require("../storage");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { voucherBaseSchema, withDiscount, validateVoucherRules } = require("../schemas/voucher");
+const { SAFE_ALPHABET, generateCodes, codeSpace } = require("../services/codeGenerator");
+const { sendCsv } = require("../lib/csv");
+const { diffFields, recordAudit } = require("../services/audit");
+const { initialStatus } = require("../services/lifecycle");
+
+// =======================
+// CAMPAIGN ENDPOINTS (permission campaigns:manage)
+// =======================
+// Campaign = template voucher. Code yang di-generate mewarisi aturan discount
+// campaign dan masing-masing hanya bisa dipakai 1 kali.
+
+const router = express.Router();
+const storage = getStorage();
+
+router.use(authenticateToken, requirePermission("campaigns:manage"));
+
+const MAX_CODES_PER_BATCH = 10000;
+
+// Validation schemas
+const createCampaignSchema = withDiscount(
+  voucherBaseSchema.omit({
+    code: true,
+    max_total_redemptions: true,
+    max_redemptions_per_user: true,
+    per_user_cooldown_seconds: true,
+    max_redemptions_per_day: true,
+    is_public: true,
+  })
+);
+
+const generateCodesSchema = z.object({
+  count: z.number().int().min(1).max(MAX_CODES_PER_BATCH),
+  prefix: z.string().max(20).regex(/^[A-Z0-9-]*$/, "Prefix hanya boleh A-Z, 0-9 dan '-'").default(""),
+  length: z.number().int().min(4).max(32).default(8),
+  alphabet: z
+    .string()
+    .min(10)
+    .max(64)
+    .regex(/^[A-Z0-9]+$/, "Alphabet hanya boleh A-Z dan 0-9")
+    .refine((value) => new Set(value).size === value.length, "Alphabet tidak boleh ada karakter dobel")
+    .default(SAFE_ALPHABET),
+  check_digit: z.boolean().default(false),
+});
+
+// Kolom export CSV code campaign
+const CODE_EXPORT_COLUMNS = [
+  "code",
+  "campaign_id",
+  "discount_type",
+  "discount_value",
+  "discount_rules",
+  "currency",
+  "currency_amounts",
+  "min_order_amount",
+  "max_discount_amount",
+  "targeting",
+  "eligibility",
+  "stacking",
+  "start_at",
+  "end_at",
+  "is_active",
+  "total_redeemed",
+  "created_at",
+];
+
+/**
+ * Ambil campaign by id, kirim 404 kalau tidak ada
+ * @returns {Promise<object | null>}
+ */
+async function findCampaignOr404(id, res) {
+  const { data: campaign, error } = await storage.campaigns.findById(id);
+
+  if (error || !campaign) {
+    res.status(404).json({
+      error: "Not Found",
+      message: `Campaign dengan ID '${id}' tidak ditemukan`,
+    });
+    return null;
+  }
+
+  return campaign;
+}
+
+// GET /campaigns - List campaign
+router.get("/", async (req, res) => {
+  try {
+    const { data, error } = await storage.campaigns.list();
+
+    if (error) {
+      console.error("❌ Storage error:", error);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal mengambil campaign",
+      });
+    }
+
+    res.json({
+      success: true,
+      count: data.length,
+      data: data,
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /campaigns - Create campaign
+router.post("/", async (req, res) => {
+  try {
+    const validation = createCampaignSchema.safeParse(req.body);
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Data campaign tidak valid",
+        details: validation.error.issues,
+      });
+    }
+
+    const rulesError = validateVoucherRules(validation.data);
+    if (rulesError) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: rulesError,
+      });
+    }
+
+    const { data, error } = await storage.campaigns.create({
+      ...validation.data,
+      created_by: req.user.id,
+    });
+
+    if (error) {
+      console.error("❌ Error creating campaign:", error);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal membuat campaign",
+        detail: error.message,
+      });
+    }
+
+    await recordAudit(req, [
+      {
+        entity_type: "campaign",
+        entity_id: data.id,
+        action: "CAMPAIGN_CREATED",
+        changes: diffFields(null, data),
+      },
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: "Campaign berhasil dibuat",
+      data: data,
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "Terjadi kesalahan saat membuat campaign",
+    });
+  }
+});
+
+// GET /campaigns/:id - Detail campaign
+router.get("/:id", async (req, res) => {
+  try {
+    const campaign = await findCampaignOr404(req.params.id, res);
+    if (!campaign) return;
+
+    res.json({
+      success: true,
+      data: campaign,
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /campaigns/:id/codes - Generate N code unik sekali pakai
+router.post("/:id/codes", async (req, res) => {
+  try {
+    const validation = generateCodesSchema.safeParse(req.body);
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Parameter generate code tidak valid",
+        details: validation.error.issues,
+      });
+    }
+
+    const { count, prefix, length, alphabet, check_digit } = validation.data;
+    const options = { prefix, length, alphabet, checkDigit: check_digit };
+
+    // Kombinasi harus jauh lebih banyak dari jumlah code supaya code tidak gampang ditebak
+    if (codeSpace(options) < count * 1000) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Kombinasi code terlalu sedikit untuk jumlah ini, perbesar length atau alphabet",
+      });
+    }
+
+    const campaign = await findCampaignOr404(req.params.id, res);
+    if (!campaign) return;
+
+    // Generate, buang yang bentrok dengan code yang sudah ada, ulangi sampai cukup
+    const taken = new Set();
+    let codes = [];
+
+    for (let attempt = 0; codes.length < count; attempt++) {
+      if (attempt >= 5) {
+        return res.status(409).json({
+          error: "Conflict",
+          message: "Gagal mendapatkan code unik, coba lagi dengan length yang lebih panjang",
+        });
+      }
+
+      const candidates = generateCodes(count - codes.length, options, taken);
+      candidates.forEach((code) => taken.add(code.toUpperCase()));
+
+      const { data: existing, error: existingError } = await storage.vouchers.findExistingCodes(candidates);
+
+      if (existingError) {
+        console.error("❌ Error checking voucher codes:", existingError);
+        return res.status(500).json({
+          error: "Database Error",
+          message: "Gagal generate code",
+          detail: existingError.message,
+        });
+      }
+
+      const collisions = new Set(existing.map((code) => code.toUpperCase()));
+      codes = codes.concat(candidates.filter((code) => !collisions.has(code.toUpperCase())));
+    }
+
+    // Semua code punya tanggal & quota yang sama, status awal cukup dihitung sekali
+    const status = initialStatus({
+      start_at: campaign.start_at,
+      end_at: campaign.end_at,
+      max_total_redemptions: 1,
+      total_redeemed: 0,
+      is_active: true,
+    });
+
+    const { data, error } = await storage.vouchers.createMany(
+      codes.map((code) => ({
+        campaign_id: campaign.id,
+        code,
+        status,
+        name: campaign.name,
+        description: campaign.description,
+        discount_type: campaign.discount_type,
+        discount_value: campaign.discount_value,
+        discount_rules: campaign.discount_rules,
+        currency: campaign.currency,
+        currency_amounts: campaign.currency_amounts,
+        min_order_amount: campaign.min_order_amount,
+        max_discount_amount: campaign.max_discount_amount,
+        targeting: campaign.targeting,
+        eligibility: campaign.eligibility,
+        stacking: campaign.stacking,
+        start_at: campaign.start_at,
+        end_at: campaign.end_at,
+        max_total_redemptions: 1,
+        max_redemptions_per_user: 1,
+        total_redeemed: 0,
+        is_active: true,
+        // Code unik dibagikan langsung ke penerima, tidak ikut listing public
+        is_public: false,
+        created_by: req.user.id,
+      }))
+    );
+
+    if (error) {
+      console.error("❌ Error creating campaign codes:", error);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal menyimpan code campaign",
+        detail: error.message,
+      });
+    }
+
+    const { error: historyError } = await storage.vouchers.appendStatusHistory(
+      data.map((voucher) => ({
+        voucher_id: voucher.id,
+        from_status: null,
+        to_status: voucher.status,
+        trigger: "create",
+        actor_id: req.user.id,
+      }))
+    );
+    if (historyError) console.error("❌ Error saving voucher status history:", historyError);
+
+    // Aturan discount sama dengan campaign, cukup catat code & campaign per voucher
+    await recordAudit(req, [
+      {
+        entity_type: "campaign",
+        entity_id: campaign.id,
+        action: "CAMPAIGN_CODES_GENERATED",
+        changes: {},
+        metadata: { generated: data.length, prefix, length, check_digit },
+      },
+      ...data.map((voucher) => ({
+        entity_type: "voucher",
+        entity_id: voucher.id,
+        voucher_id: voucher.id,
+        action: "VOUCHER_CREATED",
+        changes: diffFields(null, { code: voucher.code, campaign_id: voucher.campaign_id }),
+      })),
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: `${data.length} code berhasil dibuat`,
+      data: {
+        campaign_id: campaign.id,
+        generated: data.length,
+        codes: data.map((voucher) => voucher.code),
+      },
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "Terjadi kesalahan saat generate code",
+    });
+  }
+});
+
+// GET /campaigns/:id/codes - List code campaign (JSON, atau CSV dengan ?format=csv)
+router.get("/:id/codes", async (req, res) => {
+  try {
+    const campaign = await findCampaignOr404(req.params.id, res);
+    if (!campaign) return;
+
+    const { data, error } = await storage.vouchers.listByCampaign(campaign.id);
+
+    if (error) {
+      console.error("❌ Storage error:", error);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal mengambil code campaign",
+      });
+    }
+
+    if (req.query.format === "csv") {
+      return sendCsv(res, `campaign-${campaign.id}-codes.csv`, data, CODE_EXPORT_COLUMNS);
+    }
+
+    res.json({
+      success: true,
+      count: data.length,
+      data: data,
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require("express");
+const { z } = require("zod");
+const { getStorage } = require("../storage");
+const { authenticateToken } = require("../middleware/auth");
+const { listEligibleVouchers } = require("../services/redemption");
+const { toPublicEligibleVoucher } = require("../services/voucherView");
+
+// =======================
+// MY VOUCHERS ENDPOINTS (user yang sedang login)
+// =======================
+// Wallet voucher (claim) dan riwayat redemption milik user sendiri
+
+const router = express.Router();
+const storage = getStorage();
+
+router.use(authenticateToken);
+
+const REDEMPTION_STATUSES = ["RESERVED", "SUCCESS", "CANCELLED", "REFUNDED", "EXPIRED"];
+
+// Validation schemas (query string)
+const listRedemptionsSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  // Bisa lebih dari 1, dipisah koma: ?status=SUCCESS,REFUNDED
+  status: z
+    .string()
+    .transform((value) => value.split(",").map((s) => s.trim().toUpperCase()).filter(Boolean))
+    .pipe(z.array(z.enum(REDEMPTION_STATUSES)))
+    .optional(),
+});
+
+const listVouchersSchema = z.object({
+  claimed: z.enum(["true", "false"]).optional(),
+});
+
+// GET /me/redemptions - Riwayat redemption user (paginated)
+router.get("/redemptions", async (req, res) => {
+  try {
+    const validation = listRedemptionsSchema.safeParse(req.query);
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Parameter query tidak valid",
+        details: validation.error.issues,
+      });
+    }
+
+    const { page, limit, status } = validation.data;
+
+    const { data, count, error } = await storage.redemptions.listByUser(req.user.id, {
+      statuses: status,
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    if (error) {
+      console.error("❌ Storage error:", error);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal mengambil riwayat redemption",
+      });
+    }
+
+    res.json({
+      success: true,
+      count: data.length,
+      data: data,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        total_pages: Math.ceil(count / limit),
+      },
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /me/vouchers - Voucher yang masih bisa dipakai user (?claimed=true = hanya wallet)
+router.get("/vouchers", async (req, res) => {
+  try {
+    const validation = listVouchersSchema.safeParse(req.query);
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Parameter query tidak valid",
+        details: validation.error.issues,
+      });
+    }
+
+    let data = (await listEligibleVouchers(storage, req.user)).map(toPublicEligibleVoucher);
+
+    if (validation.data.claimed) {
+      const claimed = validation.data.claimed === "true";
+      data = data.filter((voucher) => voucher.claimed === claimed);
+    }
+
+    res.json({
+      success: true,
+      count: data.length,
+      data: data,
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,257 @@
+const express = require("express");
+const { z } = require("zod");
+const { getStorage } = require("../storage");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { METRIC_COLUMNS, describeMetrics, describeRemaining, buildTimeSeries } = require("../services/reports");
+const { remainingBudget } = require("../services/redemption");
+const { sendCsv } = require("../lib/csv");
+
+// =======================
+// REPORT ENDPOINTS (permission reports:read)
+// =======================
+// Performa voucher / campaign dari voucher_redemptions, JSON atau CSV (?format=csv)
+// Periode: from (inklusif) s/d to (eksklusif), bucket time series dalam UTC
+
+const router = express.Router();
+const storage = getStorage();
+
+router.use(authenticateToken, requirePermission("reports:read"));
+
+// Validation schemas (query string)
+const reportQuerySchema = z
+  .object({
+    from: z.string().datetime().optional(),
+    to: z.string().datetime().optional(),
+    bucket: z.enum(["hour", "day"]).default("day"),
+    format: z.enum(["json", "csv"]).default("json"),
+  })
+  .refine((query) => !query.from || !query.to || new Date(query.from) < new Date(query.to), {
+    message: "from harus sebelum to",
+    path: ["to"],
+  });
+
+const overviewQuerySchema = z
+  .object({
+    campaign_id: z.string().min(1).optional(),
+  })
+  .and(reportQuerySchema);
+
+const TIME_SERIES_COLUMNS = ["bucket", ...METRIC_COLUMNS];
+const VOUCHER_REPORT_COLUMNS = [
+  "voucher_id",
+  "code",
+  "name",
+  "discount_type",
+  ...METRIC_COLUMNS,
+  "max_total_redemptions",
+  "remaining_redemptions",
+  "max_total_discount_amount",
+  "remaining_discount_budget",
+];
+
+/**
+ * Validasi query report, kirim 400 kalau tidak valid
+ * @returns {object | null}
+ */
+function parseQuery(schema, req, res) {
+  const validation = schema.safeParse(req.query);
+
+  if (!validation.success) {
+    res.status(400).json({
+      error: "Validation Error",
+      message: "Parameter query tidak valid",
+      details: validation.error.issues,
+    });
+    return null;
+  }
+
+  return validation.data;
+}
+
+/**
+ * Summary + time series untuk 1 filter (voucher / campaign)
+ */
+async function loadReport(filters, bucket) {
+  const [total, series] = await Promise.all([
+    storage.redemptions.aggregate(filters, "total"),
+    storage.redemptions.aggregate(filters, bucket),
+  ]);
+
+  return {
+    error: total.error || series.error,
+    summary: total.data ? describeMetrics(total.data[0]) : null,
+    timeSeries: series.data ? buildTimeSeries(series.data, bucket) : null,
+  };
+}
+
+// GET /reports/vouchers - Performa semua voucher di periode (1 row per voucher yang dipakai)
+router.get("/vouchers", async (req, res) => {
+  try {
+    const query = parseQuery(overviewQuerySchema, req, res);
+    if (!query) return;
+
+    const filters = { campaignId: query.campaign_id, from: query.from, to: query.to };
+    const [total, perVoucher] = await Promise.all([
+      storage.redemptions.aggregate(filters, "total"),
+      storage.redemptions.aggregate(filters, "voucher"),
+    ]);
+
+    const error = total.error || perVoucher.error;
+    if (error) {
+      console.error("❌ Storage error:", error);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal menghitung report voucher",
+      });
+    }
+
+    const { data: vouchers, error: vouchersError } = await storage.vouchers.findByIds(
+      perVoucher.data.map((row) => row.key)
+    );
+
+    if (vouchersError) {
+      console.error("❌ Storage error:", vouchersError);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal menghitung report voucher",
+      });
+    }
+
+    const byId = new Map(vouchers.map((voucher) => [voucher.id, voucher]));
+    const rows = perVoucher.data
+      .map((row) => {
+        const voucher = byId.get(row.key);
+
+        return {
+          voucher_id: row.key,
+          code: voucher?.code ?? null,
+          name: voucher?.name ?? null,
+          discount_type: voucher?.discount_type ?? null,
+          ...describeMetrics(row),
+          ...(voucher ? describeRemaining(voucher) : {}),
+        };
+      })
+      .sort((a, b) => b.redemptions - a.redemptions || b.total_discount - a.total_discount);
+
+    if (query.format === "csv") {
+      return sendCsv(res, "voucher-report.csv", rows, VOUCHER_REPORT_COLUMNS);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        period: { from: query.from || null, to: query.to || null },
+        summary: describeMetrics(total.data[0]),
+        vouchers: rows,
+      },
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /reports/vouchers/:id - Performa 1 voucher + time series (CSV = time series)
+router.get("/vouchers/:id", async (req, res) => {
+  try {
+    const query = parseQuery(reportQuerySchema, req, res);
+    if (!query) return;
+
+    const { data: voucher, error: voucherError } = await storage.vouchers.findById(req.params.id);
+
+    if (voucherError || !voucher) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: `Voucher dengan ID '${req.params.id}' tidak ditemukan`,
+      });
+    }
+
+    const report = await loadReport({ voucherId: voucher.id, from: query.from, to: query.to }, query.bucket);
+
+    if (report.error) {
+      console.error("❌ Storage error:", report.error);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal menghitung report voucher",
+      });
+    }
+
+    if (query.format === "csv") {
+      return sendCsv(res, `voucher-${voucher.code}-report.csv`, report.timeSeries, TIME_SERIES_COLUMNS);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        voucher: { id: voucher.id, code: voucher.code, name: voucher.name, discount_type: voucher.discount_type },
+        period: { from: query.from || null, to: query.to || null, bucket: query.bucket },
+        summary: { ...report.summary, ...describeRemaining(voucher) },
+        time_series: report.timeSeries,
+      },
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /reports/campaigns/:id - Performa semua code campaign + time series (CSV = time series)
+router.get("/campaigns/:id", async (req, res) => {
+  try {
+    const query = parseQuery(reportQuerySchema, req, res);
+    if (!query) return;
+
+    const { data: campaign, error: campaignError } = await storage.campaigns.findById(req.params.id);
+
+    if (campaignError || !campaign) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: `Campaign dengan ID '${req.params.id}' tidak ditemukan`,
+      });
+    }
+
+    const [report, codes] = await Promise.all([
+      loadReport({ campaignId: campaign.id, from: query.from, to: query.to }, query.bucket),
+      storage.vouchers.listByCampaign(campaign.id),
+    ]);
+
+    const error = report.error || codes.error;
+    if (error) {
+      console.error("❌ Storage error:", error);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal menghitung report campaign",
+      });
+    }
+
+    if (query.format === "csv") {
+      return sendCsv(res, `campaign-${campaign.id}-report.csv`, report.timeSeries, TIME_SERIES_COLUMNS);
+    }
+
+    const remaining = codes.data.map(describeRemaining);
+
+    res.json({
+      success: true,
+      data: {
+        campaign: { id: campaign.id, name: campaign.name, discount_type: campaign.discount_type },
+        period: { from: query.from || null, to: query.to || null, bucket: query.bucket },
+        summary: {
+          ...report.summary,
+          total_codes: codes.data.length,
+          used_codes: remaining.filter((code) => code.remaining_redemptions === 0).length,
+          max_total_redemptions: remaining.reduce((sum, code) => sum + code.max_total_redemptions, 0),
+          remaining_redemptions: remaining.reduce((sum, code) => sum + code.remaining_redemptions, 0),
+          max_total_discount_amount: campaign.max_total_discount_amount ?? null,
+          total_discount_given: campaign.total_discount_given || 0,
+          remaining_discount_budget: remainingBudget(campaign),
+        },
+        time_series: report.timeSeries,
+      },
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,379 @@
+const express = require("express");
+const { z } = require("zod");
+const { getStorage } = require("../storage");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { WEBHOOK_EVENT_TYPES, isValidEventPattern, generateSecret } = require("../services/webhooks");
+const { encodeCursor, decodeCursor } = require("../lib/cursor");
+
+// =======================
+// WEBHOOK ENDPOINTS (permission webhooks:manage)
+// =======================
+// Endpoint penerima event voucher / redemption, delivery dikirim worker di server.js
+// (lihat services/webhooks). Secret hanya ditampilkan saat endpoint dibuat
+
+const router = express.Router();
+const storage = getStorage();
+
+router.use(authenticateToken, requirePermission("webhooks:manage"));
+
+const DELIVERY_STATUSES = ["PENDING", "DELIVERED", "DEAD"];
+
+// Validation schemas
+const eventPatternsSchema = z
+  .array(
+    z.string().refine(isValidEventPattern, {
+      message: `Event tidak dikenal, pilihan: *, voucher.*, redemption.*, ${WEBHOOK_EVENT_TYPES.join(", ")}`,
+    })
+  )
+  .min(1)
+  .max(50);
+
+const webhookUrlSchema = z
+  .string()
+  .url()
+  .max(2000)
+  .refine((url) => ["http:", "https:"].includes(new URL(url).protocol), "URL harus http / https");
+
+const createWebhookSchema = z.object({
+  url: webhookUrlSchema,
+  events: eventPatternsSchema.default(["*"]),
+  description: z.string().max(500).optional(),
+  // Kosong = dibuatkan server
+  secret: z.string().min(16).max(200).optional(),
+  is_active: z.boolean().default(true),
+});
+
+const updateWebhookSchema = z
+  .object({
+    url: webhookUrlSchema,
+    events: eventPatternsSchema,
+    description: z.string().max(500).nullable(),
+    is_active: z.boolean(),
+  })
+  .partial()
+  .refine((data) => Object.keys(data).length > 0, { message: "Tidak ada field yang diubah" });
+
+const deliveriesQuerySchema = z.object({
+  endpoint_id: z.string().min(1).optional(),
+  status: z
+    .string()
+    .transform((s) => s.toUpperCase())
+    .pipe(z.enum(DELIVERY_STATUSES))
+    .optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+  cursor: z.string().max(1000).optional(),
+});
+
+// Secret tidak pernah dikirim lagi setelah endpoint dibuat
+function withoutSecret({ secret, ...endpoint }) {
+  return endpoint;
+}
+
+/**
+ * Ambil endpoint by id, kirim 404 kalau tidak ada
+ * @returns {Promise<object | null>}
+ */
+async function findEndpointOr404(id, res) {
+  const { data: endpoint, error } = await storage.webhooks.findEndpoint(id);
+
+  if (error || !endpoint) {
+    res.status(404).json({
+      error: "Not Found",
+      message: `Webhook dengan ID '${id}' tidak ditemukan`,
+    });
+    return null;
+  }
+
+  return endpoint;
+}
+
+// GET /webhooks - List endpoint
+router.get("/", async (req, res) => {
+  try {
+    const { data, error } = await storage.webhooks.listEndpoints();
+
+    if (error) {
+      console.error("❌ Storage error:", error);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal mengambil webhook",
+      });
+    }
+
+    res.json({
+      success: true,
+      count: data.length,
+      data: data.map(withoutSecret),
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /webhooks - Daftarkan endpoint (response berisi secret untuk verifikasi signature)
+router.post("/", async (req, res) => {
+  try {
+    const validation = createWebhookSchema.safeParse(req.body);
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Data webhook tidak valid",
+        details: validation.error.issues,
+      });
+    }
+
+    const { data, error } = await storage.webhooks.createEndpoint({
+      ...validation.data,
+      secret: validation.data.secret || generateSecret(),
+      created_by: req.user.id,
+    });
+
+    if (error) {
+      console.error("❌ Error creating webhook:", error);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal membuat webhook",
+        detail: error.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Webhook berhasil dibuat, simpan secret karena tidak akan ditampilkan lagi",
+      data: data,
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "Terjadi kesalahan saat membuat webhook",
+    });
+  }
+});
+
+// GET /webhooks/deliveries - Riwayat delivery, ?status=DEAD = dead letter
+router.get("/deliveries", async (req, res) => {
+  try {
+    const validation = deliveriesQuerySchema.safeParse(req.query);
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Parameter query tidak valid",
+        details: validation.error.issues,
+      });
+    }
+
+    const { endpoint_id, status, limit, cursor } = validation.data;
+
+    let beforeId = null;
+    if (cursor) {
+      beforeId = decodeCursor(cursor)?.id;
+
+      if (!Number.isInteger(beforeId)) {
+        return res.status(400).json({
+          error: "Validation Error",
+          message: "Cursor tidak valid",
+        });
+      }
+    }
+
+    const { data, error } = await storage.webhooks.listDeliveries(
+      { endpointId: endpoint_id, status },
+      { limit: limit + 1, beforeId }
+    );
+
+    if (error) {
+      console.error("❌ Storage error:", error);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal mengambil delivery webhook",
+      });
+    }
+
+    const page = data.slice(0, limit);
+    const nextCursor = data.length > limit ? encodeCursor({ id: page[page.length - 1].id }) : null;
+
+    res.json({
+      success: true,
+      count: page.length,
+      data: page,
+      pagination: {
+        limit,
+        next_cursor: nextCursor,
+      },
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /webhooks/deliveries/:id/replay - Kirim ulang 1 delivery (DEAD / DELIVERED)
+router.post("/deliveries/:id/replay", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { data: delivery, error: findError } = Number.isInteger(id)
+      ? await storage.webhooks.findDelivery(id)
+      : { data: null, error: null };
+
+    if (findError || !delivery) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: `Delivery dengan ID '${req.params.id}' tidak ditemukan`,
+      });
+    }
+
+    const { data, error } = await storage.webhooks.replay({ id });
+
+    if (error) {
+      console.error("❌ Error replaying webhook delivery:", error);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal replay delivery",
+        detail: error.message,
+      });
+    }
+
+    if (data.length === 0) {
+      return res.status(409).json({
+        error: "Conflict",
+        message: "Delivery masih PENDING, akan dikirim otomatis",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Delivery dijadwalkan ulang",
+      data: { ...data[0], event_type: delivery.event_type },
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "Terjadi kesalahan saat replay delivery",
+    });
+  }
+});
+
+// GET /webhooks/:id - Detail endpoint
+router.get("/:id", async (req, res) => {
+  try {
+    const endpoint = await findEndpointOr404(req.params.id, res);
+    if (!endpoint) return;
+
+    res.json({
+      success: true,
+      data: withoutSecret(endpoint),
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// PUT /webhooks/:id - Update url / events / description / is_active
+router.put("/:id", async (req, res) => {
+  try {
+    const validation = updateWebhookSchema.safeParse(req.body);
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Data webhook tidak valid",
+        details: validation.error.issues,
+      });
+    }
+
+    const endpoint = await findEndpointOr404(req.params.id, res);
+    if (!endpoint) return;
+
+    const { data, error } = await storage.webhooks.updateEndpoint(endpoint.id, validation.data);
+
+    if (error) {
+      console.error("❌ Error updating webhook:", error);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal update webhook",
+        detail: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Webhook berhasil diupdate",
+      data: withoutSecret(data),
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "Terjadi kesalahan saat update webhook",
+    });
+  }
+});
+
+// DELETE /webhooks/:id - Hapus endpoint beserta riwayat delivery-nya
+router.delete("/:id", async (req, res) => {
+  try {
+    const endpoint = await findEndpointOr404(req.params.id, res);
+    if (!endpoint) return;
+
+    const { error } = await storage.webhooks.removeEndpoint(endpoint.id);
+
+    if (error) {
+      console.error("❌ Error deleting webhook:", error);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal menghapus webhook",
+        detail: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Webhook berhasil dihapus",
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "Terjadi kesalahan saat menghapus webhook",
+    });
+  }
+});
+
+// POST /webhooks/:id/replay - Kirim ulang semua delivery DEAD milik endpoint
+router.post("/:id/replay", async (req, res) => {
+  try {
+    const endpoint = await findEndpointOr404(req.params.id, res);
+    if (!endpoint) return;
+
+    const { data, error } = await storage.webhooks.replay({ endpointId: endpoint.id });
+
+    if (error) {
+      console.error("❌ Error replaying webhook deliveries:", error);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal replay delivery",
+        detail: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${data.length} delivery dijadwalkan ulang`,
+      data: { replayed: data.length },
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "Terjadi kesalahan saat replay delivery",
+    });
+  }
+});
+
+module.exports = router;
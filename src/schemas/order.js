@@ -0,0 +1,68 @@
+const { z } = require("zod");
+const { lineTotal } = require("../services/cart");
+const { currencySchema } = require("../services/currency");
+
+/**
+ * Validation schema data order yang dikirim saat quote / reserve / redeem
+ */
+
+const orderItemSchema = z.object({
+  sku: z.string().min(1).max(100),
+  restaurant_id: z.string().min(1).max(100).optional(),
+  category: z.string().min(1).max(100).optional(),
+  qty: z.number().int().positive().max(1000),
+  unit_price: z.number().int().min(0),
+});
+
+const orderBaseSchema = z.object({
+  // Subtotal tanpa ongkir, boleh kosong kalau items dikirim
+  order_amount: z.number().int().positive().optional(),
+  delivery_fee: z.number().int().min(0).default(0),
+  // Kosong = mata uang voucher, nominal order dalam minor unit mata uang ini
+  order_currency: currencySchema.optional(),
+  // Cart: wajib untuk voucher dengan targeting / BUY_X_GET_Y
+  items: z.array(orderItemSchema).min(1).max(200).optional(),
+});
+
+/**
+ * Tambahkan aturan cart ke schema order:
+ * order_amount diisi dari total items, dan kalau dua-duanya dikirim harus sama
+ * @param {import("zod").ZodObject} baseSchema
+ */
+function withCart(baseSchema) {
+  return baseSchema
+    .superRefine((order, ctx) => {
+      if (!order.items) {
+        if (order.order_amount === undefined) {
+          ctx.addIssue({ code: "custom", path: ["order_amount"], message: "order_amount atau items harus diisi" });
+        }
+        return;
+      }
+
+      const subtotal = order.items.reduce((sum, item) => sum + lineTotal(item), 0);
+
+      if (subtotal <= 0) {
+        ctx.addIssue({ code: "custom", path: ["items"], message: "Total items harus lebih dari 0" });
+      } else if (order.order_amount !== undefined && order.order_amount !== subtotal) {
+        ctx.addIssue({
+          code: "custom",
+          path: ["order_amount"],
+          message: `order_amount harus sama dengan total items (${subtotal})`,
+        });
+      }
+    })
+    .transform((order) =>
+      order.items
+        ? { ...order, order_amount: order.items.reduce((sum, item) => sum + lineTotal(item), 0) }
+        : order
+    );
+}
+
+const orderSchema = withCart(orderBaseSchema);
+
+module.exports = {
+  orderItemSchema,
+  orderBaseSchema,
+  withCart,
+  orderSchema,
+};
@@ -0,0 +1,179 @@
+const { z } = require("zod");
+const { discountSchema, normalizeDiscount, getDiscountType } = require("../services/discounts");
+const { currencySchema } = require("../services/currency");
+
+/**
+ * Validation schemas untuk voucher
+ * Dipakai oleh endpoint voucher dan campaign
+ */
+
+// Targeting voucher ke item cart (lihat services/cart)
+const targetListSchema = z.object({
+  skus: z.array(z.string().min(1).max(100)).max(500).optional(),
+  restaurant_ids: z.array(z.string().min(1).max(100)).max(500).optional(),
+  categories: z.array(z.string().min(1).max(100)).max(100).optional(),
+});
+
+const targetingSchema = z.object({
+  include: targetListSchema.optional(),
+  exclude: targetListSchema.optional(),
+});
+
+// Eligibility segment user (lihat services/eligibility)
+const eligibilitySchema = z.object({
+  first_order_only: z.boolean().optional(),
+  user_ids: z.array(z.string().min(1)).max(10000).optional(),
+  email_domains: z
+    .array(z.string().regex(/^[a-z0-9-]+(\.[a-z0-9-]+)+$/i, "Format domain tidak valid, contoh: company.com"))
+    .max(100)
+    .optional(),
+  registered_after: z.string().datetime().optional(),
+  registered_before: z.string().datetime().optional(),
+});
+
+// Stacking dengan voucher lain dalam 1 order (lihat services/stacking)
+const stackingSchema = z.object({
+  // EXCLUSIVE = tidak bisa digabung, STACKABLE = bisa digabung dengan voucher STACKABLE lain
+  mode: z.enum(["EXCLUSIVE", "STACKABLE"]).default("EXCLUSIVE"),
+  // Maksimal 1 voucher per group dalam 1 order, misal "ongkir" / "cashback"
+  group: z.string().min(1).max(50).optional(),
+  // Makin besar makin dulu dihitung
+  priority: z.number().int().min(0).max(1000).default(0),
+  // COMPOUND = dari sisa harga setelah voucher sebelumnya, SUM = dari harga awal
+  calculation: z.enum(["COMPOUND", "SUM"]).default("COMPOUND"),
+});
+
+// Nominal voucher di mata uang lain (lihat services/currency), field yang kosong dikonversi dengan kurs
+const currencyAmountsSchema = z.record(
+  currencySchema,
+  z
+    .object({
+      discount_value: z.number().int().positive(),
+      discount_rules: z.record(z.string(), z.unknown()).nullable(),
+      min_order_amount: z.number().int().min(0),
+      max_discount_amount: z.number().int().min(0),
+    })
+    .partial()
+    .strict()
+);
+
+// Field voucher di luar aturan discount
+const voucherBaseSchema = z.object({
+  code: z.string().min(3).max(50),
+  name: z.string().min(3).max(255),
+  description: z.string().optional(),
+  currency: currencySchema.default("IDR"),
+  currency_amounts: currencyAmountsSchema.nullable().optional(),
+  min_order_amount: z.number().int().min(0).default(0),
+  max_discount_amount: z.number().int().min(0).optional(),
+  targeting: targetingSchema.nullable().optional(),
+  eligibility: eligibilitySchema.nullable().optional(),
+  stacking: stackingSchema.nullable().optional(),
+  max_total_redemptions: z.number().int().positive().default(1),
+  // Budget nominal discount (campaign: dipakai bersama semua code), kosong = tanpa budget
+  max_total_discount_amount: z.number().int().positive().nullable().optional(),
+  max_redemptions_per_user: z.number().int().positive().nullable().default(1),
+  per_user_cooldown_seconds: z.number().int().positive().optional(),
+  max_redemptions_per_day: z.number().int().positive().optional(),
+  start_at: z.string().datetime().optional(),
+  end_at: z.string().datetime().optional(),
+  // false = voucher internal, tidak tampil di listing public
+  is_public: z.boolean().default(true),
+});
+
+/**
+ * Gabungkan field voucher dengan schema discount per tipe
+ * (discount_type, discount_value, discount_rules; lihat services/discounts)
+ * @param {import("zod").ZodObject} baseSchema
+ */
+function withDiscount(baseSchema) {
+  return baseSchema.and(discountSchema()).transform(normalizeDiscount);
+}
+
+const createVoucherSchema = withDiscount(
+  voucherBaseSchema.extend({
+    // Restaurant pemilik voucher (MERCHANT: otomatis restaurant sendiri)
+    restaurant_id: z.string().min(1).max(100).nullable().optional(),
+    // true = DRAFT, belum bisa dipakai sampai di-publish
+    draft: z.boolean().default(false),
+  })
+);
+
+/**
+ * Cek nominal per mata uang: bukan mata uang voucher sendiri, discount_value hanya untuk tipe
+ * nominal, aturan discount tetap valid untuk tipe voucher dan floor <= ceiling kalau dua-duanya diisi
+ * @returns {string | null}
+ */
+function validateCurrencyAmounts(voucher) {
+  for (const [currency, amounts] of Object.entries(voucher.currency_amounts || {})) {
+    if (currency === voucher.currency) {
+      return `currency_amounts.${currency}: sama dengan mata uang voucher, ubah nominal voucher langsung`;
+    }
+
+    if ("discount_value" in amounts && !getDiscountType(voucher.discount_type)?.nominalValue) {
+      return `currency_amounts.${currency}.discount_value: discount_value tipe ${voucher.discount_type} bukan nominal uang`;
+    }
+
+    if ("discount_value" in amounts || "discount_rules" in amounts) {
+      const discount = discountSchema().safeParse({
+        discount_type: voucher.discount_type,
+        discount_value: amounts.discount_value ?? voucher.discount_value,
+        discount_rules: amounts.discount_rules ?? voucher.discount_rules,
+      });
+
+      if (!discount.success) {
+        const issue = discount.error.issues[0];
+        return `currency_amounts.${currency}: ${[...issue.path, issue.message].join(": ")}`;
+      }
+    }
+
+    const floor = amounts.discount_rules?.min_discount_amount;
+    if (floor && amounts.max_discount_amount && floor > amounts.max_discount_amount) {
+      return `currency_amounts.${currency}: discount_rules.min_discount_amount tidak boleh lebih dari max_discount_amount`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Cek aturan yang tidak bisa diekspresikan di schema
+ * (PERCENT <= 100, floor <= ceiling, end_at >= start_at, range tanggal registrasi, nominal per mata uang)
+ * @returns {string | null} pesan error, atau null kalau valid
+ */
+function validateVoucherRules(voucher) {
+  // Validate discount_value untuk PERCENT type
+  if (voucher.discount_type === "PERCENT" && voucher.discount_value > 100) {
+    return "Discount value untuk tipe PERCENT tidak boleh lebih dari 100";
+  }
+
+  // Floor discount PERCENT tidak boleh melewati ceiling
+  const floor = voucher.discount_rules?.min_discount_amount;
+  if (floor && voucher.max_discount_amount && floor > voucher.max_discount_amount) {
+    return "discount_rules.min_discount_amount tidak boleh lebih dari max_discount_amount";
+  }
+
+  // Validate start_at dan end_at
+  if (voucher.start_at && voucher.end_at && new Date(voucher.end_at) < new Date(voucher.start_at)) {
+    return "end_at harus lebih besar atau sama dengan start_at";
+  }
+
+  // Validate range tanggal registrasi di eligibility
+  const { registered_after, registered_before } = voucher.eligibility || {};
+  if (registered_after && registered_before && new Date(registered_before) < new Date(registered_after)) {
+    return "eligibility.registered_before harus lebih besar atau sama dengan registered_after";
+  }
+
+  return validateCurrencyAmounts(voucher);
+}
+
+module.exports = {
+  targetingSchema,
+  eligibilitySchema,
+  stackingSchema,
+  currencyAmountsSchema,
+  voucherBaseSchema,
+  withDiscount,
+  createVoucherSchema,
+  validateVoucherRules,
+};
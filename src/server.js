@@ -1,27 +1,110 @@
 require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
-const { createClient } = require("@supabase/supabase-js");
-const { authenticateToken, requireAdmin, requireUser } = require("./middleware/auth");
+const { getSupabase, findAuthUser } = require("./lib/supabase");
+const { getStorage } = require("./storage");
+const {
+  REASON_MESSAGES,
+  checkRedemption,
+  checkUserEligibility,
+  checkUserUsage,
+  describeUserUsage,
+  listEligibleVouchers,
+  slotsTaken,
+  remainingBudget,
+  loadRemainingBudget,
+  capDiscount,
+  toVoucherCurrency,
+  bookingAmounts,
+  bookedDiscount,
+  startOfDay,
+  voucherStatus,
+} = require("./services/redemption");
+const {
+  authenticateToken,
+  optionalAuthenticateToken,
+  allowServiceScope,
+  requirePermission,
+} = require("./middleware/auth");
+const { SERVICE_SCOPES, authenticateClient, issueServiceToken } = require("./services/serviceAuth");
+const { invalidateProfile, clearProfileCache } = require("./services/profileCache");
+const { permissionsOf, hasPermission, restaurantScopeOf, canManageVoucher } = require("./services/permissions");
+const { idempotent } = require("./middleware/idempotency");
+const { ABUSE_FLAG_KINDS, lookupGuard, redeemGuard } = require("./middleware/rateLimit");
+const { requestId } = require("./middleware/requestId");
+const { AUDIT_ACTIONS, diffFields, voucherUpdateAction, redemptionEntry, recordAudit } = require("./services/audit");
+const { toPublicVoucher, toPublicEligibleVoucher } = require("./services/voucherView");
+const { initialStatus, syncVoucherStatus, applyAdminAction, runStatusScheduler } = require("./services/lifecycle");
+const { dispatchEvents, deliverDue } = require("./services/webhooks");
 const { z } = require("zod");
+const {
+  createVoucherSchema,
+  targetingSchema,
+  eligibilitySchema,
+  stackingSchema,
+  currencyAmountsSchema,
+  validateVoucherRules,
+} = require("./schemas/voucher");
+const { currencySchema } = require("./services/currency");
+const { orderBaseSchema, orderSchema, withCart } = require("./schemas/order");
+const { discountSchema, listDiscountTypes, normalizeDiscount } = require("./services/discounts");
+const { MAX_STACKED_VOUCHERS, checkStack, capStack } = require("./services/stacking");
+const {
+  IMPORT_BODY_LIMIT,
+  TRANSFER_COLUMNS,
+  parseImportBody,
+  validateImportRows,
+  toExportRow,
+} = require("./services/voucherTransfer");
+const { encodeCursor, decodeCursor } = require("./lib/cursor");
+const { sendCsv } = require("./lib/csv");
+const campaignRoutes = require("./routes/campaigns");
+const meRoutes = require("./routes/me");
+const reportRoutes = require("./routes/reports");
+const webhookRoutes = require("./routes/webhooks");
 
 // =======================
 // INIT EXPRESS
 // =======================
 const app = express();
+// Proxy yang dipercaya untuk X-Forwarded-For (req.ip dipakai rate limiter): daftar IP / subnet / "loopback",
+// atau angka = jumlah hop proxy (lihat setting "trust proxy" Express)
+const TRUST_PROXY = process.env.TRUST_PROXY || "loopback";
+app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
 app.use(cors());
+// Import voucher massal: body CSV / JSON lebih besar dari limit default (lihat POST /vouchers/import)
+app.use(
+  "/vouchers/import",
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  express.text({ type: ["text/csv", "text/plain"], limit: IMPORT_BODY_LIMIT })
+);
 app.use(express.json());
+app.use(requestId);
 
 const PORT = process.env.PORT || 8080;
 const HOST = process.env.HOST || "0.0.0.0";
 
+// Reservasi voucher: lama hold default & interval sweeper reservasi expired
+const RESERVATION_TTL_SECONDS = parseInt(process.env.RESERVATION_TTL_SECONDS || "900", 10);
+const RESERVATION_SWEEP_INTERVAL_MS = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS || "60000", 10);
+
+// Interval pembersihan idempotency key expired
+const IDEMPOTENCY_SWEEP_INTERVAL_MS = parseInt(process.env.IDEMPOTENCY_SWEEP_INTERVAL_MS || "3600000", 10);
+
+// Voucher archived yang tidak pernah dipakai dihapus permanen setelah masa retensi (interval 0 = purge manual saja)
+const VOUCHER_ARCHIVE_RETENTION_DAYS = parseInt(process.env.VOUCHER_ARCHIVE_RETENTION_DAYS || "30", 10);
+const VOUCHER_PURGE_INTERVAL_MS = parseInt(process.env.VOUCHER_PURGE_INTERVAL_MS || "86400000", 10);
+
+// Interval scheduler status voucher (SCHEDULED -> ACTIVE, -> EXPIRED, ACTIVE <-> EXHAUSTED)
+const VOUCHER_STATUS_SYNC_INTERVAL_MS = parseInt(process.env.VOUCHER_STATUS_SYNC_INTERVAL_MS || "60000", 10);
+
+// Interval worker webhook (dispatch event outbox + kirim delivery yang sudah waktunya)
+const WEBHOOK_DELIVERY_INTERVAL_MS = parseInt(process.env.WEBHOOK_DELIVERY_INTERVAL_MS || "5000", 10);
+
 // =======================
-// SUPABASE CLIENT
+// STORAGE
 // =======================
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+const storage = getStorage();
 
 // =======================
 // HEALTH CHECK
@@ -51,7 +134,7 @@ app.post("/auth/login", async (req, res) => {
     }
 
     // Login dengan Supabase Auth
-    const { data, error } = await supabase.auth.signInWithPassword({
+    const { data, error } = await getSupabase().auth.signInWithPassword({
       email,
       password,
     });
@@ -64,12 +147,9 @@ app.post("/auth/login", async (req, res) => {
       });
     }
 
-    // Ambil profile user untuk cek role
-    const { data: profile, error: profileError } = await supabase
-      .from("profiles")
-      .select("*")
-      .eq("id", data.user.id)
-      .single();
+    // Ambil profile user untuk cek role (cache dibuang, perubahan role langsung berlaku setelah login)
+    invalidateProfile(data.user.id);
+    const { data: profile, error: profileError } = await storage.profiles.findById(data.user.id);
 
     if (profileError) {
       console.error("Error fetching profile:", profileError);
@@ -83,6 +163,7 @@ app.post("/auth/login", async (req, res) => {
           id: data.user.id,
           email: data.user.email,
           role: profile?.role || "USER",
+          permissions: permissionsOf(profile?.role || "USER"),
           full_name: profile?.full_name,
         },
         session: {
@@ -114,7 +195,7 @@ app.post("/auth/register", async (req, res) => {
     }
 
     // Register dengan Supabase Auth
-    const { data, error } = await supabase.auth.signUp({
+    const { data, error } = await getSupabase().auth.signUp({
       email,
       password,
       options: {
@@ -150,50 +231,297 @@ app.post("/auth/register", async (req, res) => {
   }
 });
 
+const serviceTokenSchema = z.object({
+  grant_type: z.literal("client_credentials"),
+  client_id: z.string().min(1),
+  client_secret: z.string().min(1),
+  scope: z.string().optional(), // dipisah spasi, default semua scope client
+});
+
+// Token service client - client credentials untuk service-to-service
+app.post("/auth/token", async (req, res) => {
+  try {
+    const validation = serviceTokenSchema.safeParse(req.body || {});
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "grant_type harus client_credentials, client_id & client_secret wajib diisi",
+        details: validation.error.issues,
+      });
+    }
+
+    const { client_id, client_secret, scope } = validation.data;
+    const client = authenticateClient(client_id, client_secret);
+
+    if (!client) {
+      return res.status(401).json({
+        error: "Unauthorized",
+        message: "client_id atau client_secret salah",
+      });
+    }
+
+    const scopes = scope ? scope.split(" ").filter(Boolean) : undefined;
+    const token = issueServiceToken(client, scopes);
+
+    if (token.reason === "KEY_UNAVAILABLE") {
+      console.error("❌ SERVICE_JWT_SECRET / JWT_SECRET belum di-set, token service tidak bisa dibuat");
+      return res.status(503).json({
+        error: "Service Unavailable",
+        message: "Token service sedang tidak bisa dibuat, coba lagi nanti",
+        reason: "KEY_UNAVAILABLE",
+      });
+    }
+
+    if (token.reason) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: `Scope tidak diizinkan untuk client ini: ${token.scopes.join(", ")}`,
+        reason: token.reason,
+        allowed_scopes: client.scopes,
+        available_scopes: SERVICE_SCOPES,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        access_token: token.access_token,
+        token_type: "Bearer",
+        expires_in: token.expires_in,
+        scope: token.scope,
+      },
+    });
+  } catch (err) {
+    console.error("❌ Service token error:", err);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "Terjadi kesalahan saat membuat token service",
+    });
+  }
+});
+
+// Buang cache profile (role) di instance ini - 1 user atau semua kalau user_id kosong (users:manage)
+app.post("/auth/cache/invalidate", authenticateToken, requirePermission("users:manage"), (req, res) => {
+  const userId = req.body?.user_id;
+
+  if (userId !== undefined && (typeof userId !== "string" || userId.length === 0)) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: "user_id harus berupa string",
+    });
+  }
+
+  if (userId) {
+    invalidateProfile(userId);
+  } else {
+    clearProfileCache();
+  }
+
+  res.json({
+    success: true,
+    message: userId ? `Cache profile user '${userId}' dihapus` : "Semua cache profile dihapus",
+  });
+});
+
 // =======================
 // VOUCHER ENDPOINTS
 // =======================
 
-// Validation schemas
-const createVoucherSchema = z.object({
-  code: z.string().min(3).max(50),
-  name: z.string().min(3).max(255),
-  description: z.string().optional(),
-  discount_type: z.enum(["PERCENT", "FIXED"]),
-  discount_value: z.number().int().positive(),
-  currency: z.string().default("IDR"),
-  min_order_amount: z.number().int().min(0).default(0),
-  max_discount_amount: z.number().int().min(0).optional(),
-  max_total_redemptions: z.number().int().positive().default(1),
-  start_at: z.string().datetime().optional(),
-  end_at: z.string().datetime().optional(),
+// Validation schemas (createVoucherSchema ada di ./schemas/voucher, orderSchema di ./schemas/order)
+const redeemVoucherSchema = withCart(
+  orderBaseSchema.extend({
+    order_id: z.string().optional(),
+  })
+);
+
+const quoteVoucherSchema = orderSchema;
+
+const reserveVoucherSchema = withCart(
+  orderBaseSchema.extend({
+    order_id: z.string().optional(),
+    ttl_seconds: z.number().int().min(30).max(24 * 60 * 60).optional(),
+  })
+);
+
+// Multi-code: beberapa voucher untuk 1 order (lihat services/stacking)
+const stackCodesSchema = z.array(z.string().min(1).max(50)).min(1).max(MAX_STACKED_VOUCHERS);
+
+const quoteStackSchema = withCart(
+  orderBaseSchema.extend({
+    codes: stackCodesSchema,
+  })
+);
+
+const applyStackSchema = withCart(
+  orderBaseSchema.extend({
+    codes: stackCodesSchema,
+    // Diisi = reservasi (confirm / cancel per reservation_id), kosong = langsung SUCCESS
+    ttl_seconds: z.number().int().min(30).max(24 * 60 * 60).optional(),
+  })
+);
+
+// Natural idempotency key (tanpa header Idempotency-Key): voucher + order_id yang sama = retry
+function voucherOrderKey(action) {
+  return (req) =>
+    typeof req.body?.order_id === "string"
+      ? `${action}:${req.params.code.toUpperCase()}:${req.body.order_id}`
+      : null;
+}
+
+const cancelReservationSchema = z.object({
+  reason: z.string().max(500).optional(),
+});
+
+const reverseRedemptionSchema = z.object({
+  reason: z.string().min(3).max(500),
+});
+
+const purgeVouchersSchema = z.object({
+  retention_days: z.number().int().min(VOUCHER_ARCHIVE_RETENTION_DAYS).default(VOUCHER_ARCHIVE_RETENTION_DAYS),
+});
+
+// Listing voucher (query string)
+const VOUCHER_LIST_STATUSES = ["active", "scheduled", "expired", "exhausted", "inactive", "draft", "paused", "archived"];
+const VOUCHER_SORT_FIELDS = ["created_at", "updated_at", "code", "name", "total_redeemed"];
+
+// Bisa lebih dari 1, dipisah koma: ?status=active,scheduled
+function commaSeparated(values, normalize) {
+  return z
+    .string()
+    .transform((value) => value.split(",").map((s) => normalize(s.trim())).filter(Boolean))
+    .pipe(z.array(z.enum(values)).min(1));
+}
+
+const listVouchersQuerySchema = z.object({
+  status: commaSeparated(VOUCHER_LIST_STATUSES, (s) => s.toLowerCase()).optional(),
+  discount_type: commaSeparated(listDiscountTypes(), (s) => s.toUpperCase()).optional(),
+  created_by: z.string().min(1).optional(),
+  campaign_id: z.string().min(1).optional(),
+  restaurant_id: z.string().min(1).optional(),
+  is_public: z.enum(["true", "false"]).transform((value) => value === "true").optional(),
+  // Search code / name (case-insensitive, sebagian kata)
+  q: z.string().trim().min(1).max(100).optional(),
+  created_from: z.string().datetime().optional(),
+  created_to: z.string().datetime().optional(),
+  start_from: z.string().datetime().optional(),
+  start_to: z.string().datetime().optional(),
+  end_from: z.string().datetime().optional(),
+  end_to: z.string().datetime().optional(),
+  sort: z.enum(VOUCHER_SORT_FIELDS).default("created_at"),
+  order: z.enum(["asc", "desc"]).default("desc"),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  cursor: z.string().max(1000).optional(),
+});
+
+// Export voucher (query string): filter sama dengan GET /vouchers, tanpa pagination
+const exportVouchersQuerySchema = listVouchersQuerySchema
+  .omit({ sort: true, order: true, limit: true, cursor: true })
+  .extend({
+    format: z.enum(["json", "csv"]).default("json"),
+  });
+
+// Import voucher massal (query string)
+const importVouchersQuerySchema = z.object({
+  // true = hanya validasi, tidak ada yang disimpan
+  dry_run: z.enum(["true", "false"]).transform((value) => value === "true").default(false),
+  // all_or_nothing = 1 row tidak valid -> tidak ada yang disimpan, skip_invalid = simpan yang valid saja
+  mode: z.enum(["all_or_nothing", "skip_invalid"]).default("all_or_nothing"),
 });
 
-const redeemVoucherSchema = z.object({
-  order_amount: z.number().int().positive(),
-  order_id: z.string().optional(),
+// Riwayat audit voucher (query string), terbaru dulu
+const auditQuerySchema = z
+  .object({
+    action: commaSeparated(AUDIT_ACTIONS, (s) => s.toUpperCase()).optional(),
+    from: z.string().datetime().optional(),
+    to: z.string().datetime().optional(),
+    limit: z.coerce.number().int().min(1).max(100).default(50),
+    cursor: z.string().max(1000).optional(),
+  })
+  .refine((query) => !query.from || !query.to || new Date(query.from) < new Date(query.to), {
+    message: "from harus sebelum to",
+    path: ["to"],
+  });
+
+const abuseQuerySchema = z.object({
+  kind: z
+    .string()
+    .transform((s) => s.toUpperCase())
+    .pipe(z.enum(ABUSE_FLAG_KINDS))
+    .optional(),
+  subject: z.string().min(1).max(200).optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+  cursor: z.string().max(1000).optional(),
 });
 
-// GET /vouchers - List semua vouchers
-app.get("/vouchers", async (req, res) => {
+// GET /vouchers - List voucher (filter, search, sort, cursor pagination)
+// vouchers:read_all: semua voucher dengan semua filter (MERCHANT: hanya voucher restaurant sendiri)
+// Public / USER: hanya voucher public yang sedang bisa dipakai (filter status dll diabaikan)
+app.get("/vouchers", allowServiceScope("vouchers:read"), optionalAuthenticateToken, async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("vouchers")
-      .select("*")
-      .order("created_at", { ascending: false });
+    const validation = listVouchersQuerySchema.safeParse(req.query);
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Parameter query tidak valid",
+        details: validation.error.issues,
+      });
+    }
+
+    const { sort, order, limit, cursor, status, discount_type, q, ...adminFilters } = validation.data;
+
+    let after = null;
+    if (cursor) {
+      after = decodeCursor(cursor);
+
+      // Cursor hanya berlaku untuk sort & order yang sama dengan request sebelumnya
+      if (!after || after.sort !== sort || after.order !== order || !after.id) {
+        return res.status(400).json({
+          error: "Validation Error",
+          message: "Cursor tidak valid untuk sort / order ini",
+        });
+      }
+    }
+
+    const filters = { q, discount_types: discount_type, now: new Date().toISOString() };
+    const readAll = hasPermission(req.user, "vouchers:read_all");
+
+    if (readAll) {
+      Object.assign(filters, adminFilters, { statuses: status });
+
+      const restaurantId = restaurantScopeOf(req.user);
+      if (restaurantId) filters.restaurant_id = restaurantId;
+    } else {
+      Object.assign(filters, { statuses: ["active"], is_public: true });
+    }
+
+    // Ambil 1 row lebih untuk tahu masih ada halaman berikutnya
+    const { data, error } = await storage.vouchers.search(filters, { sort, order, limit: limit + 1, after });
 
     if (error) {
-      console.error("❌ Supabase error:", error);
+      console.error("❌ Storage error:", error);
       return res.status(500).json({ 
         error: error.message,
-        hint: "Check if table 'vouchers' exists in Supabase"
+        hint: `Check if table 'vouchers' exists (storage: ${storage.driver})`
       });
     }
 
+    const vouchers = data.slice(0, limit);
+    const last = vouchers[vouchers.length - 1];
+    const nextCursor =
+      data.length > limit ? encodeCursor({ sort, order, value: last[sort], id: last.id }) : null;
+
     res.json({
       success: true,
-      count: data.length,
-      data: data,
+      count: vouchers.length,
+      data: readAll ? vouchers : vouchers.map(toPublicVoucher),
+      pagination: {
+        limit,
+        sort,
+        order,
+        next_cursor: nextCursor,
+      },
     });
   } catch (err) {
     console.error("❌ Server error:", err);
@@ -201,8 +529,38 @@ app.get("/vouchers", async (req, res) => {
   }
 });
 
-// POST /vouchers - Create voucher (ADMIN only)
-app.post("/vouchers", authenticateToken, requireAdmin, async (req, res) => {
+/**
+ * MERCHANT: voucher selalu milik restaurant sendiri dan targeting dibatasi ke item restaurant itu
+ * Dipakai untuk create & update (hanya field yang dikirim yang dicek)
+ * @returns {string | null} pesan error (403), data diubah langsung
+ */
+function restrictToRestaurant(voucherData, restaurantId, { partial = false } = {}) {
+  if (voucherData.restaurant_id != null && voucherData.restaurant_id !== restaurantId) {
+    return `Voucher hanya boleh milik restaurant '${restaurantId}'`;
+  }
+
+  if (!partial || "restaurant_id" in voucherData) {
+    voucherData.restaurant_id = restaurantId;
+  }
+
+  if (!partial || "targeting" in voucherData) {
+    const include = voucherData.targeting?.include || {};
+
+    if (include.restaurant_ids?.some((id) => id !== restaurantId)) {
+      return "targeting.include.restaurant_ids hanya boleh berisi restaurant sendiri";
+    }
+
+    voucherData.targeting = {
+      ...voucherData.targeting,
+      include: { ...include, restaurant_ids: [restaurantId] },
+    };
+  }
+
+  return null;
+}
+
+// POST /vouchers - Create voucher (vouchers:create, MERCHANT hanya untuk restaurant sendiri)
+app.post("/vouchers", authenticateToken, requirePermission("vouchers:create"), async (req, res) => {
   try {
     // Validate request body
     const validation = createVoucherSchema.safeParse(req.body);
@@ -211,55 +569,61 @@ app.post("/vouchers", authenticateToken, requireAdmin, async (req, res) => {
       return res.status(400).json({
         error: "Validation Error",
         message: "Data voucher tidak valid",
-        details: validation.error.errors,
+        details: validation.error.issues,
       });
     }
 
-    const voucherData = validation.data;
+    const { draft, ...voucherData } = validation.data;
 
-    // Validate discount_value untuk PERCENT type
-    if (voucherData.discount_type === "PERCENT" && voucherData.discount_value > 100) {
-      return res.status(400).json({
-        error: "Validation Error",
-        message: "Discount value untuk tipe PERCENT tidak boleh lebih dari 100",
+    const restaurantId = restaurantScopeOf(req.user);
+    const scopeError = restaurantId && restrictToRestaurant(voucherData, restaurantId);
+    if (scopeError) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: scopeError,
       });
     }
 
-    // Validate start_at dan end_at
-    if (voucherData.start_at && voucherData.end_at) {
-      if (new Date(voucherData.end_at) < new Date(voucherData.start_at)) {
-        return res.status(400).json({
-          error: "Validation Error",
-          message: "end_at harus lebih besar atau sama dengan start_at",
-        });
-      }
+    // Validate PERCENT <= 100 dan start_at / end_at
+    const rulesError = validateVoucherRules(voucherData);
+    if (rulesError) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: rulesError,
+      });
     }
 
     // Check if code already exists
-    const { data: existing } = await supabase
-      .from("vouchers")
-      .select("code")
-      .eq("code", voucherData.code)
-      .single();
+    const { data: existing, error: existingError } = await storage.vouchers.findExistingCodes([voucherData.code]);
 
-    if (existing) {
+    if (existingError) {
+      console.error("❌ Error checking voucher code:", existingError);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal membuat voucher",
+        detail: existingError.message,
+      });
+    }
+
+    if (existing.length > 0) {
       return res.status(409).json({
         error: "Conflict",
         message: `Voucher dengan code '${voucherData.code}' sudah ada`,
       });
     }
 
-    // Insert voucher baru
-    const { data, error } = await supabase
-      .from("vouchers")
-      .insert([{
-        ...voucherData,
-        total_redeemed: 0,
-        is_active: true,
-        created_by: req.user.id,
-      }])
-      .select()
-      .single();
+    // Insert voucher baru (DRAFT = nonaktif sampai di-publish)
+    const newVoucher = {
+      ...voucherData,
+      total_redeemed: 0,
+      total_claimed: 0,
+      is_active: !draft,
+      created_by: req.user.id,
+    };
+    const { data, error } = await storage.vouchers.create({
+      ...newVoucher,
+      status: initialStatus(newVoucher, { draft }),
+    });
 
     if (error) {
       console.error("❌ Error creating voucher:", error);
@@ -270,6 +634,21 @@ app.post("/vouchers", authenticateToken, requireAdmin, async (req, res) => {
       });
     }
 
+    const { error: historyError } = await storage.vouchers.appendStatusHistory([
+      { voucher_id: data.id, from_status: null, to_status: data.status, trigger: "create", actor_id: req.user.id },
+    ]);
+    if (historyError) console.error("❌ Error saving voucher status history:", historyError);
+
+    await recordAudit(req, [
+      {
+        entity_type: "voucher",
+        entity_id: data.id,
+        voucher_id: data.id,
+        action: "VOUCHER_CREATED",
+        changes: diffFields(null, data),
+      },
+    ]);
+
     res.status(201).json({
       success: true,
       message: "Voucher berhasil dibuat",
@@ -284,272 +663,1424 @@ app.post("/vouchers", authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
-// GET /vouchers/:code - Get voucher detail by code
-app.get("/vouchers/:code", async (req, res) => {
+// POST /vouchers/import - Import voucher massal dari CSV / JSON (format sama dengan GET /vouchers/export)
+// Semua row divalidasi seperti POST /vouchers, error dilaporkan per row
+// ?dry_run=true hanya validasi, ?mode=skip_invalid simpan row yang valid saja (default all_or_nothing)
+app.post("/vouchers/import", authenticateToken, requirePermission("vouchers:create"), async (req, res) => {
   try {
-    const { code } = req.params;
+    const query = importVouchersQuerySchema.safeParse(req.query);
 
-    const { data, error } = await supabase
-      .from("vouchers")
-      .select("*")
-      .eq("code", code)
-      .single();
-
-    if (error || !data) {
-      return res.status(404).json({
-        error: "Not Found",
-        message: `Voucher dengan code '${code}' tidak ditemukan`,
+    if (!query.success) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Parameter query tidak valid",
+        details: query.error.issues,
       });
     }
 
-    // Check if voucher masih valid
-    const now = new Date();
-    const startAt = data.start_at ? new Date(data.start_at) : null;
-    const endAt = data.end_at ? new Date(data.end_at) : null;
-    
-    const isNotStarted = startAt && now < startAt;
-    const isExpired = endAt && now > endAt;
-    const isAvailable = data.is_active && !isNotStarted && !isExpired && data.total_redeemed < data.max_total_redemptions;
-
-    res.json({
-      success: true,
-      data: {
-        ...data,
-        is_not_started: isNotStarted,
-        is_expired: isExpired,
-        is_available: isAvailable,
-        remaining_redemptions: data.max_total_redemptions - data.total_redeemed,
-      },
-    });
-  } catch (err) {
-    console.error("❌ Server error:", err);
-    res.status(500).json({ error: "Internal server error" });
-  }
-});
-
-// POST /vouchers/:code/redeem - Redeem voucher (USER only)
-app.post("/vouchers/:code/redeem", authenticateToken, requireUser, async (req, res) => {
-  try {
-    const { code } = req.params;
-    const userId = req.user.id;
+    const { dry_run, mode } = query.data;
 
-    // Validate request body
-    const validation = redeemVoucherSchema.safeParse(req.body);
-    
-    if (!validation.success) {
+    const parsed = parseImportBody(req.body);
+    if (parsed.error) {
       return res.status(400).json({
         error: "Validation Error",
-        message: "Data redeem tidak valid",
-        details: validation.error.errors,
+        message: parsed.error,
       });
     }
 
-    const { order_amount, order_id } = validation.data;
+    const restaurantId = restaurantScopeOf(req.user);
+    const { valid, invalid } = validateImportRows(
+      parsed.rows,
+      (voucher) => restaurantId && restrictToRestaurant(voucher, restaurantId)
+    );
 
-    // Get voucher
-    const { data: voucher, error: voucherError } = await supabase
-      .from("vouchers")
-      .select("*")
-      .eq("code", code)
-      .single();
+    // Code yang sudah dipakai voucher lain (termasuk yang archived)
+    const { data: existing, error: existingError } = await storage.vouchers.findExistingCodes(
+      valid.map(({ voucher }) => voucher.code)
+    );
 
-    if (voucherError || !voucher) {
-      return res.status(404).json({
-        error: "Not Found",
-        message: `Voucher dengan code '${code}' tidak ditemukan`,
+    if (existingError) {
+      console.error("❌ Error checking voucher codes:", existingError);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal import voucher",
+        detail: existingError.message,
       });
     }
 
-    // Validasi voucher
-    const now = new Date();
-    const startAt = voucher.start_at ? new Date(voucher.start_at) : null;
-    const endAt = voucher.end_at ? new Date(voucher.end_at) : null;
+    const taken = new Set(existing.map((code) => code.toUpperCase()));
+    const errors = [...invalid];
+    const importable = [];
 
-    if (!voucher.is_active) {
-      return res.status(400).json({
-        error: "Bad Request",
-        message: "Voucher sudah tidak aktif",
+    for (const entry of valid) {
+      if (taken.has(entry.voucher.code.toUpperCase())) {
+        errors.push({ row: entry.row, code: entry.voucher.code, errors: [`code: voucher '${entry.voucher.code}' sudah ada`] });
+      } else {
+        importable.push(entry);
+      }
+    }
+    errors.sort((a, b) => a.row - b.row);
+
+    const summary = {
+      format: parsed.format,
+      total: parsed.rows.length,
+      valid: importable.length,
+      invalid: errors.length,
+    };
+
+    if (dry_run) {
+      return res.json({
+        success: true,
+        dry_run: true,
+        message:
+          errors.length > 0
+            ? `${errors.length} dari ${summary.total} voucher tidak valid`
+            : `Semua ${summary.total} voucher valid`,
+        summary,
+        errors,
       });
     }
 
-    if (startAt && now < startAt) {
+    if (errors.length > 0 && mode === "all_or_nothing") {
       return res.status(400).json({
-        error: "Bad Request",
-        message: "Voucher belum bisa digunakan",
-        start_at: voucher.start_at,
+        error: "Validation Error",
+        message: `${errors.length} dari ${summary.total} voucher tidak valid, tidak ada voucher yang dibuat`,
+        summary,
+        errors,
       });
     }
 
-    if (endAt && now > endAt) {
+    if (importable.length === 0) {
       return res.status(400).json({
-        error: "Bad Request",
-        message: "Voucher sudah expired",
-        expired_at: voucher.end_at,
+        error: "Validation Error",
+        message: "Tidak ada voucher valid yang bisa dibuat",
+        summary,
+        errors,
       });
     }
 
-    if (voucher.total_redeemed >= voucher.max_total_redemptions) {
-      return res.status(400).json({
-        error: "Bad Request",
-        message: "Voucher sudah habis digunakan",
+    // 1 insert untuk semua voucher: gagal di tengah (misal code bentrok dengan request lain) = tidak ada yang dibuat
+    const { data, error } = await storage.vouchers.createMany(
+      importable.map(({ voucher, draft }) => {
+        const newVoucher = {
+          ...voucher,
+          total_redeemed: 0,
+          total_claimed: 0,
+          is_active: !draft,
+          created_by: req.user.id,
+        };
+        return { ...newVoucher, status: initialStatus(newVoucher, { draft }) };
+      })
+    );
+
+    if (error) {
+      console.error("❌ Error importing vouchers:", error);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal import voucher, tidak ada voucher yang dibuat",
+        detail: error.message,
       });
     }
 
-    // Check min order amount
-    if (order_amount < voucher.min_order_amount) {
+    const { error: historyError } = await storage.vouchers.appendStatusHistory(
+      data.map((voucher) => ({
+        voucher_id: voucher.id,
+        from_status: null,
+        to_status: voucher.status,
+        trigger: "create",
+        actor_id: req.user.id,
+      }))
+    );
+    if (historyError) console.error("❌ Error saving voucher status history:", historyError);
+
+    await recordAudit(
+      req,
+      data.map((voucher) => ({
+        entity_type: "voucher",
+        entity_id: voucher.id,
+        voucher_id: voucher.id,
+        action: "VOUCHER_CREATED",
+        changes: diffFields(null, voucher),
+        metadata: { source: "import", format: parsed.format },
+      }))
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${data.length} voucher berhasil dibuat` + (errors.length > 0 ? `, ${errors.length} dilewati` : ""),
+      summary: { ...summary, created: data.length, skipped: errors.length },
+      errors,
+      data: data,
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "Terjadi kesalahan saat import voucher",
+    });
+  }
+});
+
+// GET /vouchers/export - Export voucher (filter sama dengan GET /vouchers) sebagai JSON / CSV (?format=csv)
+// Berisi counter redemption terkini, file bisa di-import ulang lewat POST /vouchers/import
+// (MERCHANT: hanya voucher restaurant sendiri)
+app.get("/vouchers/export", authenticateToken, requirePermission("vouchers:read_all"), async (req, res) => {
+  try {
+    const validation = exportVouchersQuerySchema.safeParse(req.query);
+
+    if (!validation.success) {
       return res.status(400).json({
-        error: "Bad Request",
-        message: `Minimum order amount adalah ${voucher.currency} ${voucher.min_order_amount}`,
+        error: "Validation Error",
+        message: "Parameter query tidak valid",
+        details: validation.error.issues,
       });
     }
 
-    // Check apakah user sudah pernah redeem voucher ini
-    const { data: existingRedeem } = await supabase
-      .from("voucher_redemptions")
-      .select("*")
-      .eq("voucher_id", voucher.id)
-      .eq("user_id", userId)
-      .single();
+    const { format, status, discount_type, ...filters } = validation.data;
+    Object.assign(filters, { statuses: status, discount_types: discount_type, now: new Date().toISOString() });
 
-    if (existingRedeem) {
-      return res.status(400).json({
-        error: "Bad Request",
-        message: "Kamu sudah pernah menggunakan voucher ini",
-        redeemed_at: existingRedeem.redeemed_at,
+    const restaurantId = restaurantScopeOf(req.user);
+    if (restaurantId) filters.restaurant_id = restaurantId;
+
+    // Ambil per halaman (keyset) sampai habis, urut dari yang paling lama dibuat
+    const pageSize = 500;
+    const vouchers = [];
+    let after = null;
+
+    for (;;) {
+      const { data, error } = await storage.vouchers.search(filters, {
+        sort: "created_at",
+        order: "asc",
+        limit: pageSize,
+        after,
       });
-    }
 
-    // Hitung discount amount
-    let discount_amount = 0;
-    if (voucher.discount_type === "PERCENT") {
-      discount_amount = Math.floor((order_amount * voucher.discount_value) / 100);
-      
-      // Apply max discount amount if exists
-      if (voucher.max_discount_amount && discount_amount > voucher.max_discount_amount) {
-        discount_amount = voucher.max_discount_amount;
-      }
-    } else {
-      // FIXED discount
-      discount_amount = voucher.discount_value;
-      
-      // Discount tidak boleh lebih besar dari order amount
-      if (discount_amount > order_amount) {
-        discount_amount = order_amount;
+      if (error) {
+        console.error("❌ Storage error:", error);
+        return res.status(500).json({
+          error: "Database Error",
+          message: "Gagal export voucher",
+        });
       }
+
+      vouchers.push(...data);
+      if (data.length < pageSize) break;
+
+      const last = data[data.length - 1];
+      after = { value: last.created_at, id: last.id };
     }
 
-    const final_amount = order_amount - discount_amount;
+    const rows = vouchers.map(toExportRow);
 
-    // Atomic transaction: Update voucher + Insert redemption
-    const newTotalRedeemed = voucher.total_redeemed + 1;
+    if (format === "csv") {
+      return sendCsv(res, "vouchers.csv", rows, TRANSFER_COLUMNS);
+    }
 
-    // Update voucher total_redeemed
-    const { error: updateError } = await supabase
-      .from("vouchers")
-      .update({ total_redeemed: newTotalRedeemed })
-      .eq("id", voucher.id)
-      .eq("total_redeemed", voucher.total_redeemed); // Optimistic locking
+    res.json({
+      success: true,
+      exported_at: filters.now,
+      count: rows.length,
+      vouchers: rows,
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    if (updateError) {
-      console.error("❌ Error updating voucher:", updateError);
-      return res.status(500).json({
-        error: "Database Error",
-        message: "Gagal memproses redeem, silakan coba lagi",
+// GET /vouchers/:code - Get voucher detail by code (rate limit + lockout lookup gagal, lihat middleware/rateLimit)
+// Dengan token: ikut tampilkan sisa pemakaian untuk user tersebut
+app.get("/vouchers/:code", allowServiceScope("vouchers:read"), optionalAuthenticateToken, lookupGuard, async (req, res) => {
+  try {
+    const { code } = req.params;
+
+    const { data, error } = await storage.vouchers.findByCode(code);
+
+    // Detail lengkap hanya untuk vouchers:read_all (MERCHANT: voucher restaurant sendiri),
+    // caller lain dapat tampilan public (lihat services/voucherView)
+    const fullAccess = Boolean(data) && hasPermission(req.user, "vouchers:read_all") && canManageVoucher(req.user, data);
+
+    // Voucher archived / DRAFT hanya terlihat dengan akses penuh, voucher non-public perlu token
+    const hidden = data && (data.archived_at || data.status === "DRAFT");
+    if (
+      error ||
+      !data ||
+      (hidden && !fullAccess) ||
+      (!data.is_public && !req.user)
+    ) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: `Voucher dengan code '${code}' tidak ditemukan`,
       });
     }
 
-    // Insert redemption record
-    const { data: redemption, error: redemptionError } = await supabase
-      .from("voucher_redemptions")
-      .insert([{
-        voucher_id: voucher.id,
-        user_id: userId,
-        order_id: order_id || null,
-        order_amount: order_amount,
-        discount_amount: discount_amount,
-        final_amount: final_amount,
-        status: "SUCCESS",
-      }])
-      .select()
-      .single();
+    // Status saat ini (bisa lebih baru dari kolom status yang disinkron scheduler)
+    const now = new Date();
+    const { status } = voucherStatus(data, now);
 
-    if (redemptionError) {
-      console.error("❌ Error creating redemption:", redemptionError);
-      
-      // Rollback: kurangi total_redeemed kembali
-      await supabase
-        .from("vouchers")
-        .update({ total_redeemed: voucher.total_redeemed })
-        .eq("id", voucher.id);
+    const limits = {};
 
-      return res.status(500).json({
-        error: "Database Error",
-        message: "Gagal menyimpan redemption",
-      });
+    if (data.max_redemptions_per_day) {
+      const { data: usedToday } = await storage.redemptions.countSince(data.id, startOfDay(now).toISOString());
+      limits.remaining_redemptions_today = Math.max(data.max_redemptions_per_day - (usedToday || 0), 0);
+    }
+
+    if (req.user && req.user.role !== "SERVICE") {
+      const { data: usage } = await storage.redemptions.getUserUsage(data.id, req.user.id);
+      const { remaining, next_available_at } = describeUserUsage(data, usage || { count: 0 }, now);
+      limits.user_redemptions = usage?.count || 0;
+      limits.user_remaining_redemptions = remaining;
+      limits.user_next_available_at = next_available_at;
+
+      const { data: claim } = await storage.claims.findActive(data.id, req.user.id);
+      limits.user_claimed = Boolean(claim);
     }
 
     res.json({
       success: true,
-      message: "Voucher berhasil digunakan!",
       data: {
-        voucher_code: voucher.code,
-        voucher_name: voucher.name,
-        discount_type: voucher.discount_type,
-        discount_value: voucher.discount_value,
-        order_amount: order_amount,
-        discount_amount: discount_amount,
-        final_amount: final_amount,
-        currency: voucher.currency,
-        redeemed_at: redemption.redeemed_at,
+        ...(fullAccess ? data : toPublicVoucher(data)),
+        status,
+        is_not_started: status === "SCHEDULED",
+        is_expired: status === "EXPIRED",
+        is_available: status === "ACTIVE",
+        remaining_redemptions: Math.max(data.max_total_redemptions - slotsTaken(data), 0),
+        ...(fullAccess && { remaining_discount_budget: remainingBudget(data) }),
+        ...limits,
       },
     });
   } catch (err) {
     console.error("❌ Server error:", err);
-    res.status(500).json({ 
-      error: "Internal Server Error",
-      message: "Terjadi kesalahan saat redeem voucher" 
-    });
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// PUT /vouchers/:id - Update voucher (ADMIN only)
-app.put("/vouchers/:id", authenticateToken, requireAdmin, async (req, res) => {
+// GET /users/:userId/eligible-vouchers - Voucher yang bisa dipakai user (user sendiri atau users:read)
+app.get("/users/:userId/eligible-vouchers", allowServiceScope("vouchers:read"), authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params;
-
+    const { userId } = req.params;
+    let user = req.user;
+
+    if (userId !== req.user.id) {
+      if (!hasPermission(req.user, "users:read")) {
+        return res.status(403).json({
+          error: "Forbidden",
+          message: "Hanya bisa melihat voucher untuk akun sendiri",
+        });
+      }
+
+      // Email & tanggal registrasi user lain diambil dari Supabase Auth (SUPABASE_SERVICE_ROLE_KEY)
+      const [{ data: profile, error: profileError }, { data: authUser, error: authError }] = await Promise.all([
+        storage.profiles.findById(userId),
+        findAuthUser(userId),
+      ]);
+
+      if (profileError) {
+        console.error("❌ Error fetching user profile:", profileError);
+        return res.status(500).json({
+          error: "Database Error",
+          message: "Gagal mengambil data user",
+        });
+      }
+
+      // Tanpa data auth aturan eligibility (email, tanggal registrasi) tidak bisa dicek
+      if (authError) {
+        console.error("❌ Error fetching auth user:", authError);
+        return res.status(503).json({
+          error: "Service Unavailable",
+          message: "Data user dari Supabase Auth tidak tersedia, coba lagi nanti",
+        });
+      }
+
+      if (!profile && !authUser) {
+        return res.status(404).json({
+          error: "Not Found",
+          message: `User dengan ID '${userId}' tidak ditemukan`,
+        });
+      }
+
+      user = {
+        id: userId,
+        email: authUser?.email,
+        created_at: authUser?.created_at,
+        ...profile,
+      };
+    }
+
+    const vouchers = await listEligibleVouchers(storage, user);
+    const data = hasPermission(req.user, "vouchers:read_all") ? vouchers : vouchers.map(toPublicEligibleVoucher);
+
+    res.json({
+      success: true,
+      user_id: userId,
+      count: data.length,
+      data: data,
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Reason code (dari cek redeem / storage) -> [HTTP status, error]
+const REDEMPTION_ERRORS = {
+  VOUCHER_NOT_FOUND: [404, "Not Found"],
+  VOUCHER_INACTIVE: [400, "Bad Request"],
+  VOUCHER_ARCHIVED: [410, "Gone"],
+  VOUCHER_NOT_STARTED: [400, "Bad Request"],
+  VOUCHER_EXPIRED: [400, "Bad Request"],
+  VOUCHER_EXHAUSTED: [400, "Bad Request"],
+  BUDGET_EXHAUSTED: [400, "Bad Request"],
+  MIN_ORDER_NOT_MET: [400, "Bad Request"],
+  ALREADY_REDEEMED: [400, "Bad Request"],
+  USER_COOLDOWN: [400, "Bad Request"],
+  DAILY_LIMIT_REACHED: [400, "Bad Request"],
+  NO_DELIVERY_FEE: [400, "Bad Request"],
+  ITEMS_REQUIRED: [400, "Bad Request"],
+  BUY_QUANTITY_NOT_MET: [400, "Bad Request"],
+  NO_ELIGIBLE_ITEMS: [400, "Bad Request"],
+  DUPLICATE_CODE: [400, "Bad Request"],
+  VOUCHER_NOT_STACKABLE: [400, "Bad Request"],
+  STACK_GROUP_CONFLICT: [400, "Bad Request"],
+  CURRENCY_MISMATCH: [400, "Bad Request"],
+  CURRENCY_NOT_SUPPORTED: [400, "Bad Request"],
+  NOTHING_TO_DISCOUNT: [400, "Bad Request"],
+  ORDER_ALREADY_REDEEMED: [409, "Conflict"],
+  USER_NOT_ALLOWED: [403, "Forbidden"],
+  EMAIL_DOMAIN_NOT_ALLOWED: [403, "Forbidden"],
+  REGISTRATION_DATE_UNKNOWN: [403, "Forbidden"],
+  REGISTERED_TOO_EARLY: [403, "Forbidden"],
+  REGISTERED_TOO_LATE: [403, "Forbidden"],
+  NOT_FIRST_ORDER: [403, "Forbidden"],
+  ALREADY_CLAIMED: [409, "Conflict"],
+  CLAIM_NOT_FOUND: [404, "Not Found"],
+  DISCOUNT_TYPE_UNSUPPORTED: [400, "Bad Request"],
+  RESERVATION_NOT_FOUND: [404, "Not Found"],
+  RESERVATION_NOT_PENDING: [409, "Conflict"],
+  REDEMPTION_NOT_FOUND: [404, "Not Found"],
+  REDEMPTION_NOT_REVERSIBLE: [409, "Conflict"],
+};
+
+/**
+ * Kirim response untuk hasil cek yang gagal ({ reason, message, details })
+ * atau error storage ({ code, message }); error lain jadi 500
+ */
+function sendRedemptionError(res, error, message) {
+  const reason = error.reason || error.code;
+  const known = REDEMPTION_ERRORS[reason];
+
+  if (known) {
+    const [status, title] = known;
+    return res.status(status).json({
+      error: title,
+      message: error.reason ? error.message : REASON_MESSAGES[reason],
+      reason,
+      ...error.details,
+    });
+  }
+
+  console.error("❌ Storage error:", error);
+  return res.status(500).json({
+    error: "Database Error",
+    message,
+  });
+}
+
+// POST /vouchers/:code/quote - Simulasi pemakaian voucher tanpa memakai quota (vouchers:redeem / service on_behalf_of)
+app.post("/vouchers/:code/quote", allowServiceScope("vouchers:read"), authenticateToken, requirePermission("vouchers:redeem"), redeemGuard, async (req, res) => {
+  try {
+    const { code } = req.params;
+
+    const validation = quoteVoucherSchema.safeParse(req.body);
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Data quote tidak valid",
+        details: validation.error.issues,
+      });
+    }
+
+    const order = validation.data;
+
+    const check = await checkRedemption(storage, {
+      code,
+      user: req.user,
+      order,
+    });
+
+    if (check.reason === "VOUCHER_NOT_FOUND") {
+      return sendRedemptionError(res, check);
+    }
+
+    if (!check.ok) {
+      return res.json({
+        success: true,
+        data: {
+          valid: false,
+          voucher_code: check.voucher.code,
+          order_amount: order.order_amount,
+          delivery_fee: order.delivery_fee,
+          reason: check.reason,
+          message: check.message,
+          ...check.details,
+        },
+      });
+    }
+
+    const {
+      voucher,
+      priced,
+      currency,
+      exchange_rate,
+      eligible_amount,
+      discount_amount,
+      delivery_discount_amount,
+      final_amount,
+      allocation,
+      budget_capped,
+    } = check;
+
+    res.json({
+      success: true,
+      data: {
+        valid: true,
+        voucher_code: voucher.code,
+        voucher_name: voucher.name,
+        discount_type: voucher.discount_type,
+        discount_value: priced.discount_value,
+        order_amount: order.order_amount,
+        delivery_fee: order.delivery_fee,
+        eligible_amount: eligible_amount,
+        discount_amount: discount_amount,
+        delivery_discount_amount: delivery_discount_amount,
+        final_amount: final_amount,
+        currency: currency,
+        voucher_currency: voucher.currency,
+        exchange_rate: exchange_rate,
+        allocation: allocation,
+        budget_capped: budget_capped,
+      },
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "Terjadi kesalahan saat menghitung voucher",
+    });
+  }
+});
+
+// POST /vouchers/:code/redeem - Redeem voucher (vouchers:redeem / service on_behalf_of)
+app.post("/vouchers/:code/redeem", allowServiceScope("vouchers:redeem"), authenticateToken, requirePermission("vouchers:redeem"), redeemGuard, idempotent({ naturalKey: voucherOrderKey("redeem") }), async (req, res) => {
+  try {
+    const { code } = req.params;
+    const userId = req.user.id;
+
+    // Validate request body
+    const validation = redeemVoucherSchema.safeParse(req.body);
+    
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Data redeem tidak valid",
+        details: validation.error.issues,
+      });
+    }
+
+    const { order_id, ...order } = validation.data;
+
+    const check = await checkRedemption(storage, { code, user: req.user, order });
+    if (!check.ok) {
+      return sendRedemptionError(res, check);
+    }
+
+    const { voucher } = check;
+
+    // Atomic: cek quota & budget + increment total_redeemed + insert redemption
+    // Nominal dicatat dalam mata uang voucher (budget & report per voucher)
+    const { data: redemption, error: redemptionError } = await storage.redemptions.reserve({
+      voucherId: voucher.id,
+      userId,
+      orderId: order_id,
+      ...bookingAmounts(check, order, check.discount_amount),
+      ttlSeconds: null,
+      dayStart: startOfDay().toISOString(),
+    });
+
+    if (redemptionError) {
+      return sendRedemptionError(res, redemptionError, "Gagal memproses redeem, silakan coba lagi");
+    }
+
+    // Discount bisa dipotong lagi oleh storage kalau budget terpakai redemption lain
+    const {
+      eligible_amount,
+      discount_amount,
+      delivery_discount_amount,
+      final_amount,
+      allocation,
+      budget_capped,
+    } = capDiscount(check, bookedDiscount(check, check.discount_amount, redemption.discount_amount));
+
+    res.json({
+      success: true,
+      message: "Voucher berhasil digunakan!",
+      data: {
+        redemption_id: redemption.id,
+        voucher_code: voucher.code,
+        voucher_name: voucher.name,
+        discount_type: voucher.discount_type,
+        discount_value: check.priced.discount_value,
+        order_amount: order.order_amount,
+        delivery_fee: order.delivery_fee,
+        eligible_amount: eligible_amount,
+        discount_amount: discount_amount,
+        delivery_discount_amount: delivery_discount_amount,
+        final_amount: final_amount,
+        currency: check.currency,
+        voucher_currency: voucher.currency,
+        exchange_rate: check.exchange_rate,
+        allocation: allocation,
+        budget_capped: budget_capped,
+        redeemed_at: redemption.redeemed_at,
+      },
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({ 
+      error: "Internal Server Error",
+      message: "Terjadi kesalahan saat redeem voucher" 
+    });
+  }
+});
+
+// POST /vouchers/:code/reserve - Tahan 1 slot voucher selama TTL (vouchers:redeem / service on_behalf_of)
+// Dipakai checkout saat payment masih pending, lanjut ke confirm / cancel
+app.post("/vouchers/:code/reserve", allowServiceScope("vouchers:redeem"), authenticateToken, requirePermission("vouchers:redeem"), redeemGuard, idempotent({ naturalKey: voucherOrderKey("reserve") }), async (req, res) => {
+  try {
+    const { code } = req.params;
+    const userId = req.user.id;
+
+    const validation = reserveVoucherSchema.safeParse(req.body);
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Data reservasi tidak valid",
+        details: validation.error.issues,
+      });
+    }
+
+    const { order_id, ttl_seconds, ...order } = validation.data;
+
+    const check = await checkRedemption(storage, { code, user: req.user, order });
+    if (!check.ok) {
+      return sendRedemptionError(res, check);
+    }
+
+    const { voucher } = check;
+
+    const { data: reservation, error: reserveError } = await storage.redemptions.reserve({
+      voucherId: voucher.id,
+      userId,
+      orderId: order_id,
+      ...bookingAmounts(check, order, check.discount_amount),
+      ttlSeconds: ttl_seconds || RESERVATION_TTL_SECONDS,
+      dayStart: startOfDay().toISOString(),
+    });
+
+    if (reserveError) {
+      return sendRedemptionError(res, reserveError, "Gagal membuat reservasi, silakan coba lagi");
+    }
+
+    // Discount bisa dipotong lagi oleh storage kalau budget terpakai redemption lain
+    const {
+      eligible_amount,
+      discount_amount,
+      delivery_discount_amount,
+      final_amount,
+      allocation,
+      budget_capped,
+    } = capDiscount(check, bookedDiscount(check, check.discount_amount, reservation.discount_amount));
+
+    res.status(201).json({
+      success: true,
+      message: "Voucher berhasil di-reserve",
+      data: {
+        reservation_id: reservation.id,
+        status: reservation.status,
+        expires_at: reservation.expires_at,
+        voucher_code: voucher.code,
+        voucher_name: voucher.name,
+        order_id: reservation.order_id,
+        order_amount: order.order_amount,
+        delivery_fee: order.delivery_fee,
+        eligible_amount: eligible_amount,
+        discount_amount: discount_amount,
+        delivery_discount_amount: delivery_discount_amount,
+        final_amount: final_amount,
+        currency: check.currency,
+        voucher_currency: voucher.currency,
+        exchange_rate: check.exchange_rate,
+        allocation: allocation,
+        budget_capped: budget_capped,
+      },
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "Terjadi kesalahan saat reserve voucher",
+    });
+  }
+});
+
+/**
+ * Hasil checkStack -> data response
+ * @param {object[]} [redemptions] - row storage, sejajar dengan stack.vouchers
+ */
+function describeStack(order, stack, redemptions = null) {
+  return {
+    order_amount: order.order_amount,
+    delivery_fee: order.delivery_fee,
+    discount_amount: stack.discount_amount,
+    delivery_discount_amount: stack.delivery_discount_amount,
+    final_amount: stack.final_amount,
+    currency: stack.currency,
+    voucher_currency: stack.voucher_currency,
+    exchange_rate: stack.exchange_rate,
+    vouchers: stack.vouchers.map((entry, i) => ({
+      ...(redemptions && {
+        redemption_id: redemptions[i].id,
+        status: redemptions[i].status,
+        expires_at: redemptions[i].expires_at,
+      }),
+      voucher_code: entry.voucher.code,
+      voucher_name: entry.voucher.name,
+      discount_type: entry.voucher.discount_type,
+      discount_value: entry.priced.discount_value,
+      stacking: entry.stacking,
+      eligible_amount: entry.eligible_amount,
+      discount_amount: entry.discount_amount,
+      delivery_discount_amount: entry.delivery_discount_amount,
+      allocation: entry.allocation,
+      budget_capped: entry.budget_capped,
+    })),
+    allocation: stack.allocation,
+  };
+}
+
+// POST /orders/:orderId/vouchers/quote - Simulasi beberapa voucher untuk 1 order (vouchers:redeem / service on_behalf_of)
+app.post("/orders/:orderId/vouchers/quote", allowServiceScope("vouchers:read"), authenticateToken, requirePermission("vouchers:redeem"), redeemGuard, async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const validation = quoteStackSchema.safeParse(req.body);
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Data quote tidak valid",
+        details: validation.error.issues,
+      });
+    }
+
+    const { codes, ...order } = validation.data;
+
+    const stack = await checkStack(storage, { codes, user: req.user, order });
+
+    if (stack.reason === "VOUCHER_NOT_FOUND") {
+      return sendRedemptionError(res, stack);
+    }
+
+    if (!stack.ok) {
+      return res.json({
+        success: true,
+        data: {
+          valid: false,
+          order_id: orderId,
+          order_amount: order.order_amount,
+          delivery_fee: order.delivery_fee,
+          reason: stack.reason,
+          message: stack.message,
+          ...stack.details,
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        valid: true,
+        order_id: orderId,
+        ...describeStack(order, stack),
+      },
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "Terjadi kesalahan saat menghitung voucher",
+    });
+  }
+});
+
+// POST /orders/:orderId/vouchers - Pakai beberapa voucher untuk 1 order sekaligus (vouchers:redeem / service on_behalf_of)
+// Semua redemption dicatat dalam 1 operasi atomic: gagal 1 = gagal semua
+app.post("/orders/:orderId/vouchers", allowServiceScope("vouchers:redeem"), authenticateToken, requirePermission("vouchers:redeem"), redeemGuard, idempotent({ naturalKey: (req) => `stack:${req.params.orderId}` }), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const validation = applyStackSchema.safeParse(req.body);
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Data voucher order tidak valid",
+        details: validation.error.issues,
+      });
+    }
+
+    const { codes, ttl_seconds, ...order } = validation.data;
+
+    const stack = await checkStack(storage, { codes, user: req.user, order });
+    if (!stack.ok) {
+      return sendRedemptionError(res, stack);
+    }
+
+    // Atomic: cek order, quota & budget semua voucher + insert semua redemption (dalam mata uang voucher)
+    const { orderAmount, deliveryFee, orderCurrency, exchangeRate } = bookingAmounts(stack, order);
+
+    const { data: redemptions, error: redemptionError } = await storage.redemptions.reserveMany({
+      userId: req.user.id,
+      orderId,
+      orderAmount,
+      deliveryFee,
+      orderCurrency,
+      exchangeRate,
+      vouchers: stack.vouchers.map((entry) => ({
+        voucherId: entry.voucher.id,
+        discountAmount: toVoucherCurrency(stack, entry.discount_amount),
+      })),
+      ttlSeconds: ttl_seconds ?? null,
+      dayStart: startOfDay().toISOString(),
+    });
+
+    if (redemptionError) {
+      return sendRedemptionError(res, redemptionError, "Gagal memproses voucher order, silakan coba lagi");
+    }
+
+    // Discount bisa dipotong lagi oleh storage kalau budget terpakai redemption lain
+    const applied = capStack(
+      order,
+      stack,
+      redemptions.map((redemption, i) =>
+        bookedDiscount(stack, stack.vouchers[i].discount_amount, redemption.discount_amount)
+      )
+    );
+
+    res.status(201).json({
+      success: true,
+      message: ttl_seconds ? "Voucher berhasil di-reserve" : "Voucher berhasil digunakan!",
+      data: {
+        order_id: orderId,
+        ...describeStack(order, applied, redemptions),
+      },
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "Terjadi kesalahan saat memakai voucher order",
+    });
+  }
+});
+
+// POST /vouchers/:code/claim - Simpan voucher ke wallet, slot quota ditahan untuk user (vouchers:redeem)
+app.post("/vouchers/:code/claim", authenticateToken, requirePermission("vouchers:redeem"), redeemGuard, async (req, res) => {
+  try {
+    const { code } = req.params;
+
+    const { data: voucher, error: voucherError } = await storage.vouchers.findByCode(code);
+
+    if (voucherError || !voucher) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: `Voucher dengan code '${code}' tidak ditemukan`,
+      });
+    }
+
+    const eligibility = await checkUserEligibility(storage, voucher, req.user);
+    if (!eligibility.ok) {
+      return sendRedemptionError(res, eligibility);
+    }
+
+    // Batas per user & cooldown sama dengan redeem, claim tidak boleh jadi jalan pintas cooldown
+    const usage = await checkUserUsage(storage, voucher, req.user);
+    if (!usage.ok) {
+      return sendRedemptionError(res, usage);
+    }
+
+    // Atomic: cek quota + increment total_claimed + insert claim
+    const { data: claim, error: claimError } = await storage.claims.claim({
+      voucherId: voucher.id,
+      userId: req.user.id,
+    });
+
+    if (claimError) {
+      return sendRedemptionError(res, claimError, "Gagal claim voucher, silakan coba lagi");
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Voucher berhasil disimpan ke wallet",
+      data: {
+        claim_id: claim.id,
+        status: claim.status,
+        claimed_at: claim.claimed_at,
+        voucher_code: voucher.code,
+        voucher_name: voucher.name,
+        start_at: voucher.start_at,
+        end_at: voucher.end_at,
+      },
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "Terjadi kesalahan saat claim voucher",
+    });
+  }
+});
+
+// DELETE /vouchers/:code/claim - Lepas voucher dari wallet, slot kembali ke quota umum (vouchers:redeem)
+app.delete("/vouchers/:code/claim", authenticateToken, requirePermission("vouchers:redeem"), async (req, res) => {
+  try {
+    const { code } = req.params;
+
+    const { data: voucher, error: voucherError } = await storage.vouchers.findByCode(code);
+
+    if (voucherError || !voucher) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: `Voucher dengan code '${code}' tidak ditemukan`,
+      });
+    }
+
+    const { data: claim, error: releaseError } = await storage.claims.release({
+      voucherId: voucher.id,
+      userId: req.user.id,
+    });
+
+    if (releaseError) {
+      return sendRedemptionError(res, releaseError, "Gagal melepas voucher, silakan coba lagi");
+    }
+
+    res.json({
+      success: true,
+      message: "Voucher dihapus dari wallet",
+      data: {
+        claim_id: claim.id,
+        status: claim.status,
+        released_at: claim.released_at,
+        voucher_code: voucher.code,
+      },
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "Terjadi kesalahan saat melepas voucher",
+    });
+  }
+});
+
+/**
+ * Ambil reservasi milik user yang sedang login
+ * Return { response } kalau tidak ditemukan / bukan miliknya
+ */
+async function findOwnReservation(id, userId) {
+  const { data: reservation, error } = await storage.redemptions.findById(id);
+
+  // Reservasi user lain diperlakukan sama dengan tidak ada
+  if (error || !reservation || reservation.user_id !== userId) {
+    return {
+      response: {
+        status: 404,
+        body: {
+          error: "Not Found",
+          message: `Reservasi dengan ID '${id}' tidak ditemukan`,
+        },
+      },
+    };
+  }
+
+  return { reservation };
+}
+
+// POST /reservations/:id/confirm - Konfirmasi reservasi jadi redemption (vouchers:redeem / service on_behalf_of)
+app.post("/reservations/:id/confirm", allowServiceScope("vouchers:redeem"), authenticateToken, requirePermission("vouchers:redeem"), idempotent(), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const found = await findOwnReservation(id, req.user.id);
+    if (found.response) {
+      return res.status(found.response.status).json(found.response.body);
+    }
+
+    const { data: redemption, error } = found.reservation.status === "EXPIRED"
+      ? { data: found.reservation, error: null }
+      : await storage.redemptions.confirm(id);
+
+    if (error) {
+      return sendRedemptionError(res, error, "Gagal konfirmasi reservasi");
+    }
+
+    if (redemption.status === "EXPIRED") {
+      return res.status(410).json({
+        error: "Gone",
+        message: "Reservasi sudah expired, silakan reserve ulang",
+        reason: "RESERVATION_EXPIRED",
+        expired_at: found.reservation.expires_at,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Voucher berhasil digunakan!",
+      data: redemption,
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "Terjadi kesalahan saat konfirmasi reservasi",
+    });
+  }
+});
+
+// POST /reservations/:id/cancel - Batalkan reservasi, slot kembali ke voucher (vouchers:redeem / service on_behalf_of)
+app.post("/reservations/:id/cancel", allowServiceScope("vouchers:redeem"), authenticateToken, requirePermission("vouchers:redeem"), idempotent(), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const validation = cancelReservationSchema.safeParse(req.body || {});
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Data cancel tidak valid",
+        details: validation.error.issues,
+      });
+    }
+
+    const found = await findOwnReservation(id, req.user.id);
+    if (found.response) {
+      return res.status(found.response.status).json(found.response.body);
+    }
+
+    const { data: redemption, error } = await storage.redemptions.cancelReservation(id, {
+      reason: validation.data.reason,
+      actorId: req.user.id,
+    });
+
+    if (error) {
+      return sendRedemptionError(res, error, "Gagal membatalkan reservasi");
+    }
+
+    await recordAudit(req, [
+      redemptionEntry("REDEMPTION_CANCELLED", found.reservation, redemption, { reservation: true }),
+    ]);
+
+    res.json({
+      success: true,
+      message: "Reservasi berhasil dibatalkan",
+      data: redemption,
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "Terjadi kesalahan saat membatalkan reservasi",
+    });
+  }
+});
+
+// =======================
+// REDEMPTION CANCEL / REFUND
+// =======================
+
+// GET /redemptions/:id - Detail redemption (redemptions:read, misal untuk support)
+app.get("/redemptions/:id", authenticateToken, requirePermission("redemptions:read"), async (req, res) => {
+  try {
+    const { data, error } = await storage.redemptions.findById(req.params.id);
+
+    if (error || !data) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Redemption tidak ditemukan",
+        reason: "REDEMPTION_NOT_FOUND",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: data,
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * Handler cancel / refund redemption, quota dikembalikan ke voucher
+ * dan user bisa redeem voucher yang sama lagi
+ * @param {"CANCELLED" | "REFUNDED"} status
+ * @param {"id" | "order"} by - target by redemption id atau by order_id
+ */
+function reverseRedemptionHandler(status, by) {
+  const action = status === "CANCELLED" ? "dibatalkan" : "di-refund";
+  const auditAction = status === "CANCELLED" ? "REDEMPTION_CANCELLED" : "REDEMPTION_REFUNDED";
+
+  return async (req, res) => {
+    try {
+      const validation = reverseRedemptionSchema.safeParse(req.body || {});
+
+      if (!validation.success) {
+        return res.status(400).json({
+          error: "Validation Error",
+          message: "Alasan (reason) wajib diisi",
+          details: validation.error.issues,
+        });
+      }
+
+      const options = {
+        status,
+        reason: validation.data.reason,
+        // status_changed_by = profile, service client tidak punya profile
+        actorId: req.serviceClient ? null : req.user.id,
+      };
+
+      // Snapshot sebelum diubah untuk audit log
+      const { data: before } = by === "order"
+        ? await storage.redemptions.listByOrder(req.params.orderId)
+        : await storage.redemptions.findById(req.params.id);
+
+      const { data, error } = by === "order"
+        ? await storage.redemptions.reverseByOrder(req.params.orderId, options)
+        : await storage.redemptions.reverse(req.params.id, options);
+
+      if (error) {
+        return sendRedemptionError(res, error, `Redemption gagal ${action}`);
+      }
+
+      const beforeById = new Map([before || []].flat().map((redemption) => [redemption.id, redemption]));
+      await recordAudit(
+        req,
+        [data].flat().map((redemption) =>
+          redemptionEntry(auditAction, beforeById.get(redemption.id) || null, redemption)
+        )
+      );
+
+      res.json({
+        success: true,
+        message: `Redemption berhasil ${action}`,
+        data,
+      });
+    } catch (err) {
+      console.error("❌ Server error:", err);
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: `Terjadi kesalahan, redemption gagal ${action}`,
+      });
+    }
+  };
+}
+
+// POST /redemptions/:id/cancel - Cancel redemption (redemptions:cancel / service redemptions:refund)
+app.post("/redemptions/:id/cancel", allowServiceScope("redemptions:refund"), authenticateToken, requirePermission("redemptions:cancel"), idempotent(), reverseRedemptionHandler("CANCELLED", "id"));
+
+// POST /redemptions/:id/refund - Refund redemption (redemptions:refund / service redemptions:refund)
+app.post("/redemptions/:id/refund", allowServiceScope("redemptions:refund"), authenticateToken, requirePermission("redemptions:refund"), idempotent(), reverseRedemptionHandler("REFUNDED", "id"));
+
+// POST /orders/:orderId/redemptions/cancel - Cancel semua redemption 1 order (redemptions:cancel / service redemptions:refund)
+app.post("/orders/:orderId/redemptions/cancel", allowServiceScope("redemptions:refund"), authenticateToken, requirePermission("redemptions:cancel"), idempotent(), reverseRedemptionHandler("CANCELLED", "order"));
+
+// POST /orders/:orderId/redemptions/refund - Refund semua redemption 1 order (redemptions:refund / service redemptions:refund)
+app.post("/orders/:orderId/redemptions/refund", allowServiceScope("redemptions:refund"), authenticateToken, requirePermission("redemptions:refund"), idempotent(), reverseRedemptionHandler("REFUNDED", "order"));
+
+// PUT /vouchers/:id - Update voucher (vouchers:update, MERCHANT hanya voucher restaurant sendiri)
+app.put("/vouchers/:id", authenticateToken, requirePermission("vouchers:update"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
     // Validate request body (partial update)
     const updateSchema = z.object({
       name: z.string().min(3).max(255).optional(),
       description: z.string().optional(),
-      discount_type: z.enum(["PERCENT", "FIXED"]).optional(),
+      discount_type: z.enum(listDiscountTypes()).optional(),
       discount_value: z.number().int().positive().optional(),
-      currency: z.string().optional(),
+      discount_rules: z.record(z.string(), z.unknown()).nullable().optional(),
+      targeting: targetingSchema.nullable().optional(),
+      eligibility: eligibilitySchema.nullable().optional(),
+      stacking: stackingSchema.nullable().optional(),
+      currency: currencySchema.optional(),
+      currency_amounts: currencyAmountsSchema.nullable().optional(),
       min_order_amount: z.number().int().min(0).optional(),
       max_discount_amount: z.number().int().min(0).optional(),
       max_total_redemptions: z.number().int().positive().optional(),
+      max_total_discount_amount: z.number().int().positive().nullable().optional(),
+      max_redemptions_per_user: z.number().int().positive().nullable().optional(),
+      per_user_cooldown_seconds: z.number().int().positive().nullable().optional(),
+      max_redemptions_per_day: z.number().int().positive().nullable().optional(),
       start_at: z.string().datetime().optional(),
       end_at: z.string().datetime().optional(),
       is_active: z.boolean().optional(),
+      is_public: z.boolean().optional(),
+      restaurant_id: z.string().min(1).max(100).nullable().optional(),
     });
 
-    const validation = updateSchema.safeParse(req.body);
-    
-    if (!validation.success) {
-      return res.status(400).json({
-        error: "Validation Error",
-        message: "Data update tidak valid",
-        details: validation.error.errors,
+    const validation = updateSchema.safeParse(req.body);
+    
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Data update tidak valid",
+        details: validation.error.issues,
+      });
+    }
+
+    const updateData = validation.data;
+
+    // Check if voucher exists
+    const { data: existing, error: existError } = await storage.vouchers.findById(id);
+
+    if (existError || !existing) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: `Voucher dengan ID '${id}' tidak ditemukan`,
+      });
+    }
+
+    if (!canManageVoucher(req.user, existing)) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: "Voucher ini milik restaurant lain",
+      });
+    }
+
+    if (existing.archived_at) {
+      return res.status(409).json({
+        error: "Conflict",
+        message: "Voucher sudah di-archive, restore dulu sebelum diubah",
+        reason: "VOUCHER_ARCHIVED",
+      });
+    }
+
+    // Budget & nominal redemption yang sudah tercatat dalam mata uang voucher
+    if (
+      updateData.currency &&
+      updateData.currency !== existing.currency &&
+      (slotsTaken(existing) > 0 || existing.total_discount_given > 0)
+    ) {
+      return res.status(409).json({
+        error: "Conflict",
+        message: "Mata uang voucher yang sudah dipakai / di-claim tidak bisa diubah",
+        reason: "CURRENCY_LOCKED",
+      });
+    }
+
+    if (existing.status === "DRAFT" && updateData.is_active === true) {
+      return res.status(409).json({
+        error: "Conflict",
+        message: "Voucher DRAFT diaktifkan lewat POST /vouchers/:id/publish",
+        reason: "INVALID_STATUS_TRANSITION",
+      });
+    }
+
+    const restaurantId = restaurantScopeOf(req.user);
+    const scopeError = restaurantId && restrictToRestaurant(updateData, restaurantId, { partial: true });
+    if (scopeError) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: scopeError,
+      });
+    }
+
+    // Aturan discount divalidasi ulang sesuai tipe (tipe berubah = value & rules tidak diwarisi)
+    if (["discount_type", "discount_value", "discount_rules"].some((key) => key in updateData)) {
+      const typeChanged = updateData.discount_type && updateData.discount_type !== existing.discount_type;
+      const inherited = typeChanged ? {} : existing;
+
+      const discount = discountSchema().safeParse({
+        discount_type: updateData.discount_type || existing.discount_type,
+        discount_value: updateData.discount_value ?? inherited.discount_value,
+        discount_rules: "discount_rules" in updateData ? updateData.discount_rules : inherited.discount_rules,
+      });
+
+      if (!discount.success) {
+        return res.status(400).json({
+          error: "Validation Error",
+          message: "Aturan discount tidak valid",
+          details: discount.error.issues,
+        });
+      }
+
+      const { discount_type, discount_value, discount_rules } = normalizeDiscount(discount.data);
+      Object.assign(updateData, { discount_type, discount_value, discount_rules: discount_rules ?? null });
+    }
+
+    // Validate floor / ceiling discount dan start_at / end_at
+    const rulesError = validateVoucherRules({ ...existing, ...updateData });
+    if (rulesError) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: rulesError,
+      });
+    }
+
+    // is_active di-set admin = hapus tanda auto-deactivate budget,
+    // budget diubah = voucher dinonaktifkan / diaktifkan lagi sesuai sisa budget (termasuk budget campaign)
+    if ("is_active" in updateData) {
+      updateData.deactivated_reason = null;
+    } else if ("max_total_discount_amount" in updateData) {
+      const exhausted = (await loadRemainingBudget(storage, { ...existing, ...updateData })) === 0;
+
+      if (exhausted && existing.is_active) {
+        Object.assign(updateData, { is_active: false, deactivated_reason: "BUDGET_EXHAUSTED" });
+      } else if (!exhausted && existing.deactivated_reason === "BUDGET_EXHAUSTED") {
+        Object.assign(updateData, { is_active: true, deactivated_reason: null });
+      }
+    }
+
+    // Update voucher
+    const { data: updated, error: updateError } = await storage.vouchers.update(id, updateData);
+
+    // Tanggal / quota / is_active berubah = status lifecycle bisa ikut berubah
+    const { data, error } = updateError
+      ? { data: null, error: updateError }
+      : await syncVoucherStatus(storage, updated, { trigger: "update", actorId: req.user.id });
+
+    if (error) {
+      console.error("❌ Error updating voucher:", error);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal update voucher",
+        detail: error.message,
+      });
+    }
+
+    const changes = diffFields(existing, data);
+    if (Object.keys(changes).length > 0) {
+      await recordAudit(req, [
+        {
+          entity_type: "voucher",
+          entity_id: id,
+          voucher_id: id,
+          action: voucherUpdateAction(changes),
+          changes,
+        },
+      ]);
+    }
+
+    res.json({
+      success: true,
+      message: "Voucher berhasil diupdate",
+      data: data,
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({ 
+      error: "Internal Server Error",
+      message: "Terjadi kesalahan saat update voucher" 
+    });
+  }
+});
+
+/**
+ * Handler archive voucher (soft delete): tidak muncul di listing & tidak bisa di-redeem / claim,
+ * redemption lama tetap menunjuk ke voucher ini. Bisa untuk voucher yang sudah pernah dipakai
+ */
+async function archiveVoucherHandler(req, res) {
+  try {
+    const { id } = req.params;
+
+    // Check if voucher exists
+    const { data: existing, error: existError } = await storage.vouchers.findById(id);
+
+    if (existError || !existing) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: `Voucher dengan ID '${id}' tidak ditemukan`,
+      });
+    }
+
+    if (!canManageVoucher(req.user, existing)) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: "Voucher ini milik restaurant lain",
       });
     }
 
-    const updateData = validation.data;
+    const { data: archived, error: archiveError } = await storage.vouchers.archive(id, req.user.id);
+    const { data, error } = archived
+      ? await syncVoucherStatus(storage, archived, { trigger: "archive", actorId: req.user.id })
+      : { data: archived, error: archiveError };
 
-    // Check if voucher exists
-    const { data: existing, error: existError } = await supabase
-      .from("vouchers")
-      .select("*")
-      .eq("id", id)
-      .single();
+    if (error) {
+      console.error("❌ Error archiving voucher:", error);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal archive voucher",
+        detail: error.message,
+      });
+    }
+
+    if (!data) {
+      return res.status(409).json({
+        error: "Conflict",
+        message: `Voucher '${existing.code}' sudah di-archive`,
+        reason: "VOUCHER_ARCHIVED",
+      });
+    }
+
+    await recordAudit(req, [
+      {
+        entity_type: "voucher",
+        entity_id: id,
+        voucher_id: id,
+        action: "VOUCHER_ARCHIVED",
+        changes: diffFields(existing, data),
+      },
+    ]);
+
+    res.json({
+      success: true,
+      message: `Voucher '${existing.code}' berhasil di-archive`,
+      data: data,
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "Terjadi kesalahan saat archive voucher",
+    });
+  }
+}
+
+// DELETE /vouchers/:id - Archive voucher (vouchers:delete, MERCHANT hanya voucher restaurant sendiri)
+app.delete("/vouchers/:id", authenticateToken, requirePermission("vouchers:delete"), archiveVoucherHandler);
+
+// POST /vouchers/:id/archive - Sama dengan DELETE /vouchers/:id
+app.post("/vouchers/:id/archive", authenticateToken, requirePermission("vouchers:delete"), archiveVoucherHandler);
+
+// POST /vouchers/:id/restore - Kembalikan voucher archived (vouchers:delete, MERCHANT hanya voucher restaurant sendiri)
+app.post("/vouchers/:id/restore", authenticateToken, requirePermission("vouchers:delete"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: existing, error: existError } = await storage.vouchers.findById(id);
 
     if (existError || !existing) {
       return res.status(404).json({
@@ -558,115 +2089,416 @@ app.put("/vouchers/:id", authenticateToken, requireAdmin, async (req, res) => {
       });
     }
 
-    // Validate discount_value untuk PERCENT type
-    const discountType = updateData.discount_type || existing.discount_type;
-    const discountValue = updateData.discount_value || existing.discount_value;
-    
-    if (discountType === "PERCENT" && discountValue > 100) {
-      return res.status(400).json({
-        error: "Validation Error",
-        message: "Discount value untuk tipe PERCENT tidak boleh lebih dari 100",
+    if (!canManageVoucher(req.user, existing)) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: "Voucher ini milik restaurant lain",
       });
     }
 
-    // Validate start_at dan end_at
-    const startAt = updateData.start_at || existing.start_at;
-    const endAt = updateData.end_at || existing.end_at;
-    
-    if (startAt && endAt && new Date(endAt) < new Date(startAt)) {
+    const { data: restored, error: restoreError } = await storage.vouchers.restore(id);
+    const { data, error } = restored
+      ? await syncVoucherStatus(storage, restored, { trigger: "restore", actorId: req.user.id })
+      : { data: restored, error: restoreError };
+
+    if (error) {
+      console.error("❌ Error restoring voucher:", error);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal restore voucher",
+        detail: error.message,
+      });
+    }
+
+    if (!data) {
+      return res.status(409).json({
+        error: "Conflict",
+        message: `Voucher '${existing.code}' tidak sedang di-archive`,
+      });
+    }
+
+    await recordAudit(req, [
+      {
+        entity_type: "voucher",
+        entity_id: id,
+        voucher_id: id,
+        action: "VOUCHER_RESTORED",
+        changes: diffFields(existing, data),
+      },
+    ]);
+
+    res.json({
+      success: true,
+      message: `Voucher '${existing.code}' berhasil di-restore`,
+      data: data,
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "Terjadi kesalahan saat restore voucher",
+    });
+  }
+});
+
+/**
+ * Hapus permanen voucher archived yang sudah lewat masa retensi dan tidak pernah
+ * punya redemption / claim, dicatat di audit log sebagai VOUCHER_DELETED
+ * @param {object | null} req - null = dari sweeper
+ * @returns {Promise<{ data: object[] | null, error }>}
+ */
+async function purgeArchivedVouchers(req, retentionDays = VOUCHER_ARCHIVE_RETENTION_DAYS) {
+  const archivedBefore = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const { data, error } = await storage.vouchers.purgeArchived(archivedBefore);
+
+  if (error) return { data: null, error };
+
+  await recordAudit(
+    req,
+    data.map((voucher) => ({
+      entity_type: "voucher",
+      entity_id: voucher.id,
+      voucher_id: voucher.id,
+      action: "VOUCHER_DELETED",
+      changes: diffFields(voucher, null),
+      metadata: { retention_days: retentionDays },
+    }))
+  );
+
+  return { data, error: null };
+}
+
+// POST /vouchers/purge - Hapus permanen voucher archived yang tidak pernah dipakai (vouchers:purge)
+// retention_days (default VOUCHER_ARCHIVE_RETENTION_DAYS) hanya boleh lebih lama, tidak lebih cepat
+app.post("/vouchers/purge", authenticateToken, requirePermission("vouchers:purge"), async (req, res) => {
+  try {
+    const validation = purgeVouchersSchema.safeParse(req.body || {});
+
+    if (!validation.success) {
       return res.status(400).json({
         error: "Validation Error",
-        message: "end_at harus lebih besar atau sama dengan start_at",
+        message: "Data purge tidak valid",
+        details: validation.error.issues,
       });
     }
 
-    // Update voucher
-    const { data, error } = await supabase
-      .from("vouchers")
-      .update(updateData)
-      .eq("id", id)
-      .select()
-      .single();
+    const { data, error } = await purgeArchivedVouchers(req, validation.data.retention_days);
 
     if (error) {
-      console.error("❌ Error updating voucher:", error);
+      console.error("❌ Error purging vouchers:", error);
       return res.status(500).json({
         error: "Database Error",
-        message: "Gagal update voucher",
+        message: "Gagal purge voucher",
         detail: error.message,
       });
     }
 
     res.json({
       success: true,
-      message: "Voucher berhasil diupdate",
-      data: data,
+      message: `${data.length} voucher archived dihapus permanen`,
+      data: {
+        purged: data.length,
+        codes: data.map((voucher) => voucher.code),
+      },
     });
   } catch (err) {
     console.error("❌ Server error:", err);
-    res.status(500).json({ 
+    res.status(500).json({
       error: "Internal Server Error",
-      message: "Terjadi kesalahan saat update voucher" 
+      message: "Terjadi kesalahan saat purge voucher",
     });
   }
 });
 
-// DELETE /vouchers/:id - Delete voucher (ADMIN only)
-app.delete("/vouchers/:id", authenticateToken, requireAdmin, async (req, res) => {
+// =======================
+// VOUCHER LIFECYCLE
+// =======================
+
+const LIFECYCLE_ACTIONS = {
+  publish: { audit: "VOUCHER_PUBLISHED", message: "dipublish" },
+  pause: { audit: "VOUCHER_PAUSED", message: "di-pause" },
+  resume: { audit: "VOUCHER_RESUMED", message: "di-resume" },
+};
+
+/**
+ * Handler aksi lifecycle (publish / pause / resume), status asal tidak sesuai = 409
+ */
+function lifecycleActionHandler(action) {
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const { data: existing, error: existError } = await storage.vouchers.findById(id);
+
+      if (existError || !existing) {
+        return res.status(404).json({
+          error: "Not Found",
+          message: `Voucher dengan ID '${id}' tidak ditemukan`,
+        });
+      }
+
+      if (!canManageVoucher(req.user, existing)) {
+        return res.status(403).json({
+          error: "Forbidden",
+          message: "Voucher ini milik restaurant lain",
+        });
+      }
+
+      const { data, error, invalid } = await applyAdminAction(storage, existing, action, {
+        actorId: req.user.id,
+      });
+
+      if (error) {
+        console.error(`❌ Error ${action} voucher:`, error);
+        return res.status(500).json({
+          error: "Database Error",
+          message: `Gagal ${action} voucher`,
+          detail: error.message,
+        });
+      }
+
+      if (invalid) {
+        return res.status(409).json({
+          error: "Conflict",
+          message: invalid.to
+            ? `Voucher '${existing.code}' tidak bisa ${LIFECYCLE_ACTIONS[action].message}, status akan menjadi ${invalid.to}`
+            : `Voucher '${existing.code}' berstatus ${invalid.from}, tidak bisa ${LIFECYCLE_ACTIONS[action].message}`,
+          reason: "INVALID_STATUS_TRANSITION",
+          details: { status: invalid.from, ...(invalid.to && { target_status: invalid.to }) },
+        });
+      }
+
+      await recordAudit(req, [
+        {
+          entity_type: "voucher",
+          entity_id: id,
+          voucher_id: id,
+          action: LIFECYCLE_ACTIONS[action].audit,
+          changes: diffFields(existing, data),
+        },
+      ]);
+
+      res.json({
+        success: true,
+        message: `Voucher '${existing.code}' berhasil ${LIFECYCLE_ACTIONS[action].message}`,
+        data: data,
+      });
+    } catch (err) {
+      console.error("❌ Server error:", err);
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: `Terjadi kesalahan saat ${action} voucher`,
+      });
+    }
+  };
+}
+
+// POST /vouchers/:id/publish - DRAFT -> SCHEDULED / ACTIVE (vouchers:update)
+app.post("/vouchers/:id/publish", authenticateToken, requirePermission("vouchers:update"), lifecycleActionHandler("publish"));
+
+// POST /vouchers/:id/pause - SCHEDULED / ACTIVE / EXHAUSTED -> PAUSED (vouchers:update)
+app.post("/vouchers/:id/pause", authenticateToken, requirePermission("vouchers:update"), lifecycleActionHandler("pause"));
+
+// POST /vouchers/:id/resume - PAUSED -> status sesuai data voucher (vouchers:update)
+app.post("/vouchers/:id/resume", authenticateToken, requirePermission("vouchers:update"), lifecycleActionHandler("resume"));
+
+// GET /vouchers/:id/status-history - Riwayat perpindahan status voucher (vouchers:read_all)
+app.get("/vouchers/:id/status-history", authenticateToken, requirePermission("vouchers:read_all"), async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Check if voucher exists
-    const { data: existing, error: existError } = await supabase
-      .from("vouchers")
-      .select("code, total_redeemed")
-      .eq("id", id)
-      .single();
+    const { data: voucher, error: voucherError } = await storage.vouchers.findById(id);
 
-    if (existError || !existing) {
+    if (voucherError || !voucher) {
       return res.status(404).json({
         error: "Not Found",
         message: `Voucher dengan ID '${id}' tidak ditemukan`,
       });
     }
 
-    // Prevent delete if voucher sudah pernah digunakan
-    if (existing.total_redeemed > 0) {
-      return res.status(400).json({
-        error: "Bad Request",
-        message: "Tidak bisa delete voucher yang sudah pernah digunakan",
-        total_redeemed: existing.total_redeemed,
+    if (!canManageVoucher(req.user, voucher)) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: "Voucher ini milik restaurant lain",
       });
     }
 
-    // Delete voucher
-    const { error } = await supabase
-      .from("vouchers")
-      .delete()
-      .eq("id", id);
+    const { data, error } = await storage.vouchers.listStatusHistory(id);
 
     if (error) {
-      console.error("❌ Error deleting voucher:", error);
+      console.error("❌ Storage error:", error);
       return res.status(500).json({
         error: "Database Error",
-        message: "Gagal delete voucher",
-        detail: error.message,
+        message: "Gagal mengambil riwayat status voucher",
       });
     }
 
     res.json({
       success: true,
-      message: `Voucher '${existing.code}' berhasil dihapus`,
+      data: {
+        voucher_id: id,
+        code: voucher.code,
+        status: voucher.status,
+        history: data,
+      },
     });
   } catch (err) {
     console.error("❌ Server error:", err);
-    res.status(500).json({ 
-      error: "Internal Server Error",
-      message: "Terjadi kesalahan saat delete voucher" 
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// =======================
+// AUDIT LOG
+// =======================
+
+// GET /vouchers/:id/audit - Riwayat perubahan voucher & redemption-nya (audit:read)
+// Tetap bisa dibaca setelah voucher dihapus
+app.get("/vouchers/:id/audit", authenticateToken, requirePermission("audit:read"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const validation = auditQuerySchema.safeParse(req.query);
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Parameter query tidak valid",
+        details: validation.error.issues,
+      });
+    }
+
+    const { action, from, to, limit, cursor } = validation.data;
+
+    let beforeId = null;
+    if (cursor) {
+      beforeId = decodeCursor(cursor)?.id;
+
+      if (!Number.isInteger(beforeId)) {
+        return res.status(400).json({
+          error: "Validation Error",
+          message: "Cursor tidak valid",
+        });
+      }
+    }
+
+    const [voucher, entries] = await Promise.all([
+      storage.vouchers.findById(id),
+      storage.audit.list({ voucherId: id, actions: action, from, to }, { limit: limit + 1, beforeId }),
+    ]);
+
+    if (entries.error) {
+      console.error("❌ Storage error:", entries.error);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal mengambil audit log",
+      });
+    }
+
+    if (!voucher.data && !cursor && entries.data.length === 0) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: `Voucher dengan ID '${id}' tidak ditemukan`,
+      });
+    }
+
+    const page = entries.data.slice(0, limit);
+    const nextCursor = entries.data.length > limit ? encodeCursor({ id: page[page.length - 1].id }) : null;
+
+    res.json({
+      success: true,
+      count: page.length,
+      data: page,
+      voucher_deleted: !voucher.data,
+      pagination: {
+        limit,
+        next_cursor: nextCursor,
+      },
+    });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// =======================
+// ABUSE FLAGS
+// =======================
+
+// GET /abuse-flags - Pola mencurigakan dari rate limiter (abuse:read), ?kind=, ?subject= (IP / user id)
+app.get("/abuse-flags", authenticateToken, requirePermission("abuse:read"), async (req, res) => {
+  try {
+    const validation = abuseQuerySchema.safeParse(req.query);
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Validation Error",
+        message: "Parameter query tidak valid",
+        details: validation.error.issues,
+      });
+    }
+
+    const { kind, subject, limit, cursor } = validation.data;
+
+    let beforeId = null;
+    if (cursor) {
+      beforeId = decodeCursor(cursor)?.id;
+
+      if (!Number.isInteger(beforeId)) {
+        return res.status(400).json({
+          error: "Validation Error",
+          message: "Cursor tidak valid",
+        });
+      }
+    }
+
+    const { data, error } = await storage.abuse.list({ kind, subject }, { limit: limit + 1, beforeId });
+
+    if (error) {
+      console.error("❌ Storage error:", error);
+      return res.status(500).json({
+        error: "Database Error",
+        message: "Gagal mengambil abuse flag",
+      });
+    }
+
+    const page = data.slice(0, limit);
+    const nextCursor = data.length > limit ? encodeCursor({ id: page[page.length - 1].id }) : null;
+
+    res.json({
+      success: true,
+      count: page.length,
+      data: page,
+      pagination: {
+        limit,
+        next_cursor: nextCursor,
+      },
     });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// =======================
+// CAMPAIGN ENDPOINTS (lihat ./routes/campaigns)
+// =======================
+app.use("/campaigns", campaignRoutes);
+
+// =======================
+// MY VOUCHERS / HISTORY (lihat ./routes/me)
+// =======================
+app.use("/me", meRoutes);
+
+// =======================
+// REPORT ENDPOINTS (lihat ./routes/reports)
+// =======================
+app.use("/reports", reportRoutes);
+
+// =======================
+// WEBHOOK ENDPOINTS (lihat ./routes/webhooks)
+// =======================
+app.use("/webhooks", webhookRoutes);
+
 // =======================
 // PROTECTED ENDPOINTS - TEST MIDDLEWARE
 // =======================
@@ -679,12 +2511,13 @@ app.get("/protected", authenticateToken, (req, res) => {
       id: req.user.id,
       email: req.user.email,
       role: req.user.role,
+      permissions: permissionsOf(req.user.role),
     },
   });
 });
 
-// Endpoint khusus ADMIN
-app.get("/admin-only", authenticateToken, requireAdmin, (req, res) => {
+// Endpoint khusus ADMIN (SUPER_ADMIN / ADMIN)
+app.get("/admin-only", authenticateToken, requirePermission("users:manage"), (req, res) => {
   res.json({
     message: "Selamat datang ADMIN!",
     user: {
@@ -695,8 +2528,8 @@ app.get("/admin-only", authenticateToken, requireAdmin, (req, res) => {
   });
 });
 
-// Endpoint khusus USER
-app.get("/user-only", authenticateToken, requireUser, (req, res) => {
+// Endpoint khusus user yang bisa redeem voucher
+app.get("/user-only", authenticateToken, requirePermission("vouchers:redeem"), (req, res) => {
   res.json({
     message: "Ini endpoint khusus USER biasa",
     user: {
@@ -707,11 +2540,115 @@ app.get("/user-only", authenticateToken, requireUser, (req, res) => {
   });
 });
 
+// =======================
+// RESERVATION SWEEPER
+// =======================
+// Kembalikan slot dari reservasi yang tidak di-confirm sampai expires_at
+const reservationSweeper = setInterval(async () => {
+  try {
+    const { data: released, error } = await storage.redemptions.expireReservations();
+
+    if (error) {
+      console.error("❌ Error expiring reservations:", error);
+    } else if (released > 0) {
+      console.log(`⏱️  ${released} reservasi expired dikembalikan ke quota`);
+    }
+  } catch (err) {
+    console.error("❌ Reservation sweeper error:", err);
+  }
+}, RESERVATION_SWEEP_INTERVAL_MS);
+reservationSweeper.unref();
+
+// =======================
+// IDEMPOTENCY KEY SWEEPER
+// =======================
+// Hapus idempotency key yang sudah lewat expires_at
+const idempotencySweeper = setInterval(async () => {
+  try {
+    const { error } = await storage.idempotency.purgeExpired();
+
+    if (error) {
+      console.error("❌ Error purging idempotency keys:", error);
+    }
+  } catch (err) {
+    console.error("❌ Idempotency sweeper error:", err);
+  }
+}, IDEMPOTENCY_SWEEP_INTERVAL_MS);
+idempotencySweeper.unref();
+
+// =======================
+// ARCHIVED VOUCHER SWEEPER
+// =======================
+// Hapus permanen voucher archived yang tidak pernah dipakai setelah VOUCHER_ARCHIVE_RETENTION_DAYS
+if (VOUCHER_PURGE_INTERVAL_MS > 0) {
+  const voucherPurgeSweeper = setInterval(async () => {
+    try {
+      const { data: purged, error } = await purgeArchivedVouchers(null);
+
+      if (error) {
+        console.error("❌ Error purging archived vouchers:", error);
+      } else if (purged.length > 0) {
+        console.log(`🗑️  ${purged.length} voucher archived dihapus permanen`);
+      }
+    } catch (err) {
+      console.error("❌ Voucher purge sweeper error:", err);
+    }
+  }, VOUCHER_PURGE_INTERVAL_MS);
+  voucherPurgeSweeper.unref();
+}
+
+// =======================
+// VOUCHER LIFECYCLE SCHEDULER
+// =======================
+// Simpan status voucher yang berubah karena waktu / quota (dicatat di voucher_status_history, trigger "scheduler")
+const voucherStatusScheduler = setInterval(async () => {
+  try {
+    const { data: moved, error } = await runStatusScheduler(storage);
+
+    if (error) {
+      console.error("❌ Error syncing voucher status:", error);
+    } else if (moved > 0) {
+      console.log(`🔄 ${moved} voucher pindah status`);
+    }
+  } catch (err) {
+    console.error("❌ Voucher status scheduler error:", err);
+  }
+}, VOUCHER_STATUS_SYNC_INTERVAL_MS);
+voucherStatusScheduler.unref();
+
+// =======================
+// WEBHOOK DELIVERY WORKER
+// =======================
+// Event outbox -> delivery per endpoint, lalu kirim delivery baru / yang waktunya retry
+const webhookWorker = setInterval(async () => {
+  try {
+    const { error: dispatchError } = await dispatchEvents(storage);
+    if (dispatchError) console.error("❌ Error dispatching webhook events:", dispatchError);
+
+    const { data: sent, error } = await deliverDue(storage);
+
+    if (error) {
+      console.error("❌ Error delivering webhooks:", error);
+    } else if (sent.failed > 0) {
+      console.log(`📨 Webhook: ${sent.delivered} terkirim, ${sent.failed} gagal`);
+    }
+  } catch (err) {
+    console.error("❌ Webhook worker error:", err);
+  }
+}, WEBHOOK_DELIVERY_INTERVAL_MS);
+webhookWorker.unref();
+
 // =======================
 // START SERVER
 // =======================
-app.listen(PORT, HOST, () => {
-  console.log(`🚀 Voucher Service running on http://localhost:${PORT}`);
-  console.log(`📦 Environment: ${process.env.NODE_ENV || "development"}`);
-  console.log(`🗄️  Supabase URL: ${process.env.SUPABASE_URL ? "✅ Connected" : "❌ Not configured"}`);
-});
+// Di-require (test) = hanya export app, listen dilakukan pemanggil
+if (require.main === module) {
+  app.listen(PORT, HOST, () => {
+    console.log(`🚀 Voucher Service running on http://localhost:${PORT}`);
+    console.log(`📦 Environment: ${process.env.NODE_ENV || "development"}`);
+    console.log(`🗄️  Storage: ${storage.driver}`);
+    console.log(`🗄️  Supabase URL: ${process.env.SUPABASE_URL ? "✅ Connected" : "❌ Not configured"}`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,133 @@
+const { getStorage } = require("../storage");
+
+/**
+ * Audit log perubahan voucher & redemption (tabel audit_log, append-only)
+ * Dicatat setelah perubahan berhasil; gagal mencatat hanya di-log, request tetap sukses
+ *
+ * entry = {
+ *   entity_type: "voucher" | "redemption" | "campaign",
+ *   entity_id, voucher_id,            // voucher_id untuk query riwayat per voucher
+ *   action,                           // lihat AUDIT_ACTIONS
+ *   actor_id, actor_role, request_id, // dari req (user / service client, X-Request-Id)
+ *   changes: { [field]: { before, after } },
+ *   metadata,                         // info tambahan (reason, order_id, dll)
+ * }
+ */
+
+const AUDIT_ACTIONS = [
+  "VOUCHER_CREATED",
+  "VOUCHER_UPDATED",
+  "VOUCHER_ACTIVATED",
+  "VOUCHER_DEACTIVATED",
+  "VOUCHER_PUBLISHED",
+  "VOUCHER_PAUSED",
+  "VOUCHER_RESUMED",
+  "VOUCHER_ARCHIVED",
+  "VOUCHER_RESTORED",
+  "VOUCHER_DELETED",
+  "REDEMPTION_CANCELLED",
+  "REDEMPTION_REFUNDED",
+  "CAMPAIGN_CREATED",
+  "CAMPAIGN_CODES_GENERATED",
+];
+
+// Kolom yang berubah sendiri (timestamp / turunan), tidak masuk diff
+const IGNORED_FIELDS = new Set(["updated_at", "is_exhausted"]);
+
+/**
+ * Diff per field: { field: { before, after } } untuk field yang nilainya berbeda
+ * before / after null = row baru / row dihapus
+ */
+function diffFields(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+
+    const from = before ? before[field] ?? null : null;
+    const to = after ? after[field] ?? null : null;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { before: from, after: to };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Actor dari request: user, atau service client (tanpa / dengan on_behalf_of)
+ * req null = proses background (sweeper)
+ */
+function actorOf(req) {
+  if (!req) {
+    return { actor_id: null, actor_role: "SYSTEM" };
+  }
+  if (req.serviceClient && req.user?.role !== "SERVICE") {
+    return { actor_id: req.user.id, actor_role: req.user.role, service_client: req.serviceClient.id };
+  }
+  if (req.serviceClient) {
+    return { actor_id: `service:${req.serviceClient.id}`, actor_role: "SERVICE" };
+  }
+  return { actor_id: req.user?.id || null, actor_role: req.user?.role || null };
+}
+
+/**
+ * Action update voucher: perubahan is_active saja = ACTIVATED / DEACTIVATED
+ */
+function voucherUpdateAction(changes) {
+  // status ikut berubah karena is_active, bukan perubahan terpisah
+  const fields = Object.keys(changes).filter((field) => field !== "status");
+
+  if (fields.length === 1 && fields[0] === "is_active") {
+    return changes.is_active.after ? "VOUCHER_ACTIVATED" : "VOUCHER_DEACTIVATED";
+  }
+  return "VOUCHER_UPDATED";
+}
+
+/**
+ * Entry audit perubahan status redemption (cancel / refund)
+ */
+function redemptionEntry(action, before, after, metadata = null) {
+  return {
+    entity_type: "redemption",
+    entity_id: after.id,
+    voucher_id: after.voucher_id,
+    action,
+    changes: diffFields(before, after),
+    metadata: { order_id: after.order_id, user_id: after.user_id, ...metadata },
+  };
+}
+
+/**
+ * Simpan entry audit dengan actor & request id dari req (null = SYSTEM), tidak pernah throw
+ * @param {object[]} entries - { entity_type, entity_id, voucher_id?, action, changes, metadata? }
+ */
+async function recordAudit(req, entries) {
+  if (entries.length === 0) return;
+
+  try {
+    const { service_client: serviceClient, ...actor } = actorOf(req);
+    const { error } = await getStorage().audit.append(
+      entries.map((entry) => ({
+        ...entry,
+        ...actor,
+        request_id: req?.id || null,
+        metadata: serviceClient ? { ...entry.metadata, service_client: serviceClient } : entry.metadata || null,
+      }))
+    );
+
+    if (error) console.error("❌ Error saving audit log:", error);
+  } catch (err) {
+    console.error("❌ Error saving audit log:", err);
+  }
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  diffFields,
+  voucherUpdateAction,
+  redemptionEntry,
+  recordAudit,
+};
@@ -0,0 +1,116 @@
+/**
+ * Cart: targeting voucher ke item order dan pembagian discount per item
+ *
+ * voucher.targeting = {
+ *   include: { skus?, restaurant_ids?, categories? },  // item harus cocok dengan SEMUA list yang diisi
+ *   exclude: { skus?, restaurant_ids?, categories? },  // item dibuang kalau cocok dengan SALAH SATU list
+ * }
+ */
+
+// Field item order untuk tiap list targeting
+const TARGET_FIELDS = {
+  skus: "sku",
+  restaurant_ids: "restaurant_id",
+  categories: "category",
+};
+
+function lineTotal(item) {
+  return item.qty * item.unit_price;
+}
+
+function hasTargeting(targeting) {
+  if (!targeting) return false;
+
+  return ["include", "exclude"].some((mode) =>
+    Object.keys(TARGET_FIELDS).some((list) => targeting[mode]?.[list]?.length > 0)
+  );
+}
+
+/**
+ * Apakah 1 item masuk targeting voucher
+ */
+function isEligible(targeting, item) {
+  if (!targeting) return true;
+
+  for (const [list, field] of Object.entries(TARGET_FIELDS)) {
+    const include = targeting.include?.[list];
+    if (include?.length > 0 && !include.includes(item[field])) return false;
+
+    const exclude = targeting.exclude?.[list];
+    if (exclude?.length > 0 && exclude.includes(item[field])) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Item order yang berlaku untuk voucher, masing-masing diberi nomor `line` (index di cart)
+ * @returns {{ items: object[], subtotal: number }}
+ */
+function eligibleLines(voucher, items) {
+  const eligible = items
+    .map((item, line) => ({ ...item, line }))
+    .filter((item) => isEligible(voucher.targeting, item));
+
+  return {
+    items: eligible,
+    subtotal: eligible.reduce((sum, item) => sum + lineTotal(item), 0),
+  };
+}
+
+/**
+ * Bagi `amount` ke item sesuai bobot (default total harga item)
+ * Pakai largest remainder supaya jumlahnya tetap pas (integer)
+ * @param {number[]} [weights] - sejajar dengan `items`
+ * @returns {number[]}
+ */
+function allocate(amount, items, weights = items.map(lineTotal)) {
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  if (amount === 0 || totalWeight === 0) return items.map(() => 0);
+
+  const shares = weights.map((w) => (amount * w) / totalWeight);
+  const result = shares.map(Math.floor);
+  let rest = amount - result.reduce((sum, v) => sum + v, 0);
+
+  const byRemainder = shares
+    .map((share, i) => ({ i, remainder: share - Math.floor(share) }))
+    .sort((a, b) => b.remainder - a.remainder);
+
+  for (const { i } of byRemainder) {
+    if (rest === 0) break;
+    result[i] += 1;
+    rest -= 1;
+  }
+
+  return result;
+}
+
+/**
+ * Alokasi discount per baris cart (termasuk item yang tidak eligible, discount 0)
+ * @param {object[]} items - cart lengkap dari request
+ * @param {{ line: number }[]} eligible - item eligible
+ * @param {number[]} amounts - discount per item eligible (sejajar dengan `eligible`)
+ */
+function describeAllocation(items, eligible, amounts) {
+  const byLine = new Map(eligible.map((item, i) => [item.line, amounts[i]]));
+
+  return items.map((item, line) => ({
+    line,
+    sku: item.sku,
+    restaurant_id: item.restaurant_id ?? null,
+    category: item.category ?? null,
+    qty: item.qty,
+    line_total: lineTotal(item),
+    eligible: byLine.has(line),
+    discount_amount: byLine.get(line) || 0,
+  }));
+}
+
+module.exports = {
+  lineTotal,
+  hasTargeting,
+  isEligible,
+  eligibleLines,
+  allocate,
+  describeAllocation,
+};
@@ -0,0 +1,72 @@
+const crypto = require("crypto");
+
+/**
+ * Generator code voucher unik untuk batch campaign
+ */
+
+// Tanpa karakter yang mirip: 0/O, 1/I/L
+const SAFE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+/**
+ * Check character Luhn mod N atas alphabet yang dipakai
+ * Menangkap salah ketik 1 karakter dan tukar posisi 2 karakter bersebelahan
+ */
+function checkCharacter(input, alphabet = SAFE_ALPHABET) {
+  const n = alphabet.length;
+  let factor = 2;
+  let sum = 0;
+
+  for (let i = input.length - 1; i >= 0; i--) {
+    let addend = factor * alphabet.indexOf(input[i]);
+    factor = factor === 2 ? 1 : 2;
+    addend = Math.floor(addend / n) + (addend % n);
+    sum += addend;
+  }
+
+  return alphabet[(n - (sum % n)) % n];
+}
+
+function randomString(length, alphabet) {
+  let out = "";
+  for (let i = 0; i < length; i++) {
+    out += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return out;
+}
+
+/**
+ * Generate code unik (di dalam batch ini)
+ * @param {number} count
+ * @param {{ prefix?: string, length?: number, alphabet?: string, checkDigit?: boolean }} options
+ *   length = panjang bagian random (tanpa prefix & check character)
+ * @param {Set<string>} [exclude] - code yang tidak boleh dipakai (uppercase)
+ */
+function generateCodes(count, options = {}, exclude = new Set()) {
+  const { prefix = "", length = 8, alphabet = SAFE_ALPHABET, checkDigit = false } = options;
+  const codes = new Set();
+
+  while (codes.size < count) {
+    const body = randomString(length, alphabet);
+    const code = `${prefix}${body}${checkDigit ? checkCharacter(body, alphabet) : ""}`;
+
+    if (!exclude.has(code.toUpperCase())) {
+      codes.add(code);
+    }
+  }
+
+  return [...codes];
+}
+
+/**
+ * Jumlah kombinasi code yang mungkin untuk options ini
+ */
+function codeSpace({ length = 8, alphabet = SAFE_ALPHABET } = {}) {
+  return Math.pow(alphabet.length, length);
+}
+
+module.exports = {
+  SAFE_ALPHABET,
+  checkCharacter,
+  generateCodes,
+  codeSpace,
+};
@@ -0,0 +1,139 @@
+const { z } = require("zod");
+const { convertDiscount, normalizeDiscount } = require("./discounts");
+
+/**
+ * Mata uang voucher & order (ISO 4217)
+ *
+ * Semua nominal disimpan sebagai integer dalam minor unit mata uangnya
+ * (SGD 10.50 = 1050, JPY 500 = 500). IDR dihitung tanpa desimal (0 minor unit)
+ * seperti nominal rupiah di payment gateway lokal, walaupun ISO 4217 mencatat 2
+ *
+ * Kurs antar mata uang diatur lewat env CURRENCY_RATES (JSON object, kurs major unit):
+ *   { "SGD/IDR": 11800, "USD/IDR": 16200 }   // 1 SGD = 11800 IDR
+ * Kebalikannya (IDR/SGD) dihitung otomatis
+ */
+
+// Kode aktif ISO 4217 (tanpa kode dana, logam & testing) per jumlah minor unit
+const ISO_4217 = {
+  0: "BIF CLP DJF GNF IDR ISK JPY KMF KRW PYG RWF UGX VND VUV XAF XOF XPF",
+  2:
+    "AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BMD BND BOB BRL BSD BTN BWP BYN BZD " +
+    "CAD CDF CHF CNY COP CRC CUP CVE CZK DKK DOP DZD EGP ERN ETB EUR FJD FKP GBP GEL GHS GIP GMD " +
+    "GTQ GYD HKD HNL HTG HUF ILS INR IRR JMD KES KGS KHR KPW KYD KZT LAK LBP LKR LRD LSL MAD MDL " +
+    "MGA MKD MMK MNT MOP MRU MUR MVR MWK MXN MYR MZN NAD NGN NIO NOK NPR NZD PAB PEN PGK PHP PKR " +
+    "PLN QAR RON RSD RUB SAR SBD SCR SDG SEK SGD SHP SLE SOS SRD SSP STN SVC SYP SZL THB TJS TMT " +
+    "TOP TRY TTD TWD TZS UAH USD UYU UZS VES WST XCD YER ZAR ZMW ZWG",
+  3: "BHD IQD JOD KWD LYD OMR TND",
+};
+
+const MINOR_UNITS = new Map(
+  Object.entries(ISO_4217).flatMap(([digits, codes]) => codes.split(" ").map((code) => [code, Number(digits)]))
+);
+
+function isCurrency(code) {
+  return MINOR_UNITS.has(code);
+}
+
+/**
+ * Jumlah digit desimal mata uang (IDR 0, SGD 2, KWD 3)
+ */
+function minorUnits(currency) {
+  return MINOR_UNITS.get(currency) ?? 2;
+}
+
+/**
+ * Nominal minor unit -> teks untuk pesan, misal "SGD 10.50" / "IDR 50000"
+ */
+function formatAmount(amount, currency) {
+  return `${currency} ${(amount / 10 ** minorUnits(currency)).toFixed(minorUnits(currency))}`;
+}
+
+// Kode mata uang dari request: huruf besar, harus terdaftar di ISO 4217
+const currencySchema = z
+  .string()
+  .length(3)
+  .transform((code) => code.toUpperCase())
+  .refine(isCurrency, "Mata uang tidak dikenal (kode ISO 4217, misal IDR / SGD / USD)");
+
+const ratesSchema = z.record(
+  z.string().regex(/^[A-Z]{3}\/[A-Z]{3}$/, "Format pasangan kurs: FROM/TO, misal SGD/IDR"),
+  z.number().positive()
+);
+
+let rates = null;
+
+/**
+ * Tabel kurs dari env CURRENCY_RATES (dibaca sekali, throw kalau format salah)
+ * @returns {Map<string, number>} "FROM/TO" -> kurs, termasuk kebalikannya
+ */
+function getRates() {
+  if (!rates) {
+    const raw = process.env.CURRENCY_RATES;
+    const parsed = raw ? ratesSchema.parse(JSON.parse(raw)) : {};
+
+    rates = new Map();
+    for (const [pair, rate] of Object.entries(parsed)) {
+      const [from, to] = pair.split("/");
+
+      if (!isCurrency(from) || !isCurrency(to)) {
+        throw new Error(`CURRENCY_RATES: mata uang tidak dikenal di '${pair}'`);
+      }
+
+      rates.set(pair, rate);
+      if (!parsed[`${to}/${from}`]) rates.set(`${to}/${from}`, 1 / rate);
+    }
+  }
+
+  return rates;
+}
+
+/**
+ * Kurs major unit: 1 `from` = sekian `to`
+ * @returns {number | null} null = kurs belum dikonfigurasi
+ */
+function exchangeRate(from, to) {
+  if (from === to) return 1;
+  return getRates().get(`${from}/${to}`) ?? null;
+}
+
+/**
+ * Konversi nominal minor unit `from` ke minor unit `to` dengan kurs major unit `rate`
+ * @param {(value: number) => number} [round] - pembulatan ke minor unit (default terdekat)
+ */
+function convertAmount(amount, from, to, rate, round = Math.round) {
+  if (from === to && rate === 1) return amount;
+  return round(amount * rate * 10 ** (minorUnits(to) - minorUnits(from)));
+}
+
+/**
+ * Harga voucher dalam mata uang order: nominal dari voucher.currency_amounts[currency] kalau ada,
+ * sisanya dikonversi dari nominal voucher dengan `rate` (1 voucher.currency = rate currency)
+ * Field persen / quota tidak berubah, budget tetap dalam mata uang voucher
+ */
+function priceVoucher(voucher, currency, rate) {
+  if (currency === voucher.currency) return voucher;
+
+  const convert = (amount) => convertAmount(amount, voucher.currency, currency, rate);
+  const override = voucher.currency_amounts?.[currency] || {};
+  const converted = convertDiscount(voucher, convert);
+
+  return normalizeDiscount({
+    ...converted,
+    currency,
+    discount_value: override.discount_value ?? converted.discount_value,
+    discount_rules: override.discount_rules ?? converted.discount_rules,
+    min_order_amount: override.min_order_amount ?? convert(voucher.min_order_amount),
+    max_discount_amount:
+      override.max_discount_amount ?? (voucher.max_discount_amount ? convert(voucher.max_discount_amount) : null),
+  });
+}
+
+module.exports = {
+  isCurrency,
+  minorUnits,
+  formatAmount,
+  currencySchema,
+  exchangeRate,
+  convertAmount,
+  priceVoucher,
+};
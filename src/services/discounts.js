@@ -0,0 +1,322 @@
+const { z } = require("zod");
+const { allocate } = require("./cart");
+
+/**
+ * Discount engine: 1 strategy per discount_type
+ *
+ * Setiap strategy punya:
+ * - schema:    zod schema field discount voucher (discount_type, discount_value, discount_rules)
+ * - normalize: (opsional) isi field turunan setelah validasi
+ * - nominalValue: (opsional) true kalau discount_value berupa nominal uang, bukan persen
+ * - calculate: (voucher, order) -> { discount_amount, weights?, applies_to? }
+ *              atau { reason, details } kalau order tidak memenuhi
+ *   weights = bobot alokasi discount per item (default total harga item)
+ *   applies_to = "delivery_fee" kalau yang dipotong ongkir
+ *
+ * order = { order_amount, delivery_fee, items }
+ * order_amount = subtotal item yang eligible (tanpa ongkir), items = item eligible saja
+ *
+ * Nominal uang di discount_rules selalu bernama *_amount (dikonversi saat voucher
+ * dipakai untuk order mata uang lain, lihat services/currency)
+ */
+
+const strategies = new Map();
+
+/**
+ * Daftarkan tipe discount baru
+ * @param {string} type - nilai discount_type, misal "PERCENT"
+ * @param {{ schema: import("zod").ZodObject, normalize?: Function, nominalValue?: boolean, calculate: Function }} strategy
+ */
+function registerDiscountType(type, strategy) {
+  strategies.set(type, strategy);
+}
+
+function getDiscountType(type) {
+  return strategies.get(type) || null;
+}
+
+function listDiscountTypes() {
+  return [...strategies.keys()];
+}
+
+// =======================
+// PERCENT - persen dari subtotal, dengan floor & ceiling
+// =======================
+registerDiscountType("PERCENT", {
+  schema: z.object({
+    discount_type: z.literal("PERCENT"),
+    discount_value: z.number().int().min(1).max(100),
+    discount_rules: z
+      .object({
+        // Floor: discount minimal walaupun hasil persen lebih kecil
+        min_discount_amount: z.number().int().positive().optional(),
+      })
+      .nullable()
+      .optional(),
+  }),
+
+  calculate(voucher, order) {
+    let discount = Math.floor((order.order_amount * voucher.discount_value) / 100);
+    const floor = voucher.discount_rules?.min_discount_amount;
+
+    if (floor && discount < floor) {
+      discount = floor;
+    }
+
+    return { discount_amount: Math.min(discount, order.order_amount) };
+  },
+});
+
+// =======================
+// FIXED - potongan nominal, bisa dibatasi persen dari subtotal
+// =======================
+registerDiscountType("FIXED", {
+  schema: z.object({
+    discount_type: z.literal("FIXED"),
+    discount_value: z.number().int().positive(),
+    discount_rules: z
+      .object({
+        // Cap: discount tidak boleh lebih dari sekian persen subtotal
+        max_percent_of_order: z.number().int().min(1).max(100).optional(),
+      })
+      .nullable()
+      .optional(),
+  }),
+
+  nominalValue: true,
+
+  calculate(voucher, order) {
+    let discount = voucher.discount_value;
+    const maxPercent = voucher.discount_rules?.max_percent_of_order;
+
+    if (maxPercent) {
+      discount = Math.min(discount, Math.floor((order.order_amount * maxPercent) / 100));
+    }
+
+    return { discount_amount: Math.min(discount, order.order_amount) };
+  },
+});
+
+// =======================
+// TIERED - makin besar subtotal, makin besar potongan
+// =======================
+const tierSchema = z.object({
+  min_order_amount: z.number().int().min(0),
+  discount_amount: z.number().int().positive(),
+});
+
+registerDiscountType("TIERED", {
+  schema: z.object({
+    discount_type: z.literal("TIERED"),
+    // Diisi otomatis dengan discount tier tertinggi (untuk tampilan "diskon s/d")
+    discount_value: z.number().int().positive().optional(),
+    discount_rules: z.object({
+      tiers: z
+        .array(tierSchema)
+        .min(1)
+        .max(20)
+        .refine(
+          (tiers) => new Set(tiers.map((tier) => tier.min_order_amount)).size === tiers.length,
+          "min_order_amount setiap tier harus berbeda"
+        ),
+    }),
+  }),
+
+  nominalValue: true,
+
+  normalize(voucher) {
+    const tiers = [...voucher.discount_rules.tiers].sort((a, b) => a.min_order_amount - b.min_order_amount);
+
+    return {
+      ...voucher,
+      discount_value: Math.max(...tiers.map((tier) => tier.discount_amount)),
+      discount_rules: { ...voucher.discount_rules, tiers },
+    };
+  },
+
+  calculate(voucher, order) {
+    const tiers = voucher.discount_rules.tiers;
+    const matched = tiers.filter((tier) => order.order_amount >= tier.min_order_amount);
+
+    if (matched.length === 0) {
+      const lowest = Math.min(...tiers.map((tier) => tier.min_order_amount));
+      return { reason: "MIN_ORDER_NOT_MET", details: { min_order_amount: lowest } };
+    }
+
+    const best = Math.max(...matched.map((tier) => tier.discount_amount));
+    return { discount_amount: Math.min(best, order.order_amount) };
+  },
+});
+
+// =======================
+// FREE_DELIVERY - potong ongkir (discount_value = persen ongkir yang ditanggung)
+// =======================
+registerDiscountType("FREE_DELIVERY", {
+  schema: z.object({
+    discount_type: z.literal("FREE_DELIVERY"),
+    discount_value: z.number().int().min(1).max(100).default(100),
+    discount_rules: z.null().optional(),
+  }),
+
+  calculate(voucher, order) {
+    if (!order.delivery_fee) {
+      return { reason: "NO_DELIVERY_FEE" };
+    }
+
+    return {
+      discount_amount: Math.floor((order.delivery_fee * voucher.discount_value) / 100),
+      applies_to: "delivery_fee",
+    };
+  },
+});
+
+// =======================
+// BUY_X_GET_Y - beli X item, Y item termurah dapat potongan discount_value persen
+// =======================
+registerDiscountType("BUY_X_GET_Y", {
+  schema: z.object({
+    discount_type: z.literal("BUY_X_GET_Y"),
+    discount_value: z.number().int().min(1).max(100).default(100),
+    discount_rules: z.object({
+      buy_quantity: z.number().int().positive(),
+      get_quantity: z.number().int().positive(),
+      // Kosong = semua sku ikut dihitung
+      skus: z.array(z.string().min(1)).max(500).optional(),
+    }),
+  }),
+
+  calculate(voucher, order) {
+    const { buy_quantity, get_quantity, skus } = voucher.discount_rules;
+
+    if (!order.items || order.items.length === 0) {
+      return { reason: "ITEMS_REQUIRED" };
+    }
+
+    const eligible = order.items
+      .map((item, i) => ({ item, i }))
+      .filter(({ item }) => !skus || skus.length === 0 || skus.includes(item.sku))
+      .sort((a, b) => a.item.unit_price - b.item.unit_price);
+
+    const eligibleQty = eligible.reduce((sum, { item }) => sum + item.qty, 0);
+    let freeUnits = Math.floor(eligibleQty / (buy_quantity + get_quantity)) * get_quantity;
+
+    if (freeUnits === 0) {
+      return {
+        reason: "BUY_QUANTITY_NOT_MET",
+        details: { buy_quantity, get_quantity, eligible_quantity: eligibleQty },
+      };
+    }
+
+    // Item gratis = unit termurah, discount dialokasikan ke item tersebut
+    const weights = order.items.map(() => 0);
+    let freeValue = 0;
+    for (const { item, i } of eligible) {
+      const units = Math.min(item.qty, freeUnits);
+      weights[i] = units * item.unit_price;
+      freeValue += weights[i];
+      freeUnits -= units;
+      if (freeUnits === 0) break;
+    }
+
+    return { discount_amount: Math.floor((freeValue * voucher.discount_value) / 100), weights };
+  },
+});
+
+/**
+ * Schema gabungan semua tipe (discriminated by discount_type)
+ */
+function discountSchema() {
+  const schemas = [...strategies.values()].map((strategy) => strategy.schema);
+  return z.discriminatedUnion("discount_type", schemas);
+}
+
+/**
+ * Isi field turunan (misal discount_value TIERED) setelah validasi
+ */
+function normalizeDiscount(voucher) {
+  const strategy = getDiscountType(voucher.discount_type);
+  return strategy && strategy.normalize ? strategy.normalize(voucher) : voucher;
+}
+
+// Konversi semua field *_amount (nested) di discount_rules
+function convertRuleAmounts(value, convert) {
+  if (Array.isArray(value)) return value.map((item) => convertRuleAmounts(item, convert));
+  if (!value || typeof value !== "object") return value;
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      key.endsWith("_amount") && typeof item === "number" ? convert(item) : convertRuleAmounts(item, convert),
+    ])
+  );
+}
+
+/**
+ * Ubah semua nominal aturan discount (discount_value tipe nominal + *_amount di discount_rules)
+ * dengan `convert(amount)`, field persen tidak berubah
+ */
+function convertDiscount(voucher, convert) {
+  const strategy = getDiscountType(voucher.discount_type);
+
+  return normalizeDiscount({
+    ...voucher,
+    discount_value:
+      strategy?.nominalValue && voucher.discount_value != null
+        ? convert(voucher.discount_value)
+        : voucher.discount_value,
+    discount_rules: convertRuleAmounts(voucher.discount_rules, convert),
+  });
+}
+
+/**
+ * Hitung discount voucher untuk order (yang sudah difilter ke item eligible)
+ * max_discount_amount berlaku sebagai ceiling untuk semua tipe
+ *
+ * @param {{ order_amount: number, delivery_fee?: number, items?: object[] }} order
+ * @returns {{ discount_amount: number, delivery_discount_amount: number, item_discounts: number[] | null }
+ *   | { reason: string, details?: object }}
+ *   item_discounts sejajar dengan order.items (null kalau order tanpa items)
+ */
+function calculateDiscount(voucher, order) {
+  const strategy = getDiscountType(voucher.discount_type);
+
+  if (!strategy) {
+    return { reason: "DISCOUNT_TYPE_UNSUPPORTED", details: { discount_type: voucher.discount_type } };
+  }
+
+  const deliveryFee = order.delivery_fee || 0;
+  const calculated = strategy.calculate(voucher, { ...order, delivery_fee: deliveryFee });
+
+  if (calculated.reason) {
+    return calculated;
+  }
+
+  let discount_amount = calculated.discount_amount;
+
+  // Apply max discount amount if exists
+  if (voucher.max_discount_amount && discount_amount > voucher.max_discount_amount) {
+    discount_amount = voucher.max_discount_amount;
+  }
+
+  discount_amount = Math.max(0, Math.min(discount_amount, order.order_amount + deliveryFee));
+
+  const onDelivery = calculated.applies_to === "delivery_fee";
+
+  return {
+    discount_amount,
+    delivery_discount_amount: onDelivery ? discount_amount : 0,
+    item_discounts: order.items
+      ? allocate(onDelivery ? 0 : discount_amount, order.items, calculated.weights)
+      : null,
+  };
+}
+
+module.exports = {
+  registerDiscountType,
+  getDiscountType,
+  listDiscountTypes,
+  discountSchema,
+  normalizeDiscount,
+  convertDiscount,
+  calculateDiscount,
+};
@@ -0,0 +1,74 @@
+/**
+ * Eligibility voucher per segment user
+ *
+ * voucher.eligibility = {
+ *   first_order_only?: boolean,     // user belum pernah redeem voucher apapun
+ *   user_ids?: string[],            // hanya user tertentu
+ *   email_domains?: string[],       // misal ["company.com"]
+ *   registered_after?: string,      // ISO datetime
+ *   registered_before?: string,
+ * }
+ *
+ * user = req.user (id, email, created_at dari profile / auth)
+ */
+
+/**
+ * Apakah cek eligibility butuh riwayat redemption user
+ */
+function needsHistory(rules) {
+  return Boolean(rules && rules.first_order_only);
+}
+
+function emailDomain(email) {
+  if (!email || !email.includes("@")) return null;
+  return email.slice(email.lastIndexOf("@") + 1).toLowerCase();
+}
+
+/**
+ * Cek user terhadap aturan eligibility voucher
+ * @param {{ redemption_count: number } | null} history - wajib kalau needsHistory(rules)
+ * @returns {{ reason: string, details: object } | null} null = eligible
+ */
+function checkEligibility(rules, user, history = null) {
+  if (!rules) return null;
+
+  if (rules.user_ids?.length > 0 && !rules.user_ids.includes(user.id)) {
+    return { reason: "USER_NOT_ALLOWED", details: {} };
+  }
+
+  if (rules.email_domains?.length > 0) {
+    const domain = emailDomain(user.email);
+    const allowed = rules.email_domains.map((d) => d.toLowerCase());
+
+    if (!domain || !allowed.includes(domain)) {
+      return { reason: "EMAIL_DOMAIN_NOT_ALLOWED", details: { email_domains: rules.email_domains } };
+    }
+  }
+
+  if (rules.registered_after || rules.registered_before) {
+    const registeredAt = user.created_at ? new Date(user.created_at) : null;
+
+    if (!registeredAt) {
+      return { reason: "REGISTRATION_DATE_UNKNOWN", details: {} };
+    }
+
+    if (rules.registered_after && registeredAt < new Date(rules.registered_after)) {
+      return { reason: "REGISTERED_TOO_EARLY", details: { registered_after: rules.registered_after } };
+    }
+
+    if (rules.registered_before && registeredAt > new Date(rules.registered_before)) {
+      return { reason: "REGISTERED_TOO_LATE", details: { registered_before: rules.registered_before } };
+    }
+  }
+
+  if (rules.first_order_only && history && history.redemption_count > 0) {
+    return { reason: "NOT_FIRST_ORDER", details: {} };
+  }
+
+  return null;
+}
+
+module.exports = {
+  needsHistory,
+  checkEligibility,
+};
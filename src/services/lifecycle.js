@@ -0,0 +1,141 @@
+const { voucherStatus } = require("./redemption");
+
+/**
+ * Lifecycle voucher
+ *
+ * DRAFT      -> publish -> SCHEDULED / ACTIVE
+ * SCHEDULED  -> start_at lewat -> ACTIVE
+ * ACTIVE     -> quota / budget habis -> EXHAUSTED (kembali ACTIVE kalau ada cancel / refund)
+ * SCHEDULED / ACTIVE / EXHAUSTED -> pause -> PAUSED -> resume -> status sesuai data voucher
+ * semua status kecuali DRAFT -> end_at lewat -> EXPIRED
+ * semua status -> archive -> ARCHIVED -> restore -> status sesuai data voucher
+ *
+ * Status dihitung dari kolom voucher (redemption.voucherStatus), kolom `status` menyimpan
+ * hasil terakhir supaya bisa di-query. DRAFT hanya bisa keluar lewat publish, PAUSED lewat resume
+ * Perpindahan status disimpan di voucher_status_history (trigger = penyebab perpindahan)
+ */
+
+const VOUCHER_STATUSES = ["DRAFT", "SCHEDULED", "ACTIVE", "PAUSED", "EXHAUSTED", "EXPIRED", "ARCHIVED"];
+
+// Status tujuan yang boleh dari tiap status (selain ARCHIVED yang boleh dari mana saja)
+const TRANSITIONS = {
+  DRAFT: ["SCHEDULED", "ACTIVE", "EXHAUSTED"],
+  SCHEDULED: ["ACTIVE", "PAUSED", "EXHAUSTED", "EXPIRED"],
+  ACTIVE: ["SCHEDULED", "PAUSED", "EXHAUSTED", "EXPIRED"],
+  PAUSED: ["SCHEDULED", "ACTIVE", "EXHAUSTED", "EXPIRED"],
+  EXHAUSTED: ["SCHEDULED", "ACTIVE", "PAUSED", "EXPIRED"],
+  // end_at diperpanjang lewat update
+  EXPIRED: ["SCHEDULED", "ACTIVE", "PAUSED", "EXHAUSTED"],
+  ARCHIVED: ["DRAFT", "SCHEDULED", "ACTIVE", "PAUSED", "EXHAUSTED", "EXPIRED"],
+};
+
+// Aksi admin: status asal yang diizinkan + kolom yang diubah
+const ADMIN_ACTIONS = {
+  publish: { from: ["DRAFT"], changes: { is_active: true, deactivated_reason: null } },
+  pause: { from: ["SCHEDULED", "ACTIVE", "EXHAUSTED"], changes: { is_active: false, deactivated_reason: null } },
+  resume: { from: ["PAUSED"], changes: { is_active: true, deactivated_reason: null } },
+};
+
+// Jumlah voucher per putaran scheduler
+const SCHEDULER_BATCH_SIZE = 500;
+
+function canTransition(from, to) {
+  return from === to || to === "ARCHIVED" || Boolean(TRANSITIONS[from]?.includes(to));
+}
+
+/**
+ * Status awal voucher baru
+ * @param {{ draft?: boolean }} [options]
+ */
+function initialStatus(voucher, options = {}, now = new Date()) {
+  return options.draft ? "DRAFT" : voucherStatus({ ...voucher, status: null }, now).status;
+}
+
+/**
+ * Simpan status voucher kalau berbeda dari hasil hitung ulang + catat di riwayat
+ * Update memakai status lama sebagai kondisi, kalau status sudah diubah proses lain data = voucher apa adanya
+ * @param {{ trigger: string, actorId?: string | null, now?: Date }} options
+ * @returns {Promise<{ data: object | null, error }>} voucher setelah sinkron
+ */
+async function syncVoucherStatus(storage, voucher, { trigger, actorId = null, now = new Date() }) {
+  const next = voucherStatus(voucher, now).status;
+  if (next === voucher.status) return { data: voucher, error: null };
+
+  if (!canTransition(voucher.status, next)) {
+    console.error(`❌ Invalid voucher status transition ${voucher.status} -> ${next} (${voucher.id})`);
+    return { data: voucher, error: null };
+  }
+
+  const { data, error } = await storage.vouchers.update(voucher.id, { status: next }, { status: voucher.status });
+  if (error || !data) return { data: data || voucher, error };
+
+  const { error: historyError } = await storage.vouchers.appendStatusHistory([
+    { voucher_id: voucher.id, from_status: voucher.status, to_status: next, trigger, actor_id: actorId },
+  ]);
+  if (historyError) console.error("❌ Error saving voucher status history:", historyError);
+
+  return { data, error: null };
+}
+
+/**
+ * Jalankan aksi admin (publish / pause / resume)
+ * @returns {Promise<{ data?: object, error?: object, invalid?: { from: string } }>}
+ *   invalid = aksi tidak berlaku untuk status voucher saat ini
+ */
+async function applyAdminAction(storage, voucher, action, { actorId = null, now = new Date() } = {}) {
+  const { from, changes } = ADMIN_ACTIONS[action];
+  const current = voucherStatus(voucher, now).status;
+
+  if (!from.includes(current)) return { invalid: { from: current } };
+
+  // Publish = keluar dari DRAFT, status akhir dihitung dari data voucher
+  const next = voucherStatus({ ...voucher, ...changes, status: null }, now).status;
+  if (action === "publish" && next === "EXPIRED") return { invalid: { from: current, to: next } };
+
+  const { data, error } = await storage.vouchers.update(
+    voucher.id,
+    { ...changes, status: next },
+    { status: voucher.status }
+  );
+  if (error) return { error };
+  if (!data) return { invalid: { from: current } };
+
+  const { error: historyError } = await storage.vouchers.appendStatusHistory([
+    { voucher_id: voucher.id, from_status: voucher.status, to_status: next, trigger: action, actor_id: actorId },
+  ]);
+  if (historyError) console.error("❌ Error saving voucher status history:", historyError);
+
+  return { data };
+}
+
+/**
+ * Satu putaran scheduler: pindahkan voucher yang sudah mulai / expired / habis / tersedia lagi
+ * @returns {Promise<{ data: number | null, error }>} jumlah voucher yang pindah status
+ */
+async function runStatusScheduler(storage, now = new Date()) {
+  const { data: due, error } = await storage.vouchers.findStatusDue(now.toISOString(), SCHEDULER_BATCH_SIZE);
+  if (error) return { data: null, error };
+
+  let moved = 0;
+  for (const voucher of due) {
+    const { data, error: syncError } = await syncVoucherStatus(storage, voucher, { trigger: "scheduler", now });
+
+    if (syncError) {
+      console.error("❌ Error syncing voucher status:", syncError);
+    } else if (data.status !== voucher.status) {
+      moved++;
+    }
+  }
+
+  return { data: moved, error: null };
+}
+
+module.exports = {
+  VOUCHER_STATUSES,
+  ADMIN_ACTIONS,
+  canTransition,
+  initialStatus,
+  syncVoucherStatus,
+  applyAdminAction,
+  runStatusScheduler,
+};
@@ -0,0 +1,85 @@
+/**
+ * Role & permission
+ * Endpoint dicek dengan requirePermission(...) (middleware/auth), bukan nama role
+ * Role dengan restaurantScoped (MERCHANT) hanya bisa mengelola voucher dengan
+ * restaurant_id = profiles.restaurant_id miliknya
+ */
+
+const PERMISSIONS = [
+  "vouchers:read_all", // listing semua voucher (termasuk non-public / nonaktif)
+  "vouchers:create",
+  "vouchers:update",
+  "vouchers:delete", // archive & restore
+  "vouchers:purge", // hapus permanen voucher archived yang tidak pernah dipakai
+  "vouchers:redeem", // quote, redeem, reserve, claim sebagai user
+  "redemptions:read",
+  "redemptions:cancel",
+  "redemptions:refund",
+  "campaigns:manage",
+  "reports:read",
+  "users:read", // data / eligible voucher user lain
+  "users:manage", // cache profile
+  "audit:read", // riwayat perubahan voucher
+  "webhooks:manage", // endpoint webhook, delivery & replay
+  "abuse:read", // flag pola mencurigakan dari rate limiter
+];
+
+// Permission yang bertindak atas nama user (service client wajib kirim on_behalf_of)
+const USER_PERMISSIONS = ["vouchers:redeem"];
+
+const VOUCHER_MANAGEMENT = ["vouchers:read_all", "vouchers:create", "vouchers:update", "vouchers:delete"];
+
+const ROLES = {
+  SUPER_ADMIN: { permissions: PERMISSIONS },
+  // Role lama sebelum ada permission, disamakan dengan SUPER_ADMIN
+  ADMIN: { permissions: PERMISSIONS },
+  CAMPAIGN_MANAGER: { permissions: [...VOUCHER_MANAGEMENT, "campaigns:manage", "reports:read"] },
+  MERCHANT: { permissions: VOUCHER_MANAGEMENT, restaurantScoped: true },
+  SUPPORT: {
+    permissions: ["vouchers:read_all", "redemptions:read", "redemptions:cancel", "users:read", "audit:read", "abuse:read"],
+  },
+  FINANCE_VIEWER: { permissions: ["vouchers:read_all", "redemptions:read", "reports:read", "audit:read"] },
+  USER: { permissions: ["vouchers:redeem"] },
+};
+
+/**
+ * @returns {string[]} role tidak dikenal = tanpa permission
+ */
+function permissionsOf(role) {
+  return ROLES[role]?.permissions || [];
+}
+
+function isRestaurantScoped(user) {
+  return Boolean(ROLES[user?.role]?.restaurantScoped);
+}
+
+/**
+ * Role restaurantScoped tanpa restaurant_id dianggap tidak punya permission apa pun
+ */
+function hasPermission(user, permission) {
+  if (isRestaurantScoped(user) && !user.restaurant_id) return false;
+  return permissionsOf(user?.role).includes(permission);
+}
+
+/**
+ * restaurant_id yang boleh dikelola user, null = semua restaurant
+ */
+function restaurantScopeOf(user) {
+  return isRestaurantScoped(user) ? user.restaurant_id || null : null;
+}
+
+function canManageVoucher(user, voucher) {
+  if (!isRestaurantScoped(user)) return true;
+  return Boolean(user.restaurant_id) && voucher.restaurant_id === user.restaurant_id;
+}
+
+module.exports = {
+  PERMISSIONS,
+  USER_PERMISSIONS,
+  ROLES,
+  permissionsOf,
+  hasPermission,
+  isRestaurantScoped,
+  restaurantScopeOf,
+  canManageVoucher,
+};
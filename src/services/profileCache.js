@@ -0,0 +1,57 @@
+const { findAuthUser } = require("../lib/supabase");
+const { getStorage } = require("../storage");
+const { createTtlCache } = require("../lib/ttlCache");
+
+/**
+ * Cache profile (role dll) per user untuk authenticateToken
+ * Perubahan role berlaku paling lambat PROFILE_CACHE_TTL_SECONDS, atau langsung
+ * lewat invalidateProfile / POST /auth/cache/invalidate
+ */
+
+const PROFILE_CACHE_TTL_SECONDS = parseInt(process.env.PROFILE_CACHE_TTL_SECONDS || "60", 10);
+
+const cache = createTtlCache({ ttlMs: PROFILE_CACHE_TTL_SECONDS * 1000 });
+
+/**
+ * Profile user dari cache, kalau belum ada ambil dari tabel profiles
+ * checkAuthUser: user tanpa profile dicek ke Supabase Auth (dipakai setelah verifikasi
+ * token lokal, supaya token milik user yang sudah dihapus ditolak)
+ * @returns {Promise<{ data: { exists: boolean, profile: object | null, user: object | null } | null, error }>}
+ */
+async function getProfile(userId, { checkAuthUser = false } = {}) {
+  const cached = cache.get(userId);
+  if (cached) return { data: cached, error: null };
+
+  const { data: profile, error } = await getStorage().profiles.findById(userId);
+  if (error) return { data: null, error };
+
+  let entry = { exists: true, profile: profile || null, user: null };
+
+  if (!profile && checkAuthUser) {
+    const { data: authUser, error: authError } = await findAuthUser(userId);
+
+    if (authError) {
+      // Tidak bisa dipastikan (misal service role key belum di-set), token sudah valid jadi user dianggap ada
+      console.error("Error fetching auth user:", authError.message);
+    } else {
+      entry = { exists: Boolean(authUser), profile: null, user: authUser };
+    }
+  }
+
+  cache.set(userId, entry);
+  return { data: entry, error: null };
+}
+
+function invalidateProfile(userId) {
+  cache.delete(userId);
+}
+
+function clearProfileCache() {
+  cache.clear();
+}
+
+module.exports = {
+  getProfile,
+  invalidateProfile,
+  clearProfileCache,
+};
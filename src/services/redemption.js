@@ -0,0 +1,525 @@
+/**
+ * Aturan redeem voucher yang dipakai bersama oleh quote, reserve dan redeem
+ * supaya hasil cek dan perhitungan discount tidak pernah beda
+ */
+
+const { calculateDiscount } = require("./discounts");
+const { hasTargeting, eligibleLines, allocate, describeAllocation } = require("./cart");
+const { needsHistory, checkEligibility } = require("./eligibility");
+const { formatAmount, exchangeRate, convertAmount, priceVoucher } = require("./currency");
+
+// Offset timezone untuk batas "hari" di cap harian (default WIB, UTC+7)
+const DAY_UTC_OFFSET_MINUTES = parseInt(process.env.VOUCHER_DAY_UTC_OFFSET_MINUTES || "420", 10);
+
+// Reason code -> pesan untuk user
+const REASON_MESSAGES = {
+  VOUCHER_NOT_FOUND: "Voucher tidak ditemukan",
+  VOUCHER_INACTIVE: "Voucher sudah tidak aktif",
+  VOUCHER_ARCHIVED: "Voucher sudah tidak berlaku",
+  VOUCHER_NOT_STARTED: "Voucher belum bisa digunakan",
+  VOUCHER_EXPIRED: "Voucher sudah expired",
+  VOUCHER_EXHAUSTED: "Voucher sudah habis digunakan",
+  BUDGET_EXHAUSTED: "Budget discount voucher ini sudah habis",
+  MIN_ORDER_NOT_MET: "Minimum order amount belum terpenuhi",
+  ALREADY_REDEEMED: "Kamu sudah pernah menggunakan voucher ini",
+  USER_COOLDOWN: "Voucher ini belum bisa kamu gunakan lagi, tunggu beberapa saat",
+  DAILY_LIMIT_REACHED: "Kuota voucher hari ini sudah habis, coba lagi besok",
+  NO_DELIVERY_FEE: "Voucher gratis ongkir hanya berlaku untuk order dengan ongkir",
+  ITEMS_REQUIRED: "Voucher ini membutuhkan daftar item order",
+  BUY_QUANTITY_NOT_MET: "Jumlah item belum memenuhi syarat voucher",
+  NO_ELIGIBLE_ITEMS: "Tidak ada item di order yang berlaku untuk voucher ini",
+  DISCOUNT_TYPE_UNSUPPORTED: "Tipe discount voucher tidak didukung",
+  USER_NOT_ALLOWED: "Voucher ini tidak berlaku untuk akun kamu",
+  EMAIL_DOMAIN_NOT_ALLOWED: "Voucher ini hanya berlaku untuk email domain tertentu",
+  REGISTRATION_DATE_UNKNOWN: "Tanggal registrasi akun tidak diketahui",
+  REGISTERED_TOO_EARLY: "Voucher ini hanya untuk user yang daftar setelah tanggal tertentu",
+  REGISTERED_TOO_LATE: "Voucher ini hanya untuk user yang daftar sebelum tanggal tertentu",
+  NOT_FIRST_ORDER: "Voucher ini hanya berlaku untuk order pertama",
+  DUPLICATE_CODE: "Code voucher yang sama tidak boleh dipakai 2 kali dalam 1 order",
+  VOUCHER_NOT_STACKABLE: "Voucher ini tidak bisa digabung dengan voucher lain",
+  STACK_GROUP_CONFLICT: "Hanya 1 voucher dari grup yang sama yang bisa dipakai dalam 1 order",
+  CURRENCY_MISMATCH: "Voucher dengan mata uang berbeda tidak bisa digabung",
+  CURRENCY_NOT_SUPPORTED: "Voucher ini tidak berlaku untuk mata uang order",
+  NOTHING_TO_DISCOUNT: "Order sudah tidak bisa dipotong lagi oleh voucher ini",
+  ORDER_ALREADY_REDEEMED: "Order ini sudah memakai voucher",
+  ALREADY_CLAIMED: "Voucher ini sudah ada di wallet kamu",
+  CLAIM_NOT_FOUND: "Voucher ini tidak ada di wallet kamu",
+  RESERVATION_NOT_FOUND: "Reservasi tidak ditemukan",
+  RESERVATION_NOT_PENDING: "Reservasi sudah tidak berstatus RESERVED",
+  REDEMPTION_NOT_FOUND: "Redemption tidak ditemukan",
+  REDEMPTION_NOT_REVERSIBLE: "Redemption sudah dibatalkan / di-refund",
+};
+
+function reject(reason, message = REASON_MESSAGES[reason], details = {}) {
+  return { ok: false, reason, message, details };
+}
+
+/**
+ * Slot quota yang sudah terpakai: redemption aktif + claim yang belum dipakai
+ */
+function slotsTaken(voucher) {
+  return voucher.total_redeemed + (voucher.total_claimed || 0);
+}
+
+/**
+ * Sisa budget discount (max_total_discount_amount) voucher, dibatasi juga oleh budget campaign
+ * @param {object | null} [campaign] - campaign voucher (kalau ada)
+ * @returns {number | null} null = tanpa budget
+ */
+function remainingBudget(voucher, campaign = null) {
+  const remaining = [voucher, campaign]
+    .filter((row) => row && row.max_total_discount_amount != null)
+    .map((row) => row.max_total_discount_amount - (row.total_discount_given || 0));
+
+  return remaining.length > 0 ? Math.max(Math.min(...remaining), 0) : null;
+}
+
+/**
+ * remainingBudget dengan budget campaign dimuat dari storage (budget campaign berlaku
+ * bersama untuk semua code campaign)
+ * @returns {Promise<number | null>}
+ */
+async function loadRemainingBudget(storage, voucher) {
+  if (!voucher.campaign_id) return remainingBudget(voucher);
+
+  const { data: campaign, error } = await storage.campaigns.findById(voucher.campaign_id);
+  if (error) throw new Error(error.message);
+
+  return remainingBudget(voucher, campaign);
+}
+
+/**
+ * Potong discount hasil checkRedemption ke `amount` (sisa budget)
+ * Potongan ongkir / alokasi per item ikut disesuaikan
+ */
+function capDiscount(check, amount) {
+  if (amount >= check.discount_amount) return check;
+
+  const allocation = check.allocation
+    ? allocate(amount, check.allocation, check.allocation.map((line) => line.discount_amount))
+    : null;
+
+  return {
+    ...check,
+    discount_amount: amount,
+    delivery_discount_amount: check.delivery_discount_amount > 0 ? amount : 0,
+    final_amount: check.final_amount + check.discount_amount - amount,
+    allocation: allocation && check.allocation.map((line, i) => ({ ...line, discount_amount: allocation[i] })),
+    budget_capped: true,
+  };
+}
+
+/**
+ * Nominal mata uang order -> mata uang voucher (yang dicatat storage untuk budget & report)
+ * @param {{ currency: string, voucher_currency: string, exchange_rate: number }} pricing
+ *   hasil checkRedemption / checkStack, exchange_rate = 1 currency order dalam mata uang voucher
+ */
+function toVoucherCurrency(pricing, amount) {
+  return convertAmount(amount, pricing.currency, pricing.voucher_currency, pricing.exchange_rate);
+}
+
+/**
+ * Parameter order untuk storage.redemptions.reserve / reserveMany, dalam mata uang voucher
+ * @param {number} [discountAmount] - discount mata uang order (reserve 1 voucher)
+ */
+function bookingAmounts(pricing, order, discountAmount = 0) {
+  const orderAmount = toVoucherCurrency(pricing, order.order_amount);
+  const deliveryFee = toVoucherCurrency(pricing, order.delivery_fee || 0);
+  const discount = Math.min(toVoucherCurrency(pricing, discountAmount), orderAmount + deliveryFee);
+
+  return {
+    orderAmount,
+    deliveryFee,
+    discountAmount: discount,
+    finalAmount: orderAmount + deliveryFee - discount,
+    orderCurrency: pricing.currency,
+    exchangeRate: pricing.exchange_rate,
+  };
+}
+
+/**
+ * Discount yang tercatat di storage (mata uang voucher, bisa dipotong ke sisa budget)
+ * -> discount mata uang order, untuk capDiscount / capStack
+ * @param {number} discountAmount - discount mata uang order sebelum dicatat
+ * @param {number} booked - discount_amount row redemption
+ */
+function bookedDiscount(pricing, discountAmount, booked) {
+  if (booked >= toVoucherCurrency(pricing, discountAmount)) return discountAmount;
+
+  const rate = 1 / pricing.exchange_rate;
+  return Math.min(convertAmount(booked, pricing.voucher_currency, pricing.currency, rate, Math.floor), discountAmount);
+}
+
+/**
+ * Awal hari (sesuai VOUCHER_DAY_UTC_OFFSET_MINUTES) untuk waktu `now`
+ * @returns {Date}
+ */
+function startOfDay(now = new Date()) {
+  const offsetMs = DAY_UTC_OFFSET_MINUTES * 60 * 1000;
+  const local = new Date(now.getTime() + offsetMs);
+  local.setUTCHours(0, 0, 0, 0);
+  return new Date(local.getTime() - offsetMs);
+}
+
+/**
+ * Sisa pemakaian voucher untuk 1 user
+ * @param {{ count: number, last_redeemed_at: string | null }} usage
+ * @returns {{ remaining: number | null, next_available_at: string | null }}
+ *   remaining null = tidak dibatasi
+ */
+function describeUserUsage(voucher, usage, now = new Date()) {
+  const remaining = voucher.max_redemptions_per_user == null
+    ? null
+    : Math.max(voucher.max_redemptions_per_user - usage.count, 0);
+
+  let next_available_at = null;
+  if (voucher.per_user_cooldown_seconds && usage.last_redeemed_at) {
+    const next = new Date(Date.parse(usage.last_redeemed_at) + voucher.per_user_cooldown_seconds * 1000);
+    if (next > now) next_available_at = next.toISOString();
+  }
+
+  return { remaining, next_available_at };
+}
+
+/**
+ * Status lifecycle voucher saat ini (lihat services/lifecycle), dihitung dari kolom voucher
+ * Urutan: ARCHIVED, DRAFT, EXPIRED, PAUSED, SCHEDULED, EXHAUSTED, ACTIVE
+ * @param {{ expiredHolds?: number, claimed?: boolean }} [options]
+ *   expiredHolds = reservasi expired yang belum dilepas sweeper,
+ *   claimed = user punya claim aktif (slot-nya sudah ditahan untuk user ini)
+ * @returns {{ status: string, reason: string | null, details: object }}
+ *   reason = reason code kenapa voucher tidak bisa dipakai (null = ACTIVE)
+ */
+function voucherStatus(voucher, now = new Date(), options = {}) {
+  const { expiredHolds = 0, claimed = false } = options;
+  const startAt = voucher.start_at ? new Date(voucher.start_at) : null;
+  const endAt = voucher.end_at ? new Date(voucher.end_at) : null;
+  const state = (status, reason = null, details = {}) => ({ status, reason, details });
+
+  if (voucher.archived_at) return state("ARCHIVED", "VOUCHER_ARCHIVED");
+  if (voucher.status === "DRAFT") return state("DRAFT", "VOUCHER_INACTIVE");
+
+  if (endAt && now > endAt) {
+    return state("EXPIRED", "VOUCHER_EXPIRED", { expired_at: voucher.end_at });
+  }
+
+  if (!voucher.is_active) {
+    return voucher.deactivated_reason === "BUDGET_EXHAUSTED"
+      ? state("EXHAUSTED", "BUDGET_EXHAUSTED")
+      : state("PAUSED", "VOUCHER_INACTIVE");
+  }
+
+  if (startAt && now < startAt) {
+    return state("SCHEDULED", "VOUCHER_NOT_STARTED", { start_at: voucher.start_at });
+  }
+
+  if (!claimed && slotsTaken(voucher) - expiredHolds >= voucher.max_total_redemptions) {
+    return state("EXHAUSTED", "VOUCHER_EXHAUSTED");
+  }
+
+  if (remainingBudget(voucher) === 0) {
+    return state("EXHAUSTED", "BUDGET_EXHAUSTED");
+  }
+
+  return state("ACTIVE");
+}
+
+/**
+ * Cek status voucher (aktif, periode, quota) tanpa konteks user
+ * @param {{ expiredHolds?: number, claimed?: boolean }} [options] - lihat voucherStatus
+ */
+function checkVoucherState(voucher, now = new Date(), options = {}) {
+  const { reason, details } = voucherStatus(voucher, now, options);
+  return reason ? reject(reason, undefined, details) : { ok: true };
+}
+
+/**
+ * Cek eligibility segment user untuk voucher (ambil riwayat redemption kalau perlu)
+ * @returns {Promise<{ ok: true } | { ok: false, reason, message, details }>}
+ */
+async function checkUserEligibility(storage, voucher, user) {
+  let history = null;
+
+  if (needsHistory(voucher.eligibility)) {
+    const { data: count, error } = await storage.redemptions.countByUser(user.id);
+    if (error) throw new Error(error.message);
+    history = { redemption_count: count };
+  }
+
+  const failure = checkEligibility(voucher.eligibility, user, history);
+  return failure ? reject(failure.reason, undefined, failure.details) : { ok: true };
+}
+
+/**
+ * Cek batas per user (max_redemptions_per_user & cooldown) dari riwayat redemption user
+ * @returns {Promise<{ ok: true } | { ok: false, reason, message, details }>}
+ */
+async function checkUserUsage(storage, voucher, user, now = new Date()) {
+  const { data: usage, error } = await storage.redemptions.getUserUsage(voucher.id, user.id);
+  if (error) throw new Error(error.message);
+
+  const { remaining, next_available_at } = describeUserUsage(voucher, usage, now);
+
+  if (remaining === 0) {
+    const message = voucher.max_redemptions_per_user > 1
+      ? `Kamu sudah menggunakan voucher ini ${usage.count}x (batas per user)`
+      : undefined;
+
+    return reject("ALREADY_REDEEMED", message, { redeemed_at: usage.last_redeemed_at });
+  }
+
+  if (next_available_at) {
+    return reject("USER_COOLDOWN", undefined, { next_available_at });
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Jalankan semua cek redeem untuk user (req.user) + order dan hitung discount
+ * Hanya membaca data, tidak mengubah quota. Quota & duplicate tetap dicek
+ * ulang secara atomic di storage.redemptions.reserve()
+ *
+ * Kalau order berisi items, discount hanya dihitung dari item yang masuk
+ * targeting voucher dan min_order_amount dicek terhadap subtotal item tersebut
+ *
+ * Discount dipotong ke sisa budget voucher / campaign (budget_capped = true)
+ *
+ * Order dengan order_currency berbeda dari voucher dihitung dengan nominal voucher di mata uang
+ * order (currency_amounts / konversi kurs, lihat services/currency), semua nominal hasil dalam
+ * mata uang order. Tanpa kurs yang dikonfigurasi ditolak CURRENCY_NOT_SUPPORTED
+ *
+ * @returns {Promise<{ ok: true, voucher, priced, currency, voucher_currency, exchange_rate, eligible_amount,
+ *   discount_amount, delivery_discount_amount, final_amount, allocation, budget_capped, discount_budget }
+ *   | { ok: false, voucher?, reason, message, details }>}
+ *   priced = voucher dengan nominal mata uang order, exchange_rate = 1 currency dalam voucher_currency
+ *   allocation = discount per baris cart (null kalau order tanpa items)
+ *   discount_budget = sisa budget sebelum redemption ini (null = tanpa budget)
+ */
+async function checkRedemption(storage, { code, user, order, now = new Date() }) {
+  const { data: voucher, error: voucherError } = await storage.vouchers.findByCode(code);
+
+  if (voucherError || !voucher) {
+    return reject("VOUCHER_NOT_FOUND", `Voucher dengan code '${code}' tidak ditemukan`);
+  }
+
+  const { data: claim } = voucher.total_claimed > 0
+    ? await storage.claims.findActive(voucher.id, user.id)
+    : { data: null };
+
+  const { data: expiredHolds } = slotsTaken(voucher) >= voucher.max_total_redemptions
+    ? await storage.redemptions.countExpiredReservations(voucher.id)
+    : { data: 0 };
+
+  const state = checkVoucherState(voucher, now, {
+    expiredHolds: expiredHolds || 0,
+    claimed: Boolean(claim),
+  });
+  if (!state.ok) {
+    return { ...state, voucher };
+  }
+
+  const currency = order.order_currency || voucher.currency;
+  const rate = exchangeRate(currency, voucher.currency);
+
+  if (rate === null) {
+    return {
+      ...reject("CURRENCY_NOT_SUPPORTED", `Voucher ini tidak berlaku untuk order dalam ${currency}`, {
+        currency: voucher.currency,
+        order_currency: currency,
+      }),
+      voucher,
+    };
+  }
+
+  const priced = priceVoucher(voucher, currency, 1 / rate);
+
+  const budget = await loadRemainingBudget(storage, voucher);
+
+  if (budget === 0) {
+    return { ...reject("BUDGET_EXHAUSTED"), voucher };
+  }
+
+  const eligibility = await checkUserEligibility(storage, voucher, user);
+  if (!eligibility.ok) {
+    return { ...eligibility, voucher };
+  }
+
+  const cart = order.items ? eligibleLines(voucher, order.items) : null;
+
+  if (!cart && hasTargeting(voucher.targeting)) {
+    return { ...reject("ITEMS_REQUIRED"), voucher };
+  }
+
+  if (cart && cart.items.length === 0) {
+    return { ...reject("NO_ELIGIBLE_ITEMS"), voucher };
+  }
+
+  const eligibleAmount = cart ? cart.subtotal : order.order_amount;
+
+  if (eligibleAmount < priced.min_order_amount) {
+    return {
+      ...reject(
+        "MIN_ORDER_NOT_MET",
+        `Minimum order amount adalah ${formatAmount(priced.min_order_amount, currency)}`,
+        { min_order_amount: priced.min_order_amount, eligible_amount: eligibleAmount }
+      ),
+      voucher,
+    };
+  }
+
+  if (voucher.max_redemptions_per_day) {
+    const { data: usedToday } = await storage.redemptions.countSince(
+      voucher.id,
+      startOfDay(now).toISOString()
+    );
+
+    if (usedToday >= voucher.max_redemptions_per_day) {
+      return { ...reject("DAILY_LIMIT_REACHED"), voucher };
+    }
+  }
+
+  const usage = await checkUserUsage(storage, voucher, user, now);
+  if (!usage.ok) {
+    return { ...usage, voucher };
+  }
+
+  const deliveryFee = order.delivery_fee || 0;
+  const discount = calculateDiscount(priced, {
+    order_amount: eligibleAmount,
+    delivery_fee: deliveryFee,
+    items: cart ? cart.items : undefined,
+  });
+
+  if (discount.reason) {
+    const message = discount.reason === "MIN_ORDER_NOT_MET"
+      ? `Minimum order amount adalah ${formatAmount(discount.details.min_order_amount, currency)}`
+      : undefined;
+
+    return { ...reject(discount.reason, message, discount.details), voucher };
+  }
+
+  // Sisa budget (mata uang voucher) dibulatkan ke bawah supaya discount tidak melewati budget
+  const orderBudget = budget === null ? null : convertAmount(budget, voucher.currency, currency, 1 / rate, Math.floor);
+
+  const result = {
+    ok: true,
+    voucher,
+    priced,
+    currency,
+    voucher_currency: voucher.currency,
+    exchange_rate: rate,
+    eligible_amount: eligibleAmount,
+    discount_amount: discount.discount_amount,
+    delivery_discount_amount: discount.delivery_discount_amount,
+    final_amount: order.order_amount + deliveryFee - discount.discount_amount,
+    allocation: cart ? describeAllocation(order.items, cart.items, discount.item_discounts) : null,
+    budget_capped: false,
+    discount_budget: orderBudget,
+  };
+
+  return orderBudget === null ? result : capDiscount(result, orderBudget);
+}
+
+// Ukuran halaman saat mengambil semua voucher public yang aktif
+const LISTING_PAGE_SIZE = 500;
+
+/**
+ * Semua voucher public yang sedang aktif (filter di storage, keyset pagination sampai habis)
+ * Voucher non-public (misal code campaign) tidak pernah ikut listing
+ */
+async function listActivePublicVouchers(storage, now) {
+  const filters = { statuses: ["active"], is_public: true, now: now.toISOString() };
+  const vouchers = [];
+  let after = null;
+
+  for (;;) {
+    const { data, error } = await storage.vouchers.search(filters, {
+      sort: "created_at",
+      order: "desc",
+      limit: LISTING_PAGE_SIZE,
+      after,
+    });
+    if (error) throw new Error(error.message);
+
+    vouchers.push(...data);
+    if (data.length < LISTING_PAGE_SIZE) return vouchers;
+
+    const last = data[data.length - 1];
+    after = { value: last.created_at, id: last.id };
+  }
+}
+
+/**
+ * Voucher yang saat ini bisa dipakai user: voucher public yang aktif ditambah voucher yang
+ * sudah di-claim user (termasuk non-public / quota habis), lolos eligibility dan batas per user belum habis
+ * Jumlah query tetap (claim, voucher, pemakaian user), tidak per voucher
+ * @returns {Promise<object[]>} voucher + user_remaining_redemptions / user_next_available_at / claimed
+ */
+async function listEligibleVouchers(storage, user, now = new Date()) {
+  const { data: claims, error: claimsError } = await storage.claims.listByUser(user.id);
+  if (claimsError) throw new Error(claimsError.message);
+
+  const claimedAt = new Map(claims.map((claim) => [claim.voucher_id, claim.claimed_at]));
+
+  const { data: claimedVouchers, error } = await storage.vouchers.findByIds([...claimedAt.keys()]);
+  if (error) throw new Error(error.message);
+
+  const publicVouchers = (await listActivePublicVouchers(storage, now)).filter(
+    (voucher) => !claimedAt.has(voucher.id)
+  );
+
+  // Pemakaian user per voucher (1 query), total-nya = riwayat untuk aturan eligibility order pertama
+  const { data: usageByVoucher, error: usageError } = await storage.redemptions.getUsageByUser(user.id);
+  if (usageError) throw new Error(usageError.message);
+
+  let redemptionCount = 0;
+  for (const usage of usageByVoucher.values()) redemptionCount += usage.count;
+  const history = { redemption_count: redemptionCount };
+
+  // Urutan sama dengan listing: terbaru dulu
+  const vouchers = [...claimedVouchers, ...publicVouchers].sort((a, b) =>
+    a.created_at < b.created_at ? 1 : a.created_at > b.created_at ? -1 : 0
+  );
+  const eligible = [];
+
+  for (const voucher of vouchers) {
+    const claimed = claimedAt.has(voucher.id);
+    if (!checkVoucherState(voucher, now, { claimed }).ok) continue;
+
+    if (checkEligibility(voucher.eligibility, user, history)) continue;
+
+    const usage = usageByVoucher.get(voucher.id) || { count: 0, last_redeemed_at: null };
+    const { remaining, next_available_at } = describeUserUsage(voucher, usage, now);
+    if (remaining === 0) continue;
+
+    eligible.push({
+      ...voucher,
+      user_remaining_redemptions: remaining,
+      user_next_available_at: next_available_at,
+      claimed,
+      claimed_at: claimedAt.get(voucher.id) || null,
+    });
+  }
+
+  return eligible;
+}
+
+module.exports = {
+  REASON_MESSAGES,
+  slotsTaken,
+  remainingBudget,
+  loadRemainingBudget,
+  capDiscount,
+  toVoucherCurrency,
+  bookingAmounts,
+  bookedDiscount,
+  startOfDay,
+  describeUserUsage,
+  voucherStatus,
+  checkVoucherState,
+  checkUserEligibility,
+  checkUserUsage,
+  checkRedemption,
+  listEligibleVouchers,
+};
@@ -0,0 +1,89 @@
+const { slotsTaken, remainingBudget } = require("./redemption");
+
+/**
+ * Report performa voucher dari aggregate voucher_redemptions
+ * (order_amount / discount_amount / final_amount, lihat RedemptionStore.aggregate)
+ */
+
+const BUCKET_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+};
+
+// Urutan kolom metric untuk JSON & CSV
+const METRIC_COLUMNS = [
+  "redemptions",
+  "pending_redemptions",
+  "reversed_redemptions",
+  "unique_users",
+  "gross_order_value",
+  "total_discount",
+  "net_order_value",
+  "reversed_discount",
+  "average_order_value",
+  "average_discount",
+];
+
+/**
+ * Row aggregate dari storage -> metric report
+ * @param {object | undefined} row - undefined = tidak ada redemption di periode ini
+ */
+function describeMetrics(row) {
+  const redemptions = Number(row?.redemptions || 0);
+  const gross = Number(row?.gross_order_value || 0);
+  const discount = Number(row?.total_discount || 0);
+
+  return {
+    redemptions,
+    pending_redemptions: Number(row?.pending || 0),
+    reversed_redemptions: Number(row?.reversed || 0),
+    unique_users: Number(row?.unique_users || 0),
+    gross_order_value: gross,
+    total_discount: discount,
+    net_order_value: Number(row?.net_order_value || 0),
+    reversed_discount: Number(row?.reversed_discount || 0),
+    average_order_value: redemptions > 0 ? Math.round(gross / redemptions) : 0,
+    average_discount: redemptions > 0 ? Math.round(discount / redemptions) : 0,
+  };
+}
+
+/**
+ * Sisa quota & budget discount voucher saat ini (bukan per periode)
+ */
+function describeRemaining(voucher) {
+  return {
+    max_total_redemptions: voucher.max_total_redemptions,
+    remaining_redemptions: Math.max(voucher.max_total_redemptions - slotsTaken(voucher), 0),
+    max_total_discount_amount: voucher.max_total_discount_amount ?? null,
+    total_discount_given: voucher.total_discount_given || 0,
+    remaining_discount_budget: remainingBudget(voucher),
+  };
+}
+
+/**
+ * Time series per bucket, bucket kosong di antara bucket pertama & terakhir diisi 0
+ * supaya bisa langsung dipakai untuk chart
+ * @param {object[]} rows - hasil aggregate dengan groupBy "hour" / "day"
+ * @param {"hour" | "day"} bucket
+ */
+function buildTimeSeries(rows, bucket) {
+  if (rows.length === 0) return [];
+
+  const byKey = new Map(rows.map((row) => [new Date(row.key).getTime(), row]));
+  const first = Math.min(...byKey.keys());
+  const last = Math.max(...byKey.keys());
+  const series = [];
+
+  for (let time = first; time <= last; time += BUCKET_MS[bucket]) {
+    series.push({ bucket: new Date(time).toISOString(), ...describeMetrics(byKey.get(time)) });
+  }
+
+  return series;
+}
+
+module.exports = {
+  METRIC_COLUMNS,
+  describeMetrics,
+  describeRemaining,
+  buildTimeSeries,
+};
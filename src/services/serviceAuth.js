@@ -0,0 +1,152 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { z } = require("zod");
+
+/**
+ * Auth service-to-service (client credentials)
+ * Backend lain (checkout, order service, dll) tukar client_id + client_secret di
+ * POST /auth/token, lalu pakai JWT (HS256, diverifikasi lokal) sebagai Bearer token
+ *
+ * Client didaftarkan lewat env SERVICE_CLIENTS (JSON array):
+ *   [{ "client_id": "checkout", "client_secret": "...", "scopes": ["vouchers:read", "vouchers:redeem"] }]
+ */
+
+const SERVICE_SCOPES = ["vouchers:read", "vouchers:redeem", "redemptions:refund"];
+
+const SERVICE_TOKEN_TTL_SECONDS = parseInt(process.env.SERVICE_TOKEN_TTL_SECONDS || "3600", 10);
+const TOKEN_ISSUER = "voucher-service";
+const TOKEN_AUDIENCE = "voucher-service";
+
+const serviceClientSchema = z.object({
+  client_id: z.string().min(1).max(100),
+  client_secret: z.string().min(32, "client_secret minimal 32 karakter"),
+  scopes: z.array(z.enum(SERVICE_SCOPES)).min(1),
+});
+
+let clients = null;
+
+/**
+ * Daftar client dari env SERVICE_CLIENTS (dibaca sekali, throw kalau format salah)
+ */
+function getServiceClients() {
+  if (!clients) {
+    const raw = process.env.SERVICE_CLIENTS;
+    clients = raw ? z.array(serviceClientSchema).parse(JSON.parse(raw)) : [];
+  }
+
+  return clients;
+}
+
+function findClient(clientId) {
+  return getServiceClients().find((client) => client.client_id === clientId) || null;
+}
+
+/**
+ * @returns {string | null} null = SERVICE_JWT_SECRET / JWT_SECRET belum di-set
+ */
+function getSigningSecret() {
+  return process.env.SERVICE_JWT_SECRET || process.env.JWT_SECRET || null;
+}
+
+/**
+ * Token service bisa diterbitkan & diverifikasi? (tanpa secret = 503 KEY_UNAVAILABLE)
+ */
+function hasSigningSecret() {
+  return getSigningSecret() !== null;
+}
+
+// Bandingkan digest supaya panjang selalu sama (timingSafeEqual butuh buffer sama panjang)
+function sameSecret(a, b) {
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Cek client_id + client_secret
+ * @returns {object | null} client, null kalau credential salah
+ */
+function authenticateClient(clientId, clientSecret) {
+  const client = findClient(clientId);
+  // Secret tetap dibandingkan walaupun client tidak ada, waktu respon tidak membocorkan client_id
+  const valid = sameSecret(clientSecret, client ? client.client_secret : "");
+
+  return client && valid ? client : null;
+}
+
+/**
+ * Buat access token untuk client
+ * @param {string[]} [scopes] - subset dari scope client, default semua scope client
+ * @returns {{ access_token, expires_in, scope } | { reason: "INVALID_SCOPE", scopes: string[] } | { reason: "KEY_UNAVAILABLE" }}
+ */
+function issueServiceToken(client, scopes = client.scopes) {
+  const invalid = scopes.filter((scope) => !client.scopes.includes(scope));
+  if (invalid.length > 0) {
+    return { reason: "INVALID_SCOPE", scopes: invalid };
+  }
+
+  const secret = getSigningSecret();
+  if (!secret) {
+    return { reason: "KEY_UNAVAILABLE" };
+  }
+
+  const scope = [...new Set(scopes)].join(" ");
+  const accessToken = jwt.sign({ scope, token_use: "service" }, secret, {
+    algorithm: "HS256",
+    subject: client.client_id,
+    issuer: TOKEN_ISSUER,
+    audience: TOKEN_AUDIENCE,
+    expiresIn: SERVICE_TOKEN_TTL_SECONDS,
+  });
+
+  return { access_token: accessToken, expires_in: SERVICE_TOKEN_TTL_SECONDS, scope };
+}
+
+/**
+ * Token dari POST /auth/token? (hanya decode, belum diverifikasi)
+ */
+function isServiceToken(token) {
+  const payload = jwt.decode(token);
+  return Boolean(payload && typeof payload === "object" && payload.token_use === "service");
+}
+
+/**
+ * Verifikasi signature, issuer, audience & expiry token service
+ * Scope dipotong lagi ke scope client saat ini, jadi scope / client yang dicabut
+ * dari SERVICE_CLIENTS langsung berlaku tanpa menunggu token expired
+ * @returns {{ id: string, scopes: string[] } | null} null kalau token tidak valid / secret belum di-set
+ */
+function verifyServiceToken(token) {
+  const secret = getSigningSecret();
+  if (!secret) return null;
+
+  let payload;
+  try {
+    payload = jwt.verify(token, secret, {
+      algorithms: ["HS256"],
+      issuer: TOKEN_ISSUER,
+      audience: TOKEN_AUDIENCE,
+    });
+  } catch {
+    return null;
+  }
+
+  const client = payload.token_use === "service" ? findClient(payload.sub) : null;
+  if (!client) return null;
+
+  return {
+    id: client.client_id,
+    scopes: String(payload.scope || "")
+      .split(" ")
+      .filter((scope) => client.scopes.includes(scope)),
+  };
+}
+
+module.exports = {
+  SERVICE_SCOPES,
+  getServiceClients,
+  hasSigningSecret,
+  authenticateClient,
+  issueServiceToken,
+  isServiceToken,
+  verifyServiceToken,
+};
@@ -0,0 +1,251 @@
+/**
+ * Stacking: beberapa voucher dalam 1 order
+ *
+ * voucher.stacking = {
+ *   mode: "EXCLUSIVE" | "STACKABLE",  // EXCLUSIVE = hanya bisa dipakai sendirian
+ *   group?: string,                   // maksimal 1 voucher per group dalam 1 order
+ *   priority: number,                 // makin besar makin dulu dihitung (seri = urutan request)
+ *   calculation: "COMPOUND" | "SUM",  // COMPOUND = dari sisa harga setelah voucher sebelumnya,
+ *                                     // SUM = dari harga awal
+ * }
+ * stacking null = EXCLUSIVE. Total discount tidak pernah melebihi harga item / ongkir
+ */
+
+const { calculateDiscount } = require("./discounts");
+const { lineTotal, eligibleLines, describeAllocation } = require("./cart");
+const { REASON_MESSAGES, checkRedemption, capDiscount } = require("./redemption");
+const { formatAmount } = require("./currency");
+
+const MAX_STACKED_VOUCHERS = 5;
+
+const STACKING_DEFAULTS = {
+  mode: "EXCLUSIVE",
+  group: null,
+  priority: 0,
+  calculation: "COMPOUND",
+};
+
+function reject(reason, message = REASON_MESSAGES[reason], details = {}) {
+  return { ok: false, reason, message, details };
+}
+
+function stackingOf(voucher) {
+  return { ...STACKING_DEFAULTS, ...voucher.stacking };
+}
+
+/**
+ * Cek apakah voucher-voucher ini boleh dipakai bersama dalam 1 order
+ * @returns {{ ok: true } | { ok: false, reason, message, details }}
+ */
+function checkCombination(vouchers) {
+  if (vouchers.length < 2) return { ok: true };
+
+  const exclusive = vouchers.find((voucher) => stackingOf(voucher).mode !== "STACKABLE");
+  if (exclusive) {
+    return reject(
+      "VOUCHER_NOT_STACKABLE",
+      `Voucher '${exclusive.code}' tidak bisa digabung dengan voucher lain`,
+      { code: exclusive.code }
+    );
+  }
+
+  const currencies = [...new Set(vouchers.map((voucher) => voucher.currency))];
+  if (currencies.length > 1) {
+    return reject("CURRENCY_MISMATCH", undefined, { currencies });
+  }
+
+  const groups = new Map();
+  for (const voucher of vouchers) {
+    const { group } = stackingOf(voucher);
+    if (group) groups.set(group, [...(groups.get(group) || []), voucher.code]);
+  }
+
+  for (const [group, codes] of groups) {
+    if (codes.length > 1) {
+      return reject(
+        "STACK_GROUP_CONFLICT",
+        `Voucher ${codes.join(", ")} ada di grup '${group}', hanya 1 yang bisa dipakai`,
+        { group, codes }
+      );
+    }
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Urutan hitung: priority terbesar dulu, seri = urutan di request
+ */
+function sortByPriority(checks) {
+  return checks
+    .map((check, index) => ({ check, index }))
+    .sort(
+      (a, b) =>
+        stackingOf(b.check.voucher).priority - stackingOf(a.check.voucher).priority || a.index - b.index
+    )
+    .map(({ check }) => check);
+}
+
+/**
+ * Hitung discount 1 voucher terhadap harga `base` (harga awal / sisa setelah voucher
+ * sebelumnya), lalu potong supaya tidak melebihi harga yang tersisa (`remaining`)
+ * @param {{ lines: number[] | null, amount: number, delivery: number }} base
+ * @param {{ lines: number[] | null, amount: number, delivery: number }} remaining
+ */
+function priceAgainst(voucher, order, base, remaining) {
+  // Harga per baris diganti harga base, qty tetap (dipakai BUY_X_GET_Y)
+  const items = order.items
+    ? order.items.map((item, line) => ({ ...item, unit_price: base.lines[line] / item.qty }))
+    : null;
+  const cart = items ? eligibleLines(voucher, items) : null;
+  const eligibleAmount = cart
+    ? cart.items.reduce((sum, item) => sum + base.lines[item.line], 0)
+    : base.amount;
+
+  const discount = calculateDiscount(voucher, {
+    order_amount: eligibleAmount,
+    delivery_fee: base.delivery,
+    items: cart ? cart.items : undefined,
+  });
+
+  if (discount.reason) return discount;
+
+  const deliveryDiscount = Math.min(discount.delivery_discount_amount, remaining.delivery);
+  const itemDiscounts = cart
+    ? cart.items.map((item, i) => Math.min(discount.item_discounts[i], remaining.lines[item.line]))
+    : null;
+  const itemDiscount = itemDiscounts
+    ? itemDiscounts.reduce((sum, amount) => sum + amount, 0)
+    : Math.min(discount.discount_amount - discount.delivery_discount_amount, remaining.amount);
+
+  return {
+    eligible_amount: eligibleAmount,
+    discount_amount: itemDiscount + deliveryDiscount,
+    delivery_discount_amount: deliveryDiscount,
+    allocation: cart ? describeAllocation(order.items, cart.items, itemDiscounts) : null,
+  };
+}
+
+/**
+ * Total order dari hasil per voucher
+ * allocation = total discount per baris cart dari semua voucher
+ */
+function summarizeStack(order, vouchers) {
+  const entries = vouchers.map(({ final_amount, ...entry }) => entry);
+  const discountAmount = entries.reduce((sum, entry) => sum + entry.discount_amount, 0);
+
+  return {
+    vouchers: entries,
+    discount_amount: discountAmount,
+    delivery_discount_amount: entries.reduce((sum, entry) => sum + entry.delivery_discount_amount, 0),
+    final_amount: order.order_amount + (order.delivery_fee || 0) - discountAmount,
+    allocation: order.items
+      ? describeAllocation(order.items, [], []).map((line) => ({
+          ...line,
+          eligible: entries.some((entry) => entry.allocation[line.line].eligible),
+          discount_amount: entries.reduce((sum, entry) => sum + entry.allocation[line.line].discount_amount, 0),
+        }))
+      : null,
+  };
+}
+
+/**
+ * Jalankan semua cek untuk beberapa code dalam 1 order dan hitung discount berurutan
+ * Tiap code tetap melewati semua cek checkRedemption (status, eligibility, limit,
+ * min order terhadap harga awal), lalu kombinasinya dicek dengan checkCombination
+ * Hanya membaca data, quota & budget dicek ulang secara atomic di storage.redemptions.reserveMany()
+ *
+ * @param {{ codes: string[], user, order, now?: Date }} params
+ * Semua voucher harus bermata uang sama, nominal dihitung dalam mata uang order (lihat checkRedemption)
+ *
+ * @returns {Promise<{ ok: true, currency, voucher_currency, exchange_rate, vouchers: object[], discount_amount,
+ *   delivery_discount_amount, final_amount, allocation } | { ok: false, reason, message, details }>}
+ *   vouchers = hasil per voucher sesuai urutan hitung ({ voucher, priced, stacking, discount_amount, ... }),
+ *   details.code = code yang ditolak
+ */
+async function checkStack(storage, { codes, user, order, now = new Date() }) {
+  const seen = new Set();
+  for (const code of codes) {
+    if (seen.has(code.toUpperCase())) {
+      return reject("DUPLICATE_CODE", undefined, { code });
+    }
+    seen.add(code.toUpperCase());
+  }
+
+  const checks = [];
+  for (const code of codes) {
+    const check = await checkRedemption(storage, { code, user, order, now });
+
+    if (!check.ok) {
+      return reject(check.reason, check.message, { ...check.details, code: check.voucher?.code || code });
+    }
+    checks.push(check);
+  }
+
+  const combination = checkCombination(checks.map((check) => check.voucher));
+  if (!combination.ok) return combination;
+
+  const original = {
+    lines: order.items ? order.items.map(lineTotal) : null,
+    amount: order.order_amount,
+    delivery: order.delivery_fee || 0,
+  };
+  const remaining = { ...original, lines: original.lines && [...original.lines] };
+  const vouchers = [];
+
+  for (const check of sortByPriority(checks)) {
+    const { voucher, priced } = check;
+    const stacking = stackingOf(voucher);
+    const discount = priceAgainst(priced, order, stacking.calculation === "SUM" ? original : remaining, remaining);
+
+    if (discount.reason) {
+      const message = discount.reason === "MIN_ORDER_NOT_MET"
+        ? `Minimum order amount adalah ${formatAmount(discount.details.min_order_amount, check.currency)}`
+        : undefined;
+
+      return reject(discount.reason, message, { ...discount.details, code: voucher.code });
+    }
+
+    const entry = { voucher, priced, stacking, ...discount, budget_capped: false };
+    const capped = check.discount_budget === null ? entry : capDiscount(entry, check.discount_budget);
+
+    if (capped.discount_amount === 0) {
+      return reject("NOTHING_TO_DISCOUNT", undefined, { code: voucher.code });
+    }
+
+    remaining.amount -= capped.discount_amount - capped.delivery_discount_amount;
+    remaining.delivery -= capped.delivery_discount_amount;
+    for (const line of capped.allocation || []) {
+      remaining.lines[line.line] -= line.discount_amount;
+    }
+
+    vouchers.push(capped);
+  }
+
+  const { currency, voucher_currency, exchange_rate } = checks[0];
+
+  return { ok: true, currency, voucher_currency, exchange_rate, ...summarizeStack(order, vouchers) };
+}
+
+/**
+ * Sesuaikan hasil checkStack dengan discount yang tercatat di storage
+ * (bisa lebih kecil kalau budget sudah terpakai redemption lain)
+ * @param {number[]} amounts - discount per voucher, sejajar dengan stack.vouchers
+ */
+function capStack(order, stack, amounts) {
+  return {
+    ...stack,
+    ...summarizeStack(
+      order,
+      stack.vouchers.map((entry, i) => capDiscount(entry, amounts[i]))
+    ),
+  };
+}
+
+module.exports = {
+  MAX_STACKED_VOUCHERS,
+  stackingOf,
+  checkCombination,
+  checkStack,
+  capStack,
+};
@@ -0,0 +1,262 @@
+const { createVoucherSchema, validateVoucherRules } = require("../schemas/voucher");
+const { parseCsv } = require("../lib/csv");
+
+/**
+ * Import / export voucher massal (CSV atau JSON)
+ *
+ * Format export = format import: satu row per voucher dengan kolom TRANSFER_COLUMNS,
+ * field nested (discount_rules, targeting, dll) ditulis sebagai JSON di cell CSV.
+ * Kolom read-only (status & counter redemption) ikut di-export dan diabaikan saat import,
+ * jadi file export bisa langsung di-import ulang (misal pindah environment)
+ */
+
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS || "1000", 10);
+// Batas body request import (format ukuran express, misal "5mb")
+const IMPORT_BODY_LIMIT = process.env.IMPORT_BODY_LIMIT || "5mb";
+
+// Field createVoucherSchema yang bisa di-import
+const IMPORT_COLUMNS = [
+  "code",
+  "name",
+  "description",
+  "discount_type",
+  "discount_value",
+  "discount_rules",
+  "currency",
+  "currency_amounts",
+  "min_order_amount",
+  "max_discount_amount",
+  "max_total_redemptions",
+  "max_total_discount_amount",
+  "max_redemptions_per_user",
+  "per_user_cooldown_seconds",
+  "max_redemptions_per_day",
+  "start_at",
+  "end_at",
+  "is_public",
+  "restaurant_id",
+  "targeting",
+  "eligibility",
+  "stacking",
+  "draft",
+];
+
+// Hanya di export, diabaikan saat import
+const READ_ONLY_COLUMNS = [
+  "status",
+  "total_redeemed",
+  "total_claimed",
+  "total_discount_given",
+  "campaign_id",
+  "created_at",
+];
+
+const TRANSFER_COLUMNS = [...IMPORT_COLUMNS, ...READ_ONLY_COLUMNS];
+
+// Konversi cell CSV per kolom
+const NUMBER_COLUMNS = new Set([
+  "discount_value",
+  "min_order_amount",
+  "max_discount_amount",
+  "max_total_redemptions",
+  "max_total_discount_amount",
+  "max_redemptions_per_user",
+  "per_user_cooldown_seconds",
+  "max_redemptions_per_day",
+]);
+const BOOLEAN_COLUMNS = new Set(["is_public", "draft"]);
+const JSON_COLUMNS = new Set(["discount_rules", "currency_amounts", "targeting", "eligibility", "stacking"]);
+
+// Field yang boleh null: nilai kosong = null (misal max_redemptions_per_user tanpa batas),
+// field lain yang kosong dihapus supaya dapat default schema
+const NULLABLE_COLUMNS = new Set([
+  "discount_rules",
+  "currency_amounts",
+  "targeting",
+  "eligibility",
+  "stacking",
+  "restaurant_id",
+  "max_total_discount_amount",
+  "max_redemptions_per_user",
+]);
+
+/**
+ * Cell CSV -> nilai JS sesuai kolom. Yang gagal dikonversi dibiarkan string
+ * supaya ditolak schema dengan pesan per field
+ */
+function coerceCell(column, value) {
+  const text = value.trim();
+
+  if (text === "") return null;
+  if (NUMBER_COLUMNS.has(column) && /^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  if (BOOLEAN_COLUMNS.has(column) && /^(true|false)$/i.test(text)) return text.toLowerCase() === "true";
+
+  if (JSON_COLUMNS.has(column)) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Row file import -> input createVoucherSchema (kolom read-only dibuang, null / kosong ditangani
+ * sesuai NULLABLE_COLUMNS)
+ * @param {{ csv?: boolean }} [options] - csv: semua cell masih string
+ */
+function toVoucherInput(row, { csv = false } = {}) {
+  if (!row || typeof row !== "object" || Array.isArray(row)) return row;
+
+  const input = {};
+
+  for (const [column, raw] of Object.entries(row)) {
+    if (READ_ONLY_COLUMNS.includes(column)) continue;
+
+    const value = csv ? coerceCell(column, raw) : raw;
+
+    if (value === null) {
+      if (NULLABLE_COLUMNS.has(column)) input[column] = null;
+      continue;
+    }
+
+    input[column] = value;
+  }
+
+  return input;
+}
+
+/**
+ * Ambil row dari body import: string = CSV (Content-Type text/csv), object = JSON { vouchers: [...] }
+ * @returns {{ format: "csv" | "json", rows: object[] } | { error: string }}
+ */
+function parseImportBody(body) {
+  let format;
+  let rows;
+
+  if (typeof body === "string") {
+    format = "csv";
+
+    try {
+      const csv = parseCsv(body);
+
+      if (!csv.columns.includes("code")) {
+        return { error: "Header CSV harus berisi kolom code (lihat format GET /vouchers/export?format=csv)" };
+      }
+
+      rows = csv.rows.map((row) => toVoucherInput(row, { csv: true }));
+    } catch (err) {
+      return { error: err.message };
+    }
+  } else if (Array.isArray(body?.vouchers)) {
+    format = "json";
+    rows = body.vouchers.map((row) => toVoucherInput(row));
+  } else {
+    return { error: "Body harus CSV (Content-Type: text/csv) atau JSON { vouchers: [...] }" };
+  }
+
+  if (rows.length === 0) {
+    return { error: "File import tidak berisi voucher" };
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { error: `Maksimal ${MAX_IMPORT_ROWS} voucher per import (file berisi ${rows.length})` };
+  }
+
+  return { format, rows };
+}
+
+function formatIssue(issue) {
+  return [...issue.path, issue.message].join(": ");
+}
+
+/**
+ * Validasi tiap row seperti POST /vouchers (createVoucherSchema, PERCENT <= 100, urutan tanggal, dll)
+ * ditambah code unik di dalam file (case-insensitive seperti kolom code). Code yang sudah ada
+ * di database dicek terpisah oleh pemanggil
+ * @param {(voucher: object) => string | null} [restrict] - batasan tambahan (scope MERCHANT), boleh mengubah voucher
+ * @returns {{ valid: { row: number, voucher: object, draft: boolean }[], invalid: { row: number, code: string | null, errors: string[] }[] }}
+ *   row = nomor urut voucher di file, mulai 1 (baris setelah header untuk CSV)
+ */
+function validateImportRows(rows, restrict = () => null) {
+  const valid = [];
+  const invalid = [];
+  const seen = new Map();
+
+  rows.forEach((input, i) => {
+    const row = i + 1;
+
+    if (!input || typeof input !== "object" || Array.isArray(input)) {
+      invalid.push({ row, code: null, errors: ["Row harus berupa object voucher"] });
+      return;
+    }
+
+    const code = typeof input.code === "string" ? input.code : null;
+    const errors = [];
+
+    const validation = createVoucherSchema.safeParse(input);
+
+    if (!validation.success) {
+      errors.push(...new Set(validation.error.issues.map(formatIssue)));
+    } else {
+      const { draft, ...voucher } = validation.data;
+      const ruleError = restrict(voucher) || validateVoucherRules(voucher);
+
+      if (ruleError) {
+        errors.push(ruleError);
+      } else {
+        valid.push({ row, voucher, draft });
+      }
+    }
+
+    if (code) {
+      const key = code.toUpperCase();
+
+      if (seen.has(key)) {
+        errors.push(`code: duplikat dengan row ${seen.get(key)}`);
+      } else {
+        seen.set(key, row);
+      }
+    }
+
+    if (errors.length > 0) {
+      invalid.push({ row, code, errors });
+    }
+  });
+
+  const invalidRows = new Set(invalid.map((entry) => entry.row));
+
+  return {
+    valid: valid.filter((entry) => !invalidRows.has(entry.row)),
+    invalid,
+  };
+}
+
+function toIsoOrNull(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Voucher dari storage -> row export (kolom TRANSFER_COLUMNS)
+ */
+function toExportRow(voucher) {
+  const row = Object.fromEntries(TRANSFER_COLUMNS.map((column) => [column, voucher[column] ?? null]));
+
+  return {
+    ...row,
+    start_at: toIsoOrNull(voucher.start_at),
+    end_at: toIsoOrNull(voucher.end_at),
+    draft: voucher.status === "DRAFT",
+  };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_BODY_LIMIT,
+  TRANSFER_COLUMNS,
+  parseImportBody,
+  validateImportRows,
+  toExportRow,
+};
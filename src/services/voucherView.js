@@ -0,0 +1,72 @@
+/**
+ * Tampilan voucher untuk caller tanpa vouchers:read_all (public, USER, service client)
+ *
+ * Hanya field yang dibutuhkan untuk menampilkan & memakai voucher. Data internal
+ * (pembuat, campaign, budget, alasan nonaktif, archive) tidak ikut, dan eligibility
+ * hanya syarat umum tanpa daftar user_ids / email_domains
+ */
+
+const PUBLIC_VOUCHER_FIELDS = [
+  "id",
+  "code",
+  "name",
+  "description",
+  "discount_type",
+  "discount_value",
+  "discount_rules",
+  "currency",
+  "currency_amounts",
+  "min_order_amount",
+  "max_discount_amount",
+  "max_total_redemptions",
+  "max_redemptions_per_user",
+  "per_user_cooldown_seconds",
+  "max_redemptions_per_day",
+  "start_at",
+  "end_at",
+  "is_public",
+  "is_active",
+  "is_exhausted",
+  "status",
+  "restaurant_id",
+  "targeting",
+  "stacking",
+  "created_at",
+];
+
+// Syarat eligibility yang boleh diketahui user (tanpa allow-list)
+const PUBLIC_ELIGIBILITY_FIELDS = ["first_order_only", "registered_after", "registered_before"];
+
+function pick(object, fields) {
+  return Object.fromEntries(fields.filter((field) => field in object).map((field) => [field, object[field]]));
+}
+
+/**
+ * @param {object} voucher - row voucher dari storage
+ * @returns {object} voucher dengan PUBLIC_VOUCHER_FIELDS + eligibility umum
+ */
+function toPublicVoucher(voucher) {
+  return {
+    ...pick(voucher, PUBLIC_VOUCHER_FIELDS),
+    eligibility: voucher.eligibility ? pick(voucher.eligibility, PUBLIC_ELIGIBILITY_FIELDS) : null,
+  };
+}
+
+/**
+ * Hasil listEligibleVouchers (voucher + sisa pemakaian & claim user) -> tampilan public
+ */
+function toPublicEligibleVoucher({ user_remaining_redemptions, user_next_available_at, claimed, claimed_at, ...voucher }) {
+  return {
+    ...toPublicVoucher(voucher),
+    user_remaining_redemptions,
+    user_next_available_at,
+    claimed,
+    claimed_at,
+  };
+}
+
+module.exports = {
+  PUBLIC_VOUCHER_FIELDS,
+  toPublicVoucher,
+  toPublicEligibleVoucher,
+};
@@ -0,0 +1,225 @@
+const crypto = require("crypto");
+
+/**
+ * Outbound webhook
+ *
+ * Event ditulis ke webhook_events (outbox) oleh trigger database, di transaction yang sama dengan
+ * perubahan voucher / redemption (lihat migrations/019_webhooks.sql). Worker:
+ * 1. dispatch: event baru -> 1 delivery per endpoint aktif yang filter event-nya cocok
+ * 2. deliver: POST JSON ke endpoint + signature HMAC-SHA256, gagal (non-2xx / timeout) = retry
+ *    dengan backoff eksponensial, setelah WEBHOOK_MAX_ATTEMPTS percobaan delivery jadi DEAD
+ *    (dead letter, bisa di-replay manual)
+ *
+ * Signature: X-Webhook-Signature = "sha256=" + hex(HMAC-SHA256(secret, `${timestamp}.${body}`)),
+ * timestamp = X-Webhook-Timestamp (detik unix)
+ */
+
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "8", 10);
+const WEBHOOK_RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || "30", 10);
+const WEBHOOK_RETRY_MAX_SECONDS = parseInt(process.env.WEBHOOK_RETRY_MAX_SECONDS || "3600", 10);
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || "10000", 10);
+
+// Jumlah event / delivery per putaran worker
+const WEBHOOK_BATCH_SIZE = 100;
+// Delivery yang sedang dikirim tidak diambil worker lain selama ini
+const DELIVERY_LOCK_SECONDS = Math.ceil(WEBHOOK_TIMEOUT_MS / 1000) + 30;
+
+const WEBHOOK_EVENT_TYPES = [
+  "voucher.created",
+  "voucher.updated",
+  "voucher.deleted",
+  // Perpindahan status lifecycle (services/lifecycle.js)
+  "voucher.scheduled",
+  "voucher.active",
+  "voucher.paused",
+  "voucher.exhausted",
+  "voucher.expired",
+  "voucher.archived",
+  "redemption.reserved",
+  "redemption.succeeded",
+  "redemption.cancelled",
+  "redemption.refunded",
+  "redemption.expired",
+];
+
+/**
+ * Filter event endpoint: "*", "voucher.*" (prefix) atau nama event persis
+ */
+function isValidEventPattern(pattern) {
+  if (pattern === "*") return true;
+  if (pattern.endsWith(".*")) {
+    return WEBHOOK_EVENT_TYPES.some((type) => type.startsWith(pattern.slice(0, -1)));
+  }
+  return WEBHOOK_EVENT_TYPES.includes(pattern);
+}
+
+function matchesEvent(patterns, eventType) {
+  return patterns.some(
+    (pattern) =>
+      pattern === "*" ||
+      pattern === eventType ||
+      (pattern.endsWith(".*") && eventType.startsWith(pattern.slice(0, -1)))
+  );
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * Jeda sebelum percobaan berikutnya: base * 2^(attempts - 1), maksimal WEBHOOK_RETRY_MAX_SECONDS
+ */
+function retryDelaySeconds(attempts) {
+  return Math.min(WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_SECONDS);
+}
+
+/**
+ * Body JSON yang dikirim ke endpoint (sama untuk semua endpoint & semua percobaan)
+ */
+function eventBody(event) {
+  return JSON.stringify({
+    id: event.id,
+    type: event.event_type,
+    created_at: event.created_at,
+    data: event.payload,
+  });
+}
+
+/**
+ * Kirim 1 delivery
+ * @returns {Promise<{ ok: boolean, statusCode: number | null, error: string | null }>}
+ */
+async function sendDelivery(endpoint, event, delivery) {
+  const body = eventBody(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await fetch(endpoint.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "voucher-service-webhook",
+        "X-Webhook-Event": event.event_type,
+        "X-Webhook-Event-Id": String(event.id),
+        "X-Webhook-Delivery-Id": String(delivery.id),
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${signPayload(endpoint.secret, timestamp, body)}`,
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+
+    // Body response tidak dipakai, cukup dibuang
+    await response.body?.cancel();
+
+    return response.ok
+      ? { ok: true, statusCode: response.status, error: null }
+      : { ok: false, statusCode: response.status, error: `HTTP ${response.status}` };
+  } catch (err) {
+    return { ok: false, statusCode: null, error: err.name === "TimeoutError" ? "Timeout" : err.message };
+  }
+}
+
+/**
+ * Perubahan kolom delivery setelah 1 percobaan
+ */
+function attemptResult(delivery, outcome, now = new Date()) {
+  const attempts = delivery.attempts + 1;
+  const changes = {
+    attempts,
+    last_attempt_at: now.toISOString(),
+    last_status_code: outcome.statusCode,
+    last_error: outcome.error,
+  };
+
+  if (outcome.ok) return { ...changes, status: "DELIVERED", delivered_at: now.toISOString() };
+  if (attempts >= WEBHOOK_MAX_ATTEMPTS) return { ...changes, status: "DEAD" };
+
+  return {
+    ...changes,
+    next_attempt_at: new Date(now.getTime() + retryDelaySeconds(attempts) * 1000).toISOString(),
+  };
+}
+
+/**
+ * Buat delivery untuk event yang belum di-dispatch
+ * @returns {Promise<{ data: number | null, error }>} jumlah event yang di-dispatch
+ */
+async function dispatchEvents(storage) {
+  const { data: events, error } = await storage.webhooks.listUndispatched(WEBHOOK_BATCH_SIZE);
+  if (error) return { data: null, error };
+  if (events.length === 0) return { data: 0, error: null };
+
+  const { data: endpoints, error: endpointsError } = await storage.webhooks.listEndpoints();
+  if (endpointsError) return { data: null, error: endpointsError };
+
+  const active = endpoints.filter((endpoint) => endpoint.is_active);
+
+  for (const event of events) {
+    const endpointIds = active
+      .filter((endpoint) => matchesEvent(endpoint.events, event.event_type))
+      .map((endpoint) => endpoint.id);
+
+    const { error: dispatchError } = await storage.webhooks.dispatch(event.id, endpointIds);
+    if (dispatchError) return { data: null, error: dispatchError };
+  }
+
+  return { data: events.length, error: null };
+}
+
+/**
+ * Kirim delivery yang sudah waktunya (baru / retry)
+ * Endpoint yang dinonaktifkan / event yang hilang = delivery langsung DEAD
+ * @returns {Promise<{ data: { delivered: number, failed: number } | null, error }>}
+ */
+async function deliverDue(storage) {
+  const { data: deliveries, error } = await storage.webhooks.claimDue(WEBHOOK_BATCH_SIZE, DELIVERY_LOCK_SECONDS);
+  if (error) return { data: null, error };
+  if (deliveries.length === 0) return { data: { delivered: 0, failed: 0 }, error: null };
+
+  const [events, endpoints] = await Promise.all([
+    storage.webhooks.findEvents([...new Set(deliveries.map((delivery) => delivery.event_id))]),
+    storage.webhooks.listEndpoints(),
+  ]);
+  if (events.error || endpoints.error) return { data: null, error: events.error || endpoints.error };
+
+  const eventsById = new Map(events.data.map((event) => [event.id, event]));
+  const endpointsById = new Map(endpoints.data.map((endpoint) => [endpoint.id, endpoint]));
+  const summary = { delivered: 0, failed: 0 };
+
+  await Promise.all(
+    deliveries.map(async (delivery) => {
+      const event = eventsById.get(delivery.event_id);
+      const endpoint = endpointsById.get(delivery.endpoint_id);
+
+      const changes = !event || !endpoint?.is_active
+        ? { status: "DEAD", last_error: event ? "Endpoint nonaktif" : "Event tidak ditemukan" }
+        : attemptResult(delivery, await sendDelivery(endpoint, event, delivery));
+
+      const { error: updateError } = await storage.webhooks.updateDelivery(delivery.id, changes);
+      if (updateError) console.error("❌ Error saving webhook delivery:", updateError);
+
+      if (changes.status === "DELIVERED") summary.delivered++;
+      else summary.failed++;
+    })
+  );
+
+  return { data: summary, error: null };
+}
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  WEBHOOK_MAX_ATTEMPTS,
+  isValidEventPattern,
+  matchesEvent,
+  generateSecret,
+  signPayload,
+  retryDelaySeconds,
+  dispatchEvents,
+  deliverDue,
+};
@@ -0,0 +1,62 @@
+/**
+ * Storage layer untuk Voucher Service
+ *
+ * Setiap backend menyediakan store yang sama:
+ * - vouchers    (VoucherStore)
+ * - redemptions (RedemptionStore)
+ * - profiles    (ProfileStore)
+ * - campaigns   (CampaignStore)
+ * - claims      (ClaimStore)
+ * - idempotency (IdempotencyStore)
+ * - audit       (AuditStore)
+ * - webhooks    (WebhookStore)
+ * - abuse       (AbuseStore)
+ *
+ * Semua method async dan return { data, error } seperti Supabase client,
+ * jadi handler tidak perlu tahu backend mana yang dipakai.
+ *
+ * Backend dipilih via env STORAGE_DRIVER: "supabase" (default) atau "sqlite".
+ */
+
+const DRIVERS = ["supabase", "sqlite"];
+
+let storage = null;
+
+/**
+ * Buat storage baru sesuai config
+ * @param {{ driver?: string, sqlitePath?: string }} [config]
+ */
+function createStorage(config = {}) {
+  const driver = config.driver || process.env.STORAGE_DRIVER || "supabase";
+
+  if (!DRIVERS.includes(driver)) {
+    throw new Error(`STORAGE_DRIVER tidak dikenal: '${driver}' (pilihan: ${DRIVERS.join(", ")})`);
+  }
+
+  if (driver === "sqlite") {
+    const { createSqliteStorage } = require("./sqlite");
+    return createSqliteStorage({
+      path: config.sqlitePath || process.env.SQLITE_PATH || "data/voucher.db",
+    });
+  }
+
+  const { getSupabase } = require("../lib/supabase");
+  const { createSupabaseStorage } = require("./supabase");
+  return createSupabaseStorage(getSupabase());
+}
+
+/**
+ * Storage default untuk aplikasi (dibuat sekali dari env)
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+
+  return storage;
+}
+
+module.exports = {
+  createStorage,
+  getStorage,
+};
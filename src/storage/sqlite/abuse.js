@@ -0,0 +1,76 @@
+const { result, createMapper } = require("./db");
+
+const mapper = createMapper({
+  json: ["details"],
+});
+
+/**
+ * AbuseStore - tabel abuse_flags di SQLite
+ * @param {import("better-sqlite3").Database} db
+ */
+function createAbuseStore(db) {
+  const insert = db.prepare(
+    `INSERT INTO abuse_flags (kind, subject, ip, user_id, request_id, details)
+     VALUES (@kind, @subject, @ip, @user_id, @request_id, @details)
+     RETURNING *`
+  );
+
+  return {
+    /**
+     * Catat pola mencurigakan
+     * @param {{ kind: string, subject: string, ip?: string, user_id?: string, request_id?: string,
+     *   details?: object }} flag
+     */
+    async flag(flag) {
+      return result(() =>
+        mapper.fromRow(
+          insert.get({
+            ip: null,
+            user_id: null,
+            request_id: null,
+            ...mapper.toRow({ ...flag, details: flag.details || {} }),
+          })
+        )
+      );
+    },
+
+    /**
+     * Flag terbaru dulu, keyset pagination by id
+     * @param {{ kind?: string, subject?: string }} filters
+     * @param {{ limit: number, beforeId?: number }} page
+     */
+    async list(filters, page) {
+      return result(() => {
+        const where = [];
+        const params = { limit: page.limit };
+
+        if (filters.kind) {
+          where.push("kind = @kind");
+          params.kind = filters.kind;
+        }
+        if (filters.subject) {
+          where.push("subject = @subject");
+          params.subject = filters.subject;
+        }
+        if (page.beforeId) {
+          where.push("id < @before_id");
+          params.before_id = page.beforeId;
+        }
+
+        return db
+          .prepare(
+            `SELECT * FROM abuse_flags
+             ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+             ORDER BY id DESC
+             LIMIT @limit`
+          )
+          .all(params)
+          .map(mapper.fromRow);
+      });
+    },
+  };
+}
+
+module.exports = {
+  createAbuseStore,
+};
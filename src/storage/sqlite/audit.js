@@ -0,0 +1,102 @@
+const { result, createMapper } = require("./db");
+
+const mapper = createMapper({
+  json: ["changes", "metadata"],
+});
+
+/**
+ * AuditStore - tabel audit_log di SQLite (append-only, UPDATE / DELETE ditolak trigger)
+ * @param {import("better-sqlite3").Database} db
+ */
+function createAuditStore(db) {
+  const insert = db.prepare(
+    `INSERT INTO audit_log
+       (entity_type, entity_id, voucher_id, action, actor_id, actor_role, request_id, changes, metadata)
+     VALUES
+       (@entity_type, @entity_id, @voucher_id, @action, @actor_id, @actor_role, @request_id, @changes, @metadata)
+     RETURNING *`
+  );
+
+  const appendMany = db.transaction((entries) =>
+    entries.map((entry) =>
+      insert.get({
+        voucher_id: null,
+        actor_id: null,
+        actor_role: null,
+        request_id: null,
+        metadata: null,
+        ...mapper.toRow({ ...entry, changes: entry.changes || {} }),
+      })
+    )
+  );
+
+  return {
+    /**
+     * Tambah entry audit (1 transaction untuk semua entry)
+     * @param {object[]} entries - { entity_type, entity_id, voucher_id?, action, actor_id?, actor_role?,
+     *   request_id?, changes, metadata? }
+     */
+    async append(entries) {
+      return result(() => appendMany(entries).map(mapper.fromRow));
+    },
+
+    /**
+     * Riwayat audit terbaru dulu, keyset pagination by id
+     * @param {{ voucherId?: string, entityType?: string, entityId?: string, actions?: string[],
+     *   from?: string, to?: string }} filters
+     * @param {{ limit: number, beforeId?: number }} page
+     */
+    async list(filters, page) {
+      return result(() => {
+        const where = [];
+        const params = { limit: page.limit };
+
+        if (filters.voucherId) {
+          where.push("voucher_id = @voucher_id");
+          params.voucher_id = filters.voucherId;
+        }
+        if (filters.entityType) {
+          where.push("entity_type = @entity_type");
+          params.entity_type = filters.entityType;
+        }
+        if (filters.entityId) {
+          where.push("entity_id = @entity_id");
+          params.entity_id = filters.entityId;
+        }
+        if (filters.actions?.length > 0) {
+          const keys = filters.actions.map((action, i) => {
+            params[`action_${i}`] = action;
+            return `@action_${i}`;
+          });
+          where.push(`action IN (${keys.join(", ")})`);
+        }
+        if (filters.from) {
+          where.push("created_at >= @from");
+          params.from = new Date(filters.from).toISOString();
+        }
+        if (filters.to) {
+          where.push("created_at < @to");
+          params.to = new Date(filters.to).toISOString();
+        }
+        if (page.beforeId) {
+          where.push("id < @before_id");
+          params.before_id = page.beforeId;
+        }
+
+        return db
+          .prepare(
+            `SELECT * FROM audit_log
+             ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+             ORDER BY id DESC
+             LIMIT @limit`
+          )
+          .all(params)
+          .map(mapper.fromRow);
+      });
+    },
+  };
+}
+
+module.exports = {
+  createAuditStore,
+};
@@ -0,0 +1,69 @@
+const crypto = require("crypto");
+const { result, createMapper, column, nowIso } = require("./db");
+
+const mapper = createMapper({
+  json: ["discount_rules", "currency_amounts", "targeting", "eligibility", "stacking"],
+  timestamps: ["start_at", "end_at"],
+});
+
+/**
+ * CampaignStore - tabel voucher_campaigns di SQLite
+ * @param {import("better-sqlite3").Database} db
+ */
+function createCampaignStore(db) {
+  return {
+    async list() {
+      return result(() =>
+        db
+          .prepare(
+            `SELECT c.*, (SELECT COUNT(*) FROM vouchers v WHERE v.campaign_id = c.id) AS total_codes
+             FROM voucher_campaigns c
+             ORDER BY c.created_at DESC`
+          )
+          .all()
+          .map(mapper.fromRow)
+      );
+    },
+
+    async findById(id) {
+      return result(() =>
+        mapper.fromRow(
+          db
+            .prepare(
+              `SELECT c.*, (SELECT COUNT(*) FROM vouchers v WHERE v.campaign_id = c.id) AS total_codes
+               FROM voucher_campaigns c
+               WHERE c.id = ?`
+            )
+            .get(id)
+        )
+      );
+    },
+
+    async create(campaign) {
+      return result(() => {
+        const now = nowIso();
+        const row = mapper.toRow({
+          id: crypto.randomUUID(),
+          created_at: now,
+          updated_at: now,
+          ...campaign,
+        });
+        const columns = Object.keys(row).map(column);
+
+        return mapper.fromRow(
+          db
+            .prepare(
+              `INSERT INTO voucher_campaigns (${columns.join(", ")})
+               VALUES (${columns.map((c) => `@${c}`).join(", ")})
+               RETURNING *`
+            )
+            .get(row)
+        );
+      });
+    },
+  };
+}
+
+module.exports = {
+  createCampaignStore,
+};
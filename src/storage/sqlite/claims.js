@@ -0,0 +1,118 @@
+const crypto = require("crypto");
+const { result, createMapper, storageError, nowIso } = require("./db");
+
+const mapper = createMapper({});
+
+/**
+ * ClaimStore - tabel voucher_claims di SQLite (voucher yang disimpan ke wallet user)
+ * Claim & release mengubah vouchers.total_claimed di dalam satu transaction
+ * @param {import("better-sqlite3").Database} db
+ */
+function createClaimStore(db) {
+  const getVoucher = db.prepare("SELECT * FROM vouchers WHERE id = ?");
+  const getActiveClaim = db.prepare(
+    "SELECT * FROM voucher_claims WHERE voucher_id = ? AND user_id = ? AND status = 'CLAIMED'"
+  );
+  const adjustClaimed = db.prepare(
+    "UPDATE vouchers SET total_claimed = total_claimed + @delta, updated_at = @now WHERE id = @id"
+  );
+
+  const claim = db.transaction(({ voucherId, userId }) => {
+    const now = nowIso();
+    const voucher = getVoucher.get(voucherId);
+
+    if (!voucher) throw storageError("VOUCHER_NOT_FOUND");
+    if (voucher.archived_at) throw storageError("VOUCHER_ARCHIVED");
+    if (!voucher.is_active) throw storageError("VOUCHER_INACTIVE");
+    if (voucher.end_at && now > voucher.end_at) throw storageError("VOUCHER_EXPIRED");
+    if (getActiveClaim.get(voucherId, userId)) throw storageError("ALREADY_CLAIMED");
+
+    // Reservasi expired yang belum dilepas sweeper tidak dihitung
+    const expiredHolds = db
+      .prepare(
+        `SELECT COUNT(*) FROM voucher_redemptions
+         WHERE voucher_id = ? AND status = 'RESERVED' AND expires_at <= ?`
+      )
+      .pluck()
+      .get(voucherId, now);
+
+    if (voucher.total_redeemed + voucher.total_claimed - expiredHolds >= voucher.max_total_redemptions) {
+      throw storageError("VOUCHER_EXHAUSTED");
+    }
+
+    const used = db
+      .prepare(
+        `SELECT COUNT(*) FROM voucher_redemptions
+         WHERE voucher_id = ? AND user_id = ? AND status IN ('RESERVED', 'SUCCESS')`
+      )
+      .pluck()
+      .get(voucherId, userId);
+
+    if (voucher.max_redemptions_per_user !== null && used >= voucher.max_redemptions_per_user) {
+      throw storageError("ALREADY_REDEEMED");
+    }
+
+    adjustClaimed.run({ id: voucherId, delta: 1, now });
+
+    return db
+      .prepare(
+        `INSERT INTO voucher_claims (id, voucher_id, user_id, status, claimed_at)
+         VALUES (?, ?, ?, 'CLAIMED', ?)
+         RETURNING *`
+      )
+      .get(crypto.randomUUID(), voucherId, userId, now);
+  });
+
+  const release = db.transaction(({ voucherId, userId }) => {
+    const now = nowIso();
+    const active = getActiveClaim.get(voucherId, userId);
+
+    if (!active) throw storageError("CLAIM_NOT_FOUND");
+
+    adjustClaimed.run({ id: voucherId, delta: -1, now });
+
+    return db
+      .prepare("UPDATE voucher_claims SET status = 'RELEASED', released_at = ? WHERE id = ? RETURNING *")
+      .get(now, active.id);
+  });
+
+  return {
+    async findActive(voucherId, userId) {
+      return result(() => mapper.fromRow(getActiveClaim.get(voucherId, userId)));
+    },
+
+    /**
+     * Claim milik user, default hanya yang masih CLAIMED
+     */
+    async listByUser(userId, statuses = ["CLAIMED"]) {
+      return result(() =>
+        db
+          .prepare(
+            `SELECT * FROM voucher_claims
+             WHERE user_id = ? AND status IN (${statuses.map(() => "?").join(", ")})
+             ORDER BY claimed_at DESC`
+          )
+          .all(userId, ...statuses)
+          .map(mapper.fromRow)
+      );
+    },
+
+    /**
+     * Simpan voucher ke wallet user, 1 slot quota ditahan untuk user ini
+     */
+    async claim(params) {
+      return result(() => mapper.fromRow(claim.immediate(params)));
+    },
+
+    /**
+     * Lepas claim yang belum dipakai, slot kembali ke quota umum
+     */
+    async release(params) {
+      return result(() => mapper.fromRow(release.immediate(params)));
+    },
+  };
+}
+
+module.exports = {
+  createClaimStore,
+};
@@ -0,0 +1,150 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+/**
+ * Buka database SQLite dan jalankan migration yang belum di-apply
+ * @param {string} filename - path file database, atau ":memory:"
+ */
+function openDatabase(filename) {
+  if (filename !== ":memory:") {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+
+  migrate(db);
+
+  return db;
+}
+
+/**
+ * Jalankan file .sql di folder migrations secara berurutan (by nama file)
+ * Versi yang sudah di-apply dicatat di tabel schema_migrations
+ */
+function migrate(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version     TEXT PRIMARY KEY,
+      applied_at  TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )
+  `);
+
+  const applied = new Set(
+    db.prepare("SELECT version FROM schema_migrations").pluck().all()
+  );
+
+  const files = fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => file.endsWith(".sql"))
+    .sort();
+
+  for (const file of files) {
+    const version = path.basename(file, ".sql");
+    if (applied.has(version)) continue;
+
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8");
+
+    db.transaction(() => {
+      db.exec(sql);
+      db.prepare("INSERT INTO schema_migrations (version) VALUES (?)").run(version);
+    })();
+  }
+}
+
+/**
+ * Bungkus operasi sync better-sqlite3 jadi { data, error } seperti Supabase
+ */
+function result(fn) {
+  try {
+    return { data: fn(), error: null };
+  } catch (err) {
+    return {
+      data: null,
+      error: { message: err.message, code: err.code },
+    };
+  }
+}
+
+/**
+ * Error dengan reason code (misal "VOUCHER_EXHAUSTED") untuk dilempar di
+ * dalam transaction, dikembalikan ke handler sebagai error.code
+ */
+function storageError(code, message = code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Mapper antara object JS dan row SQLite untuk satu tabel
+ * @param {{ booleans?: string[], json?: string[], timestamps?: string[] }} columns
+ */
+function createMapper(columns) {
+  const booleans = columns.booleans || [];
+  const json = columns.json || [];
+  const timestamps = columns.timestamps || [];
+
+  return {
+    // object JS -> parameter untuk statement
+    toRow(obj) {
+      const row = {};
+      for (const [key, value] of Object.entries(obj)) {
+        if (value === undefined) continue;
+
+        if (booleans.includes(key) && typeof value === "boolean") {
+          row[key] = value ? 1 : 0;
+        } else if (json.includes(key) && value !== null) {
+          row[key] = JSON.stringify(value);
+        } else if (timestamps.includes(key) && value !== null) {
+          row[key] = new Date(value).toISOString();
+        } else {
+          row[key] = value;
+        }
+      }
+      return row;
+    },
+
+    // row hasil query -> object JS
+    fromRow(row) {
+      if (!row) return null;
+
+      const obj = { ...row };
+      for (const key of booleans) {
+        if (obj[key] !== undefined && obj[key] !== null) obj[key] = Boolean(obj[key]);
+      }
+      for (const key of json) {
+        if (typeof obj[key] === "string") obj[key] = JSON.parse(obj[key]);
+      }
+      return obj;
+    },
+  };
+}
+
+/**
+ * Validasi nama kolom sebelum disusun ke SQL (nama kolom tidak bisa di-bind)
+ */
+function column(name) {
+  if (!/^[a-z_][a-z0-9_]*$/.test(name)) {
+    throw new Error(`Nama kolom tidak valid: '${name}'`);
+  }
+  return name;
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+module.exports = {
+  openDatabase,
+  migrate,
+  result,
+  storageError,
+  createMapper,
+  column,
+  nowIso,
+};
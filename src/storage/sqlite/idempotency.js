@@ -0,0 +1,84 @@
+const { result, createMapper, nowIso } = require("./db");
+
+const mapper = createMapper({
+  json: ["response"],
+});
+
+/**
+ * IdempotencyStore - tabel idempotency_keys di SQLite
+ * @param {import("better-sqlite3").Database} db
+ */
+function createIdempotencyStore(db) {
+  const begin = db.transaction(({ scope, key, requestHash, lockSeconds }) => {
+    const now = nowIso();
+
+    db.prepare(
+      "DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ? AND expires_at <= ?"
+    ).run(scope, key, now);
+
+    const inserted = db
+      .prepare(
+        `INSERT OR IGNORE INTO idempotency_keys (scope, idempotency_key, request_hash, expires_at)
+         VALUES (?, ?, ?, ?)`
+      )
+      .run(scope, key, requestHash, new Date(Date.now() + lockSeconds * 1000).toISOString());
+
+    if (inserted.changes > 0) return null;
+
+    return db
+      .prepare("SELECT * FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?")
+      .get(scope, key);
+  });
+
+  return {
+    /**
+     * Ambil key untuk request baru (key expired dianggap tidak ada)
+     * lockSeconds = lama key ditahan selama request pertama diproses
+     * @returns {{ data: object | null }} null = key berhasil diambil, selain itu row yang sudah ada
+     */
+    async begin(params) {
+      return result(() => mapper.fromRow(begin.immediate(params)));
+    },
+
+    /**
+     * Simpan response request pertama, di-replay sampai ttlSeconds
+     */
+    async complete({ scope, key, statusCode, response, ttlSeconds }) {
+      return result(() => {
+        db.prepare(
+          `UPDATE idempotency_keys SET status_code = @status_code, response = @response, expires_at = @expires_at
+           WHERE scope = @scope AND idempotency_key = @key`
+        ).run({
+          scope,
+          key,
+          ...mapper.toRow({ status_code: statusCode, response }),
+          expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+        });
+        return null;
+      });
+    },
+
+    /**
+     * Lepas key (request pertama gagal), retry diproses ulang
+     */
+    async release(scope, key) {
+      return result(() => {
+        db.prepare("DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?").run(scope, key);
+        return null;
+      });
+    },
+
+    /**
+     * Hapus key yang sudah expired, return jumlahnya
+     */
+    async purgeExpired() {
+      return result(() =>
+        db.prepare("DELETE FROM idempotency_keys WHERE expires_at <= ?").run(nowIso()).changes
+      );
+    },
+  };
+}
+
+module.exports = {
+  createIdempotencyStore,
+};
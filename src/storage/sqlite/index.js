@@ -0,0 +1,37 @@
+const { openDatabase } = require("./db");
+const { createVoucherStore } = require("./vouchers");
+const { createRedemptionStore } = require("./redemptions");
+const { createProfileStore } = require("./profiles");
+const { createCampaignStore } = require("./campaigns");
+const { createClaimStore } = require("./claims");
+const { createIdempotencyStore } = require("./idempotency");
+const { createAuditStore } = require("./audit");
+const { createWebhookStore } = require("./webhooks");
+const { createAbuseStore } = require("./abuse");
+
+/**
+ * Storage backend SQLite lokal (better-sqlite3)
+ * Cocok untuk development dan testing tanpa project Supabase
+ * @param {{ path: string }} options - path file database atau ":memory:"
+ */
+function createSqliteStorage(options) {
+  const db = openDatabase(options.path);
+
+  return {
+    driver: "sqlite",
+    db,
+    vouchers: createVoucherStore(db),
+    redemptions: createRedemptionStore(db),
+    profiles: createProfileStore(db),
+    campaigns: createCampaignStore(db),
+    claims: createClaimStore(db),
+    idempotency: createIdempotencyStore(db),
+    audit: createAuditStore(db),
+    webhooks: createWebhookStore(db),
+    abuse: createAbuseStore(db),
+  };
+}
+
+module.exports = {
+  createSqliteStorage,
+};
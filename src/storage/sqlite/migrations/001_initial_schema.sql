@@ -0,0 +1,45 @@
+-- Schema awal, sama dengan tabel di Supabase (lihat README: Database Schema)
+-- uuid -> TEXT, timestamp -> TEXT (ISO 8601 UTC), boolean -> INTEGER 0/1
+
+CREATE TABLE profiles (
+  id          TEXT PRIMARY KEY,
+  role        TEXT NOT NULL DEFAULT 'USER',
+  full_name   TEXT,
+  created_at  TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at  TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE vouchers (
+  id                     TEXT PRIMARY KEY,
+  code                   TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  name                   TEXT NOT NULL,
+  description            TEXT,
+  discount_type          TEXT NOT NULL,
+  discount_value         INTEGER NOT NULL,
+  currency               TEXT NOT NULL DEFAULT 'IDR',
+  min_order_amount       INTEGER NOT NULL DEFAULT 0,
+  max_discount_amount    INTEGER,
+  max_total_redemptions  INTEGER NOT NULL DEFAULT 1,
+  total_redeemed         INTEGER NOT NULL DEFAULT 0 CHECK (total_redeemed >= 0),
+  start_at               TEXT,
+  end_at                 TEXT,
+  is_active              INTEGER NOT NULL DEFAULT 1,
+  created_by             TEXT REFERENCES profiles (id),
+  created_at             TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at             TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE voucher_redemptions (
+  id               TEXT PRIMARY KEY,
+  voucher_id       TEXT NOT NULL REFERENCES vouchers (id),
+  user_id          TEXT NOT NULL REFERENCES profiles (id),
+  order_id         TEXT,
+  order_amount     INTEGER NOT NULL,
+  discount_amount  INTEGER NOT NULL,
+  final_amount     INTEGER NOT NULL,
+  redeemed_at      TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  status           TEXT NOT NULL DEFAULT 'SUCCESS'
+);
+
+CREATE INDEX idx_voucher_redemptions_voucher_user
+  ON voucher_redemptions (voucher_id, user_id);
@@ -0,0 +1,8 @@
+-- Reservasi voucher (two-phase redeem)
+-- status: RESERVED -> SUCCESS | CANCELLED | EXPIRED
+-- Reservasi RESERVED ikut dihitung di vouchers.total_redeemed sampai di-cancel / expired
+
+ALTER TABLE voucher_redemptions ADD COLUMN expires_at TEXT;
+
+CREATE INDEX idx_voucher_redemptions_status_expires
+  ON voucher_redemptions (status, expires_at);
@@ -0,0 +1,8 @@
+-- Cancel / refund redemption: alasan dan siapa yang mengubah status
+-- CANCELLED dari RESERVED | SUCCESS, REFUNDED dari SUCCESS; quota dikembalikan ke voucher
+
+ALTER TABLE voucher_redemptions ADD COLUMN status_reason TEXT;
+ALTER TABLE voucher_redemptions ADD COLUMN status_changed_by TEXT;
+ALTER TABLE voucher_redemptions ADD COLUMN status_changed_at TEXT;
+
+CREATE INDEX idx_voucher_redemptions_order ON voucher_redemptions (order_id);
@@ -0,0 +1,11 @@
+-- Batas pemakaian per voucher
+-- max_redemptions_per_user: NULL = tidak dibatasi (default 1 = sekali per user)
+-- per_user_cooldown_seconds: jeda minimal antar pemakaian oleh user yang sama
+-- max_redemptions_per_day: cap global per hari
+
+ALTER TABLE vouchers ADD COLUMN max_redemptions_per_user INTEGER DEFAULT 1;
+ALTER TABLE vouchers ADD COLUMN per_user_cooldown_seconds INTEGER;
+ALTER TABLE vouchers ADD COLUMN max_redemptions_per_day INTEGER;
+
+CREATE INDEX idx_voucher_redemptions_voucher_redeemed_at
+  ON voucher_redemptions (voucher_id, redeemed_at);
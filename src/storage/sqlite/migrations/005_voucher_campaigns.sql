@@ -0,0 +1,22 @@
+-- Campaign = template voucher untuk batch code sekali pakai
+-- Setiap code yang di-generate jadi 1 row vouchers dengan campaign_id
+
+CREATE TABLE voucher_campaigns (
+  id                   TEXT PRIMARY KEY,
+  name                 TEXT NOT NULL,
+  description          TEXT,
+  discount_type        TEXT NOT NULL,
+  discount_value       INTEGER NOT NULL,
+  currency             TEXT NOT NULL DEFAULT 'IDR',
+  min_order_amount     INTEGER NOT NULL DEFAULT 0,
+  max_discount_amount  INTEGER,
+  start_at             TEXT,
+  end_at               TEXT,
+  created_by           TEXT REFERENCES profiles (id),
+  created_at           TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at           TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+ALTER TABLE vouchers ADD COLUMN campaign_id TEXT REFERENCES voucher_campaigns (id);
+
+CREATE INDEX idx_vouchers_campaign ON vouchers (campaign_id);
@@ -0,0 +1,7 @@
+-- Aturan discount per tipe (TIERED, BUY_X_GET_Y, floor PERCENT, cap FIXED)
+-- discount_rules: JSON, struktur tergantung discount_type (lihat src/services/discounts.js)
+-- delivery_fee: ongkir order saat redeem (final_amount = order_amount + delivery_fee - discount_amount)
+
+ALTER TABLE vouchers ADD COLUMN discount_rules TEXT;
+ALTER TABLE voucher_campaigns ADD COLUMN discount_rules TEXT;
+ALTER TABLE voucher_redemptions ADD COLUMN delivery_fee INTEGER NOT NULL DEFAULT 0;
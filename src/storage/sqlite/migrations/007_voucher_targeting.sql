@@ -0,0 +1,5 @@
+-- Targeting voucher ke item cart (sku / restaurant / kategori)
+-- targeting: JSON { include: {...}, exclude: {...} } (lihat src/services/cart.js)
+
+ALTER TABLE vouchers ADD COLUMN targeting TEXT;
+ALTER TABLE voucher_campaigns ADD COLUMN targeting TEXT;
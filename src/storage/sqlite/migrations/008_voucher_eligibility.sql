@@ -0,0 +1,7 @@
+-- Eligibility voucher per segment user (order pertama, allow-list user, domain email, tanggal registrasi)
+-- eligibility: JSON (lihat src/services/eligibility.js)
+
+ALTER TABLE vouchers ADD COLUMN eligibility TEXT;
+ALTER TABLE voucher_campaigns ADD COLUMN eligibility TEXT;
+
+CREATE INDEX idx_voucher_redemptions_user_status ON voucher_redemptions (user_id, status);
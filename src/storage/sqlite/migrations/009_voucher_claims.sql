@@ -0,0 +1,24 @@
+-- Claim / simpan voucher ke wallet user, redeem belakangan
+-- status: CLAIMED -> USED (dipakai redeem/reserve) | RELEASED (dilepas user)
+-- Claim CLAIMED ikut dihitung di vouchers.total_claimed, slot-nya tidak bisa diambil user lain
+-- Reservasi dari claim yang expired / di-cancel mengembalikan claim ke CLAIMED
+
+ALTER TABLE vouchers ADD COLUMN total_claimed INTEGER NOT NULL DEFAULT 0 CHECK (total_claimed >= 0);
+
+CREATE TABLE voucher_claims (
+  id             TEXT PRIMARY KEY,
+  voucher_id     TEXT NOT NULL REFERENCES vouchers (id),
+  user_id        TEXT NOT NULL REFERENCES profiles (id),
+  status         TEXT NOT NULL DEFAULT 'CLAIMED',
+  redemption_id  TEXT REFERENCES voucher_redemptions (id),
+  claimed_at     TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  used_at        TEXT,
+  released_at    TEXT
+);
+
+-- Maksimal 1 claim aktif per user per voucher
+CREATE UNIQUE INDEX idx_voucher_claims_active
+  ON voucher_claims (voucher_id, user_id) WHERE status = 'CLAIMED';
+
+CREATE INDEX idx_voucher_claims_user ON voucher_claims (user_id, status);
+CREATE INDEX idx_voucher_claims_redemption ON voucher_claims (redemption_id);
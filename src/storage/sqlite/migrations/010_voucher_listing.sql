@@ -0,0 +1,14 @@
+-- Listing voucher: flag public + index untuk filter / sort / cursor pagination
+-- is_public = false: voucher internal (misal code unik campaign), tidak tampil di GET /vouchers untuk non-admin
+
+ALTER TABLE vouchers ADD COLUMN is_public INTEGER NOT NULL DEFAULT 1;
+
+UPDATE vouchers SET is_public = 0 WHERE campaign_id IS NOT NULL;
+
+-- Sama dengan generated column di Supabase (quota habis, termasuk slot yang di-claim)
+ALTER TABLE vouchers ADD COLUMN is_exhausted INTEGER
+  GENERATED ALWAYS AS (total_redeemed + total_claimed >= max_total_redemptions) VIRTUAL;
+
+CREATE INDEX idx_vouchers_created_at ON vouchers (created_at, id);
+CREATE INDEX idx_vouchers_created_by ON vouchers (created_by);
+CREATE INDEX idx_vouchers_discount_type ON vouchers (discount_type);
@@ -0,0 +1,3 @@
+-- Index untuk aggregate report redemption per periode (lihat src/routes/reports.js)
+
+CREATE INDEX idx_voucher_redemptions_redeemed_at ON voucher_redemptions (redeemed_at);
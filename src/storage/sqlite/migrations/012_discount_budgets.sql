@@ -0,0 +1,27 @@
+-- Budget discount (nominal) per voucher dan per campaign
+-- total_discount_given = discount redemption RESERVED + SUCCESS, diubah bersama total_redeemed
+-- Voucher yang budget-nya habis dinonaktifkan otomatis (deactivated_reason = 'BUDGET_EXHAUSTED')
+-- dan aktif lagi kalau budget kembali karena cancel / refund / reservasi expired
+
+ALTER TABLE vouchers ADD COLUMN max_total_discount_amount INTEGER
+  CHECK (max_total_discount_amount IS NULL OR max_total_discount_amount > 0);
+ALTER TABLE vouchers ADD COLUMN total_discount_given INTEGER NOT NULL DEFAULT 0
+  CHECK (total_discount_given >= 0);
+ALTER TABLE vouchers ADD COLUMN deactivated_reason TEXT;
+
+ALTER TABLE voucher_campaigns ADD COLUMN max_total_discount_amount INTEGER
+  CHECK (max_total_discount_amount IS NULL OR max_total_discount_amount > 0);
+ALTER TABLE voucher_campaigns ADD COLUMN total_discount_given INTEGER NOT NULL DEFAULT 0
+  CHECK (total_discount_given >= 0);
+
+UPDATE vouchers
+SET total_discount_given = (
+  SELECT COALESCE(SUM(r.discount_amount), 0) FROM voucher_redemptions r
+  WHERE r.voucher_id = vouchers.id AND r.status IN ('RESERVED', 'SUCCESS')
+);
+
+UPDATE voucher_campaigns
+SET total_discount_given = (
+  SELECT COALESCE(SUM(v.total_discount_given), 0) FROM vouchers v
+  WHERE v.campaign_id = voucher_campaigns.id
+);
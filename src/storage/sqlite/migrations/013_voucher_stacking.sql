@@ -0,0 +1,5 @@
+-- Stacking: beberapa voucher dalam 1 order (lihat src/services/stacking.js)
+-- stacking: JSON { mode, group, priority, calculation }, NULL = EXCLUSIVE (tidak bisa digabung)
+
+ALTER TABLE vouchers ADD COLUMN stacking TEXT;
+ALTER TABLE voucher_campaigns ADD COLUMN stacking TEXT;
@@ -0,0 +1,16 @@
+-- Idempotency key untuk endpoint yang mengubah quota (redeem, reserve, cancel, refund)
+-- Response pertama disimpan dan di-replay untuk retry dengan key yang sama sampai expires_at
+-- status_code NULL = request pertama masih diproses (expires_at = batas lock)
+
+CREATE TABLE idempotency_keys (
+  scope            TEXT NOT NULL,
+  idempotency_key  TEXT NOT NULL,
+  request_hash     TEXT NOT NULL,
+  status_code      INTEGER,
+  response         TEXT,
+  created_at       TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  expires_at       TEXT NOT NULL,
+  PRIMARY KEY (scope, idempotency_key)
+);
+
+CREATE INDEX idx_idempotency_keys_expires ON idempotency_keys (expires_at);
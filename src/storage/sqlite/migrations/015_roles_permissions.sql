@@ -0,0 +1,8 @@
+-- Role & permission (lihat src/services/permissions.js)
+-- profiles.restaurant_id: restaurant milik user MERCHANT
+-- vouchers.restaurant_id: restaurant pemilik voucher, MERCHANT hanya bisa mengelola voucher restaurant sendiri
+
+ALTER TABLE profiles ADD COLUMN restaurant_id TEXT;
+ALTER TABLE vouchers ADD COLUMN restaurant_id TEXT;
+
+CREATE INDEX idx_vouchers_restaurant ON vouchers (restaurant_id);
@@ -0,0 +1,31 @@
+-- Audit log append-only untuk perubahan voucher, campaign & cancel / refund redemption
+-- changes: JSON { field: { before, after } } hanya field yang berubah (lihat src/services/audit.js)
+-- voucher_id tanpa FK supaya riwayat voucher yang sudah dihapus tetap bisa dibaca
+
+CREATE TABLE audit_log (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  entity_type  TEXT NOT NULL,
+  entity_id    TEXT NOT NULL,
+  voucher_id   TEXT,
+  action       TEXT NOT NULL,
+  actor_id     TEXT,
+  actor_role   TEXT,
+  request_id   TEXT,
+  changes      TEXT NOT NULL DEFAULT '{}',
+  metadata     TEXT,
+  created_at   TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX idx_audit_log_voucher ON audit_log (voucher_id, id);
+CREATE INDEX idx_audit_log_entity ON audit_log (entity_type, entity_id, id);
+
+-- Append-only: UPDATE / DELETE ditolak
+CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'AUDIT_LOG_APPEND_ONLY');
+END;
+
+CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'AUDIT_LOG_APPEND_ONLY');
+END;
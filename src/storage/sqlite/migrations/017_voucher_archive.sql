@@ -0,0 +1,8 @@
+-- Archive (soft delete) voucher: DELETE /vouchers/:id mengisi archived_at, row tetap ada
+-- supaya redemption lama tetap punya referensi. Voucher archived tidak muncul di listing
+-- dan tidak bisa di-redeem / claim; purge hanya menghapus voucher archived yang belum pernah dipakai
+
+ALTER TABLE vouchers ADD COLUMN archived_at TEXT;
+ALTER TABLE vouchers ADD COLUMN archived_by TEXT REFERENCES profiles (id);
+
+CREATE INDEX idx_vouchers_archived ON vouchers (archived_at) WHERE archived_at IS NOT NULL;
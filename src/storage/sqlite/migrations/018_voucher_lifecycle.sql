@@ -0,0 +1,31 @@
+-- Lifecycle voucher (lihat src/services/lifecycle.js)
+-- status disimpan supaya bisa di-query, diperbarui saat voucher diubah admin dan oleh scheduler
+-- (mulai, expired, habis); DRAFT & PAUSED hanya lewat admin (is_active = 0)
+-- voucher_status_history: setiap perpindahan status
+
+ALTER TABLE vouchers ADD COLUMN status TEXT NOT NULL DEFAULT 'ACTIVE'
+  CHECK (status IN ('DRAFT', 'SCHEDULED', 'ACTIVE', 'PAUSED', 'EXHAUSTED', 'EXPIRED', 'ARCHIVED'));
+
+UPDATE vouchers SET status = CASE
+  WHEN archived_at IS NOT NULL THEN 'ARCHIVED'
+  WHEN end_at IS NOT NULL AND end_at < strftime('%Y-%m-%dT%H:%M:%fZ', 'now') THEN 'EXPIRED'
+  WHEN is_active = 0 AND deactivated_reason = 'BUDGET_EXHAUSTED' THEN 'EXHAUSTED'
+  WHEN is_active = 0 THEN 'PAUSED'
+  WHEN start_at IS NOT NULL AND start_at > strftime('%Y-%m-%dT%H:%M:%fZ', 'now') THEN 'SCHEDULED'
+  WHEN is_exhausted = 1 THEN 'EXHAUSTED'
+  ELSE 'ACTIVE'
+END;
+
+CREATE INDEX idx_vouchers_status ON vouchers (status);
+
+CREATE TABLE voucher_status_history (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  voucher_id   TEXT NOT NULL REFERENCES vouchers (id) ON DELETE CASCADE,
+  from_status  TEXT,
+  to_status    TEXT NOT NULL,
+  trigger      TEXT NOT NULL,
+  actor_id     TEXT,
+  created_at   TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX idx_voucher_status_history_voucher ON voucher_status_history (voucher_id, id);
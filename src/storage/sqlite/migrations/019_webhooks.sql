@@ -0,0 +1,165 @@
+-- Outbound webhook (lihat src/services/webhooks.js)
+-- webhook_events = outbox, diisi trigger di transaction yang sama dengan perubahan voucher / redemption
+-- webhook_deliveries = 1 row per event per endpoint, status PENDING -> DELIVERED | DEAD (dead letter)
+
+CREATE TABLE webhook_endpoints (
+  id           TEXT PRIMARY KEY,
+  url          TEXT NOT NULL,
+  secret       TEXT NOT NULL,
+  events       TEXT NOT NULL DEFAULT '["*"]',
+  description  TEXT,
+  is_active    INTEGER NOT NULL DEFAULT 1,
+  created_by   TEXT REFERENCES profiles (id),
+  created_at   TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at   TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- voucher_id tanpa FK supaya event voucher yang dihapus tetap bisa dikirim
+CREATE TABLE webhook_events (
+  id             INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_type     TEXT NOT NULL,
+  entity_type    TEXT NOT NULL,
+  entity_id      TEXT NOT NULL,
+  voucher_id     TEXT,
+  payload        TEXT NOT NULL,
+  created_at     TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  dispatched_at  TEXT
+);
+
+CREATE INDEX idx_webhook_events_undispatched ON webhook_events (id) WHERE dispatched_at IS NULL;
+
+CREATE TABLE webhook_deliveries (
+  id                INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_id          INTEGER NOT NULL REFERENCES webhook_events (id) ON DELETE CASCADE,
+  endpoint_id       TEXT NOT NULL REFERENCES webhook_endpoints (id) ON DELETE CASCADE,
+  status            TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'DELIVERED', 'DEAD')),
+  attempts          INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at   TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  last_attempt_at   TEXT,
+  last_status_code  INTEGER,
+  last_error        TEXT,
+  delivered_at      TEXT,
+  created_at        TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE (event_id, endpoint_id)
+);
+
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries (next_attempt_at) WHERE status = 'PENDING';
+CREATE INDEX idx_webhook_deliveries_endpoint ON webhook_deliveries (endpoint_id, status, id);
+
+-- Isi payload event (field sama dengan supabase/migrations/019_webhooks.sql)
+CREATE VIEW webhook_voucher_payloads AS
+SELECT
+  id,
+  json_object(
+    'id', id,
+    'code', code,
+    'name', name,
+    'status', status,
+    'discount_type', discount_type,
+    'discount_value', discount_value,
+    'currency', currency,
+    'campaign_id', campaign_id,
+    'restaurant_id', restaurant_id,
+    'max_total_redemptions', max_total_redemptions,
+    'total_redeemed', total_redeemed,
+    'total_claimed', total_claimed,
+    'max_total_discount_amount', max_total_discount_amount,
+    'total_discount_given', total_discount_given,
+    'start_at', start_at,
+    'end_at', end_at,
+    'is_active', json(CASE WHEN is_active THEN 'true' ELSE 'false' END),
+    'is_public', json(CASE WHEN is_public THEN 'true' ELSE 'false' END),
+    'archived_at', archived_at,
+    'updated_at', updated_at
+  ) AS payload
+FROM vouchers;
+
+CREATE VIEW webhook_redemption_payloads AS
+SELECT
+  r.id,
+  json_object(
+    'id', r.id,
+    'voucher_id', r.voucher_id,
+    'voucher_code', v.code,
+    'user_id', r.user_id,
+    'order_id', r.order_id,
+    'status', r.status,
+    'status_reason', r.status_reason,
+    'order_amount', r.order_amount,
+    'delivery_fee', r.delivery_fee,
+    'discount_amount', r.discount_amount,
+    'final_amount', r.final_amount,
+    'redeemed_at', r.redeemed_at,
+    'expires_at', r.expires_at,
+    'status_changed_at', r.status_changed_at
+  ) AS payload
+FROM voucher_redemptions r
+JOIN vouchers v ON v.id = r.voucher_id;
+
+-- Voucher: created, updated (field yang diubah admin, bukan counter / status), perpindahan status
+-- (voucher.<status>, misal voucher.exhausted), deleted (purge)
+CREATE TRIGGER webhook_voucher_created AFTER INSERT ON vouchers
+BEGIN
+  INSERT INTO webhook_events (event_type, entity_type, entity_id, voucher_id, payload)
+  SELECT 'voucher.created', 'voucher', NEW.id, NEW.id, payload FROM webhook_voucher_payloads WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER webhook_voucher_updated AFTER UPDATE ON vouchers
+WHEN OLD.code IS NOT NEW.code
+  OR OLD.name IS NOT NEW.name
+  OR OLD.description IS NOT NEW.description
+  OR OLD.discount_type IS NOT NEW.discount_type
+  OR OLD.discount_value IS NOT NEW.discount_value
+  OR OLD.discount_rules IS NOT NEW.discount_rules
+  OR OLD.currency IS NOT NEW.currency
+  OR OLD.min_order_amount IS NOT NEW.min_order_amount
+  OR OLD.max_discount_amount IS NOT NEW.max_discount_amount
+  OR OLD.max_total_redemptions IS NOT NEW.max_total_redemptions
+  OR OLD.max_redemptions_per_user IS NOT NEW.max_redemptions_per_user
+  OR OLD.per_user_cooldown_seconds IS NOT NEW.per_user_cooldown_seconds
+  OR OLD.max_redemptions_per_day IS NOT NEW.max_redemptions_per_day
+  OR OLD.max_total_discount_amount IS NOT NEW.max_total_discount_amount
+  OR OLD.targeting IS NOT NEW.targeting
+  OR OLD.eligibility IS NOT NEW.eligibility
+  OR OLD.stacking IS NOT NEW.stacking
+  OR OLD.restaurant_id IS NOT NEW.restaurant_id
+  OR OLD.is_public IS NOT NEW.is_public
+  OR OLD.start_at IS NOT NEW.start_at
+  OR OLD.end_at IS NOT NEW.end_at
+BEGIN
+  INSERT INTO webhook_events (event_type, entity_type, entity_id, voucher_id, payload)
+  SELECT 'voucher.updated', 'voucher', NEW.id, NEW.id, payload FROM webhook_voucher_payloads WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER webhook_voucher_status AFTER UPDATE OF status ON vouchers
+WHEN OLD.status IS NOT NEW.status
+BEGIN
+  INSERT INTO webhook_events (event_type, entity_type, entity_id, voucher_id, payload)
+  SELECT 'voucher.' || lower(NEW.status), 'voucher', NEW.id, NEW.id,
+         json_set(payload, '$.previous_status', OLD.status)
+  FROM webhook_voucher_payloads WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER webhook_voucher_deleted BEFORE DELETE ON vouchers
+BEGIN
+  INSERT INTO webhook_events (event_type, entity_type, entity_id, voucher_id, payload)
+  SELECT 'voucher.deleted', 'voucher', OLD.id, OLD.id, payload FROM webhook_voucher_payloads WHERE id = OLD.id;
+END;
+
+-- Redemption: redemption.<status> saat dibuat / status berubah (SUCCESS = redemption.succeeded)
+CREATE TRIGGER webhook_redemption_created AFTER INSERT ON voucher_redemptions
+BEGIN
+  INSERT INTO webhook_events (event_type, entity_type, entity_id, voucher_id, payload)
+  SELECT 'redemption.' || CASE NEW.status WHEN 'SUCCESS' THEN 'succeeded' ELSE lower(NEW.status) END,
+         'redemption', NEW.id, NEW.voucher_id, payload
+  FROM webhook_redemption_payloads WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER webhook_redemption_status AFTER UPDATE OF status ON voucher_redemptions
+WHEN OLD.status IS NOT NEW.status
+BEGIN
+  INSERT INTO webhook_events (event_type, entity_type, entity_id, voucher_id, payload)
+  SELECT 'redemption.' || CASE NEW.status WHEN 'SUCCESS' THEN 'succeeded' ELSE lower(NEW.status) END,
+         'redemption', NEW.id, NEW.voucher_id, json_set(payload, '$.previous_status', OLD.status)
+  FROM webhook_redemption_payloads WHERE id = NEW.id;
+END;
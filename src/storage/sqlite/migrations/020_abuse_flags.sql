@@ -0,0 +1,17 @@
+-- Pola mencurigakan yang terdeteksi rate limiter (lihat src/middleware/rateLimit.js)
+-- kind: MANY_USERS_PER_IP, MANY_CODES_PER_USER, FAILED_LOOKUP_LOCKOUT
+-- subject: IP / user id yang ditandai, details: JSON (user / code yang terlibat, window, dst)
+
+CREATE TABLE abuse_flags (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  kind        TEXT NOT NULL,
+  subject     TEXT NOT NULL,
+  ip          TEXT,
+  user_id     TEXT,
+  request_id  TEXT,
+  details     TEXT NOT NULL DEFAULT '{}',
+  created_at  TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX idx_abuse_flags_kind ON abuse_flags (kind, id);
+CREATE INDEX idx_abuse_flags_subject ON abuse_flags (subject, id);
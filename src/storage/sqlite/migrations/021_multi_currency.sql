@@ -0,0 +1,72 @@
+-- Multi-currency (lihat src/services/currency.js)
+-- currency_amounts: nominal voucher / campaign di mata uang lain, JSON { "SGD": { "discount_value": 100 } }
+-- Nominal redemption tetap dalam mata uang voucher (budget & report per voucher),
+-- order_currency + exchange_rate = mata uang order asli dan kursnya (1 order_currency = sekian mata uang voucher)
+
+ALTER TABLE vouchers ADD COLUMN currency_amounts TEXT;
+ALTER TABLE voucher_campaigns ADD COLUMN currency_amounts TEXT;
+
+ALTER TABLE voucher_redemptions ADD COLUMN order_currency TEXT;
+ALTER TABLE voucher_redemptions ADD COLUMN exchange_rate REAL NOT NULL DEFAULT 1;
+
+UPDATE voucher_redemptions
+SET order_currency = (SELECT currency FROM vouchers WHERE vouchers.id = voucher_redemptions.voucher_id);
+
+-- Payload webhook redemption + mata uang (field sama dengan supabase/migrations/021_multi_currency.sql)
+DROP VIEW webhook_redemption_payloads;
+
+CREATE VIEW webhook_redemption_payloads AS
+SELECT
+  r.id,
+  json_object(
+    'id', r.id,
+    'voucher_id', r.voucher_id,
+    'voucher_code', v.code,
+    'user_id', r.user_id,
+    'order_id', r.order_id,
+    'status', r.status,
+    'status_reason', r.status_reason,
+    'currency', v.currency,
+    'order_currency', r.order_currency,
+    'exchange_rate', r.exchange_rate,
+    'order_amount', r.order_amount,
+    'delivery_fee', r.delivery_fee,
+    'discount_amount', r.discount_amount,
+    'final_amount', r.final_amount,
+    'redeemed_at', r.redeemed_at,
+    'expires_at', r.expires_at,
+    'status_changed_at', r.status_changed_at
+  ) AS payload
+FROM voucher_redemptions r
+JOIN vouchers v ON v.id = r.voucher_id;
+
+-- Sama dengan versi 019, currency_amounts ikut dianggap voucher.updated
+DROP TRIGGER webhook_voucher_updated;
+
+CREATE TRIGGER webhook_voucher_updated AFTER UPDATE ON vouchers
+WHEN OLD.code IS NOT NEW.code
+  OR OLD.name IS NOT NEW.name
+  OR OLD.description IS NOT NEW.description
+  OR OLD.discount_type IS NOT NEW.discount_type
+  OR OLD.discount_value IS NOT NEW.discount_value
+  OR OLD.discount_rules IS NOT NEW.discount_rules
+  OR OLD.currency IS NOT NEW.currency
+  OR OLD.currency_amounts IS NOT NEW.currency_amounts
+  OR OLD.min_order_amount IS NOT NEW.min_order_amount
+  OR OLD.max_discount_amount IS NOT NEW.max_discount_amount
+  OR OLD.max_total_redemptions IS NOT NEW.max_total_redemptions
+  OR OLD.max_redemptions_per_user IS NOT NEW.max_redemptions_per_user
+  OR OLD.per_user_cooldown_seconds IS NOT NEW.per_user_cooldown_seconds
+  OR OLD.max_redemptions_per_day IS NOT NEW.max_redemptions_per_day
+  OR OLD.max_total_discount_amount IS NOT NEW.max_total_discount_amount
+  OR OLD.targeting IS NOT NEW.targeting
+  OR OLD.eligibility IS NOT NEW.eligibility
+  OR OLD.stacking IS NOT NEW.stacking
+  OR OLD.restaurant_id IS NOT NEW.restaurant_id
+  OR OLD.is_public IS NOT NEW.is_public
+  OR OLD.start_at IS NOT NEW.start_at
+  OR OLD.end_at IS NOT NEW.end_at
+BEGIN
+  INSERT INTO webhook_events (event_type, entity_type, entity_id, voucher_id, payload)
+  SELECT 'voucher.updated', 'voucher', NEW.id, NEW.id, payload FROM webhook_voucher_payloads WHERE id = NEW.id;
+END;
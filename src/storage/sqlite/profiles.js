@@ -0,0 +1,42 @@
+const { result, createMapper, column, nowIso } = require("./db");
+
+const mapper = createMapper({});
+
+/**
+ * ProfileStore - tabel profiles di SQLite
+ * @param {import("better-sqlite3").Database} db
+ */
+function createProfileStore(db) {
+  return {
+    async findById(id) {
+      return result(() =>
+        mapper.fromRow(db.prepare("SELECT * FROM profiles WHERE id = ?").get(id))
+      );
+    },
+
+    async upsert(profile) {
+      return result(() => {
+        const row = mapper.toRow({ ...profile, updated_at: nowIso() });
+        const columns = Object.keys(row).map(column);
+        const updates = columns
+          .filter((c) => c !== "id")
+          .map((c) => `${c} = excluded.${c}`);
+
+        return mapper.fromRow(
+          db
+            .prepare(
+              `INSERT INTO profiles (${columns.join(", ")})
+               VALUES (${columns.map((c) => `@${c}`).join(", ")})
+               ON CONFLICT (id) DO UPDATE SET ${updates.join(", ")}
+               RETURNING *`
+            )
+            .get(row)
+        );
+      });
+    },
+  };
+}
+
+module.exports = {
+  createProfileStore,
+};
@@ -0,0 +1,599 @@
+const crypto = require("crypto");
+const { result, createMapper, storageError, nowIso } = require("./db");
+
+const mapper = createMapper({});
+
+// Status asal yang boleh di-cancel / refund
+const REVERSIBLE_FROM = {
+  CANCELLED: ["RESERVED", "SUCCESS"],
+  REFUNDED: ["SUCCESS"],
+};
+
+// Kunci grup untuk aggregate report (redeemed_at selalu ISO UTC)
+const REPORT_GROUP_KEYS = {
+  total: "NULL",
+  voucher: "r.voucher_id",
+  hour: "substr(r.redeemed_at, 1, 13) || ':00:00.000Z'",
+  day: "substr(r.redeemed_at, 1, 10) || 'T00:00:00.000Z'",
+};
+
+/**
+ * RedemptionStore - tabel voucher_redemptions di SQLite
+ * Operasi yang mengubah quota jalan di dalam satu transaction (BEGIN IMMEDIATE)
+ * @param {import("better-sqlite3").Database} db
+ */
+function createRedemptionStore(db) {
+  const getVoucher = db.prepare("SELECT * FROM vouchers WHERE id = ?");
+  const getRedemption = db.prepare("SELECT * FROM voucher_redemptions WHERE id = ?");
+  const getUserUsage = db.prepare(
+    `SELECT COUNT(*) AS count, MAX(redeemed_at) AS last_redeemed_at
+     FROM voucher_redemptions
+     WHERE voucher_id = ? AND user_id = ? AND status IN ('RESERVED', 'SUCCESS')`
+  );
+  const countSince = db.prepare(
+    `SELECT COUNT(*) FROM voucher_redemptions
+     WHERE voucher_id = ? AND status IN ('RESERVED', 'SUCCESS') AND redeemed_at >= ?`
+  ).pluck();
+  const adjustRedeemed = db.prepare(
+    "UPDATE vouchers SET total_redeemed = total_redeemed + @delta, updated_at = @now WHERE id = @id"
+  );
+  const adjustClaimed = db.prepare(
+    "UPDATE vouchers SET total_claimed = total_claimed + @delta, updated_at = @now WHERE id = @id"
+  );
+  const getActiveClaim = db.prepare(
+    "SELECT * FROM voucher_claims WHERE voucher_id = ? AND user_id = ? AND status = 'CLAIMED'"
+  );
+
+  const getCampaign = db.prepare("SELECT * FROM voucher_campaigns WHERE id = ?");
+
+  // Sisa budget discount voucher (minimum dari budget voucher & campaign), null = tanpa budget
+  const remainingBudget = (voucher) => {
+    const campaign = voucher.campaign_id ? getCampaign.get(voucher.campaign_id) : null;
+    const remaining = [voucher, campaign]
+      .filter((row) => row && row.max_total_discount_amount !== null)
+      .map((row) => row.max_total_discount_amount - row.total_discount_given);
+
+    return remaining.length > 0 ? Math.max(Math.min(...remaining), 0) : null;
+  };
+
+  // Tambah / kurangi discount yang sudah diberikan (voucher + campaign-nya)
+  const adjustDiscountGiven = (voucherId, delta, now) => {
+    const { campaign_id } = db
+      .prepare(
+        `UPDATE vouchers SET total_discount_given = total_discount_given + ?, updated_at = ?
+         WHERE id = ? RETURNING campaign_id`
+      )
+      .get(delta, now, voucherId);
+
+    if (campaign_id) {
+      db.prepare(
+        `UPDATE voucher_campaigns SET total_discount_given = total_discount_given + ?, updated_at = ?
+         WHERE id = ?`
+      ).run(delta, now, campaign_id);
+    }
+  };
+
+  // Nonaktifkan voucher kalau budget habis, aktifkan lagi kalau budget kembali
+  // (hanya voucher yang dinonaktifkan oleh budget, bukan oleh admin)
+  const syncBudgetStatus = (voucherId, now) => {
+    const remaining = remainingBudget(getVoucher.get(voucherId));
+
+    if (remaining === 0) {
+      db.prepare(
+        `UPDATE vouchers SET is_active = 0, deactivated_reason = 'BUDGET_EXHAUSTED', updated_at = ?
+         WHERE id = ? AND is_active = 1`
+      ).run(now, voucherId);
+    } else {
+      db.prepare(
+        `UPDATE vouchers SET is_active = 1, deactivated_reason = NULL, updated_at = ?
+         WHERE id = ? AND deactivated_reason = 'BUDGET_EXHAUSTED'`
+      ).run(now, voucherId);
+    }
+  };
+
+  // Reservasi dari claim yang expired / di-cancel: claim kembali ke CLAIMED
+  const restoreClaim = (redemption, now) => {
+    const claim = db
+      .prepare(
+        `UPDATE voucher_claims SET status = 'CLAIMED', redemption_id = NULL, used_at = NULL
+         WHERE redemption_id = ? AND status = 'USED'
+           AND NOT EXISTS (
+             SELECT 1 FROM voucher_claims c
+             WHERE c.voucher_id = voucher_claims.voucher_id
+               AND c.user_id = voucher_claims.user_id
+               AND c.status = 'CLAIMED'
+           )
+         RETURNING voucher_id`
+      )
+      .get(redemption.id);
+
+    if (claim) adjustClaimed.run({ id: claim.voucher_id, delta: 1, now });
+  };
+
+  // Lepas reservasi yang sudah lewat expires_at, return jumlah yang di-expire
+  const expire = (voucherId, now) => {
+    const expired = db
+      .prepare(
+        `UPDATE voucher_redemptions SET status = 'EXPIRED'
+         WHERE status = 'RESERVED' AND expires_at <= @now
+           AND (@voucher_id IS NULL OR voucher_id = @voucher_id)
+         RETURNING id, voucher_id, discount_amount`
+      )
+      .all({ now, voucher_id: voucherId || null });
+
+    const counts = {};
+    const discounts = {};
+    for (const row of expired) {
+      counts[row.voucher_id] = (counts[row.voucher_id] || 0) + 1;
+      discounts[row.voucher_id] = (discounts[row.voucher_id] || 0) + row.discount_amount;
+      restoreClaim(row, now);
+    }
+    for (const [id, n] of Object.entries(counts)) {
+      adjustRedeemed.run({ id, delta: -n, now });
+      adjustDiscountGiven(id, -discounts[id], now);
+      syncBudgetStatus(id, now);
+    }
+
+    return expired.length;
+  };
+
+  // 1 order_id hanya boleh punya redemption aktif dari 1 request (redeem / reserve / stack)
+  const assertOrderFree = (orderId, now) => {
+    const active = db
+      .prepare(
+        `SELECT 1 FROM voucher_redemptions
+         WHERE order_id = ? AND (status = 'SUCCESS' OR (status = 'RESERVED' AND expires_at > ?))`
+      )
+      .get(orderId, now);
+
+    if (active) throw storageError("ORDER_ALREADY_REDEEMED");
+  };
+
+  // Ambil 1 slot voucher (di dalam transaction), return row redemption
+  const reserveSlot = (params, now) => {
+    if (!getVoucher.get(params.voucherId)) {
+      throw storageError("VOUCHER_NOT_FOUND");
+    }
+
+    expire(params.voucherId, now);
+    const voucher = getVoucher.get(params.voucherId);
+
+    if (voucher.archived_at) throw storageError("VOUCHER_ARCHIVED");
+    if (!voucher.is_active && voucher.deactivated_reason === "BUDGET_EXHAUSTED") {
+      throw storageError("BUDGET_EXHAUSTED");
+    }
+    if (!voucher.is_active) throw storageError("VOUCHER_INACTIVE");
+    if (voucher.start_at && now < voucher.start_at) throw storageError("VOUCHER_NOT_STARTED");
+    if (voucher.end_at && now > voucher.end_at) throw storageError("VOUCHER_EXPIRED");
+    // Slot yang di-claim user lain tidak boleh diambil, claim milik sendiri dipakai
+    const claim = getActiveClaim.get(params.voucherId, params.userId);
+    const taken = voucher.total_redeemed + voucher.total_claimed - (claim ? 1 : 0);
+
+    if (taken >= voucher.max_total_redemptions) {
+      throw storageError("VOUCHER_EXHAUSTED");
+    }
+
+    const usage = getUserUsage.get(params.voucherId, params.userId);
+
+    if (voucher.max_redemptions_per_user !== null && usage.count >= voucher.max_redemptions_per_user) {
+      throw storageError("ALREADY_REDEEMED");
+    }
+
+    if (
+      voucher.per_user_cooldown_seconds &&
+      usage.last_redeemed_at &&
+      Date.parse(usage.last_redeemed_at) + voucher.per_user_cooldown_seconds * 1000 > Date.now()
+    ) {
+      throw storageError("USER_COOLDOWN");
+    }
+
+    if (
+      voucher.max_redemptions_per_day &&
+      params.dayStart &&
+      countSince.get(params.voucherId, params.dayStart) >= voucher.max_redemptions_per_day
+    ) {
+      throw storageError("DAILY_LIMIT_REACHED");
+    }
+
+    // Redemption terakhir dipotong ke sisa budget
+    const budget = remainingBudget(voucher);
+    if (budget === 0) throw storageError("BUDGET_EXHAUSTED");
+
+    const discountAmount = budget === null ? params.discountAmount : Math.min(params.discountAmount, budget);
+
+    adjustRedeemed.run({ id: params.voucherId, delta: 1, now });
+    adjustDiscountGiven(params.voucherId, discountAmount, now);
+
+    const isHold = params.ttlSeconds !== null && params.ttlSeconds !== undefined;
+
+    const redemption = db
+      .prepare(
+        `INSERT INTO voucher_redemptions (
+           id, voucher_id, user_id, order_id, order_amount, delivery_fee, discount_amount,
+           final_amount, order_currency, exchange_rate, status, redeemed_at, expires_at
+         )
+         VALUES (
+           @id, @voucher_id, @user_id, @order_id, @order_amount, @delivery_fee, @discount_amount,
+           @final_amount, @order_currency, @exchange_rate, @status, @redeemed_at, @expires_at
+         )
+         RETURNING *`
+      )
+      .get({
+        id: crypto.randomUUID(),
+        voucher_id: params.voucherId,
+        user_id: params.userId,
+        order_id: params.orderId || null,
+        order_amount: params.orderAmount,
+        delivery_fee: params.deliveryFee || 0,
+        discount_amount: discountAmount,
+        final_amount: params.finalAmount + params.discountAmount - discountAmount,
+        order_currency: params.orderCurrency || voucher.currency,
+        exchange_rate: params.exchangeRate ?? 1,
+        status: isHold ? "RESERVED" : "SUCCESS",
+        redeemed_at: now,
+        expires_at: isHold
+          ? new Date(Date.now() + params.ttlSeconds * 1000).toISOString()
+          : null,
+      });
+
+    if (claim) {
+      db.prepare(
+        "UPDATE voucher_claims SET status = 'USED', redemption_id = ?, used_at = ? WHERE id = ?"
+      ).run(redemption.id, now, claim.id);
+      adjustClaimed.run({ id: params.voucherId, delta: -1, now });
+    }
+
+    syncBudgetStatus(params.voucherId, now);
+
+    return redemption;
+  };
+
+  const reserve = db.transaction((params) => {
+    const now = nowIso();
+
+    if (params.orderId) assertOrderFree(params.orderId, now);
+
+    return reserveSlot(params, now);
+  });
+
+  const reserveMany = db.transaction((params) => {
+    const now = nowIso();
+    const total = params.orderAmount + (params.deliveryFee || 0);
+
+    assertOrderFree(params.orderId, now);
+
+    const redemptions = params.vouchers.map((item) =>
+      reserveSlot(
+        {
+          ...params,
+          voucherId: item.voucherId,
+          discountAmount: item.discountAmount,
+          finalAmount: total - item.discountAmount,
+        },
+        now
+      )
+    );
+
+    // final_amount semua row = total order setelah semua discount
+    const totalDiscount = redemptions.reduce((sum, r) => sum + r.discount_amount, 0);
+    const setFinal = db.prepare("UPDATE voucher_redemptions SET final_amount = ? WHERE id = ? RETURNING *");
+
+    return redemptions.map((r) => setFinal.get(total - totalDiscount, r.id));
+  });
+
+  const confirm = db.transaction((id) => {
+    const now = nowIso();
+    const redemption = getRedemption.get(id);
+
+    if (!redemption) throw storageError("RESERVATION_NOT_FOUND");
+    if (redemption.status !== "RESERVED") throw storageError("RESERVATION_NOT_PENDING");
+
+    // Sudah lewat TTL: expire (quota kembali) dan return status EXPIRED
+    if (redemption.expires_at <= now) {
+      expire(redemption.voucher_id, now);
+      return getRedemption.get(id);
+    }
+
+    return db
+      .prepare(
+        `UPDATE voucher_redemptions
+         SET status = 'SUCCESS', redeemed_at = ?, expires_at = NULL
+         WHERE id = ?
+         RETURNING *`
+      )
+      .get(now, id);
+  });
+
+  // Ubah status ke CANCELLED / REFUNDED dan kembalikan quota (di dalam transaction)
+  const reverseOne = (redemption, { status, reason, actorId }, now) => {
+    if (!REVERSIBLE_FROM[status]) throw storageError("INVALID_STATUS");
+    if (!REVERSIBLE_FROM[status].includes(redemption.status)) {
+      throw storageError("REDEMPTION_NOT_REVERSIBLE");
+    }
+
+    adjustRedeemed.run({ id: redemption.voucher_id, delta: -1, now });
+    adjustDiscountGiven(redemption.voucher_id, -redemption.discount_amount, now);
+    syncBudgetStatus(redemption.voucher_id, now);
+
+    if (redemption.status === "RESERVED") {
+      restoreClaim(redemption, now);
+    }
+
+    return db
+      .prepare(
+        `UPDATE voucher_redemptions
+         SET status = @status, expires_at = NULL, status_reason = @reason,
+             status_changed_by = @actor_id, status_changed_at = @now
+         WHERE id = @id
+         RETURNING *`
+      )
+      .get({
+        id: redemption.id,
+        status,
+        reason: reason || null,
+        actor_id: actorId || null,
+        now,
+      });
+  };
+
+  const cancelReservation = db.transaction((id, options) => {
+    const redemption = getRedemption.get(id);
+
+    if (!redemption) throw storageError("RESERVATION_NOT_FOUND");
+    if (redemption.status !== "RESERVED") throw storageError("RESERVATION_NOT_PENDING");
+
+    return reverseOne(redemption, { ...options, status: "CANCELLED" }, nowIso());
+  });
+
+  const reverse = db.transaction((id, options) => {
+    const redemption = getRedemption.get(id);
+
+    if (!redemption) throw storageError("REDEMPTION_NOT_FOUND");
+
+    return reverseOne(redemption, options, nowIso());
+  });
+
+  const reverseByOrder = db.transaction((orderId, options) => {
+    const now = nowIso();
+    const redemptions = db
+      .prepare("SELECT * FROM voucher_redemptions WHERE order_id = ? ORDER BY redeemed_at")
+      .all(orderId);
+
+    if (redemptions.length === 0) throw storageError("REDEMPTION_NOT_FOUND");
+
+    const reversible = redemptions.filter((r) =>
+      (REVERSIBLE_FROM[options.status] || []).includes(r.status)
+    );
+
+    if (reversible.length === 0) throw storageError("REDEMPTION_NOT_REVERSIBLE");
+
+    return reversible.map((r) => reverseOne(r, options, now));
+  });
+
+  return {
+    async findById(id) {
+      return result(() => mapper.fromRow(getRedemption.get(id)));
+    },
+
+    /**
+     * Semua redemption 1 order (semua status)
+     */
+    async listByOrder(orderId) {
+      return result(() =>
+        db
+          .prepare("SELECT * FROM voucher_redemptions WHERE order_id = ? ORDER BY redeemed_at")
+          .all(orderId)
+          .map(mapper.fromRow)
+      );
+    },
+
+    /**
+     * Pemakaian voucher oleh user (RESERVED / SUCCESS)
+     * @returns {{ data: { count: number, last_redeemed_at: string | null } }}
+     */
+    async getUserUsage(voucherId, userId) {
+      return result(() => getUserUsage.get(voucherId, userId));
+    },
+
+    /**
+     * Riwayat redemption user (terbaru dulu) + code & nama voucher
+     * @param {{ statuses?: string[], limit: number, offset: number }} options
+     * @returns {{ data: object[], count: number }} count = total sebelum pagination
+     */
+    async listByUser(userId, options) {
+      const statuses = options.statuses || [];
+      const where = `r.user_id = ?${statuses.length ? ` AND r.status IN (${statuses.map(() => "?").join(", ")})` : ""}`;
+      const params = [userId, ...statuses];
+
+      const { data, error } = result(() => ({
+        rows: db
+          .prepare(
+            `SELECT r.*, v.code AS voucher_code, v.name AS voucher_name
+             FROM voucher_redemptions r
+             JOIN vouchers v ON v.id = r.voucher_id
+             WHERE ${where}
+             ORDER BY r.redeemed_at DESC, r.id
+             LIMIT ? OFFSET ?`
+          )
+          .all(...params, options.limit, options.offset)
+          .map(mapper.fromRow),
+        count: db.prepare(`SELECT COUNT(*) FROM voucher_redemptions r WHERE ${where}`).pluck().get(...params),
+      }));
+
+      return { data: data?.rows ?? null, count: data?.count ?? null, error };
+    },
+
+    /**
+     * Pemakaian user (RESERVED / SUCCESS) per voucher, 1 query grouped
+     * @returns {{ data: Map<string, { count: number, last_redeemed_at: string }> }}
+     */
+    async getUsageByUser(userId) {
+      return result(
+        () =>
+          new Map(
+            db
+              .prepare(
+                `SELECT voucher_id, COUNT(*) AS count, MAX(redeemed_at) AS last_redeemed_at
+                 FROM voucher_redemptions
+                 WHERE user_id = ? AND status IN ('RESERVED', 'SUCCESS')
+                 GROUP BY voucher_id`
+              )
+              .all(userId)
+              .map(({ voucher_id, ...usage }) => [voucher_id, usage])
+          )
+      );
+    },
+
+    /**
+     * Jumlah redemption user (RESERVED / SUCCESS) di semua voucher
+     */
+    async countByUser(userId) {
+      return result(() =>
+        db
+          .prepare(
+            `SELECT COUNT(*) FROM voucher_redemptions
+             WHERE user_id = ? AND status IN ('RESERVED', 'SUCCESS')`
+          )
+          .pluck()
+          .get(userId)
+      );
+    },
+
+    /**
+     * Jumlah pemakaian voucher (RESERVED / SUCCESS) sejak `since`
+     */
+    async countSince(voucherId, since) {
+      return result(() => countSince.get(voucherId, since));
+    },
+
+    /**
+     * Aggregate redemption untuk report, 1 row per grup (key)
+     * Nominal hanya dari redemption SUCCESS, reversed = CANCELLED / REFUNDED
+     * @param {{ voucherId?: string, campaignId?: string, from?: string, to?: string }} filters
+     * @param {"total" | "voucher" | "hour" | "day"} groupBy
+     */
+    async aggregate(filters, groupBy) {
+      return result(() => {
+        const where = [];
+        const params = {};
+
+        if (filters.voucherId) {
+          where.push("r.voucher_id = @voucher_id");
+          params.voucher_id = filters.voucherId;
+        }
+        if (filters.campaignId) {
+          where.push("v.campaign_id = @campaign_id");
+          params.campaign_id = filters.campaignId;
+        }
+        if (filters.from) {
+          where.push("r.redeemed_at >= @from");
+          params.from = new Date(filters.from).toISOString();
+        }
+        if (filters.to) {
+          where.push("r.redeemed_at < @to");
+          params.to = new Date(filters.to).toISOString();
+        }
+
+        return db
+          .prepare(
+            `SELECT ${REPORT_GROUP_KEYS[groupBy]} AS key,
+               COUNT(CASE WHEN r.status = 'SUCCESS' THEN 1 END) AS redemptions,
+               COUNT(CASE WHEN r.status = 'RESERVED' THEN 1 END) AS pending,
+               COUNT(CASE WHEN r.status IN ('CANCELLED', 'REFUNDED') THEN 1 END) AS reversed,
+               COUNT(DISTINCT CASE WHEN r.status = 'SUCCESS' THEN r.user_id END) AS unique_users,
+               COALESCE(SUM(CASE WHEN r.status = 'SUCCESS' THEN r.order_amount END), 0) AS gross_order_value,
+               COALESCE(SUM(CASE WHEN r.status = 'SUCCESS' THEN r.discount_amount END), 0) AS total_discount,
+               COALESCE(SUM(CASE WHEN r.status = 'SUCCESS' THEN r.final_amount END), 0) AS net_order_value,
+               COALESCE(SUM(CASE WHEN r.status IN ('CANCELLED', 'REFUNDED') THEN r.discount_amount END), 0)
+                 AS reversed_discount
+             FROM voucher_redemptions r
+             JOIN vouchers v ON v.id = r.voucher_id
+             ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+             GROUP BY 1
+             ORDER BY 1`
+          )
+          .all(params);
+      });
+    },
+
+    /**
+     * Ambil 1 slot voucher secara atomic
+     * ttlSeconds null = langsung SUCCESS, selain itu RESERVED sampai expires_at
+     * dayStart = awal hari untuk cap harian (max_redemptions_per_day)
+     * Semua nominal dalam mata uang voucher, orderCurrency / exchangeRate = mata uang order asli
+     * dan kursnya (kosong = mata uang voucher, kurs 1)
+     * finalAmount = orderAmount + deliveryFee - discountAmount
+     * discountAmount dipotong ke sisa budget voucher / campaign (lihat row hasil)
+     * orderId yang sudah punya redemption aktif ditolak (ORDER_ALREADY_REDEEMED)
+     */
+    async reserve(params) {
+      return result(() => mapper.fromRow(reserve.immediate(params)));
+    },
+
+    /**
+     * Ambil slot beberapa voucher untuk 1 order sekaligus (all-or-nothing, lihat services/stacking)
+     * params sama dengan reserve() tanpa voucherId / discountAmount / finalAmount, ditambah
+     * vouchers: [{ voucherId, discountAmount }]. orderId wajib
+     * final_amount semua row = orderAmount + deliveryFee - total discount order
+     * @returns {{ data: object[] }} sejajar dengan params.vouchers
+     */
+    async reserveMany(params) {
+      return result(() => reserveMany.immediate(params).map(mapper.fromRow));
+    },
+
+    async confirm(id) {
+      return result(() => mapper.fromRow(confirm.immediate(id)));
+    },
+
+    /**
+     * Batalkan reservasi RESERVED
+     * @param {{ reason?: string, actorId?: string }} [options]
+     */
+    async cancelReservation(id, options = {}) {
+      return result(() => mapper.fromRow(cancelReservation.immediate(id, options)));
+    },
+
+    /**
+     * Cancel / refund 1 redemption, quota dikembalikan ke voucher
+     * @param {{ status: "CANCELLED" | "REFUNDED", reason: string, actorId: string }} options
+     */
+    async reverse(id, options) {
+      return result(() => mapper.fromRow(reverse.immediate(id, options)));
+    },
+
+    /**
+     * Cancel / refund semua redemption untuk 1 order (all-or-nothing)
+     */
+    async reverseByOrder(orderId, options) {
+      return result(() => reverseByOrder.immediate(orderId, options).map(mapper.fromRow));
+    },
+
+    /**
+     * Jumlah reservasi yang sudah lewat TTL tapi belum dilepas (read-only)
+     */
+    async countExpiredReservations(voucherId) {
+      return result(() =>
+        db
+          .prepare(
+            `SELECT COUNT(*) FROM voucher_redemptions
+             WHERE voucher_id = ? AND status = 'RESERVED' AND expires_at <= ?`
+          )
+          .pluck()
+          .get(voucherId, nowIso())
+      );
+    },
+
+    /**
+     * Expire semua reservasi yang sudah lewat TTL, return jumlahnya
+     */
+    async expireReservations(voucherId = null) {
+      return result(() =>
+        db.transaction(() => expire(voucherId, nowIso())).immediate()
+      );
+    },
+  };
+}
+
+module.exports = {
+  createRedemptionStore,
+};
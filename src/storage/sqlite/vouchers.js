@@ -0,0 +1,382 @@
+const crypto = require("crypto");
+const { result, createMapper, column, nowIso } = require("./db");
+
+const mapper = createMapper({
+  booleans: ["is_active", "is_public", "is_exhausted"],
+  json: ["discount_rules", "currency_amounts", "targeting", "eligibility", "stacking"],
+  timestamps: ["start_at", "end_at"],
+});
+
+// Kondisi SQL untuk filter status listing (@now = waktu sekarang, ISO)
+// Semua status selain archived hanya untuk voucher yang belum di-archive
+const STATUS_CONDITIONS = {
+  active: `(is_active = 1 AND is_exhausted = 0
+    AND (start_at IS NULL OR start_at <= @now) AND (end_at IS NULL OR end_at >= @now))`,
+  scheduled: "(is_active = 1 AND start_at > @now)",
+  expired: "(end_at < @now)",
+  exhausted: "(is_exhausted = 1)",
+  inactive: "(is_active = 0)",
+  draft: "(status = 'DRAFT')",
+  paused: "(status = 'PAUSED')",
+  archived: "(archived_at IS NOT NULL)",
+};
+
+function statusCondition(status) {
+  return status === "archived" ? STATUS_CONDITIONS.archived : `(archived_at IS NULL AND ${STATUS_CONDITIONS[status]})`;
+}
+
+// Filter rentang tanggal: <field>_from / <field>_to -> kolom
+const RANGE_FIELDS = {
+  created: "created_at",
+  start: "start_at",
+  end: "end_at",
+};
+
+/**
+ * VoucherStore - tabel vouchers di SQLite
+ * @param {import("better-sqlite3").Database} db
+ */
+function createVoucherStore(db) {
+  return {
+    async list() {
+      return result(() =>
+        db
+          .prepare("SELECT * FROM vouchers ORDER BY created_at DESC")
+          .all()
+          .map(mapper.fromRow)
+      );
+    },
+
+    /**
+     * Listing voucher dengan filter + keyset pagination (lihat GET /vouchers)
+     * @param {object} filters - statuses (kosong = semua kecuali archived), discount_types, created_by, campaign_id, restaurant_id, is_public, q,
+     *   created_from/to, start_from/to, end_from/to, now
+     * @param {{ sort: string, order: "asc" | "desc", limit: number, after?: { value, id } }} page
+     */
+    async search(filters, page) {
+      return result(() => {
+        const params = { now: filters.now };
+        const where = [];
+
+        if (filters.statuses?.length > 0) {
+          where.push(`(${filters.statuses.map(statusCondition).join(" OR ")})`);
+        } else {
+          where.push("archived_at IS NULL");
+        }
+
+        if (filters.discount_types?.length > 0) {
+          const keys = filters.discount_types.map((type, i) => {
+            params[`discount_type_${i}`] = type;
+            return `@discount_type_${i}`;
+          });
+          where.push(`discount_type IN (${keys.join(", ")})`);
+        }
+
+        for (const key of ["created_by", "campaign_id", "restaurant_id"]) {
+          if (filters[key] !== undefined) {
+            params[key] = filters[key];
+            where.push(`${key} = @${key}`);
+          }
+        }
+
+        if (filters.is_public !== undefined) {
+          params.is_public = filters.is_public ? 1 : 0;
+          where.push("is_public = @is_public");
+        }
+
+        if (filters.q) {
+          params.q = `%${filters.q.replace(/[\\%_]/g, "\\$&")}%`;
+          where.push("(code LIKE @q ESCAPE '\\' OR name LIKE @q ESCAPE '\\')");
+        }
+
+        for (const [field, columnName] of Object.entries(RANGE_FIELDS)) {
+          if (filters[`${field}_from`]) {
+            params[`${field}_from`] = new Date(filters[`${field}_from`]).toISOString();
+            where.push(`${columnName} >= @${field}_from`);
+          }
+          if (filters[`${field}_to`]) {
+            params[`${field}_to`] = new Date(filters[`${field}_to`]).toISOString();
+            where.push(`${columnName} <= @${field}_to`);
+          }
+        }
+
+        const sort = column(page.sort);
+        const direction = page.order === "asc" ? "ASC" : "DESC";
+        const operator = page.order === "asc" ? ">" : "<";
+
+        if (page.after) {
+          params.after_value = page.after.value;
+          params.after_id = page.after.id;
+          where.push(
+            `(${sort} ${operator} @after_value OR (${sort} = @after_value AND id ${operator} @after_id))`
+          );
+        }
+
+        params.limit = page.limit;
+
+        return db
+          .prepare(
+            `SELECT * FROM vouchers
+             ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+             ORDER BY ${sort} ${direction}, id ${direction}
+             LIMIT @limit`
+          )
+          .all(params)
+          .map(mapper.fromRow);
+      });
+    },
+
+    async findById(id) {
+      return result(() =>
+        mapper.fromRow(db.prepare("SELECT * FROM vouchers WHERE id = ?").get(id))
+      );
+    },
+
+    async findByIds(ids) {
+      return result(() => {
+        const vouchers = [];
+        for (let i = 0; i < ids.length; i += 500) {
+          const chunk = ids.slice(i, i + 500);
+          vouchers.push(
+            ...db
+              .prepare(`SELECT * FROM vouchers WHERE id IN (${chunk.map(() => "?").join(", ")})`)
+              .all(chunk)
+              .map(mapper.fromRow)
+          );
+        }
+        return vouchers;
+      });
+    },
+
+    async findByCode(code) {
+      return result(() =>
+        mapper.fromRow(db.prepare("SELECT * FROM vouchers WHERE code = ?").get(code))
+      );
+    },
+
+    async listByCampaign(campaignId) {
+      return result(() =>
+        db
+          .prepare("SELECT * FROM vouchers WHERE campaign_id = ? ORDER BY created_at, code")
+          .all(campaignId)
+          .map(mapper.fromRow)
+      );
+    },
+
+    /**
+     * Dari daftar code, return code yang sudah dipakai voucher lain
+     * (case-insensitive, sama seperti kolom code)
+     */
+    async findExistingCodes(codes) {
+      return result(() => {
+        const existing = [];
+        for (let i = 0; i < codes.length; i += 500) {
+          const chunk = codes.slice(i, i + 500);
+          existing.push(
+            ...db
+              .prepare(`SELECT code FROM vouchers WHERE code IN (${chunk.map(() => "?").join(", ")})`)
+              .pluck()
+              .all(chunk)
+          );
+        }
+        return existing;
+      });
+    },
+
+    async create(voucher) {
+      return result(() => {
+        const now = nowIso();
+        const row = mapper.toRow({
+          id: crypto.randomUUID(),
+          created_at: now,
+          updated_at: now,
+          ...voucher,
+        });
+        const columns = Object.keys(row).map(column);
+
+        return mapper.fromRow(
+          db
+            .prepare(
+              `INSERT INTO vouchers (${columns.join(", ")})
+               VALUES (${columns.map((c) => `@${c}`).join(", ")})
+               RETURNING *`
+            )
+            .get(row)
+        );
+      });
+    },
+
+    /**
+     * Insert banyak voucher sekaligus dalam 1 transaction (all-or-nothing)
+     */
+    async createMany(vouchers) {
+      return result(() =>
+        db.transaction(() =>
+          vouchers.map((voucher) => {
+            const now = nowIso();
+            const row = mapper.toRow({
+              id: crypto.randomUUID(),
+              created_at: now,
+              updated_at: now,
+              ...voucher,
+            });
+            const columns = Object.keys(row).map(column);
+
+            return mapper.fromRow(
+              db
+                .prepare(
+                  `INSERT INTO vouchers (${columns.join(", ")})
+                   VALUES (${columns.map((c) => `@${c}`).join(", ")})
+                   RETURNING *`
+                )
+                .get(row)
+            );
+          })
+        )()
+      );
+    },
+
+    /**
+     * Update voucher by id
+     * `match` = kondisi tambahan (misal optimistic locking), row tidak
+     * ditemukan / tidak match -> data null
+     */
+    async update(id, changes, match = {}) {
+      return result(() => {
+        const row = mapper.toRow({ ...changes, updated_at: nowIso() });
+        const where = mapper.toRow(match);
+
+        const params = { id };
+        const sets = Object.keys(row).map((key) => {
+          params[`set_${key}`] = row[key];
+          return `${column(key)} = @set_${key}`;
+        });
+        const conditions = Object.keys(where).map((key) => {
+          params[`where_${key}`] = where[key];
+          return `${column(key)} = @where_${key}`;
+        });
+
+        return mapper.fromRow(
+          db
+            .prepare(
+              `UPDATE vouchers SET ${sets.join(", ")}
+               WHERE ${["id = @id", ...conditions].join(" AND ")}
+               RETURNING *`
+            )
+            .get(params)
+        );
+      });
+    },
+
+    /**
+     * Voucher yang status tersimpannya kemungkinan sudah tidak sesuai waktu / quota
+     * (dipakai scheduler lifecycle, status final dihitung ulang di services/lifecycle)
+     */
+    async findStatusDue(now, limit) {
+      return result(() =>
+        db
+          .prepare(
+            `SELECT * FROM vouchers
+             WHERE (status = 'SCHEDULED' AND (start_at IS NULL OR start_at <= @now))
+                OR (status IN ('SCHEDULED', 'ACTIVE', 'PAUSED', 'EXHAUSTED') AND end_at < @now)
+                OR (status = 'ACTIVE' AND (is_exhausted = 1 OR is_active = 0))
+                OR (status = 'EXHAUSTED' AND is_exhausted = 0 AND is_active = 1)
+             ORDER BY id
+             LIMIT @limit`
+          )
+          .all({ now: new Date(now).toISOString(), limit })
+          .map(mapper.fromRow)
+      );
+    },
+
+    /**
+     * Catat perpindahan status voucher
+     * @param {object[]} entries - { voucher_id, from_status, to_status, trigger, actor_id? }
+     */
+    async appendStatusHistory(entries) {
+      return result(() => {
+        const insert = db.prepare(
+          `INSERT INTO voucher_status_history (voucher_id, from_status, to_status, trigger, actor_id)
+           VALUES (@voucher_id, @from_status, @to_status, @trigger, @actor_id)`
+        );
+
+        db.transaction(() => {
+          for (const entry of entries) {
+            insert.run({ from_status: null, actor_id: null, ...entry });
+          }
+        })();
+        return null;
+      });
+    },
+
+    /**
+     * Riwayat status voucher, terlama dulu
+     */
+    async listStatusHistory(voucherId) {
+      return result(() =>
+        db
+          .prepare("SELECT * FROM voucher_status_history WHERE voucher_id = ? ORDER BY id")
+          .all(voucherId)
+      );
+    },
+
+    /**
+     * Archive voucher (soft delete), sudah archived -> data null
+     */
+    async archive(id, archivedBy) {
+      return result(() => {
+        const now = nowIso();
+        return mapper.fromRow(
+          db
+            .prepare(
+              `UPDATE vouchers SET archived_at = ?, archived_by = ?, updated_at = ?
+               WHERE id = ? AND archived_at IS NULL
+               RETURNING *`
+            )
+            .get(now, archivedBy, now, id)
+        );
+      });
+    },
+
+    /**
+     * Kembalikan voucher archived, tidak archived -> data null
+     */
+    async restore(id) {
+      return result(() =>
+        mapper.fromRow(
+          db
+            .prepare(
+              `UPDATE vouchers SET archived_at = NULL, archived_by = NULL, updated_at = ?
+               WHERE id = ? AND archived_at IS NOT NULL
+               RETURNING *`
+            )
+            .get(nowIso(), id)
+        )
+      );
+    },
+
+    /**
+     * Hapus voucher archived sebelum `archivedBefore` yang tidak pernah punya
+     * redemption / claim (status apa pun), return voucher yang dihapus
+     */
+    async purgeArchived(archivedBefore) {
+      return result(() =>
+        db
+          .prepare(
+            `DELETE FROM vouchers
+             WHERE archived_at IS NOT NULL
+               AND archived_at < ?
+               AND NOT EXISTS (SELECT 1 FROM voucher_redemptions r WHERE r.voucher_id = vouchers.id)
+               AND NOT EXISTS (SELECT 1 FROM voucher_claims c WHERE c.voucher_id = vouchers.id)
+             RETURNING *`
+          )
+          .all(new Date(archivedBefore).toISOString())
+          .map(mapper.fromRow)
+      );
+    },
+  };
+}
+
+module.exports = {
+  createVoucherStore,
+};
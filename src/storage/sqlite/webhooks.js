@@ -0,0 +1,234 @@
+const crypto = require("crypto");
+const { result, createMapper, column, nowIso } = require("./db");
+
+const endpointMapper = createMapper({
+  booleans: ["is_active"],
+  json: ["events"],
+});
+
+const eventMapper = createMapper({
+  json: ["payload"],
+});
+
+const deliveryMapper = createMapper({});
+
+/**
+ * WebhookStore - tabel webhook_endpoints, webhook_events (outbox) & webhook_deliveries di SQLite
+ * Event dibuat trigger database, store ini hanya membaca & men-dispatch
+ * @param {import("better-sqlite3").Database} db
+ */
+function createWebhookStore(db) {
+  const dispatch = db.transaction((eventId, endpointIds) => {
+    const insert = db.prepare("INSERT OR IGNORE INTO webhook_deliveries (event_id, endpoint_id) VALUES (?, ?)");
+    const created = endpointIds.reduce((sum, endpointId) => sum + insert.run(eventId, endpointId).changes, 0);
+
+    db.prepare("UPDATE webhook_events SET dispatched_at = ? WHERE id = ?").run(nowIso(), eventId);
+    return created;
+  });
+
+  const claimDue = db.transaction((limit, lockSeconds) => {
+    const now = nowIso();
+    const ids = db
+      .prepare(
+        `SELECT id FROM webhook_deliveries
+         WHERE status = 'PENDING' AND next_attempt_at <= ?
+         ORDER BY next_attempt_at, id
+         LIMIT ?`
+      )
+      .pluck()
+      .all(now, limit);
+
+    const lock = db.prepare("UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id = ? RETURNING *");
+    const lockedUntil = new Date(Date.now() + lockSeconds * 1000).toISOString();
+
+    return ids.map((id) => lock.get(lockedUntil, id));
+  });
+
+  return {
+    async listEndpoints() {
+      return result(() =>
+        db.prepare("SELECT * FROM webhook_endpoints ORDER BY created_at").all().map(endpointMapper.fromRow)
+      );
+    },
+
+    async findEndpoint(id) {
+      return result(() =>
+        endpointMapper.fromRow(db.prepare("SELECT * FROM webhook_endpoints WHERE id = ?").get(id))
+      );
+    },
+
+    async createEndpoint(endpoint) {
+      return result(() => {
+        const now = nowIso();
+        const row = endpointMapper.toRow({
+          id: crypto.randomUUID(),
+          created_at: now,
+          updated_at: now,
+          ...endpoint,
+        });
+        const columns = Object.keys(row).map(column);
+
+        return endpointMapper.fromRow(
+          db
+            .prepare(
+              `INSERT INTO webhook_endpoints (${columns.join(", ")})
+               VALUES (${columns.map((c) => `@${c}`).join(", ")})
+               RETURNING *`
+            )
+            .get(row)
+        );
+      });
+    },
+
+    async updateEndpoint(id, changes) {
+      return result(() => {
+        const row = endpointMapper.toRow({ ...changes, updated_at: nowIso() });
+        const sets = Object.keys(row).map((key) => `${column(key)} = @${key}`);
+
+        return endpointMapper.fromRow(
+          db
+            .prepare(`UPDATE webhook_endpoints SET ${sets.join(", ")} WHERE id = @id RETURNING *`)
+            .get({ ...row, id })
+        );
+      });
+    },
+
+    /**
+     * Hapus endpoint beserta semua delivery-nya
+     */
+    async removeEndpoint(id) {
+      return result(() => {
+        db.prepare("DELETE FROM webhook_endpoints WHERE id = ?").run(id);
+        return null;
+      });
+    },
+
+    /**
+     * Event outbox yang belum dibuatkan delivery, terlama dulu
+     */
+    async listUndispatched(limit) {
+      return result(() =>
+        db
+          .prepare("SELECT * FROM webhook_events WHERE dispatched_at IS NULL ORDER BY id LIMIT ?")
+          .all(limit)
+          .map(eventMapper.fromRow)
+      );
+    },
+
+    async findEvents(ids) {
+      return result(() => {
+        if (ids.length === 0) return [];
+
+        return db
+          .prepare(`SELECT * FROM webhook_events WHERE id IN (${ids.map(() => "?").join(", ")})`)
+          .all(...ids)
+          .map(eventMapper.fromRow);
+      });
+    },
+
+    /**
+     * Buat delivery event untuk endpoint yang cocok + tandai event sudah di-dispatch (atomic)
+     * @returns {{ data: number }} jumlah delivery baru
+     */
+    async dispatch(eventId, endpointIds) {
+      return result(() => dispatch.immediate(eventId, endpointIds));
+    },
+
+    /**
+     * Ambil delivery PENDING yang sudah waktunya dikirim, next_attempt_at digeser lockSeconds
+     * supaya tidak diambil lagi selama dikirim
+     */
+    async claimDue(limit, lockSeconds) {
+      return result(() => claimDue.immediate(limit, lockSeconds).map(deliveryMapper.fromRow));
+    },
+
+    async updateDelivery(id, changes) {
+      return result(() => {
+        const row = deliveryMapper.toRow(changes);
+        const sets = Object.keys(row).map((key) => `${column(key)} = @${key}`);
+
+        return deliveryMapper.fromRow(
+          db
+            .prepare(`UPDATE webhook_deliveries SET ${sets.join(", ")} WHERE id = @id RETURNING *`)
+            .get({ ...row, id })
+        );
+      });
+    },
+
+    async findDelivery(id) {
+      return result(() =>
+        deliveryMapper.fromRow(
+          db
+            .prepare(
+              `SELECT d.*, e.event_type FROM webhook_deliveries d
+               JOIN webhook_events e ON e.id = d.event_id
+               WHERE d.id = ?`
+            )
+            .get(id)
+        )
+      );
+    },
+
+    /**
+     * Delivery terbaru dulu (+ event_type), keyset pagination by id
+     * @param {{ endpointId?: string, status?: string }} filters
+     * @param {{ limit: number, beforeId?: number }} page
+     */
+    async listDeliveries(filters, page) {
+      return result(() => {
+        const where = [];
+        const params = { limit: page.limit };
+
+        if (filters.endpointId) {
+          where.push("d.endpoint_id = @endpoint_id");
+          params.endpoint_id = filters.endpointId;
+        }
+        if (filters.status) {
+          where.push("d.status = @status");
+          params.status = filters.status;
+        }
+        if (page.beforeId) {
+          where.push("d.id < @before_id");
+          params.before_id = page.beforeId;
+        }
+
+        return db
+          .prepare(
+            `SELECT d.*, e.event_type FROM webhook_deliveries d
+             JOIN webhook_events e ON e.id = d.event_id
+             ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+             ORDER BY d.id DESC
+             LIMIT @limit`
+          )
+          .all(params)
+          .map(deliveryMapper.fromRow);
+      });
+    },
+
+    /**
+     * Kirim ulang delivery (DEAD / DELIVERED): kembali PENDING dengan jatah percobaan baru
+     * @param {{ id?: number, endpointId?: string }} target - 1 delivery, atau semua DEAD milik endpoint
+     * @returns {{ data: object[] }} delivery yang di-replay
+     */
+    async replay(target) {
+      return result(() => {
+        const condition = target.id
+          ? "id = @id AND status <> 'PENDING'"
+          : "endpoint_id = @endpoint_id AND status = 'DEAD'";
+
+        return db
+          .prepare(
+            `UPDATE webhook_deliveries SET status = 'PENDING', attempts = 0, next_attempt_at = @now
+             WHERE ${condition}
+             RETURNING *`
+          )
+          .all({ id: target.id ?? null, endpoint_id: target.endpointId ?? null, now: nowIso() })
+          .map(deliveryMapper.fromRow);
+      });
+    },
+  };
+}
+
+module.exports = {
+  createWebhookStore,
+};
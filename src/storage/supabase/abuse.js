@@ -0,0 +1,38 @@
+/**
+ * AbuseStore - tabel abuse_flags di Supabase
+ */
+function createAbuseStore(supabase) {
+  return {
+    /**
+     * Catat pola mencurigakan
+     * @param {{ kind: string, subject: string, ip?: string, user_id?: string, request_id?: string,
+     *   details?: object }} flag
+     */
+    async flag(flag) {
+      return supabase
+        .from("abuse_flags")
+        .insert([{ ...flag, details: flag.details || {} }])
+        .select()
+        .single();
+    },
+
+    /**
+     * Flag terbaru dulu, keyset pagination by id
+     * @param {{ kind?: string, subject?: string }} filters
+     * @param {{ limit: number, beforeId?: number }} page
+     */
+    async list(filters, page) {
+      let query = supabase.from("abuse_flags").select("*");
+
+      if (filters.kind) query = query.eq("kind", filters.kind);
+      if (filters.subject) query = query.eq("subject", filters.subject);
+      if (page.beforeId) query = query.lt("id", page.beforeId);
+
+      return query.order("id", { ascending: false }).limit(page.limit);
+    },
+  };
+}
+
+module.exports = {
+  createAbuseStore,
+};
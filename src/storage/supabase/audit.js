@@ -0,0 +1,51 @@
+/**
+ * AuditStore - tabel audit_log di Supabase (append-only, UPDATE / DELETE ditolak trigger)
+ */
+function createAuditStore(supabase) {
+  return {
+    /**
+     * Tambah entry audit (1 insert untuk semua entry)
+     * @param {object[]} entries - { entity_type, entity_id, voucher_id?, action, actor_id?, actor_role?,
+     *   request_id?, changes, metadata? }
+     */
+    async append(entries) {
+      const rows = [];
+
+      for (let i = 0; i < entries.length; i += 1000) {
+        const { data, error } = await supabase
+          .from("audit_log")
+          .insert(entries.slice(i, i + 1000).map((entry) => ({ ...entry, changes: entry.changes || {} })))
+          .select();
+
+        if (error) return { data: null, error };
+        rows.push(...data);
+      }
+
+      return { data: rows, error: null };
+    },
+
+    /**
+     * Riwayat audit terbaru dulu, keyset pagination by id
+     * @param {{ voucherId?: string, entityType?: string, entityId?: string, actions?: string[],
+     *   from?: string, to?: string }} filters
+     * @param {{ limit: number, beforeId?: number }} page
+     */
+    async list(filters, page) {
+      let query = supabase.from("audit_log").select("*");
+
+      if (filters.voucherId) query = query.eq("voucher_id", filters.voucherId);
+      if (filters.entityType) query = query.eq("entity_type", filters.entityType);
+      if (filters.entityId) query = query.eq("entity_id", filters.entityId);
+      if (filters.actions?.length > 0) query = query.in("action", filters.actions);
+      if (filters.from) query = query.gte("created_at", filters.from);
+      if (filters.to) query = query.lt("created_at", filters.to);
+      if (page.beforeId) query = query.lt("id", page.beforeId);
+
+      return query.order("id", { ascending: false }).limit(page.limit);
+    },
+  };
+}
+
+module.exports = {
+  createAuditStore,
+};
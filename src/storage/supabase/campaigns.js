@@ -0,0 +1,43 @@
+/**
+ * CampaignStore - tabel voucher_campaigns di Supabase
+ */
+function createCampaignStore(supabase) {
+  // total_codes = jumlah voucher yang sudah di-generate untuk campaign
+  const withTotal = ({ vouchers, ...campaign }) => ({
+    ...campaign,
+    total_codes: vouchers?.[0]?.count || 0,
+  });
+
+  return {
+    async list() {
+      const { data, error } = await supabase
+        .from("voucher_campaigns")
+        .select("*, vouchers(count)")
+        .order("created_at", { ascending: false });
+
+      return { data: data ? data.map(withTotal) : null, error };
+    },
+
+    async findById(id) {
+      const { data, error } = await supabase
+        .from("voucher_campaigns")
+        .select("*, vouchers(count)")
+        .eq("id", id)
+        .maybeSingle();
+
+      return { data: data ? withTotal(data) : null, error };
+    },
+
+    async create(campaign) {
+      return supabase
+        .from("voucher_campaigns")
+        .insert([campaign])
+        .select()
+        .single();
+    },
+  };
+}
+
+module.exports = {
+  createCampaignStore,
+};
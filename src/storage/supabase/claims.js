@@ -0,0 +1,63 @@
+/**
+ * ClaimStore - tabel voucher_claims di Supabase
+ * Claim & release lewat RPC supaya vouchers.total_claimed atomic (lihat supabase/migrations/009_*)
+ */
+function createClaimStore(supabase) {
+  const rpc = async (fn, args) => {
+    const { data, error } = await supabase.rpc(fn, args);
+
+    if (error && error.code === "P0001") {
+      return { data: null, error: { code: error.message, message: error.message } };
+    }
+
+    return { data, error };
+  };
+
+  return {
+    async findActive(voucherId, userId) {
+      return supabase
+        .from("voucher_claims")
+        .select("*")
+        .eq("voucher_id", voucherId)
+        .eq("user_id", userId)
+        .eq("status", "CLAIMED")
+        .maybeSingle();
+    },
+
+    /**
+     * Claim milik user, default hanya yang masih CLAIMED
+     */
+    async listByUser(userId, statuses = ["CLAIMED"]) {
+      return supabase
+        .from("voucher_claims")
+        .select("*")
+        .eq("user_id", userId)
+        .in("status", statuses)
+        .order("claimed_at", { ascending: false });
+    },
+
+    /**
+     * Simpan voucher ke wallet user, 1 slot quota ditahan untuk user ini
+     */
+    async claim(params) {
+      return rpc("claim_voucher", {
+        p_voucher_id: params.voucherId,
+        p_user_id: params.userId,
+      });
+    },
+
+    /**
+     * Lepas claim yang belum dipakai, slot kembali ke quota umum
+     */
+    async release(params) {
+      return rpc("release_voucher_claim", {
+        p_voucher_id: params.voucherId,
+        p_user_id: params.userId,
+      });
+    },
+  };
+}
+
+module.exports = {
+  createClaimStore,
+};
@@ -0,0 +1,67 @@
+/**
+ * IdempotencyStore - tabel idempotency_keys di Supabase
+ * begin lewat RPC supaya hapus key expired + insert atomic (lihat supabase/migrations/014_*)
+ */
+function createIdempotencyStore(supabase) {
+  return {
+    /**
+     * Ambil key untuk request baru (key expired dianggap tidak ada)
+     * lockSeconds = lama key ditahan selama request pertama diproses
+     * @returns {{ data: object | null }} null = key berhasil diambil, selain itu row yang sudah ada
+     */
+    async begin({ scope, key, requestHash, lockSeconds }) {
+      return supabase.rpc("begin_idempotency_key", {
+        p_scope: scope,
+        p_key: key,
+        p_request_hash: requestHash,
+        p_lock_seconds: lockSeconds,
+      });
+    },
+
+    /**
+     * Simpan response request pertama, di-replay sampai ttlSeconds
+     */
+    async complete({ scope, key, statusCode, response, ttlSeconds }) {
+      const { error } = await supabase
+        .from("idempotency_keys")
+        .update({
+          status_code: statusCode,
+          response,
+          expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+        })
+        .eq("scope", scope)
+        .eq("idempotency_key", key);
+
+      return { data: null, error };
+    },
+
+    /**
+     * Lepas key (request pertama gagal), retry diproses ulang
+     */
+    async release(scope, key) {
+      const { error } = await supabase
+        .from("idempotency_keys")
+        .delete()
+        .eq("scope", scope)
+        .eq("idempotency_key", key);
+
+      return { data: null, error };
+    },
+
+    /**
+     * Hapus key yang sudah expired, return jumlahnya
+     */
+    async purgeExpired() {
+      const { count, error } = await supabase
+        .from("idempotency_keys")
+        .delete({ count: "exact" })
+        .lte("expires_at", new Date().toISOString());
+
+      return { data: count, error };
+    },
+  };
+}
+
+module.exports = {
+  createIdempotencyStore,
+};
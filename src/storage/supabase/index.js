@@ -0,0 +1,32 @@
+const { createVoucherStore } = require("./vouchers");
+const { createRedemptionStore } = require("./redemptions");
+const { createProfileStore } = require("./profiles");
+const { createCampaignStore } = require("./campaigns");
+const { createClaimStore } = require("./claims");
+const { createIdempotencyStore } = require("./idempotency");
+const { createAuditStore } = require("./audit");
+const { createWebhookStore } = require("./webhooks");
+const { createAbuseStore } = require("./abuse");
+
+/**
+ * Storage backend Supabase (PostgreSQL)
+ * @param {import("@supabase/supabase-js").SupabaseClient} supabase
+ */
+function createSupabaseStorage(supabase) {
+  return {
+    driver: "supabase",
+    vouchers: createVoucherStore(supabase),
+    redemptions: createRedemptionStore(supabase),
+    profiles: createProfileStore(supabase),
+    campaigns: createCampaignStore(supabase),
+    claims: createClaimStore(supabase),
+    idempotency: createIdempotencyStore(supabase),
+    audit: createAuditStore(supabase),
+    webhooks: createWebhookStore(supabase),
+    abuse: createAbuseStore(supabase),
+  };
+}
+
+module.exports = {
+  createSupabaseStorage,
+};
@@ -0,0 +1,26 @@
+/**
+ * ProfileStore - tabel profiles di Supabase
+ */
+function createProfileStore(supabase) {
+  return {
+    async findById(id) {
+      return supabase
+        .from("profiles")
+        .select("*")
+        .eq("id", id)
+        .maybeSingle();
+    },
+
+    async upsert(profile) {
+      return supabase
+        .from("profiles")
+        .upsert([profile])
+        .select()
+        .single();
+    },
+  };
+}
+
+module.exports = {
+  createProfileStore,
+};
@@ -0,0 +1,274 @@
+/**
+ * RedemptionStore - tabel voucher_redemptions di Supabase
+ * Operasi yang mengubah quota lewat RPC (lihat supabase/migrations/002_*)
+ */
+function createRedemptionStore(supabase) {
+  /**
+   * RAISE EXCEPTION 'VOUCHER_EXHAUSTED' dari function Postgres sampai di
+   * client sebagai error P0001 dengan message = reason code
+   */
+  const rpc = async (fn, args) => {
+    const { data, error } = await supabase.rpc(fn, args);
+
+    if (error && error.code === "P0001") {
+      return { data: null, error: { code: error.message, message: error.message } };
+    }
+
+    return { data, error };
+  };
+
+  return {
+    async findById(id) {
+      return supabase
+        .from("voucher_redemptions")
+        .select("*")
+        .eq("id", id)
+        .maybeSingle();
+    },
+
+    /**
+     * Semua redemption 1 order (semua status)
+     */
+    async listByOrder(orderId) {
+      return supabase
+        .from("voucher_redemptions")
+        .select("*")
+        .eq("order_id", orderId)
+        .order("redeemed_at");
+    },
+
+    /**
+     * Pemakaian voucher oleh user (RESERVED / SUCCESS)
+     * @returns {{ data: { count: number, last_redeemed_at: string | null } }}
+     */
+    async getUserUsage(voucherId, userId) {
+      const { data, count, error } = await supabase
+        .from("voucher_redemptions")
+        .select("redeemed_at", { count: "exact" })
+        .eq("voucher_id", voucherId)
+        .eq("user_id", userId)
+        .in("status", ["RESERVED", "SUCCESS"])
+        .order("redeemed_at", { ascending: false })
+        .limit(1);
+
+      if (error) return { data: null, error };
+
+      return {
+        data: { count: count || 0, last_redeemed_at: data[0]?.redeemed_at || null },
+        error: null,
+      };
+    },
+
+    /**
+     * Riwayat redemption user (terbaru dulu) + code & nama voucher
+     * @param {{ statuses?: string[], limit: number, offset: number }} options
+     * @returns {{ data: object[], count: number }} count = total sebelum pagination
+     */
+    async listByUser(userId, options) {
+      let query = supabase
+        .from("voucher_redemptions")
+        .select("*, vouchers(code, name)", { count: "exact" })
+        .eq("user_id", userId);
+
+      if (options.statuses && options.statuses.length > 0) {
+        query = query.in("status", options.statuses);
+      }
+
+      const { data, count, error } = await query
+        .order("redeemed_at", { ascending: false })
+        .order("id")
+        .range(options.offset, options.offset + options.limit - 1);
+
+      if (error) return { data: null, count: null, error };
+
+      return {
+        data: data.map(({ vouchers, ...redemption }) => ({
+          ...redemption,
+          voucher_code: vouchers?.code ?? null,
+          voucher_name: vouchers?.name ?? null,
+        })),
+        count,
+        error: null,
+      };
+    },
+
+    /**
+     * Pemakaian user (RESERVED / SUCCESS) per voucher, 1 query grouped (function user_voucher_usage)
+     * @returns {{ data: Map<string, { count: number, last_redeemed_at: string }> }}
+     */
+    async getUsageByUser(userId) {
+      const { data, error } = await supabase.rpc("user_voucher_usage", { p_user_id: userId });
+      if (error) return { data: null, error };
+
+      return {
+        data: new Map(data.map(({ voucher_id, ...usage }) => [voucher_id, usage])),
+        error: null,
+      };
+    },
+
+    /**
+     * Jumlah redemption user (RESERVED / SUCCESS) di semua voucher
+     */
+    async countByUser(userId) {
+      const { count, error } = await supabase
+        .from("voucher_redemptions")
+        .select("id", { count: "exact", head: true })
+        .eq("user_id", userId)
+        .in("status", ["RESERVED", "SUCCESS"]);
+
+      return { data: count, error };
+    },
+
+    /**
+     * Jumlah pemakaian voucher (RESERVED / SUCCESS) sejak `since`
+     */
+    async countSince(voucherId, since) {
+      const { count, error } = await supabase
+        .from("voucher_redemptions")
+        .select("id", { count: "exact", head: true })
+        .eq("voucher_id", voucherId)
+        .in("status", ["RESERVED", "SUCCESS"])
+        .gte("redeemed_at", since);
+
+      return { data: count, error };
+    },
+
+    /**
+     * Aggregate redemption untuk report, 1 row per grup (key)
+     * Nominal hanya dari redemption SUCCESS, reversed = CANCELLED / REFUNDED
+     * @param {{ voucherId?: string, campaignId?: string, from?: string, to?: string }} filters
+     * @param {"total" | "voucher" | "hour" | "day"} groupBy
+     */
+    async aggregate(filters, groupBy) {
+      return rpc("voucher_redemption_report", {
+        p_group: groupBy,
+        p_voucher_id: filters.voucherId || null,
+        p_campaign_id: filters.campaignId || null,
+        p_from: filters.from || null,
+        p_to: filters.to || null,
+      });
+    },
+
+    /**
+     * Ambil 1 slot voucher secara atomic
+     * ttlSeconds null = langsung SUCCESS, selain itu RESERVED sampai expires_at
+     * dayStart = awal hari untuk cap harian (max_redemptions_per_day)
+     * Semua nominal dalam mata uang voucher, orderCurrency / exchangeRate = mata uang order asli
+     * dan kursnya (kosong = mata uang voucher, kurs 1)
+     * finalAmount = orderAmount + deliveryFee - discountAmount
+     * discountAmount dipotong ke sisa budget voucher / campaign (lihat row hasil)
+     * orderId yang sudah punya redemption aktif ditolak (ORDER_ALREADY_REDEEMED)
+     */
+    async reserve(params) {
+      return rpc("reserve_voucher", {
+        p_voucher_id: params.voucherId,
+        p_user_id: params.userId,
+        p_order_id: params.orderId || null,
+        p_order_amount: params.orderAmount,
+        p_delivery_fee: params.deliveryFee || 0,
+        p_discount_amount: params.discountAmount,
+        p_final_amount: params.finalAmount,
+        p_ttl_seconds: params.ttlSeconds ?? null,
+        p_day_start: params.dayStart || null,
+        p_order_currency: params.orderCurrency || null,
+        p_exchange_rate: params.exchangeRate ?? null,
+      });
+    },
+
+    /**
+     * Ambil slot beberapa voucher untuk 1 order sekaligus (all-or-nothing, lihat services/stacking)
+     * params sama dengan reserve() tanpa voucherId / discountAmount / finalAmount, ditambah
+     * vouchers: [{ voucherId, discountAmount }]. orderId wajib
+     * final_amount semua row = orderAmount + deliveryFee - total discount order
+     * @returns {{ data: object[] }} sejajar dengan params.vouchers
+     */
+    async reserveMany(params) {
+      const { data, error } = await rpc("reserve_voucher_stack", {
+        p_user_id: params.userId,
+        p_order_id: params.orderId,
+        p_order_amount: params.orderAmount,
+        p_delivery_fee: params.deliveryFee || 0,
+        p_items: params.vouchers.map((item) => ({
+          voucher_id: item.voucherId,
+          discount_amount: item.discountAmount,
+        })),
+        p_ttl_seconds: params.ttlSeconds ?? null,
+        p_day_start: params.dayStart || null,
+        p_order_currency: params.orderCurrency || null,
+        p_exchange_rate: params.exchangeRate ?? null,
+      });
+
+      if (error) return { data: null, error };
+
+      // RPC mengunci voucher urut id, kembalikan ke urutan request
+      const byVoucher = new Map(data.map((redemption) => [redemption.voucher_id, redemption]));
+      return { data: params.vouchers.map((item) => byVoucher.get(item.voucherId)), error: null };
+    },
+
+    async confirm(id) {
+      return rpc("confirm_voucher_reservation", { p_redemption_id: id });
+    },
+
+    /**
+     * Batalkan reservasi RESERVED
+     * @param {{ reason?: string, actorId?: string }} [options]
+     */
+    async cancelReservation(id, options = {}) {
+      return rpc("cancel_voucher_reservation", {
+        p_redemption_id: id,
+        p_reason: options.reason || null,
+        p_actor_id: options.actorId || null,
+      });
+    },
+
+    /**
+     * Cancel / refund 1 redemption, quota dikembalikan ke voucher
+     * @param {{ status: "CANCELLED" | "REFUNDED", reason: string, actorId: string }} options
+     */
+    async reverse(id, options) {
+      return rpc("reverse_voucher_redemption", {
+        p_redemption_id: id,
+        p_status: options.status,
+        p_reason: options.reason,
+        p_actor_id: options.actorId,
+      });
+    },
+
+    /**
+     * Cancel / refund semua redemption untuk 1 order (all-or-nothing)
+     */
+    async reverseByOrder(orderId, options) {
+      return rpc("reverse_order_redemptions", {
+        p_order_id: orderId,
+        p_status: options.status,
+        p_reason: options.reason,
+        p_actor_id: options.actorId,
+      });
+    },
+
+    /**
+     * Jumlah reservasi yang sudah lewat TTL tapi belum dilepas (read-only)
+     */
+    async countExpiredReservations(voucherId) {
+      const { count, error } = await supabase
+        .from("voucher_redemptions")
+        .select("id", { count: "exact", head: true })
+        .eq("voucher_id", voucherId)
+        .eq("status", "RESERVED")
+        .lte("expires_at", new Date().toISOString());
+
+      return { data: count, error };
+    },
+
+    /**
+     * Expire semua reservasi yang sudah lewat TTL, return jumlahnya
+     */
+    async expireReservations(voucherId = null) {
+      return rpc("expire_voucher_reservations", { p_voucher_id: voucherId });
+    },
+  };
+}
+
+module.exports = {
+  createRedemptionStore,
+};
@@ -0,0 +1,291 @@
+// Filter rentang tanggal: <field>_from / <field>_to -> kolom
+const RANGE_FIELDS = {
+  created: "created_at",
+  start: "start_at",
+  end: "end_at",
+};
+
+/**
+ * Quote value untuk filter logic tree PostgREST (or / and)
+ */
+function quote(value) {
+  return `"${String(value).replace(/["\\]/g, "\\$&")}"`;
+}
+
+/**
+ * Kondisi PostgREST untuk filter status listing (is_exhausted = generated column)
+ * Semua status selain archived hanya untuk voucher yang belum di-archive
+ */
+function statusCondition(status, now) {
+  switch (status) {
+    case "active":
+      return `and(archived_at.is.null,is_active.is.true,is_exhausted.is.false,or(start_at.is.null,start_at.lte.${now}),or(end_at.is.null,end_at.gte.${now}))`;
+    case "scheduled":
+      return `and(archived_at.is.null,is_active.is.true,start_at.gt.${now})`;
+    case "expired":
+      return `and(archived_at.is.null,end_at.lt.${now})`;
+    case "exhausted":
+      return "and(archived_at.is.null,is_exhausted.is.true)";
+    case "inactive":
+      return "and(archived_at.is.null,is_active.is.false)";
+    case "draft":
+      return "and(archived_at.is.null,status.eq.DRAFT)";
+    case "paused":
+      return "and(archived_at.is.null,status.eq.PAUSED)";
+    case "archived":
+      return "archived_at.not.is.null";
+  }
+}
+
+/**
+ * VoucherStore - tabel vouchers di Supabase
+ */
+function createVoucherStore(supabase) {
+  return {
+    async list() {
+      return supabase
+        .from("vouchers")
+        .select("*")
+        .order("created_at", { ascending: false });
+    },
+
+    /**
+     * Listing voucher dengan filter + keyset pagination (lihat GET /vouchers)
+     * @param {object} filters - statuses (kosong = semua kecuali archived), discount_types, created_by, campaign_id, restaurant_id, is_public, q,
+     *   created_from/to, start_from/to, end_from/to, now
+     * @param {{ sort: string, order: "asc" | "desc", limit: number, after?: { value, id } }} page
+     */
+    async search(filters, page) {
+      let query = supabase.from("vouchers").select("*");
+      // Kondisi OR per grup, digabung jadi 1 logic tree PostgREST di akhir
+      const groups = [];
+
+      if (filters.statuses?.length > 0) {
+        const now = quote(filters.now);
+        groups.push(`or(${filters.statuses.map((status) => statusCondition(status, now)).join(",")})`);
+      } else {
+        query = query.is("archived_at", null);
+      }
+
+      if (filters.discount_types?.length > 0) {
+        query = query.in("discount_type", filters.discount_types);
+      }
+
+      for (const key of ["created_by", "campaign_id", "restaurant_id", "is_public"]) {
+        if (filters[key] !== undefined) query = query.eq(key, filters[key]);
+      }
+
+      if (filters.q) {
+        const pattern = quote(`*${filters.q.replace(/[\\%_*]/g, "\\$&")}*`);
+        groups.push(`or(code.ilike.${pattern},name.ilike.${pattern})`);
+      }
+
+      for (const [field, columnName] of Object.entries(RANGE_FIELDS)) {
+        if (filters[`${field}_from`]) query = query.gte(columnName, filters[`${field}_from`]);
+        if (filters[`${field}_to`]) query = query.lte(columnName, filters[`${field}_to`]);
+      }
+
+      const ascending = page.order === "asc";
+
+      if (page.after) {
+        const operator = ascending ? "gt" : "lt";
+        const value = quote(page.after.value);
+        const id = quote(page.after.id);
+        groups.push(
+          `or(${page.sort}.${operator}.${value},and(${page.sort}.eq.${value},id.${operator}.${id}))`
+        );
+      }
+
+      if (groups.length > 0) {
+        query = query.or(`and(${groups.join(",")})`);
+      }
+
+      return query
+        .order(page.sort, { ascending })
+        .order("id", { ascending })
+        .limit(page.limit);
+    },
+
+    async findById(id) {
+      return supabase
+        .from("vouchers")
+        .select("*")
+        .eq("id", id)
+        .maybeSingle();
+    },
+
+    async findByIds(ids) {
+      const vouchers = [];
+
+      for (let i = 0; i < ids.length; i += 500) {
+        const { data, error } = await supabase
+          .from("vouchers")
+          .select("*")
+          .in("id", ids.slice(i, i + 500));
+
+        if (error) return { data: null, error };
+        vouchers.push(...data);
+      }
+
+      return { data: vouchers, error: null };
+    },
+
+    async findByCode(code) {
+      return supabase
+        .from("vouchers")
+        .select("*")
+        .eq("code", code)
+        .maybeSingle();
+    },
+
+    async listByCampaign(campaignId) {
+      return supabase
+        .from("vouchers")
+        .select("*")
+        .eq("campaign_id", campaignId)
+        .order("created_at", { ascending: true })
+        .order("code", { ascending: true });
+    },
+
+    /**
+     * Dari daftar code, return code yang sudah dipakai voucher lain
+     * (case-insensitive, kolom code bertipe citext)
+     */
+    async findExistingCodes(codes) {
+      const existing = [];
+
+      for (let i = 0; i < codes.length; i += 500) {
+        const { data, error } = await supabase
+          .from("vouchers")
+          .select("code")
+          .in("code", codes.slice(i, i + 500));
+
+        if (error) return { data: null, error };
+        existing.push(...data.map((row) => row.code));
+      }
+
+      return { data: existing, error: null };
+    },
+
+    async create(voucher) {
+      return supabase
+        .from("vouchers")
+        .insert([voucher])
+        .select()
+        .single();
+    },
+
+    /**
+     * Insert banyak voucher sekaligus
+     * 1 request insert = 1 statement, jadi all-or-nothing untuk batch ini
+     */
+    async createMany(vouchers) {
+      return supabase
+        .from("vouchers")
+        .insert(vouchers)
+        .select();
+    },
+
+    /**
+     * Update voucher by id
+     * `match` = kondisi tambahan (misal optimistic locking), row tidak
+     * ditemukan / tidak match -> data null
+     */
+    async update(id, changes, match = {}) {
+      let query = supabase
+        .from("vouchers")
+        .update(changes)
+        .eq("id", id);
+
+      for (const [column, value] of Object.entries(match)) {
+        query = query.eq(column, value);
+      }
+
+      return query.select().maybeSingle();
+    },
+
+    /**
+     * Voucher yang status tersimpannya kemungkinan sudah tidak sesuai waktu / quota
+     * (dipakai scheduler lifecycle, status final dihitung ulang di services/lifecycle)
+     */
+    async findStatusDue(now, limit) {
+      const at = quote(new Date(now).toISOString());
+
+      return supabase
+        .from("vouchers")
+        .select("*")
+        .or(
+          [
+            `and(status.eq.SCHEDULED,or(start_at.is.null,start_at.lte.${at}))`,
+            `and(status.in.(SCHEDULED,ACTIVE,PAUSED,EXHAUSTED),end_at.lt.${at})`,
+            "and(status.eq.ACTIVE,or(is_exhausted.is.true,is_active.is.false))",
+            "and(status.eq.EXHAUSTED,is_exhausted.is.false,is_active.is.true)",
+          ].join(",")
+        )
+        .order("id")
+        .limit(limit);
+    },
+
+    /**
+     * Catat perpindahan status voucher
+     * @param {object[]} entries - { voucher_id, from_status, to_status, trigger, actor_id? }
+     */
+    async appendStatusHistory(entries) {
+      const { error } = await supabase.from("voucher_status_history").insert(entries);
+      return { data: null, error };
+    },
+
+    /**
+     * Riwayat status voucher, terlama dulu
+     */
+    async listStatusHistory(voucherId) {
+      return supabase
+        .from("voucher_status_history")
+        .select("*")
+        .eq("voucher_id", voucherId)
+        .order("id");
+    },
+
+    /**
+     * Archive voucher (soft delete), sudah archived -> data null
+     */
+    async archive(id, archivedBy) {
+      const now = new Date().toISOString();
+
+      return supabase
+        .from("vouchers")
+        .update({ archived_at: now, archived_by: archivedBy, updated_at: now })
+        .eq("id", id)
+        .is("archived_at", null)
+        .select()
+        .maybeSingle();
+    },
+
+    /**
+     * Kembalikan voucher archived, tidak archived -> data null
+     */
+    async restore(id) {
+      return supabase
+        .from("vouchers")
+        .update({ archived_at: null, archived_by: null, updated_at: new Date().toISOString() })
+        .eq("id", id)
+        .not("archived_at", "is", null)
+        .select()
+        .maybeSingle();
+    },
+
+    /**
+     * Hapus voucher archived sebelum `archivedBefore` yang tidak pernah punya
+     * redemption / claim (status apa pun), return voucher yang dihapus
+     */
+    async purgeArchived(archivedBefore) {
+      return supabase.rpc("purge_archived_vouchers", {
+        p_archived_before: new Date(archivedBefore).toISOString(),
+      });
+    },
+  };
+}
+
+module.exports = {
+  createVoucherStore,
+};
@@ -0,0 +1,127 @@
+// event_type ikut di-embed dari webhook_events
+const withEventType = ({ webhook_events: event, ...delivery }) => ({
+  ...delivery,
+  event_type: event?.event_type ?? null,
+});
+
+/**
+ * WebhookStore - tabel webhook_endpoints, webhook_events (outbox) & webhook_deliveries di Supabase
+ * Event dibuat trigger database, dispatch & claim lewat RPC (lihat supabase/migrations/019_*)
+ */
+function createWebhookStore(supabase) {
+  return {
+    async listEndpoints() {
+      return supabase.from("webhook_endpoints").select("*").order("created_at");
+    },
+
+    async findEndpoint(id) {
+      return supabase.from("webhook_endpoints").select("*").eq("id", id).maybeSingle();
+    },
+
+    async createEndpoint(endpoint) {
+      return supabase.from("webhook_endpoints").insert([endpoint]).select().single();
+    },
+
+    async updateEndpoint(id, changes) {
+      return supabase
+        .from("webhook_endpoints")
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq("id", id)
+        .select()
+        .maybeSingle();
+    },
+
+    /**
+     * Hapus endpoint beserta semua delivery-nya
+     */
+    async removeEndpoint(id) {
+      const { error } = await supabase.from("webhook_endpoints").delete().eq("id", id);
+      return { data: null, error };
+    },
+
+    /**
+     * Event outbox yang belum dibuatkan delivery, terlama dulu
+     */
+    async listUndispatched(limit) {
+      return supabase.from("webhook_events").select("*").is("dispatched_at", null).order("id").limit(limit);
+    },
+
+    async findEvents(ids) {
+      if (ids.length === 0) return { data: [], error: null };
+      return supabase.from("webhook_events").select("*").in("id", ids);
+    },
+
+    /**
+     * Buat delivery event untuk endpoint yang cocok + tandai event sudah di-dispatch (atomic)
+     * @returns {{ data: number }} jumlah delivery baru
+     */
+    async dispatch(eventId, endpointIds) {
+      return supabase.rpc("dispatch_webhook_event", {
+        p_event_id: eventId,
+        p_endpoint_ids: endpointIds,
+      });
+    },
+
+    /**
+     * Ambil delivery PENDING yang sudah waktunya dikirim, next_attempt_at digeser lockSeconds
+     * supaya tidak diambil lagi selama dikirim
+     */
+    async claimDue(limit, lockSeconds) {
+      return supabase.rpc("claim_webhook_deliveries", {
+        p_limit: limit,
+        p_lock_seconds: lockSeconds,
+      });
+    },
+
+    async updateDelivery(id, changes) {
+      return supabase.from("webhook_deliveries").update(changes).eq("id", id).select().maybeSingle();
+    },
+
+    async findDelivery(id) {
+      const { data, error } = await supabase
+        .from("webhook_deliveries")
+        .select("*, webhook_events(event_type)")
+        .eq("id", id)
+        .maybeSingle();
+
+      return { data: data ? withEventType(data) : null, error };
+    },
+
+    /**
+     * Delivery terbaru dulu (+ event_type), keyset pagination by id
+     * @param {{ endpointId?: string, status?: string }} filters
+     * @param {{ limit: number, beforeId?: number }} page
+     */
+    async listDeliveries(filters, page) {
+      let query = supabase.from("webhook_deliveries").select("*, webhook_events(event_type)");
+
+      if (filters.endpointId) query = query.eq("endpoint_id", filters.endpointId);
+      if (filters.status) query = query.eq("status", filters.status);
+      if (page.beforeId) query = query.lt("id", page.beforeId);
+
+      const { data, error } = await query.order("id", { ascending: false }).limit(page.limit);
+      return { data: data ? data.map(withEventType) : null, error };
+    },
+
+    /**
+     * Kirim ulang delivery (DEAD / DELIVERED): kembali PENDING dengan jatah percobaan baru
+     * @param {{ id?: number, endpointId?: string }} target - 1 delivery, atau semua DEAD milik endpoint
+     * @returns {{ data: object[] }} delivery yang di-replay
+     */
+    async replay(target) {
+      let query = supabase
+        .from("webhook_deliveries")
+        .update({ status: "PENDING", attempts: 0, next_attempt_at: new Date().toISOString() });
+
+      query = target.id
+        ? query.eq("id", target.id).neq("status", "PENDING")
+        : query.eq("endpoint_id", target.endpointId).eq("status", "DEAD");
+
+      return query.select();
+    },
+  };
+}
+
+module.exports = {
+  createWebhookStore,
+};
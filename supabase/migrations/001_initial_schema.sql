@@ -0,0 +1,47 @@
+-- Schema awal Voucher Service di Supabase (PostgreSQL)
+-- Sama dengan tabel yang didokumentasikan di README: Database Schema
+
+CREATE EXTENSION IF NOT EXISTS citext;
+
+CREATE TABLE IF NOT EXISTS profiles (
+  id          uuid PRIMARY KEY REFERENCES auth.users (id) ON DELETE CASCADE,
+  role        text NOT NULL DEFAULT 'USER',
+  full_name   text,
+  created_at  timestamptz NOT NULL DEFAULT now(),
+  updated_at  timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS vouchers (
+  id                     uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  code                   citext NOT NULL UNIQUE,
+  name                   text NOT NULL,
+  description            text,
+  discount_type          text NOT NULL,
+  discount_value         integer NOT NULL,
+  currency               text NOT NULL DEFAULT 'IDR',
+  min_order_amount       integer NOT NULL DEFAULT 0,
+  max_discount_amount    integer,
+  max_total_redemptions  integer NOT NULL DEFAULT 1,
+  total_redeemed         integer NOT NULL DEFAULT 0 CHECK (total_redeemed >= 0),
+  start_at               timestamptz,
+  end_at                 timestamptz,
+  is_active              boolean NOT NULL DEFAULT true,
+  created_by             uuid REFERENCES profiles (id),
+  created_at             timestamptz NOT NULL DEFAULT now(),
+  updated_at             timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS voucher_redemptions (
+  id               uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  voucher_id       uuid NOT NULL REFERENCES vouchers (id),
+  user_id          uuid NOT NULL REFERENCES profiles (id),
+  order_id         text,
+  order_amount     integer NOT NULL,
+  discount_amount  integer NOT NULL,
+  final_amount     integer NOT NULL,
+  redeemed_at      timestamptz NOT NULL DEFAULT now(),
+  status           text NOT NULL DEFAULT 'SUCCESS'
+);
+
+CREATE INDEX IF NOT EXISTS idx_voucher_redemptions_voucher_user
+  ON voucher_redemptions (voucher_id, user_id);
@@ -0,0 +1,186 @@
+-- Reservasi voucher (two-phase redeem)
+-- status: RESERVED -> SUCCESS | CANCELLED | EXPIRED
+-- Reservasi RESERVED ikut dihitung di vouchers.total_redeemed sampai di-cancel / expired
+-- Semua perubahan quota lewat function di bawah supaya atomic (row lock di vouchers)
+
+ALTER TABLE voucher_redemptions ADD COLUMN IF NOT EXISTS expires_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_voucher_redemptions_status_expires
+  ON voucher_redemptions (status, expires_at);
+
+-- Lepas reservasi yang sudah lewat expires_at, kembalikan quota ke voucher
+-- p_voucher_id NULL = semua voucher. Return jumlah reservasi yang di-expire.
+CREATE OR REPLACE FUNCTION expire_voucher_reservations(p_voucher_id uuid DEFAULT NULL)
+RETURNS integer
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  released integer;
+BEGIN
+  WITH expired AS (
+    UPDATE voucher_redemptions
+    SET status = 'EXPIRED'
+    WHERE status = 'RESERVED'
+      AND expires_at <= now()
+      AND (p_voucher_id IS NULL OR voucher_id = p_voucher_id)
+    RETURNING voucher_id
+  ),
+  counts AS (
+    SELECT voucher_id, count(*)::integer AS n FROM expired GROUP BY voucher_id
+  ),
+  updated AS (
+    UPDATE vouchers v
+    SET total_redeemed = v.total_redeemed - c.n,
+        updated_at = now()
+    FROM counts c
+    WHERE v.id = c.voucher_id
+    RETURNING c.n
+  )
+  SELECT coalesce(sum(n), 0) INTO released FROM updated;
+
+  RETURN released;
+END;
+$$;
+
+-- Ambil 1 slot voucher secara atomic
+-- p_ttl_seconds NULL = langsung SUCCESS (redeem biasa), selain itu RESERVED sampai expires_at
+CREATE OR REPLACE FUNCTION reserve_voucher(
+  p_voucher_id uuid,
+  p_user_id uuid,
+  p_order_id text,
+  p_order_amount integer,
+  p_discount_amount integer,
+  p_final_amount integer,
+  p_ttl_seconds integer DEFAULT NULL
+)
+RETURNS voucher_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v vouchers%ROWTYPE;
+  r voucher_redemptions%ROWTYPE;
+BEGIN
+  SELECT * INTO v FROM vouchers WHERE id = p_voucher_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'VOUCHER_NOT_FOUND';
+  END IF;
+
+  PERFORM expire_voucher_reservations(p_voucher_id);
+  SELECT * INTO v FROM vouchers WHERE id = p_voucher_id;
+
+  IF NOT v.is_active THEN
+    RAISE EXCEPTION 'VOUCHER_INACTIVE';
+  END IF;
+  IF v.start_at IS NOT NULL AND now() < v.start_at THEN
+    RAISE EXCEPTION 'VOUCHER_NOT_STARTED';
+  END IF;
+  IF v.end_at IS NOT NULL AND now() > v.end_at THEN
+    RAISE EXCEPTION 'VOUCHER_EXPIRED';
+  END IF;
+  IF v.total_redeemed >= v.max_total_redemptions THEN
+    RAISE EXCEPTION 'VOUCHER_EXHAUSTED';
+  END IF;
+  IF EXISTS (
+    SELECT 1 FROM voucher_redemptions
+    WHERE voucher_id = p_voucher_id
+      AND user_id = p_user_id
+      AND status IN ('RESERVED', 'SUCCESS')
+  ) THEN
+    RAISE EXCEPTION 'ALREADY_REDEEMED';
+  END IF;
+
+  UPDATE vouchers
+  SET total_redeemed = total_redeemed + 1,
+      updated_at = now()
+  WHERE id = p_voucher_id;
+
+  INSERT INTO voucher_redemptions (
+    voucher_id, user_id, order_id, order_amount, discount_amount, final_amount,
+    status, expires_at
+  )
+  VALUES (
+    p_voucher_id, p_user_id, p_order_id, p_order_amount, p_discount_amount, p_final_amount,
+    CASE WHEN p_ttl_seconds IS NULL THEN 'SUCCESS' ELSE 'RESERVED' END,
+    CASE WHEN p_ttl_seconds IS NULL THEN NULL ELSE now() + make_interval(secs => p_ttl_seconds) END
+  )
+  RETURNING * INTO r;
+
+  RETURN r;
+END;
+$$;
+
+-- Konfirmasi reservasi -> SUCCESS
+-- Reservasi yang sudah lewat expires_at di-expire (quota dikembalikan) dan
+-- dikembalikan dengan status EXPIRED, bukan error, supaya release-nya tidak di-rollback
+CREATE OR REPLACE FUNCTION confirm_voucher_reservation(p_redemption_id uuid)
+RETURNS voucher_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  r voucher_redemptions%ROWTYPE;
+BEGIN
+  -- Lock voucher dulu (urutan lock sama dengan reserve_voucher)
+  PERFORM 1 FROM vouchers
+  WHERE id = (SELECT voucher_id FROM voucher_redemptions WHERE id = p_redemption_id)
+  FOR UPDATE;
+
+  SELECT * INTO r FROM voucher_redemptions WHERE id = p_redemption_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'RESERVATION_NOT_FOUND';
+  END IF;
+  IF r.status <> 'RESERVED' THEN
+    RAISE EXCEPTION 'RESERVATION_NOT_PENDING';
+  END IF;
+
+  IF r.expires_at <= now() THEN
+    PERFORM expire_voucher_reservations(r.voucher_id);
+    SELECT * INTO r FROM voucher_redemptions WHERE id = p_redemption_id;
+    RETURN r;
+  END IF;
+
+  UPDATE voucher_redemptions
+  SET status = 'SUCCESS',
+      redeemed_at = now(),
+      expires_at = NULL
+  WHERE id = p_redemption_id
+  RETURNING * INTO r;
+
+  RETURN r;
+END;
+$$;
+
+-- Batalkan reservasi yang masih RESERVED, kembalikan quota ke voucher
+CREATE OR REPLACE FUNCTION cancel_voucher_reservation(p_redemption_id uuid)
+RETURNS voucher_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  r voucher_redemptions%ROWTYPE;
+BEGIN
+  -- Lock voucher dulu (urutan lock sama dengan reserve_voucher)
+  PERFORM 1 FROM vouchers
+  WHERE id = (SELECT voucher_id FROM voucher_redemptions WHERE id = p_redemption_id)
+  FOR UPDATE;
+
+  SELECT * INTO r FROM voucher_redemptions WHERE id = p_redemption_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'RESERVATION_NOT_FOUND';
+  END IF;
+  IF r.status <> 'RESERVED' THEN
+    RAISE EXCEPTION 'RESERVATION_NOT_PENDING';
+  END IF;
+
+  UPDATE vouchers
+  SET total_redeemed = total_redeemed - 1,
+      updated_at = now()
+  WHERE id = r.voucher_id;
+
+  UPDATE voucher_redemptions
+  SET status = 'CANCELLED',
+      expires_at = NULL
+  WHERE id = p_redemption_id
+  RETURNING * INTO r;
+
+  RETURN r;
+END;
+$$;
@@ -0,0 +1,145 @@
+-- Cancel / refund redemption: alasan dan siapa yang mengubah status
+-- CANCELLED dari RESERVED | SUCCESS, REFUNDED dari SUCCESS; quota dikembalikan ke voucher
+
+ALTER TABLE voucher_redemptions ADD COLUMN IF NOT EXISTS status_reason text;
+ALTER TABLE voucher_redemptions ADD COLUMN IF NOT EXISTS status_changed_by uuid REFERENCES profiles (id);
+ALTER TABLE voucher_redemptions ADD COLUMN IF NOT EXISTS status_changed_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_voucher_redemptions_order ON voucher_redemptions (order_id);
+
+-- Ubah status 1 redemption yang sudah di-lock + kembalikan quota
+-- Dipanggil dari function lain, voucher harus sudah di-lock oleh caller
+CREATE OR REPLACE FUNCTION _reverse_locked_redemption(
+  r voucher_redemptions,
+  p_status text,
+  p_reason text,
+  p_actor_id uuid
+)
+RETURNS voucher_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  updated voucher_redemptions%ROWTYPE;
+BEGIN
+  IF p_status NOT IN ('CANCELLED', 'REFUNDED') THEN
+    RAISE EXCEPTION 'INVALID_STATUS';
+  END IF;
+  IF NOT (
+    r.status = 'SUCCESS' OR (p_status = 'CANCELLED' AND r.status = 'RESERVED')
+  ) THEN
+    RAISE EXCEPTION 'REDEMPTION_NOT_REVERSIBLE';
+  END IF;
+
+  UPDATE vouchers
+  SET total_redeemed = total_redeemed - 1,
+      updated_at = now()
+  WHERE id = r.voucher_id;
+
+  UPDATE voucher_redemptions
+  SET status = p_status,
+      expires_at = NULL,
+      status_reason = p_reason,
+      status_changed_by = p_actor_id,
+      status_changed_at = now()
+  WHERE id = r.id
+  RETURNING * INTO updated;
+
+  RETURN updated;
+END;
+$$;
+
+-- Cancel / refund 1 redemption by id
+CREATE OR REPLACE FUNCTION reverse_voucher_redemption(
+  p_redemption_id uuid,
+  p_status text,
+  p_reason text,
+  p_actor_id uuid
+)
+RETURNS voucher_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  r voucher_redemptions%ROWTYPE;
+BEGIN
+  PERFORM 1 FROM vouchers
+  WHERE id = (SELECT voucher_id FROM voucher_redemptions WHERE id = p_redemption_id)
+  FOR UPDATE;
+
+  SELECT * INTO r FROM voucher_redemptions WHERE id = p_redemption_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'REDEMPTION_NOT_FOUND';
+  END IF;
+
+  RETURN _reverse_locked_redemption(r, p_status, p_reason, p_actor_id);
+END;
+$$;
+
+-- Cancel / refund semua redemption untuk 1 order_id (all-or-nothing)
+CREATE OR REPLACE FUNCTION reverse_order_redemptions(
+  p_order_id text,
+  p_status text,
+  p_reason text,
+  p_actor_id uuid
+)
+RETURNS SETOF voucher_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  r voucher_redemptions%ROWTYPE;
+  reversed integer := 0;
+BEGIN
+  PERFORM 1 FROM vouchers
+  WHERE id IN (SELECT voucher_id FROM voucher_redemptions WHERE order_id = p_order_id)
+  ORDER BY id
+  FOR UPDATE;
+
+  IF NOT EXISTS (SELECT 1 FROM voucher_redemptions WHERE order_id = p_order_id) THEN
+    RAISE EXCEPTION 'REDEMPTION_NOT_FOUND';
+  END IF;
+
+  FOR r IN
+    SELECT * FROM voucher_redemptions
+    WHERE order_id = p_order_id
+      AND (status = 'SUCCESS' OR (p_status = 'CANCELLED' AND status = 'RESERVED'))
+    ORDER BY redeemed_at
+    FOR UPDATE
+  LOOP
+    reversed := reversed + 1;
+    RETURN NEXT _reverse_locked_redemption(r, p_status, p_reason, p_actor_id);
+  END LOOP;
+
+  IF reversed = 0 THEN
+    RAISE EXCEPTION 'REDEMPTION_NOT_REVERSIBLE';
+  END IF;
+END;
+$$;
+
+-- Cancel reservasi oleh user sendiri, sekarang ikut mencatat actor & alasan
+DROP FUNCTION IF EXISTS cancel_voucher_reservation(uuid);
+
+CREATE OR REPLACE FUNCTION cancel_voucher_reservation(
+  p_redemption_id uuid,
+  p_reason text DEFAULT NULL,
+  p_actor_id uuid DEFAULT NULL
+)
+RETURNS voucher_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  r voucher_redemptions%ROWTYPE;
+BEGIN
+  PERFORM 1 FROM vouchers
+  WHERE id = (SELECT voucher_id FROM voucher_redemptions WHERE id = p_redemption_id)
+  FOR UPDATE;
+
+  SELECT * INTO r FROM voucher_redemptions WHERE id = p_redemption_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'RESERVATION_NOT_FOUND';
+  END IF;
+  IF r.status <> 'RESERVED' THEN
+    RAISE EXCEPTION 'RESERVATION_NOT_PENDING';
+  END IF;
+
+  RETURN _reverse_locked_redemption(r, 'CANCELLED', p_reason, p_actor_id);
+END;
+$$;
@@ -0,0 +1,22 @@
+-- Campaign = template voucher untuk batch code sekali pakai
+-- Setiap code yang di-generate jadi 1 row vouchers dengan campaign_id
+
+CREATE TABLE IF NOT EXISTS voucher_campaigns (
+  id                   uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name                 text NOT NULL,
+  description          text,
+  discount_type        text NOT NULL,
+  discount_value       integer NOT NULL,
+  currency             text NOT NULL DEFAULT 'IDR',
+  min_order_amount     integer NOT NULL DEFAULT 0,
+  max_discount_amount  integer,
+  start_at             timestamptz,
+  end_at               timestamptz,
+  created_by           uuid REFERENCES profiles (id),
+  created_at           timestamptz NOT NULL DEFAULT now(),
+  updated_at           timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE vouchers ADD COLUMN IF NOT EXISTS campaign_id uuid REFERENCES voucher_campaigns (id);
+
+CREATE INDEX IF NOT EXISTS idx_vouchers_campaign ON vouchers (campaign_id);
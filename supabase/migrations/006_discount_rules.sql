@@ -0,0 +1,99 @@
+-- Aturan discount per tipe (TIERED, BUY_X_GET_Y, floor PERCENT, cap FIXED)
+-- discount_rules: struktur tergantung discount_type (lihat src/services/discounts.js)
+-- delivery_fee: ongkir order saat redeem (final_amount = order_amount + delivery_fee - discount_amount)
+
+ALTER TABLE vouchers ADD COLUMN IF NOT EXISTS discount_rules jsonb;
+ALTER TABLE voucher_campaigns ADD COLUMN IF NOT EXISTS discount_rules jsonb;
+ALTER TABLE voucher_redemptions ADD COLUMN IF NOT EXISTS delivery_fee integer NOT NULL DEFAULT 0;
+
+DROP FUNCTION IF EXISTS reserve_voucher(uuid, uuid, text, integer, integer, integer, integer, timestamptz);
+
+-- Sama dengan versi 004, ditambah p_delivery_fee
+CREATE OR REPLACE FUNCTION reserve_voucher(
+  p_voucher_id uuid,
+  p_user_id uuid,
+  p_order_id text,
+  p_order_amount integer,
+  p_delivery_fee integer,
+  p_discount_amount integer,
+  p_final_amount integer,
+  p_ttl_seconds integer DEFAULT NULL,
+  p_day_start timestamptz DEFAULT NULL
+)
+RETURNS voucher_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v vouchers%ROWTYPE;
+  r voucher_redemptions%ROWTYPE;
+  user_count integer;
+  user_last timestamptz;
+  day_count integer;
+BEGIN
+  SELECT * INTO v FROM vouchers WHERE id = p_voucher_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'VOUCHER_NOT_FOUND';
+  END IF;
+
+  PERFORM expire_voucher_reservations(p_voucher_id);
+  SELECT * INTO v FROM vouchers WHERE id = p_voucher_id;
+
+  IF NOT v.is_active THEN
+    RAISE EXCEPTION 'VOUCHER_INACTIVE';
+  END IF;
+  IF v.start_at IS NOT NULL AND now() < v.start_at THEN
+    RAISE EXCEPTION 'VOUCHER_NOT_STARTED';
+  END IF;
+  IF v.end_at IS NOT NULL AND now() > v.end_at THEN
+    RAISE EXCEPTION 'VOUCHER_EXPIRED';
+  END IF;
+  IF v.total_redeemed >= v.max_total_redemptions THEN
+    RAISE EXCEPTION 'VOUCHER_EXHAUSTED';
+  END IF;
+
+  SELECT count(*), max(redeemed_at) INTO user_count, user_last
+  FROM voucher_redemptions
+  WHERE voucher_id = p_voucher_id
+    AND user_id = p_user_id
+    AND status IN ('RESERVED', 'SUCCESS');
+
+  IF v.max_redemptions_per_user IS NOT NULL AND user_count >= v.max_redemptions_per_user THEN
+    RAISE EXCEPTION 'ALREADY_REDEEMED';
+  END IF;
+  IF v.per_user_cooldown_seconds IS NOT NULL
+    AND user_last IS NOT NULL
+    AND user_last + make_interval(secs => v.per_user_cooldown_seconds) > now() THEN
+    RAISE EXCEPTION 'USER_COOLDOWN';
+  END IF;
+
+  IF v.max_redemptions_per_day IS NOT NULL AND p_day_start IS NOT NULL THEN
+    SELECT count(*) INTO day_count
+    FROM voucher_redemptions
+    WHERE voucher_id = p_voucher_id
+      AND status IN ('RESERVED', 'SUCCESS')
+      AND redeemed_at >= p_day_start;
+
+    IF day_count >= v.max_redemptions_per_day THEN
+      RAISE EXCEPTION 'DAILY_LIMIT_REACHED';
+    END IF;
+  END IF;
+
+  UPDATE vouchers
+  SET total_redeemed = total_redeemed + 1,
+      updated_at = now()
+  WHERE id = p_voucher_id;
+
+  INSERT INTO voucher_redemptions (
+    voucher_id, user_id, order_id, order_amount, delivery_fee, discount_amount, final_amount,
+    status, expires_at
+  )
+  VALUES (
+    p_voucher_id, p_user_id, p_order_id, p_order_amount, p_delivery_fee, p_discount_amount, p_final_amount,
+    CASE WHEN p_ttl_seconds IS NULL THEN 'SUCCESS' ELSE 'RESERVED' END,
+    CASE WHEN p_ttl_seconds IS NULL THEN NULL ELSE now() + make_interval(secs => p_ttl_seconds) END
+  )
+  RETURNING * INTO r;
+
+  RETURN r;
+END;
+$$;
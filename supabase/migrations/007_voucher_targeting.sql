@@ -0,0 +1,5 @@
+-- Targeting voucher ke item cart (sku / restaurant / kategori)
+-- targeting: { include: {...}, exclude: {...} } (lihat src/services/cart.js)
+
+ALTER TABLE vouchers ADD COLUMN IF NOT EXISTS targeting jsonb;
+ALTER TABLE voucher_campaigns ADD COLUMN IF NOT EXISTS targeting jsonb;
@@ -0,0 +1,8 @@
+-- Eligibility voucher per segment user (order pertama, allow-list user, domain email, tanggal registrasi)
+-- eligibility: lihat src/services/eligibility.js
+
+ALTER TABLE vouchers ADD COLUMN IF NOT EXISTS eligibility jsonb;
+ALTER TABLE voucher_campaigns ADD COLUMN IF NOT EXISTS eligibility jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_voucher_redemptions_user_status
+  ON voucher_redemptions (user_id, status);
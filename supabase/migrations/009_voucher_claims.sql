@@ -0,0 +1,320 @@
+-- Claim / simpan voucher ke wallet user, redeem belakangan
+-- status: CLAIMED -> USED (dipakai redeem/reserve) | RELEASED (dilepas user)
+-- Claim CLAIMED ikut dihitung di vouchers.total_claimed, slot-nya tidak bisa diambil user lain
+-- Reservasi dari claim yang expired / di-cancel mengembalikan claim ke CLAIMED
+
+ALTER TABLE vouchers ADD COLUMN IF NOT EXISTS total_claimed integer NOT NULL DEFAULT 0
+  CHECK (total_claimed >= 0);
+
+CREATE TABLE IF NOT EXISTS voucher_claims (
+  id             uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  voucher_id     uuid NOT NULL REFERENCES vouchers (id),
+  user_id        uuid NOT NULL REFERENCES profiles (id),
+  status         text NOT NULL DEFAULT 'CLAIMED',
+  redemption_id  uuid REFERENCES voucher_redemptions (id),
+  claimed_at     timestamptz NOT NULL DEFAULT now(),
+  used_at        timestamptz,
+  released_at    timestamptz
+);
+
+-- Maksimal 1 claim aktif per user per voucher
+CREATE UNIQUE INDEX IF NOT EXISTS idx_voucher_claims_active
+  ON voucher_claims (voucher_id, user_id) WHERE status = 'CLAIMED';
+
+CREATE INDEX IF NOT EXISTS idx_voucher_claims_user ON voucher_claims (user_id, status);
+CREATE INDEX IF NOT EXISTS idx_voucher_claims_redemption ON voucher_claims (redemption_id);
+
+-- Kembalikan claim milik reservasi yang expired / di-cancel ke CLAIMED
+-- (kecuali user sudah punya claim aktif lain). Voucher harus sudah di-lock oleh caller.
+CREATE OR REPLACE FUNCTION _restore_redemption_claim(p_redemption_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  restored_voucher uuid;
+BEGIN
+  UPDATE voucher_claims c
+  SET status = 'CLAIMED', redemption_id = NULL, used_at = NULL
+  WHERE c.redemption_id = p_redemption_id
+    AND c.status = 'USED'
+    AND NOT EXISTS (
+      SELECT 1 FROM voucher_claims o
+      WHERE o.voucher_id = c.voucher_id AND o.user_id = c.user_id AND o.status = 'CLAIMED'
+    )
+  RETURNING c.voucher_id INTO restored_voucher;
+
+  IF restored_voucher IS NOT NULL THEN
+    UPDATE vouchers
+    SET total_claimed = total_claimed + 1,
+        updated_at = now()
+    WHERE id = restored_voucher;
+  END IF;
+END;
+$$;
+
+-- Sama dengan versi 002, ditambah restore claim (diproses per reservasi)
+CREATE OR REPLACE FUNCTION expire_voucher_reservations(p_voucher_id uuid DEFAULT NULL)
+RETURNS integer
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  released integer := 0;
+  e record;
+BEGIN
+  FOR e IN
+    UPDATE voucher_redemptions
+    SET status = 'EXPIRED'
+    WHERE status = 'RESERVED'
+      AND expires_at <= now()
+      AND (p_voucher_id IS NULL OR voucher_id = p_voucher_id)
+    RETURNING id, voucher_id
+  LOOP
+    UPDATE vouchers
+    SET total_redeemed = total_redeemed - 1,
+        updated_at = now()
+    WHERE id = e.voucher_id;
+
+    PERFORM _restore_redemption_claim(e.id);
+    released := released + 1;
+  END LOOP;
+
+  RETURN released;
+END;
+$$;
+
+-- Sama dengan versi 003, reservasi yang di-cancel mengembalikan claim
+CREATE OR REPLACE FUNCTION _reverse_locked_redemption(
+  r voucher_redemptions,
+  p_status text,
+  p_reason text,
+  p_actor_id uuid
+)
+RETURNS voucher_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  updated voucher_redemptions%ROWTYPE;
+BEGIN
+  IF p_status NOT IN ('CANCELLED', 'REFUNDED') THEN
+    RAISE EXCEPTION 'INVALID_STATUS';
+  END IF;
+  IF NOT (
+    r.status = 'SUCCESS' OR (p_status = 'CANCELLED' AND r.status = 'RESERVED')
+  ) THEN
+    RAISE EXCEPTION 'REDEMPTION_NOT_REVERSIBLE';
+  END IF;
+
+  UPDATE vouchers
+  SET total_redeemed = total_redeemed - 1,
+      updated_at = now()
+  WHERE id = r.voucher_id;
+
+  UPDATE voucher_redemptions
+  SET status = p_status,
+      expires_at = NULL,
+      status_reason = p_reason,
+      status_changed_by = p_actor_id,
+      status_changed_at = now()
+  WHERE id = r.id
+  RETURNING * INTO updated;
+
+  IF r.status = 'RESERVED' THEN
+    PERFORM _restore_redemption_claim(r.id);
+  END IF;
+
+  RETURN updated;
+END;
+$$;
+
+-- Sama dengan versi 006, slot yang di-claim user lain ikut dihitung dan claim milik sendiri dipakai
+CREATE OR REPLACE FUNCTION reserve_voucher(
+  p_voucher_id uuid,
+  p_user_id uuid,
+  p_order_id text,
+  p_order_amount integer,
+  p_delivery_fee integer,
+  p_discount_amount integer,
+  p_final_amount integer,
+  p_ttl_seconds integer DEFAULT NULL,
+  p_day_start timestamptz DEFAULT NULL
+)
+RETURNS voucher_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v vouchers%ROWTYPE;
+  r voucher_redemptions%ROWTYPE;
+  user_count integer;
+  user_last timestamptz;
+  day_count integer;
+  claim_id uuid;
+BEGIN
+  SELECT * INTO v FROM vouchers WHERE id = p_voucher_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'VOUCHER_NOT_FOUND';
+  END IF;
+
+  PERFORM expire_voucher_reservations(p_voucher_id);
+  SELECT * INTO v FROM vouchers WHERE id = p_voucher_id;
+
+  IF NOT v.is_active THEN
+    RAISE EXCEPTION 'VOUCHER_INACTIVE';
+  END IF;
+  IF v.start_at IS NOT NULL AND now() < v.start_at THEN
+    RAISE EXCEPTION 'VOUCHER_NOT_STARTED';
+  END IF;
+  IF v.end_at IS NOT NULL AND now() > v.end_at THEN
+    RAISE EXCEPTION 'VOUCHER_EXPIRED';
+  END IF;
+
+  -- Slot yang di-claim user lain tidak boleh diambil, claim milik sendiri dipakai
+  SELECT id INTO claim_id FROM voucher_claims
+  WHERE voucher_id = p_voucher_id AND user_id = p_user_id AND status = 'CLAIMED'
+  FOR UPDATE;
+
+  IF v.total_redeemed + v.total_claimed - (CASE WHEN claim_id IS NULL THEN 0 ELSE 1 END)
+    >= v.max_total_redemptions THEN
+    RAISE EXCEPTION 'VOUCHER_EXHAUSTED';
+  END IF;
+
+  SELECT count(*), max(redeemed_at) INTO user_count, user_last
+  FROM voucher_redemptions
+  WHERE voucher_id = p_voucher_id
+    AND user_id = p_user_id
+    AND status IN ('RESERVED', 'SUCCESS');
+
+  IF v.max_redemptions_per_user IS NOT NULL AND user_count >= v.max_redemptions_per_user THEN
+    RAISE EXCEPTION 'ALREADY_REDEEMED';
+  END IF;
+  IF v.per_user_cooldown_seconds IS NOT NULL
+    AND user_last IS NOT NULL
+    AND user_last + make_interval(secs => v.per_user_cooldown_seconds) > now() THEN
+    RAISE EXCEPTION 'USER_COOLDOWN';
+  END IF;
+
+  IF v.max_redemptions_per_day IS NOT NULL AND p_day_start IS NOT NULL THEN
+    SELECT count(*) INTO day_count
+    FROM voucher_redemptions
+    WHERE voucher_id = p_voucher_id
+      AND status IN ('RESERVED', 'SUCCESS')
+      AND redeemed_at >= p_day_start;
+
+    IF day_count >= v.max_redemptions_per_day THEN
+      RAISE EXCEPTION 'DAILY_LIMIT_REACHED';
+    END IF;
+  END IF;
+
+  UPDATE vouchers
+  SET total_redeemed = total_redeemed + 1,
+      updated_at = now()
+  WHERE id = p_voucher_id;
+
+  INSERT INTO voucher_redemptions (
+    voucher_id, user_id, order_id, order_amount, delivery_fee, discount_amount, final_amount,
+    status, expires_at
+  )
+  VALUES (
+    p_voucher_id, p_user_id, p_order_id, p_order_amount, p_delivery_fee, p_discount_amount, p_final_amount,
+    CASE WHEN p_ttl_seconds IS NULL THEN 'SUCCESS' ELSE 'RESERVED' END,
+    CASE WHEN p_ttl_seconds IS NULL THEN NULL ELSE now() + make_interval(secs => p_ttl_seconds) END
+  )
+  RETURNING * INTO r;
+
+  IF claim_id IS NOT NULL THEN
+    UPDATE voucher_claims
+    SET status = 'USED', redemption_id = r.id, used_at = now()
+    WHERE id = claim_id;
+
+    UPDATE vouchers
+    SET total_claimed = total_claimed - 1
+    WHERE id = p_voucher_id;
+  END IF;
+
+  RETURN r;
+END;
+$$;
+
+-- Simpan voucher ke wallet user, 1 slot quota ditahan untuk user ini
+CREATE OR REPLACE FUNCTION claim_voucher(p_voucher_id uuid, p_user_id uuid)
+RETURNS voucher_claims
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v vouchers%ROWTYPE;
+  c voucher_claims%ROWTYPE;
+  user_count integer;
+BEGIN
+  SELECT * INTO v FROM vouchers WHERE id = p_voucher_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'VOUCHER_NOT_FOUND';
+  END IF;
+
+  PERFORM expire_voucher_reservations(p_voucher_id);
+  SELECT * INTO v FROM vouchers WHERE id = p_voucher_id;
+
+  IF NOT v.is_active THEN
+    RAISE EXCEPTION 'VOUCHER_INACTIVE';
+  END IF;
+  IF v.end_at IS NOT NULL AND now() > v.end_at THEN
+    RAISE EXCEPTION 'VOUCHER_EXPIRED';
+  END IF;
+  IF EXISTS (
+    SELECT 1 FROM voucher_claims
+    WHERE voucher_id = p_voucher_id AND user_id = p_user_id AND status = 'CLAIMED'
+  ) THEN
+    RAISE EXCEPTION 'ALREADY_CLAIMED';
+  END IF;
+  IF v.total_redeemed + v.total_claimed >= v.max_total_redemptions THEN
+    RAISE EXCEPTION 'VOUCHER_EXHAUSTED';
+  END IF;
+
+  SELECT count(*) INTO user_count
+  FROM voucher_redemptions
+  WHERE voucher_id = p_voucher_id
+    AND user_id = p_user_id
+    AND status IN ('RESERVED', 'SUCCESS');
+
+  IF v.max_redemptions_per_user IS NOT NULL AND user_count >= v.max_redemptions_per_user THEN
+    RAISE EXCEPTION 'ALREADY_REDEEMED';
+  END IF;
+
+  UPDATE vouchers
+  SET total_claimed = total_claimed + 1,
+      updated_at = now()
+  WHERE id = p_voucher_id;
+
+  INSERT INTO voucher_claims (voucher_id, user_id)
+  VALUES (p_voucher_id, p_user_id)
+  RETURNING * INTO c;
+
+  RETURN c;
+END;
+$$;
+
+-- Lepas claim yang belum dipakai, slot kembali ke quota umum
+CREATE OR REPLACE FUNCTION release_voucher_claim(p_voucher_id uuid, p_user_id uuid)
+RETURNS voucher_claims
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  c voucher_claims%ROWTYPE;
+BEGIN
+  PERFORM 1 FROM vouchers WHERE id = p_voucher_id FOR UPDATE;
+
+  UPDATE voucher_claims
+  SET status = 'RELEASED', released_at = now()
+  WHERE voucher_id = p_voucher_id AND user_id = p_user_id AND status = 'CLAIMED'
+  RETURNING * INTO c;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'CLAIM_NOT_FOUND';
+  END IF;
+
+  UPDATE vouchers
+  SET total_claimed = total_claimed - 1,
+      updated_at = now()
+  WHERE id = p_voucher_id;
+
+  RETURN c;
+END;
+$$;
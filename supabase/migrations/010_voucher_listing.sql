@@ -0,0 +1,15 @@
+-- Listing voucher: flag public + index untuk filter / sort / cursor pagination
+-- is_public = false: voucher internal (misal code unik campaign), tidak tampil di GET /vouchers untuk non-admin
+
+ALTER TABLE vouchers ADD COLUMN IF NOT EXISTS is_public boolean NOT NULL DEFAULT true;
+
+UPDATE vouchers SET is_public = false WHERE campaign_id IS NOT NULL;
+
+-- Filter status "exhausted" / "active" lewat PostgREST butuh perbandingan antar kolom,
+-- jadi dihitung sebagai generated column
+ALTER TABLE vouchers ADD COLUMN IF NOT EXISTS is_exhausted boolean
+  GENERATED ALWAYS AS (total_redeemed + total_claimed >= max_total_redemptions) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_vouchers_created_at ON vouchers (created_at, id);
+CREATE INDEX IF NOT EXISTS idx_vouchers_created_by ON vouchers (created_by);
+CREATE INDEX IF NOT EXISTS idx_vouchers_discount_type ON vouchers (discount_type);
@@ -0,0 +1,51 @@
+-- Aggregate redemption untuk report admin (lihat src/routes/reports.js)
+-- p_group: 'total' | 'voucher' | 'hour' | 'day' (bucket UTC)
+-- Nominal hanya dari redemption SUCCESS, reversed = CANCELLED / REFUNDED
+
+CREATE INDEX IF NOT EXISTS idx_voucher_redemptions_redeemed_at
+  ON voucher_redemptions (redeemed_at);
+
+CREATE OR REPLACE FUNCTION voucher_redemption_report(
+  p_group        text,
+  p_voucher_id   uuid DEFAULT NULL,
+  p_campaign_id  uuid DEFAULT NULL,
+  p_from         timestamptz DEFAULT NULL,
+  p_to           timestamptz DEFAULT NULL
+)
+RETURNS TABLE (
+  key                text,
+  redemptions        bigint,
+  pending            bigint,
+  reversed           bigint,
+  unique_users       bigint,
+  gross_order_value  bigint,
+  total_discount     bigint,
+  net_order_value    bigint,
+  reversed_discount  bigint
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    CASE p_group
+      WHEN 'voucher' THEN r.voucher_id::text
+      WHEN 'hour' THEN to_char(date_trunc('hour', r.redeemed_at AT TIME ZONE 'UTC'), 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')
+      WHEN 'day' THEN to_char(date_trunc('day', r.redeemed_at AT TIME ZONE 'UTC'), 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')
+    END AS key,
+    COUNT(*) FILTER (WHERE r.status = 'SUCCESS'),
+    COUNT(*) FILTER (WHERE r.status = 'RESERVED'),
+    COUNT(*) FILTER (WHERE r.status IN ('CANCELLED', 'REFUNDED')),
+    COUNT(DISTINCT r.user_id) FILTER (WHERE r.status = 'SUCCESS'),
+    COALESCE(SUM(r.order_amount) FILTER (WHERE r.status = 'SUCCESS'), 0),
+    COALESCE(SUM(r.discount_amount) FILTER (WHERE r.status = 'SUCCESS'), 0),
+    COALESCE(SUM(r.final_amount) FILTER (WHERE r.status = 'SUCCESS'), 0),
+    COALESCE(SUM(r.discount_amount) FILTER (WHERE r.status IN ('CANCELLED', 'REFUNDED')), 0)
+  FROM voucher_redemptions r
+  JOIN vouchers v ON v.id = r.voucher_id
+  WHERE (p_voucher_id IS NULL OR r.voucher_id = p_voucher_id)
+    AND (p_campaign_id IS NULL OR v.campaign_id = p_campaign_id)
+    AND (p_from IS NULL OR r.redeemed_at >= p_from)
+    AND (p_to IS NULL OR r.redeemed_at < p_to)
+  GROUP BY 1
+  ORDER BY 1
+$$;
@@ -0,0 +1,305 @@
+-- Budget discount (nominal) per voucher dan per campaign
+-- total_discount_given = discount redemption RESERVED + SUCCESS, diubah bersama total_redeemed
+-- Voucher yang budget-nya habis dinonaktifkan otomatis (deactivated_reason = 'BUDGET_EXHAUSTED')
+-- dan aktif lagi kalau budget kembali karena cancel / refund / reservasi expired
+
+ALTER TABLE vouchers ADD COLUMN IF NOT EXISTS max_total_discount_amount integer
+  CHECK (max_total_discount_amount IS NULL OR max_total_discount_amount > 0);
+ALTER TABLE vouchers ADD COLUMN IF NOT EXISTS total_discount_given integer NOT NULL DEFAULT 0
+  CHECK (total_discount_given >= 0);
+ALTER TABLE vouchers ADD COLUMN IF NOT EXISTS deactivated_reason text;
+
+ALTER TABLE voucher_campaigns ADD COLUMN IF NOT EXISTS max_total_discount_amount integer
+  CHECK (max_total_discount_amount IS NULL OR max_total_discount_amount > 0);
+ALTER TABLE voucher_campaigns ADD COLUMN IF NOT EXISTS total_discount_given integer NOT NULL DEFAULT 0
+  CHECK (total_discount_given >= 0);
+
+UPDATE vouchers v
+SET total_discount_given = (
+  SELECT COALESCE(SUM(r.discount_amount), 0) FROM voucher_redemptions r
+  WHERE r.voucher_id = v.id AND r.status IN ('RESERVED', 'SUCCESS')
+);
+
+UPDATE voucher_campaigns c
+SET total_discount_given = (
+  SELECT COALESCE(SUM(v.total_discount_given), 0) FROM vouchers v
+  WHERE v.campaign_id = c.id
+);
+
+-- Sisa budget voucher (minimum dari budget voucher & campaign), NULL = tanpa budget
+CREATE OR REPLACE FUNCTION _remaining_discount_budget(p_voucher_id uuid)
+RETURNS integer
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT CASE
+    WHEN v.max_total_discount_amount IS NULL AND c.max_total_discount_amount IS NULL THEN NULL
+    ELSE GREATEST(
+      LEAST(
+        v.max_total_discount_amount - v.total_discount_given,
+        c.max_total_discount_amount - c.total_discount_given
+      ),
+      0
+    )
+  END
+  FROM vouchers v
+  LEFT JOIN voucher_campaigns c ON c.id = v.campaign_id
+  WHERE v.id = p_voucher_id
+$$;
+
+-- Tambah / kurangi discount yang sudah diberikan (voucher + campaign-nya)
+CREATE OR REPLACE FUNCTION _adjust_discount_given(p_voucher_id uuid, p_delta integer)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  campaign uuid;
+BEGIN
+  UPDATE vouchers
+  SET total_discount_given = total_discount_given + p_delta,
+      updated_at = now()
+  WHERE id = p_voucher_id
+  RETURNING campaign_id INTO campaign;
+
+  IF campaign IS NOT NULL THEN
+    UPDATE voucher_campaigns
+    SET total_discount_given = total_discount_given + p_delta,
+        updated_at = now()
+    WHERE id = campaign;
+  END IF;
+END;
+$$;
+
+-- Nonaktifkan voucher kalau budget habis, aktifkan lagi kalau budget kembali
+-- (hanya voucher yang dinonaktifkan oleh budget, bukan oleh admin)
+CREATE OR REPLACE FUNCTION _sync_budget_status(p_voucher_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  remaining integer := _remaining_discount_budget(p_voucher_id);
+BEGIN
+  IF remaining = 0 THEN
+    UPDATE vouchers
+    SET is_active = false,
+        deactivated_reason = 'BUDGET_EXHAUSTED',
+        updated_at = now()
+    WHERE id = p_voucher_id AND is_active;
+  ELSE
+    UPDATE vouchers
+    SET is_active = true,
+        deactivated_reason = NULL,
+        updated_at = now()
+    WHERE id = p_voucher_id AND deactivated_reason = 'BUDGET_EXHAUSTED';
+  END IF;
+END;
+$$;
+
+-- Sama dengan versi 009, discount reservasi expired dikembalikan ke budget
+CREATE OR REPLACE FUNCTION expire_voucher_reservations(p_voucher_id uuid DEFAULT NULL)
+RETURNS integer
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  released integer := 0;
+  e record;
+BEGIN
+  FOR e IN
+    UPDATE voucher_redemptions
+    SET status = 'EXPIRED'
+    WHERE status = 'RESERVED'
+      AND expires_at <= now()
+      AND (p_voucher_id IS NULL OR voucher_id = p_voucher_id)
+    RETURNING id, voucher_id, discount_amount
+  LOOP
+    UPDATE vouchers
+    SET total_redeemed = total_redeemed - 1,
+        updated_at = now()
+    WHERE id = e.voucher_id;
+
+    PERFORM _adjust_discount_given(e.voucher_id, -e.discount_amount);
+    PERFORM _sync_budget_status(e.voucher_id);
+    PERFORM _restore_redemption_claim(e.id);
+    released := released + 1;
+  END LOOP;
+
+  RETURN released;
+END;
+$$;
+
+-- Sama dengan versi 009, discount redemption yang dibatalkan dikembalikan ke budget
+CREATE OR REPLACE FUNCTION _reverse_locked_redemption(
+  r voucher_redemptions,
+  p_status text,
+  p_reason text,
+  p_actor_id uuid
+)
+RETURNS voucher_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  updated voucher_redemptions%ROWTYPE;
+BEGIN
+  IF p_status NOT IN ('CANCELLED', 'REFUNDED') THEN
+    RAISE EXCEPTION 'INVALID_STATUS';
+  END IF;
+  IF NOT (
+    r.status = 'SUCCESS' OR (p_status = 'CANCELLED' AND r.status = 'RESERVED')
+  ) THEN
+    RAISE EXCEPTION 'REDEMPTION_NOT_REVERSIBLE';
+  END IF;
+
+  UPDATE vouchers
+  SET total_redeemed = total_redeemed - 1,
+      updated_at = now()
+  WHERE id = r.voucher_id;
+
+  PERFORM _adjust_discount_given(r.voucher_id, -r.discount_amount);
+  PERFORM _sync_budget_status(r.voucher_id);
+
+  UPDATE voucher_redemptions
+  SET status = p_status,
+      expires_at = NULL,
+      status_reason = p_reason,
+      status_changed_by = p_actor_id,
+      status_changed_at = now()
+  WHERE id = r.id
+  RETURNING * INTO updated;
+
+  IF r.status = 'RESERVED' THEN
+    PERFORM _restore_redemption_claim(r.id);
+  END IF;
+
+  RETURN updated;
+END;
+$$;
+
+-- Sama dengan versi 009, discount dipotong ke sisa budget voucher / campaign
+CREATE OR REPLACE FUNCTION reserve_voucher(
+  p_voucher_id uuid,
+  p_user_id uuid,
+  p_order_id text,
+  p_order_amount integer,
+  p_delivery_fee integer,
+  p_discount_amount integer,
+  p_final_amount integer,
+  p_ttl_seconds integer DEFAULT NULL,
+  p_day_start timestamptz DEFAULT NULL
+)
+RETURNS voucher_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v vouchers%ROWTYPE;
+  r voucher_redemptions%ROWTYPE;
+  user_count integer;
+  user_last timestamptz;
+  day_count integer;
+  claim_id uuid;
+  budget integer;
+  discount integer;
+BEGIN
+  SELECT * INTO v FROM vouchers WHERE id = p_voucher_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'VOUCHER_NOT_FOUND';
+  END IF;
+
+  PERFORM expire_voucher_reservations(p_voucher_id);
+  SELECT * INTO v FROM vouchers WHERE id = p_voucher_id;
+
+  IF NOT v.is_active AND v.deactivated_reason = 'BUDGET_EXHAUSTED' THEN
+    RAISE EXCEPTION 'BUDGET_EXHAUSTED';
+  END IF;
+  IF NOT v.is_active THEN
+    RAISE EXCEPTION 'VOUCHER_INACTIVE';
+  END IF;
+  IF v.start_at IS NOT NULL AND now() < v.start_at THEN
+    RAISE EXCEPTION 'VOUCHER_NOT_STARTED';
+  END IF;
+  IF v.end_at IS NOT NULL AND now() > v.end_at THEN
+    RAISE EXCEPTION 'VOUCHER_EXPIRED';
+  END IF;
+
+  -- Slot yang di-claim user lain tidak boleh diambil, claim milik sendiri dipakai
+  SELECT id INTO claim_id FROM voucher_claims
+  WHERE voucher_id = p_voucher_id AND user_id = p_user_id AND status = 'CLAIMED'
+  FOR UPDATE;
+
+  IF v.total_redeemed + v.total_claimed - (CASE WHEN claim_id IS NULL THEN 0 ELSE 1 END)
+    >= v.max_total_redemptions THEN
+    RAISE EXCEPTION 'VOUCHER_EXHAUSTED';
+  END IF;
+
+  SELECT count(*), max(redeemed_at) INTO user_count, user_last
+  FROM voucher_redemptions
+  WHERE voucher_id = p_voucher_id
+    AND user_id = p_user_id
+    AND status IN ('RESERVED', 'SUCCESS');
+
+  IF v.max_redemptions_per_user IS NOT NULL AND user_count >= v.max_redemptions_per_user THEN
+    RAISE EXCEPTION 'ALREADY_REDEEMED';
+  END IF;
+  IF v.per_user_cooldown_seconds IS NOT NULL
+    AND user_last IS NOT NULL
+    AND user_last + make_interval(secs => v.per_user_cooldown_seconds) > now() THEN
+    RAISE EXCEPTION 'USER_COOLDOWN';
+  END IF;
+
+  IF v.max_redemptions_per_day IS NOT NULL AND p_day_start IS NOT NULL THEN
+    SELECT count(*) INTO day_count
+    FROM voucher_redemptions
+    WHERE voucher_id = p_voucher_id
+      AND status IN ('RESERVED', 'SUCCESS')
+      AND redeemed_at >= p_day_start;
+
+    IF day_count >= v.max_redemptions_per_day THEN
+      RAISE EXCEPTION 'DAILY_LIMIT_REACHED';
+    END IF;
+  END IF;
+
+  -- Budget campaign di-lock setelah voucher (urutan lock sama dengan reversal)
+  IF v.campaign_id IS NOT NULL THEN
+    PERFORM 1 FROM voucher_campaigns WHERE id = v.campaign_id FOR UPDATE;
+  END IF;
+
+  -- Redemption terakhir dipotong ke sisa budget
+  budget := _remaining_discount_budget(p_voucher_id);
+  IF budget = 0 THEN
+    RAISE EXCEPTION 'BUDGET_EXHAUSTED';
+  END IF;
+  discount := LEAST(p_discount_amount, COALESCE(budget, p_discount_amount));
+
+  UPDATE vouchers
+  SET total_redeemed = total_redeemed + 1,
+      updated_at = now()
+  WHERE id = p_voucher_id;
+
+  PERFORM _adjust_discount_given(p_voucher_id, discount);
+
+  INSERT INTO voucher_redemptions (
+    voucher_id, user_id, order_id, order_amount, delivery_fee, discount_amount, final_amount,
+    status, expires_at
+  )
+  VALUES (
+    p_voucher_id, p_user_id, p_order_id, p_order_amount, p_delivery_fee,
+    discount, p_final_amount + p_discount_amount - discount,
+    CASE WHEN p_ttl_seconds IS NULL THEN 'SUCCESS' ELSE 'RESERVED' END,
+    CASE WHEN p_ttl_seconds IS NULL THEN NULL ELSE now() + make_interval(secs => p_ttl_seconds) END
+  )
+  RETURNING * INTO r;
+
+  IF claim_id IS NOT NULL THEN
+    UPDATE voucher_claims
+    SET status = 'USED', redemption_id = r.id, used_at = now()
+    WHERE id = claim_id;
+
+    UPDATE vouchers
+    SET total_claimed = total_claimed - 1
+    WHERE id = p_voucher_id;
+  END IF;
+
+  PERFORM _sync_budget_status(p_voucher_id);
+
+  RETURN r;
+END;
+$$;
@@ -0,0 +1,231 @@
+-- Stacking: beberapa voucher dalam 1 order (lihat src/services/stacking.js)
+-- stacking: { mode, group, priority, calculation }, NULL = EXCLUSIVE (tidak bisa digabung)
+-- 1 order_id hanya boleh punya redemption aktif dari 1 request (redeem / reserve / stack)
+
+ALTER TABLE vouchers ADD COLUMN IF NOT EXISTS stacking jsonb;
+ALTER TABLE voucher_campaigns ADD COLUMN IF NOT EXISTS stacking jsonb;
+
+-- Lock per order_id supaya redeem paralel untuk order yang sama jalan berurutan,
+-- lalu tolak kalau order sudah punya redemption aktif
+CREATE OR REPLACE FUNCTION _lock_order_redemptions(p_order_id text)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('voucher_order:' || p_order_id));
+
+  IF EXISTS (
+    SELECT 1 FROM voucher_redemptions
+    WHERE order_id = p_order_id
+      AND (status = 'SUCCESS' OR (status = 'RESERVED' AND expires_at > now()))
+  ) THEN
+    RAISE EXCEPTION 'ORDER_ALREADY_REDEEMED';
+  END IF;
+END;
+$$;
+
+-- Isi reserve_voucher versi 012 (tanpa cek order), dipakai reserve_voucher & reserve_voucher_stack
+CREATE OR REPLACE FUNCTION _reserve_voucher_slot(
+  p_voucher_id uuid,
+  p_user_id uuid,
+  p_order_id text,
+  p_order_amount integer,
+  p_delivery_fee integer,
+  p_discount_amount integer,
+  p_final_amount integer,
+  p_ttl_seconds integer DEFAULT NULL,
+  p_day_start timestamptz DEFAULT NULL
+)
+RETURNS voucher_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v vouchers%ROWTYPE;
+  r voucher_redemptions%ROWTYPE;
+  user_count integer;
+  user_last timestamptz;
+  day_count integer;
+  claim_id uuid;
+  budget integer;
+  discount integer;
+BEGIN
+  SELECT * INTO v FROM vouchers WHERE id = p_voucher_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'VOUCHER_NOT_FOUND';
+  END IF;
+
+  PERFORM expire_voucher_reservations(p_voucher_id);
+  SELECT * INTO v FROM vouchers WHERE id = p_voucher_id;
+
+  IF NOT v.is_active AND v.deactivated_reason = 'BUDGET_EXHAUSTED' THEN
+    RAISE EXCEPTION 'BUDGET_EXHAUSTED';
+  END IF;
+  IF NOT v.is_active THEN
+    RAISE EXCEPTION 'VOUCHER_INACTIVE';
+  END IF;
+  IF v.start_at IS NOT NULL AND now() < v.start_at THEN
+    RAISE EXCEPTION 'VOUCHER_NOT_STARTED';
+  END IF;
+  IF v.end_at IS NOT NULL AND now() > v.end_at THEN
+    RAISE EXCEPTION 'VOUCHER_EXPIRED';
+  END IF;
+
+  -- Slot yang di-claim user lain tidak boleh diambil, claim milik sendiri dipakai
+  SELECT id INTO claim_id FROM voucher_claims
+  WHERE voucher_id = p_voucher_id AND user_id = p_user_id AND status = 'CLAIMED'
+  FOR UPDATE;
+
+  IF v.total_redeemed + v.total_claimed - (CASE WHEN claim_id IS NULL THEN 0 ELSE 1 END)
+    >= v.max_total_redemptions THEN
+    RAISE EXCEPTION 'VOUCHER_EXHAUSTED';
+  END IF;
+
+  SELECT count(*), max(redeemed_at) INTO user_count, user_last
+  FROM voucher_redemptions
+  WHERE voucher_id = p_voucher_id
+    AND user_id = p_user_id
+    AND status IN ('RESERVED', 'SUCCESS');
+
+  IF v.max_redemptions_per_user IS NOT NULL AND user_count >= v.max_redemptions_per_user THEN
+    RAISE EXCEPTION 'ALREADY_REDEEMED';
+  END IF;
+  IF v.per_user_cooldown_seconds IS NOT NULL
+    AND user_last IS NOT NULL
+    AND user_last + make_interval(secs => v.per_user_cooldown_seconds) > now() THEN
+    RAISE EXCEPTION 'USER_COOLDOWN';
+  END IF;
+
+  IF v.max_redemptions_per_day IS NOT NULL AND p_day_start IS NOT NULL THEN
+    SELECT count(*) INTO day_count
+    FROM voucher_redemptions
+    WHERE voucher_id = p_voucher_id
+      AND status IN ('RESERVED', 'SUCCESS')
+      AND redeemed_at >= p_day_start;
+
+    IF day_count >= v.max_redemptions_per_day THEN
+      RAISE EXCEPTION 'DAILY_LIMIT_REACHED';
+    END IF;
+  END IF;
+
+  -- Budget campaign di-lock setelah voucher (urutan lock sama dengan reversal)
+  IF v.campaign_id IS NOT NULL THEN
+    PERFORM 1 FROM voucher_campaigns WHERE id = v.campaign_id FOR UPDATE;
+  END IF;
+
+  -- Redemption terakhir dipotong ke sisa budget
+  budget := _remaining_discount_budget(p_voucher_id);
+  IF budget = 0 THEN
+    RAISE EXCEPTION 'BUDGET_EXHAUSTED';
+  END IF;
+  discount := LEAST(p_discount_amount, COALESCE(budget, p_discount_amount));
+
+  UPDATE vouchers
+  SET total_redeemed = total_redeemed + 1,
+      updated_at = now()
+  WHERE id = p_voucher_id;
+
+  PERFORM _adjust_discount_given(p_voucher_id, discount);
+
+  INSERT INTO voucher_redemptions (
+    voucher_id, user_id, order_id, order_amount, delivery_fee, discount_amount, final_amount,
+    status, expires_at
+  )
+  VALUES (
+    p_voucher_id, p_user_id, p_order_id, p_order_amount, p_delivery_fee,
+    discount, p_final_amount + p_discount_amount - discount,
+    CASE WHEN p_ttl_seconds IS NULL THEN 'SUCCESS' ELSE 'RESERVED' END,
+    CASE WHEN p_ttl_seconds IS NULL THEN NULL ELSE now() + make_interval(secs => p_ttl_seconds) END
+  )
+  RETURNING * INTO r;
+
+  IF claim_id IS NOT NULL THEN
+    UPDATE voucher_claims
+    SET status = 'USED', redemption_id = r.id, used_at = now()
+    WHERE id = claim_id;
+
+    UPDATE vouchers
+    SET total_claimed = total_claimed - 1
+    WHERE id = p_voucher_id;
+  END IF;
+
+  PERFORM _sync_budget_status(p_voucher_id);
+
+  RETURN r;
+END;
+$$;
+
+-- Sama dengan versi 012, order_id yang sudah punya redemption aktif ditolak
+CREATE OR REPLACE FUNCTION reserve_voucher(
+  p_voucher_id uuid,
+  p_user_id uuid,
+  p_order_id text,
+  p_order_amount integer,
+  p_delivery_fee integer,
+  p_discount_amount integer,
+  p_final_amount integer,
+  p_ttl_seconds integer DEFAULT NULL,
+  p_day_start timestamptz DEFAULT NULL
+)
+RETURNS voucher_redemptions
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF p_order_id IS NOT NULL THEN
+    PERFORM _lock_order_redemptions(p_order_id);
+  END IF;
+
+  RETURN _reserve_voucher_slot(
+    p_voucher_id, p_user_id, p_order_id, p_order_amount, p_delivery_fee,
+    p_discount_amount, p_final_amount, p_ttl_seconds, p_day_start
+  );
+END;
+$$;
+
+-- Ambil slot beberapa voucher untuk 1 order sekaligus (all-or-nothing)
+-- p_items: [{ voucher_id, discount_amount }], discount tiap voucher bisa dipotong ke sisa budget
+-- final_amount semua row = order_amount + delivery_fee - total discount order
+CREATE OR REPLACE FUNCTION reserve_voucher_stack(
+  p_user_id uuid,
+  p_order_id text,
+  p_order_amount integer,
+  p_delivery_fee integer,
+  p_items jsonb,
+  p_ttl_seconds integer DEFAULT NULL,
+  p_day_start timestamptz DEFAULT NULL
+)
+RETURNS SETOF voucher_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  item jsonb;
+  r voucher_redemptions%ROWTYPE;
+  ids uuid[] := '{}';
+  total_discount integer;
+BEGIN
+  PERFORM _lock_order_redemptions(p_order_id);
+
+  -- Urut voucher_id supaya urutan lock sama dengan reverse_order_redemptions (tidak deadlock)
+  FOR item IN
+    SELECT value FROM jsonb_array_elements(p_items)
+    ORDER BY (value->>'voucher_id')::uuid
+  LOOP
+    r := _reserve_voucher_slot(
+      (item->>'voucher_id')::uuid, p_user_id, p_order_id, p_order_amount, p_delivery_fee,
+      (item->>'discount_amount')::integer,
+      p_order_amount + p_delivery_fee - (item->>'discount_amount')::integer,
+      p_ttl_seconds, p_day_start
+    );
+    ids := ids || r.id;
+  END LOOP;
+
+  SELECT sum(discount_amount) INTO total_discount
+  FROM voucher_redemptions
+  WHERE id = ANY(ids);
+
+  RETURN QUERY
+  UPDATE voucher_redemptions
+  SET final_amount = p_order_amount + p_delivery_fee - total_discount
+  WHERE id = ANY(ids)
+  RETURNING *;
+END;
+$$;
@@ -0,0 +1,48 @@
+-- Idempotency key untuk endpoint yang mengubah quota (redeem, reserve, cancel, refund)
+-- Response pertama disimpan dan di-replay untuk retry dengan key yang sama sampai expires_at
+-- status_code NULL = request pertama masih diproses (expires_at = batas lock)
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  scope            text NOT NULL,
+  idempotency_key  text NOT NULL,
+  request_hash     text NOT NULL,
+  status_code      integer,
+  response         jsonb,
+  created_at       timestamptz NOT NULL DEFAULT now(),
+  expires_at       timestamptz NOT NULL,
+  PRIMARY KEY (scope, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys (expires_at);
+
+-- Ambil key untuk request baru (key expired dianggap tidak ada)
+-- Return NULL kalau key berhasil diambil, selain itu row yang sudah ada (JSON)
+CREATE OR REPLACE FUNCTION begin_idempotency_key(
+  p_scope text,
+  p_key text,
+  p_request_hash text,
+  p_lock_seconds integer
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  existing idempotency_keys%ROWTYPE;
+BEGIN
+  DELETE FROM idempotency_keys
+  WHERE scope = p_scope AND idempotency_key = p_key AND expires_at <= now();
+
+  INSERT INTO idempotency_keys (scope, idempotency_key, request_hash, expires_at)
+  VALUES (p_scope, p_key, p_request_hash, now() + make_interval(secs => p_lock_seconds))
+  ON CONFLICT (scope, idempotency_key) DO NOTHING;
+
+  IF FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT * INTO existing FROM idempotency_keys
+  WHERE scope = p_scope AND idempotency_key = p_key;
+
+  RETURN to_jsonb(existing);
+END;
+$$;
@@ -0,0 +1,9 @@
+-- Role & permission (lihat src/services/permissions.js)
+-- profiles.restaurant_id: restaurant milik user MERCHANT
+-- vouchers.restaurant_id: restaurant pemilik voucher, MERCHANT hanya bisa mengelola voucher restaurant sendiri
+-- Role lama ADMIN tetap berlaku (disamakan dengan SUPER_ADMIN)
+
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS restaurant_id text;
+ALTER TABLE vouchers ADD COLUMN IF NOT EXISTS restaurant_id text;
+
+CREATE INDEX IF NOT EXISTS idx_vouchers_restaurant ON vouchers (restaurant_id);
@@ -0,0 +1,40 @@
+-- Audit log append-only untuk perubahan voucher, campaign & cancel / refund redemption
+-- changes: { field: { before, after } } hanya field yang berubah (lihat src/services/audit.js)
+-- voucher_id tanpa FK supaya riwayat voucher yang sudah dihapus tetap bisa dibaca
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id           bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  entity_type  text NOT NULL,
+  entity_id    text NOT NULL,
+  voucher_id   text,
+  action       text NOT NULL,
+  actor_id     text,
+  actor_role   text,
+  request_id   text,
+  changes      jsonb NOT NULL DEFAULT '{}'::jsonb,
+  metadata     jsonb,
+  created_at   timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_voucher ON audit_log (voucher_id, id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id, id);
+
+-- Append-only: UPDATE / DELETE / TRUNCATE ditolak
+CREATE OR REPLACE FUNCTION audit_log_append_only()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'AUDIT_LOG_APPEND_ONLY';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate
+  BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
@@ -0,0 +1,218 @@
+-- Archive (soft delete) voucher: DELETE /vouchers/:id mengisi archived_at, row tetap ada
+-- supaya redemption lama tetap punya referensi. Voucher archived tidak muncul di listing
+-- dan tidak bisa di-redeem / claim; purge hanya menghapus voucher archived yang belum pernah dipakai
+
+ALTER TABLE vouchers ADD COLUMN IF NOT EXISTS archived_at timestamptz;
+ALTER TABLE vouchers ADD COLUMN IF NOT EXISTS archived_by uuid REFERENCES profiles (id);
+
+CREATE INDEX IF NOT EXISTS idx_vouchers_archived ON vouchers (archived_at) WHERE archived_at IS NOT NULL;
+
+-- Sama dengan versi 013, voucher archived ditolak
+CREATE OR REPLACE FUNCTION _reserve_voucher_slot(
+  p_voucher_id uuid,
+  p_user_id uuid,
+  p_order_id text,
+  p_order_amount integer,
+  p_delivery_fee integer,
+  p_discount_amount integer,
+  p_final_amount integer,
+  p_ttl_seconds integer DEFAULT NULL,
+  p_day_start timestamptz DEFAULT NULL
+)
+RETURNS voucher_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v vouchers%ROWTYPE;
+  r voucher_redemptions%ROWTYPE;
+  user_count integer;
+  user_last timestamptz;
+  day_count integer;
+  claim_id uuid;
+  budget integer;
+  discount integer;
+BEGIN
+  SELECT * INTO v FROM vouchers WHERE id = p_voucher_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'VOUCHER_NOT_FOUND';
+  END IF;
+
+  PERFORM expire_voucher_reservations(p_voucher_id);
+  SELECT * INTO v FROM vouchers WHERE id = p_voucher_id;
+
+  IF v.archived_at IS NOT NULL THEN
+    RAISE EXCEPTION 'VOUCHER_ARCHIVED';
+  END IF;
+  IF NOT v.is_active AND v.deactivated_reason = 'BUDGET_EXHAUSTED' THEN
+    RAISE EXCEPTION 'BUDGET_EXHAUSTED';
+  END IF;
+  IF NOT v.is_active THEN
+    RAISE EXCEPTION 'VOUCHER_INACTIVE';
+  END IF;
+  IF v.start_at IS NOT NULL AND now() < v.start_at THEN
+    RAISE EXCEPTION 'VOUCHER_NOT_STARTED';
+  END IF;
+  IF v.end_at IS NOT NULL AND now() > v.end_at THEN
+    RAISE EXCEPTION 'VOUCHER_EXPIRED';
+  END IF;
+
+  -- Slot yang di-claim user lain tidak boleh diambil, claim milik sendiri dipakai
+  SELECT id INTO claim_id FROM voucher_claims
+  WHERE voucher_id = p_voucher_id AND user_id = p_user_id AND status = 'CLAIMED'
+  FOR UPDATE;
+
+  IF v.total_redeemed + v.total_claimed - (CASE WHEN claim_id IS NULL THEN 0 ELSE 1 END)
+    >= v.max_total_redemptions THEN
+    RAISE EXCEPTION 'VOUCHER_EXHAUSTED';
+  END IF;
+
+  SELECT count(*), max(redeemed_at) INTO user_count, user_last
+  FROM voucher_redemptions
+  WHERE voucher_id = p_voucher_id
+    AND user_id = p_user_id
+    AND status IN ('RESERVED', 'SUCCESS');
+
+  IF v.max_redemptions_per_user IS NOT NULL AND user_count >= v.max_redemptions_per_user THEN
+    RAISE EXCEPTION 'ALREADY_REDEEMED';
+  END IF;
+  IF v.per_user_cooldown_seconds IS NOT NULL
+    AND user_last IS NOT NULL
+    AND user_last + make_interval(secs => v.per_user_cooldown_seconds) > now() THEN
+    RAISE EXCEPTION 'USER_COOLDOWN';
+  END IF;
+
+  IF v.max_redemptions_per_day IS NOT NULL AND p_day_start IS NOT NULL THEN
+    SELECT count(*) INTO day_count
+    FROM voucher_redemptions
+    WHERE voucher_id = p_voucher_id
+      AND status IN ('RESERVED', 'SUCCESS')
+      AND redeemed_at >= p_day_start;
+
+    IF day_count >= v.max_redemptions_per_day THEN
+      RAISE EXCEPTION 'DAILY_LIMIT_REACHED';
+    END IF;
+  END IF;
+
+  -- Budget campaign di-lock setelah voucher (urutan lock sama dengan reversal)
+  IF v.campaign_id IS NOT NULL THEN
+    PERFORM 1 FROM voucher_campaigns WHERE id = v.campaign_id FOR UPDATE;
+  END IF;
+
+  -- Redemption terakhir dipotong ke sisa budget
+  budget := _remaining_discount_budget(p_voucher_id);
+  IF budget = 0 THEN
+    RAISE EXCEPTION 'BUDGET_EXHAUSTED';
+  END IF;
+  discount := LEAST(p_discount_amount, COALESCE(budget, p_discount_amount));
+
+  UPDATE vouchers
+  SET total_redeemed = total_redeemed + 1,
+      updated_at = now()
+  WHERE id = p_voucher_id;
+
+  PERFORM _adjust_discount_given(p_voucher_id, discount);
+
+  INSERT INTO voucher_redemptions (
+    voucher_id, user_id, order_id, order_amount, delivery_fee, discount_amount, final_amount,
+    status, expires_at
+  )
+  VALUES (
+    p_voucher_id, p_user_id, p_order_id, p_order_amount, p_delivery_fee,
+    discount, p_final_amount + p_discount_amount - discount,
+    CASE WHEN p_ttl_seconds IS NULL THEN 'SUCCESS' ELSE 'RESERVED' END,
+    CASE WHEN p_ttl_seconds IS NULL THEN NULL ELSE now() + make_interval(secs => p_ttl_seconds) END
+  )
+  RETURNING * INTO r;
+
+  IF claim_id IS NOT NULL THEN
+    UPDATE voucher_claims
+    SET status = 'USED', redemption_id = r.id, used_at = now()
+    WHERE id = claim_id;
+
+    UPDATE vouchers
+    SET total_claimed = total_claimed - 1
+    WHERE id = p_voucher_id;
+  END IF;
+
+  PERFORM _sync_budget_status(p_voucher_id);
+
+  RETURN r;
+END;
+$$;
+
+-- Sama dengan versi 009, voucher archived ditolak
+CREATE OR REPLACE FUNCTION claim_voucher(p_voucher_id uuid, p_user_id uuid)
+RETURNS voucher_claims
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v vouchers%ROWTYPE;
+  c voucher_claims%ROWTYPE;
+  user_count integer;
+BEGIN
+  SELECT * INTO v FROM vouchers WHERE id = p_voucher_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'VOUCHER_NOT_FOUND';
+  END IF;
+
+  PERFORM expire_voucher_reservations(p_voucher_id);
+  SELECT * INTO v FROM vouchers WHERE id = p_voucher_id;
+
+  IF v.archived_at IS NOT NULL THEN
+    RAISE EXCEPTION 'VOUCHER_ARCHIVED';
+  END IF;
+  IF NOT v.is_active THEN
+    RAISE EXCEPTION 'VOUCHER_INACTIVE';
+  END IF;
+  IF v.end_at IS NOT NULL AND now() > v.end_at THEN
+    RAISE EXCEPTION 'VOUCHER_EXPIRED';
+  END IF;
+  IF EXISTS (
+    SELECT 1 FROM voucher_claims
+    WHERE voucher_id = p_voucher_id AND user_id = p_user_id AND status = 'CLAIMED'
+  ) THEN
+    RAISE EXCEPTION 'ALREADY_CLAIMED';
+  END IF;
+  IF v.total_redeemed + v.total_claimed >= v.max_total_redemptions THEN
+    RAISE EXCEPTION 'VOUCHER_EXHAUSTED';
+  END IF;
+
+  SELECT count(*) INTO user_count
+  FROM voucher_redemptions
+  WHERE voucher_id = p_voucher_id
+    AND user_id = p_user_id
+    AND status IN ('RESERVED', 'SUCCESS');
+
+  IF v.max_redemptions_per_user IS NOT NULL AND user_count >= v.max_redemptions_per_user THEN
+    RAISE EXCEPTION 'ALREADY_REDEEMED';
+  END IF;
+
+  UPDATE vouchers
+  SET total_claimed = total_claimed + 1,
+      updated_at = now()
+  WHERE id = p_voucher_id;
+
+  INSERT INTO voucher_claims (voucher_id, user_id)
+  VALUES (p_voucher_id, p_user_id)
+  RETURNING * INTO c;
+
+  RETURN c;
+END;
+$$;
+
+-- Hapus voucher archived sebelum p_archived_before yang tidak pernah punya redemption / claim
+-- (status apa pun), return voucher yang dihapus
+CREATE OR REPLACE FUNCTION purge_archived_vouchers(p_archived_before timestamptz)
+RETURNS SETOF vouchers
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  DELETE FROM vouchers v
+  WHERE v.archived_at IS NOT NULL
+    AND v.archived_at < p_archived_before
+    AND NOT EXISTS (SELECT 1 FROM voucher_redemptions r WHERE r.voucher_id = v.id)
+    AND NOT EXISTS (SELECT 1 FROM voucher_claims c WHERE c.voucher_id = v.id)
+  RETURNING v.*;
+END;
+$$;
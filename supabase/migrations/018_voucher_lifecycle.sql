@@ -0,0 +1,31 @@
+-- Lifecycle voucher (lihat src/services/lifecycle.js)
+-- status disimpan supaya bisa di-query, diperbarui saat voucher diubah admin dan oleh scheduler
+-- (mulai, expired, habis); DRAFT & PAUSED hanya lewat admin (is_active = false)
+-- voucher_status_history: setiap perpindahan status
+
+ALTER TABLE vouchers ADD COLUMN IF NOT EXISTS status text NOT NULL DEFAULT 'ACTIVE'
+  CHECK (status IN ('DRAFT', 'SCHEDULED', 'ACTIVE', 'PAUSED', 'EXHAUSTED', 'EXPIRED', 'ARCHIVED'));
+
+UPDATE vouchers SET status = CASE
+  WHEN archived_at IS NOT NULL THEN 'ARCHIVED'
+  WHEN end_at IS NOT NULL AND end_at < now() THEN 'EXPIRED'
+  WHEN NOT is_active AND deactivated_reason = 'BUDGET_EXHAUSTED' THEN 'EXHAUSTED'
+  WHEN NOT is_active THEN 'PAUSED'
+  WHEN start_at IS NOT NULL AND start_at > now() THEN 'SCHEDULED'
+  WHEN is_exhausted THEN 'EXHAUSTED'
+  ELSE 'ACTIVE'
+END;
+
+CREATE INDEX IF NOT EXISTS idx_vouchers_status ON vouchers (status);
+
+CREATE TABLE IF NOT EXISTS voucher_status_history (
+  id           bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  voucher_id   uuid NOT NULL REFERENCES vouchers (id) ON DELETE CASCADE,
+  from_status  text,
+  to_status    text NOT NULL,
+  trigger      text NOT NULL,
+  actor_id     text,
+  created_at   timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_voucher_status_history_voucher ON voucher_status_history (voucher_id, id);
@@ -0,0 +1,220 @@
+-- Outbound webhook (lihat src/services/webhooks.js)
+-- webhook_events = outbox, diisi trigger di transaction yang sama dengan perubahan voucher / redemption
+-- webhook_deliveries = 1 row per event per endpoint, status PENDING -> DELIVERED | DEAD (dead letter)
+
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id           uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  url          text NOT NULL,
+  secret       text NOT NULL,
+  events       jsonb NOT NULL DEFAULT '["*"]'::jsonb,
+  description  text,
+  is_active    boolean NOT NULL DEFAULT true,
+  created_by   uuid REFERENCES profiles (id),
+  created_at   timestamptz NOT NULL DEFAULT now(),
+  updated_at   timestamptz NOT NULL DEFAULT now()
+);
+
+-- voucher_id tanpa FK supaya event voucher yang dihapus tetap bisa dikirim
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id             bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  event_type     text NOT NULL,
+  entity_type    text NOT NULL,
+  entity_id      text NOT NULL,
+  voucher_id     text,
+  payload        jsonb NOT NULL,
+  created_at     timestamptz NOT NULL DEFAULT now(),
+  dispatched_at  timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_undispatched ON webhook_events (id) WHERE dispatched_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id                bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  event_id          bigint NOT NULL REFERENCES webhook_events (id) ON DELETE CASCADE,
+  endpoint_id       uuid NOT NULL REFERENCES webhook_endpoints (id) ON DELETE CASCADE,
+  status            text NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'DELIVERED', 'DEAD')),
+  attempts          integer NOT NULL DEFAULT 0,
+  next_attempt_at   timestamptz NOT NULL DEFAULT now(),
+  last_attempt_at   timestamptz,
+  last_status_code  integer,
+  last_error        text,
+  delivered_at      timestamptz,
+  created_at        timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (event_id, endpoint_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (next_attempt_at) WHERE status = 'PENDING';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries (endpoint_id, status, id);
+
+-- Isi payload event (field sama dengan src/storage/sqlite/migrations/019_webhooks.sql)
+CREATE OR REPLACE FUNCTION webhook_voucher_payload(v vouchers)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT jsonb_build_object(
+    'id', v.id,
+    'code', v.code,
+    'name', v.name,
+    'status', v.status,
+    'discount_type', v.discount_type,
+    'discount_value', v.discount_value,
+    'currency', v.currency,
+    'campaign_id', v.campaign_id,
+    'restaurant_id', v.restaurant_id,
+    'max_total_redemptions', v.max_total_redemptions,
+    'total_redeemed', v.total_redeemed,
+    'total_claimed', v.total_claimed,
+    'max_total_discount_amount', v.max_total_discount_amount,
+    'total_discount_given', v.total_discount_given,
+    'start_at', v.start_at,
+    'end_at', v.end_at,
+    'is_active', v.is_active,
+    'is_public', v.is_public,
+    'archived_at', v.archived_at,
+    'updated_at', v.updated_at
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION webhook_redemption_payload(r voucher_redemptions)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT jsonb_build_object(
+    'id', r.id,
+    'voucher_id', r.voucher_id,
+    'voucher_code', (SELECT code FROM vouchers WHERE id = r.voucher_id),
+    'user_id', r.user_id,
+    'order_id', r.order_id,
+    'status', r.status,
+    'status_reason', r.status_reason,
+    'order_amount', r.order_amount,
+    'delivery_fee', r.delivery_fee,
+    'discount_amount', r.discount_amount,
+    'final_amount', r.final_amount,
+    'redeemed_at', r.redeemed_at,
+    'expires_at', r.expires_at,
+    'status_changed_at', r.status_changed_at
+  );
+$$;
+
+-- Voucher: created, updated (field yang diubah admin, bukan counter / status), perpindahan status
+-- (voucher.<status>, misal voucher.exhausted), deleted (purge)
+CREATE OR REPLACE FUNCTION webhook_voucher_event()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  -- Kolom yang berubah sendiri (counter, status, archive), tidak dianggap voucher.updated
+  ignored text[] := ARRAY[
+    'total_redeemed', 'total_claimed', 'total_discount_given', 'is_exhausted', 'is_active',
+    'deactivated_reason', 'status', 'archived_at', 'archived_by', 'updated_at'
+  ];
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO webhook_events (event_type, entity_type, entity_id, voucher_id, payload)
+    VALUES ('voucher.created', 'voucher', NEW.id, NEW.id, webhook_voucher_payload(NEW));
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'DELETE' THEN
+    INSERT INTO webhook_events (event_type, entity_type, entity_id, voucher_id, payload)
+    VALUES ('voucher.deleted', 'voucher', OLD.id, OLD.id, webhook_voucher_payload(OLD));
+    RETURN OLD;
+  END IF;
+
+  IF (to_jsonb(NEW) - ignored) IS DISTINCT FROM (to_jsonb(OLD) - ignored) THEN
+    INSERT INTO webhook_events (event_type, entity_type, entity_id, voucher_id, payload)
+    VALUES ('voucher.updated', 'voucher', NEW.id, NEW.id, webhook_voucher_payload(NEW));
+  END IF;
+
+  IF NEW.status IS DISTINCT FROM OLD.status THEN
+    INSERT INTO webhook_events (event_type, entity_type, entity_id, voucher_id, payload)
+    VALUES (
+      'voucher.' || lower(NEW.status), 'voucher', NEW.id, NEW.id,
+      webhook_voucher_payload(NEW) || jsonb_build_object('previous_status', OLD.status)
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS webhook_voucher_event ON vouchers;
+CREATE TRIGGER webhook_voucher_event
+  AFTER INSERT OR UPDATE ON vouchers
+  FOR EACH ROW EXECUTE FUNCTION webhook_voucher_event();
+
+DROP TRIGGER IF EXISTS webhook_voucher_deleted ON vouchers;
+CREATE TRIGGER webhook_voucher_deleted
+  BEFORE DELETE ON vouchers
+  FOR EACH ROW EXECUTE FUNCTION webhook_voucher_event();
+
+-- Redemption: redemption.<status> saat dibuat / status berubah (SUCCESS = redemption.succeeded)
+CREATE OR REPLACE FUNCTION webhook_redemption_event()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  payload jsonb := webhook_redemption_payload(NEW);
+BEGIN
+  IF TG_OP = 'UPDATE' THEN
+    IF NEW.status IS NOT DISTINCT FROM OLD.status THEN
+      RETURN NEW;
+    END IF;
+    payload := payload || jsonb_build_object('previous_status', OLD.status);
+  END IF;
+
+  INSERT INTO webhook_events (event_type, entity_type, entity_id, voucher_id, payload)
+  VALUES (
+    'redemption.' || CASE NEW.status WHEN 'SUCCESS' THEN 'succeeded' ELSE lower(NEW.status) END,
+    'redemption', NEW.id, NEW.voucher_id, payload
+  );
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS webhook_redemption_event ON voucher_redemptions;
+CREATE TRIGGER webhook_redemption_event
+  AFTER INSERT OR UPDATE OF status ON voucher_redemptions
+  FOR EACH ROW EXECUTE FUNCTION webhook_redemption_event();
+
+-- Buat delivery event untuk endpoint yang cocok + tandai event sudah di-dispatch (atomic)
+CREATE OR REPLACE FUNCTION dispatch_webhook_event(p_event_id bigint, p_endpoint_ids uuid[])
+RETURNS integer
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  created integer;
+BEGIN
+  INSERT INTO webhook_deliveries (event_id, endpoint_id)
+  SELECT p_event_id, endpoint_id FROM unnest(p_endpoint_ids) AS endpoint_id
+  ON CONFLICT (event_id, endpoint_id) DO NOTHING;
+
+  GET DIAGNOSTICS created = ROW_COUNT;
+
+  UPDATE webhook_events SET dispatched_at = now() WHERE id = p_event_id;
+
+  RETURN created;
+END;
+$$;
+
+-- Ambil delivery yang sudah waktunya dikirim, next_attempt_at digeser p_lock_seconds
+-- supaya tidak diambil worker lain selama dikirim
+CREATE OR REPLACE FUNCTION claim_webhook_deliveries(p_limit integer, p_lock_seconds integer)
+RETURNS SETOF webhook_deliveries
+LANGUAGE sql
+AS $$
+  UPDATE webhook_deliveries
+  SET next_attempt_at = now() + make_interval(secs => p_lock_seconds)
+  WHERE id IN (
+    SELECT id FROM webhook_deliveries
+    WHERE status = 'PENDING' AND next_attempt_at <= now()
+    ORDER BY next_attempt_at, id
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *;
+$$;
@@ -0,0 +1,17 @@
+-- Pola mencurigakan yang terdeteksi rate limiter (lihat src/middleware/rateLimit.js)
+-- kind: MANY_USERS_PER_IP, MANY_CODES_PER_USER, FAILED_LOOKUP_LOCKOUT
+-- subject: IP / user id yang ditandai, details: user / code yang terlibat, window, dst
+
+CREATE TABLE IF NOT EXISTS abuse_flags (
+  id          bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  kind        text NOT NULL,
+  subject     text NOT NULL,
+  ip          text,
+  user_id     text,
+  request_id  text,
+  details     jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_at  timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_abuse_flags_kind ON abuse_flags (kind, id);
+CREATE INDEX IF NOT EXISTS idx_abuse_flags_subject ON abuse_flags (subject, id);
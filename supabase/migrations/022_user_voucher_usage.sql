@@ -0,0 +1,17 @@
+-- Pemakaian voucher per user (RESERVED / SUCCESS) dalam 1 query grouped,
+-- dipakai listing voucher eligible (GET /me/vouchers, /users/:userId/eligible-vouchers)
+
+CREATE OR REPLACE FUNCTION user_voucher_usage(p_user_id uuid)
+RETURNS TABLE (
+  voucher_id        uuid,
+  count             integer,
+  last_redeemed_at  timestamptz
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT r.voucher_id, COUNT(*)::integer, MAX(r.redeemed_at)
+  FROM voucher_redemptions r
+  WHERE r.user_id = p_user_id AND r.status IN ('RESERVED', 'SUCCESS')
+  GROUP BY r.voucher_id;
+$$;
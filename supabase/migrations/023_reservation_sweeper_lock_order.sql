@@ -0,0 +1,46 @@
+-- Sweeper reservasi mengunci voucher dulu (urut id) baru meng-expire redemption-nya,
+-- urutan lock sama dengan reserve_voucher / _reserve_voucher_slot (voucher -> redemption)
+-- supaya sweeper yang jalan bersamaan dengan reserve tidak deadlock
+
+-- Sama dengan versi 012, ditambah lock voucher sebelum UPDATE voucher_redemptions
+CREATE OR REPLACE FUNCTION expire_voucher_reservations(p_voucher_id uuid DEFAULT NULL)
+RETURNS integer
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  released integer := 0;
+  e record;
+BEGIN
+  PERFORM 1
+  FROM vouchers
+  WHERE id IN (
+    SELECT voucher_id FROM voucher_redemptions
+    WHERE status = 'RESERVED'
+      AND expires_at <= now()
+      AND (p_voucher_id IS NULL OR voucher_id = p_voucher_id)
+  )
+  ORDER BY id
+  FOR UPDATE;
+
+  FOR e IN
+    UPDATE voucher_redemptions
+    SET status = 'EXPIRED'
+    WHERE status = 'RESERVED'
+      AND expires_at <= now()
+      AND (p_voucher_id IS NULL OR voucher_id = p_voucher_id)
+    RETURNING id, voucher_id, discount_amount
+  LOOP
+    UPDATE vouchers
+    SET total_redeemed = total_redeemed - 1,
+        updated_at = now()
+    WHERE id = e.voucher_id;
+
+    PERFORM _adjust_discount_given(e.voucher_id, -e.discount_amount);
+    PERFORM _sync_budget_status(e.voucher_id);
+    PERFORM _restore_redemption_claim(e.id);
+    released := released + 1;
+  END LOOP;
+
+  RETURN released;
+END;
+$$;
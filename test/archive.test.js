@@ -0,0 +1,107 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+let app;
+let admin;
+let manager;
+let user;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.login({ id: "admin", role: "ADMIN" });
+  manager = await app.login({ id: "manager", role: "CAMPAIGN_MANAGER" });
+  user = await app.login({ id: "user-1" });
+});
+
+after(() => app.close());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mundurkan archived_at supaya lewat masa retensi
+function archivedDaysAgo(voucher, days) {
+  app.storage.db
+    .prepare("UPDATE vouchers SET archived_at = ? WHERE id = ?")
+    .run(new Date(Date.now() - days * DAY_MS).toISOString(), voucher.id);
+}
+
+test("storage: archive & restore hanya sekali, purge hanya voucher archived lama yang tidak pernah dipakai", async () => {
+  const { vouchers } = app.storage;
+  const unused = await app.createVoucher(admin);
+  const used = await app.createVoucher(admin);
+  const recent = await app.createVoucher(admin);
+
+  await app.request("POST", `/vouchers/${used.code}/redeem`, { token: user, body: { order_amount: 50000 } });
+
+  const { data: archived } = await vouchers.archive(unused.id, "admin");
+  assert.ok(archived.archived_at);
+  assert.equal(archived.archived_by, "admin");
+  assert.equal((await vouchers.archive(unused.id, "admin")).data, null);
+
+  assert.equal((await vouchers.restore(unused.id)).data.archived_at, null);
+  assert.equal((await vouchers.restore(unused.id)).data, null);
+
+  for (const voucher of [unused, used, recent]) await vouchers.archive(voucher.id, "admin");
+  archivedDaysAgo(unused, 40);
+  archivedDaysAgo(used, 40);
+
+  const { data: purged } = await vouchers.purgeArchived(new Date(Date.now() - 30 * DAY_MS));
+  assert.deepEqual(purged.map((voucher) => voucher.code), [unused.code]);
+
+  assert.equal((await vouchers.findById(unused.id)).data, null);
+  assert.ok((await vouchers.findById(used.id)).data);
+  assert.ok((await vouchers.findById(recent.id)).data);
+});
+
+test("voucher archived: tersembunyi, redeem 410, update 409, archive ulang 409", async () => {
+  const voucher = await app.createVoucher(admin);
+
+  const archived = await app.request("DELETE", `/vouchers/${voucher.id}`, { token: manager });
+  assert.equal(archived.status, 200);
+  assert.equal(archived.body.data.archived_by, "manager");
+
+  assert.equal((await app.request("GET", `/vouchers/${voucher.code}`, { token: user })).status, 404);
+
+  const redeem = await app.request("POST", `/vouchers/${voucher.code}/redeem`, {
+    token: user,
+    body: { order_amount: 50000 },
+  });
+  assert.equal(redeem.status, 410);
+  assert.equal(redeem.body.reason, "VOUCHER_ARCHIVED");
+
+  assert.equal((await app.request("PUT", `/vouchers/${voucher.id}`, { token: admin, body: { name: "Baru" } })).status, 409);
+
+  const again = await app.request("POST", `/vouchers/${voucher.id}/archive`, { token: admin });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.reason, "VOUCHER_ARCHIVED");
+});
+
+test("restore voucher archived, restore voucher yang tidak archived = 409", async () => {
+  const voucher = await app.createVoucher(admin);
+  await app.request("DELETE", `/vouchers/${voucher.id}`, { token: admin });
+
+  const restored = await app.request("POST", `/vouchers/${voucher.id}/restore`, { token: admin });
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.data.archived_at, null);
+  assert.equal(restored.body.data.status, "ACTIVE");
+
+  assert.equal((await app.request("POST", `/vouchers/${voucher.id}/restore`, { token: admin })).status, 409);
+  assert.equal((await app.request("POST", `/vouchers/tidak-ada/restore`, { token: admin })).status, 404);
+});
+
+test("purge lewat endpoint: hanya vouchers:purge, retensi tidak bisa dipercepat", async () => {
+  const voucher = await app.createVoucher(admin);
+  await app.request("DELETE", `/vouchers/${voucher.id}`, { token: admin });
+  archivedDaysAgo(voucher, 400);
+
+  assert.equal((await app.request("POST", "/vouchers/purge", { token: manager, body: {} })).status, 403);
+  assert.equal((await app.request("POST", "/vouchers/purge", { token: admin, body: { retention_days: 0 } })).status, 400);
+
+  const { status, body } = await app.request("POST", "/vouchers/purge", { token: admin, body: {} });
+  assert.equal(status, 200);
+  assert.ok(body.data.codes.includes(voucher.code));
+
+  const audit = await app.request("GET", `/vouchers/${voucher.id}/audit?action=VOUCHER_DELETED`, { token: admin });
+  assert.equal(audit.body.count, 1);
+  assert.equal(audit.body.voucher_deleted, true);
+});
@@ -0,0 +1,95 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+let app;
+let admin;
+let user;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.login({ id: "admin", role: "ADMIN" });
+  user = await app.login({ id: "user-1" });
+});
+
+after(() => app.close());
+
+test("diffFields hanya field yang berubah, tanpa kolom turunan", () => {
+  const { diffFields, voucherUpdateAction } = require("../src/services/audit");
+
+  const changes = diffFields(
+    { name: "Lama", discount_value: 1000, rules: { a: 1 }, updated_at: "t1", description: null },
+    { name: "Baru", discount_value: 1000, rules: { a: 2 }, updated_at: "t2", description: undefined }
+  );
+
+  assert.deepEqual(changes, {
+    name: { before: "Lama", after: "Baru" },
+    rules: { before: { a: 1 }, after: { a: 2 } },
+  });
+  assert.deepEqual(diffFields(null, { code: "X" }), { code: { before: null, after: "X" } });
+
+  assert.equal(voucherUpdateAction({ is_active: { before: true, after: false }, status: {} }), "VOUCHER_DEACTIVATED");
+  assert.equal(voucherUpdateAction(changes), "VOUCHER_UPDATED");
+});
+
+test("audit voucher: before / after per field, actor dan request id", async () => {
+  const voucher = await app.createVoucher(admin, { name: "Nama lama", discount_value: 10000 });
+
+  const update = await app.request("PUT", `/vouchers/${voucher.id}`, {
+    token: admin,
+    body: { name: "Nama baru", discount_value: 15000 },
+    headers: { "X-Request-Id": "req-audit-1" },
+  });
+  assert.equal(update.status, 200);
+
+  const { status, body } = await app.request("GET", `/vouchers/${voucher.id}/audit`, { token: admin });
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.data.map((entry) => entry.action),
+    ["VOUCHER_UPDATED", "VOUCHER_CREATED"]
+  );
+
+  const [updated] = body.data;
+  assert.deepEqual(updated.changes, {
+    name: { before: "Nama lama", after: "Nama baru" },
+    discount_value: { before: 10000, after: 15000 },
+  });
+  assert.equal(updated.actor_id, "admin");
+  assert.equal(updated.actor_role, "ADMIN");
+  assert.equal(updated.request_id, "req-audit-1");
+});
+
+test("refund tercatat di audit voucher, filter action & pagination cursor", async () => {
+  const voucher = await app.createVoucher(admin);
+  const redeemed = await app.request("POST", `/vouchers/${voucher.code}/redeem`, {
+    token: user,
+    body: { order_amount: 50000 },
+  });
+  await app.request("POST", `/redemptions/${redeemed.body.data.redemption_id}/refund`, {
+    token: admin,
+    body: { reason: "double charge" },
+  });
+
+  const refunds = await app.request("GET", `/vouchers/${voucher.id}/audit?action=redemption_refunded`, { token: admin });
+  assert.equal(refunds.body.count, 1);
+  assert.deepEqual(refunds.body.data[0].changes.status, { before: "SUCCESS", after: "REFUNDED" });
+
+  const first = await app.request("GET", `/vouchers/${voucher.id}/audit?limit=1`, { token: admin });
+  assert.equal(first.body.data[0].action, "REDEMPTION_REFUNDED");
+
+  const next = await app.request(
+    "GET",
+    `/vouchers/${voucher.id}/audit?limit=1&cursor=${first.body.pagination.next_cursor}`,
+    { token: admin }
+  );
+  assert.equal(next.body.data[0].action, "VOUCHER_CREATED");
+  assert.equal(next.body.pagination.next_cursor, null);
+});
+
+test("audit butuh audit:read, cursor rusak = 400, voucher tidak ada = 404", async () => {
+  const voucher = await app.createVoucher(admin);
+
+  assert.equal((await app.request("GET", `/vouchers/${voucher.id}/audit`, { token: user })).status, 403);
+  assert.equal((await app.request("GET", `/vouchers/${voucher.id}/audit?cursor=rusak`, { token: admin })).status, 400);
+  assert.equal((await app.request("GET", "/vouchers/tidak-ada/audit", { token: admin })).status, 404);
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+let app;
+let admin;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.login({ id: "admin", role: "ADMIN" });
+});
+
+after(() => app.close());
+
+let users = 0;
+
+// Setiap redeem dari user baru (batas per user tidak ikut berpengaruh)
+async function redeem(code) {
+  const token = await app.login({ id: `budget-user-${++users}` });
+  return app.request("POST", `/vouchers/${code}/redeem`, { token, body: { order_amount: 50000 } });
+}
+
+const findVoucher = async (id) => (await app.storage.vouchers.findById(id)).data;
+const updateVoucher = (id, body) => app.request("PUT", `/vouchers/${id}`, { token: admin, body });
+
+test("redemption terakhir dipotong ke sisa budget, voucher nonaktif saat budget habis", async () => {
+  const voucher = await app.createVoucher(admin, { discount_value: 10000, max_total_discount_amount: 15000 });
+
+  assert.equal((await redeem(voucher.code)).body.data.discount_amount, 10000);
+
+  const capped = await redeem(voucher.code);
+  assert.equal(capped.body.data.discount_amount, 5000);
+  assert.equal(capped.body.data.budget_capped, true);
+
+  const exhausted = await redeem(voucher.code);
+  assert.equal(exhausted.status, 400);
+  assert.equal(exhausted.body.reason, "BUDGET_EXHAUSTED");
+
+  const stored = await findVoucher(voucher.id);
+  assert.equal(stored.total_discount_given, 15000);
+  assert.equal(stored.is_active, false);
+  assert.equal(stored.deactivated_reason, "BUDGET_EXHAUSTED");
+
+  // Budget dinaikkan = voucher aktif lagi
+  assert.equal((await updateVoucher(voucher.id, { max_total_discount_amount: 30000 })).status, 200);
+  assert.equal((await findVoucher(voucher.id)).is_active, true);
+  assert.equal((await redeem(voucher.code)).status, 200);
+});
+
+test("budget campaign habis: code lain ditolak, ubah budget code tidak mengaktifkan lagi", async () => {
+  const campaign = await app.request("POST", "/campaigns", {
+    token: admin,
+    body: { name: "Campaign budget", discount_type: "FIXED", discount_value: 10000, max_total_discount_amount: 10000 },
+  });
+  const generated = await app.request("POST", `/campaigns/${campaign.body.data.id}/codes`, {
+    token: admin,
+    body: { count: 2 },
+  });
+  const [first, second] = generated.body.data.codes;
+
+  assert.equal((await redeem(first)).status, 200);
+  assert.equal((await redeem(second)).body.reason, "BUDGET_EXHAUSTED");
+
+  const { data: exhausted } = await app.storage.vouchers.findByCode(first);
+  assert.equal(exhausted.deactivated_reason, "BUDGET_EXHAUSTED");
+
+  // Budget voucher masih sisa, tapi budget campaign sudah habis
+  await updateVoucher(exhausted.id, { max_total_discount_amount: 50000 });
+  assert.equal((await findVoucher(exhausted.id)).is_active, false);
+
+  const { data: sibling } = await app.storage.vouchers.findByCode(second);
+  await updateVoucher(sibling.id, { max_total_discount_amount: 50000 });
+  assert.equal((await findVoucher(sibling.id)).deactivated_reason, "BUDGET_EXHAUSTED");
+});
@@ -0,0 +1,95 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+let app;
+let admin;
+let user;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.login({ id: "admin", role: "ADMIN" });
+  user = await app.login({ id: "user-1" });
+});
+
+after(() => app.close());
+
+async function createCampaign(fields = {}) {
+  const { status, body } = await app.request("POST", "/campaigns", {
+    token: admin,
+    body: {
+      name: "Campaign test",
+      discount_type: "TIERED",
+      discount_rules: { tiers: [{ min_order_amount: 50000, discount_amount: 5000 }] },
+      ...fields,
+    },
+  });
+
+  assert.equal(status, 201);
+  return body.data;
+}
+
+test("generate code campaign: unik, single-use, mewarisi aturan campaign", async () => {
+  const campaign = await createCampaign();
+
+  const { status, body } = await app.request("POST", `/campaigns/${campaign.id}/codes`, {
+    token: admin,
+    body: { count: 25, prefix: "BATCH-", length: 6, check_digit: true },
+  });
+
+  assert.equal(status, 201);
+  assert.equal(body.data.generated, 25);
+  assert.equal(new Set(body.data.codes).size, 25);
+  assert.ok(body.data.codes.every((code) => /^BATCH-[A-Z0-9]{7}$/.test(code)));
+
+  const { data: voucher } = await app.storage.vouchers.findByCode(body.data.codes[0]);
+  assert.equal(voucher.campaign_id, campaign.id);
+  assert.equal(voucher.discount_type, "TIERED");
+  assert.equal(voucher.max_total_redemptions, 1);
+  assert.equal(voucher.is_public, false);
+
+  const redeem = () =>
+    app.request("POST", `/vouchers/${voucher.code}/redeem`, { token: user, body: { order_amount: 60000 } });
+
+  assert.equal((await redeem()).body.data.discount_amount, 5000);
+  assert.equal((await redeem()).status, 400);
+});
+
+test("export code campaign sebagai CSV", async () => {
+  const campaign = await createCampaign();
+  await app.request("POST", `/campaigns/${campaign.id}/codes`, { token: admin, body: { count: 3 } });
+
+  const { status, headers, body } = await app.request("GET", `/campaigns/${campaign.id}/codes?format=csv`, {
+    token: admin,
+  });
+
+  assert.equal(status, 200);
+  assert.match(headers.get("content-type"), /^text\/csv/);
+
+  const [header, ...rows] = body.trim().split("\r\n");
+  assert.match(header, /^code,campaign_id,discount_type,discount_value,discount_rules,/);
+  assert.equal(rows.length, 3);
+  // discount_rules (JSON) di-quote karena berisi koma & kutip
+  assert.ok(rows.every((row) => row.includes('"{""tiers"":[{""min_order_amount"":50000,""discount_amount"":5000}]}"')));
+});
+
+test("kombinasi code terlalu sedikit untuk jumlah code ditolak", async () => {
+  const campaign = await createCampaign();
+
+  const { status, body } = await app.request("POST", `/campaigns/${campaign.id}/codes`, {
+    token: admin,
+    body: { count: 100, length: 4, alphabet: "ABCDEFGHIJ" },
+  });
+
+  assert.equal(status, 400);
+  assert.match(body.message, /Kombinasi code terlalu sedikit/);
+});
+
+test("campaign hanya untuk permission campaigns:manage", async () => {
+  const { status } = await app.request("POST", "/campaigns", {
+    token: user,
+    body: { name: "Campaign user", discount_type: "FIXED", discount_value: 1000 },
+  });
+
+  assert.equal(status, 403);
+});
@@ -0,0 +1,93 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+let app;
+let admin;
+let user;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.login({ id: "admin", role: "ADMIN" });
+  user = await app.login({ id: "user-1" });
+});
+
+after(() => app.close());
+
+const CART = [
+  { sku: "NASI-GORENG", restaurant_id: "resto-1", category: "food", qty: 2, unit_price: 25000 },
+  { sku: "ES-TEH", restaurant_id: "resto-1", category: "drink", qty: 2, unit_price: 5000 },
+  { sku: "MIE-AYAM", restaurant_id: "resto-2", category: "food", qty: 1, unit_price: 20000 },
+];
+
+test("include harus cocok semua list, exclude membuang yang cocok salah satu", () => {
+  const { eligibleLines } = require("../src/services/cart");
+
+  const food = eligibleLines({ targeting: { include: { categories: ["food"] } } }, CART);
+  assert.deepEqual(food.items.map((item) => item.line), [0, 2]);
+  assert.equal(food.subtotal, 70000);
+
+  const resto1Food = eligibleLines(
+    { targeting: { include: { categories: ["food"], restaurant_ids: ["resto-1"] } } },
+    CART
+  );
+  assert.deepEqual(resto1Food.items.map((item) => item.sku), ["NASI-GORENG"]);
+
+  const noDrinks = eligibleLines({ targeting: { exclude: { categories: ["drink"], skus: ["MIE-AYAM"] } } }, CART);
+  assert.deepEqual(noDrinks.items.map((item) => item.sku), ["NASI-GORENG"]);
+
+  assert.equal(eligibleLines({ targeting: null }, CART).subtotal, 80000);
+});
+
+test("alokasi discount per item selalu berjumlah sama dengan discount", () => {
+  const { allocate } = require("../src/services/cart");
+  const { calculateDiscount } = require("../src/services/discounts");
+  const items = [
+    { sku: "A", qty: 1, unit_price: 10000 },
+    { sku: "B", qty: 1, unit_price: 10000 },
+    { sku: "C", qty: 1, unit_price: 10000 },
+  ];
+
+  const result = calculateDiscount({ discount_type: "FIXED", discount_value: 10000 }, { order_amount: 30000, items });
+  assert.deepEqual(result.item_discounts, [3334, 3333, 3333]);
+
+  assert.deepEqual(allocate(999, CART), [624, 125, 250]);
+  assert.deepEqual(allocate(0, CART), [0, 0, 0]);
+});
+
+test("redeem dengan targeting: discount hanya dari item eligible, dialokasikan per baris cart", async () => {
+  const voucher = await app.createVoucher(admin, {
+    discount_type: "PERCENT",
+    discount_value: 10,
+    targeting: { include: { categories: ["food"] } },
+  });
+
+  const { status, body } = await app.request("POST", `/vouchers/${voucher.code}/redeem`, {
+    token: user,
+    body: { items: CART },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.order_amount, 80000);
+  assert.equal(body.data.eligible_amount, 70000);
+  assert.equal(body.data.discount_amount, 7000);
+  assert.deepEqual(
+    body.data.allocation.map((line) => [line.sku, line.eligible, line.discount_amount]),
+    [
+      ["NASI-GORENG", true, 5000],
+      ["ES-TEH", false, 0],
+      ["MIE-AYAM", true, 2000],
+    ]
+  );
+});
+
+test("voucher dengan targeting butuh items dan minimal 1 item eligible", async () => {
+  const voucher = await app.createVoucher(admin, { targeting: { include: { skus: ["PAKET-HEMAT"] } } });
+  const quote = (body) => app.request("POST", `/vouchers/${voucher.code}/quote`, { token: user, body });
+
+  assert.equal((await quote({ order_amount: 80000 })).body.data.reason, "ITEMS_REQUIRED");
+  assert.equal((await quote({ items: CART })).body.data.reason, "NO_ELIGIBLE_ITEMS");
+
+  const mismatch = await quote({ order_amount: 1000, items: CART });
+  assert.equal(mismatch.status, 400);
+});
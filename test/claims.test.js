@@ -0,0 +1,58 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+let app;
+let admin;
+let budi;
+let sari;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.login({ id: "admin", role: "ADMIN" });
+  budi = await app.login({ id: "budi" });
+  sari = await app.login({ id: "sari" });
+});
+
+after(() => app.close());
+
+const claim = (code, token) => app.request("POST", `/vouchers/${code}/claim`, { token });
+const redeem = (code, token) =>
+  app.request("POST", `/vouchers/${code}/redeem`, { token, body: { order_amount: 50000 } });
+
+test("claim menahan slot quota untuk user, user lain kehabisan", async () => {
+  const voucher = await app.createVoucher(admin, { max_total_redemptions: 1 });
+
+  const claimed = await claim(voucher.code, budi);
+  assert.equal(claimed.status, 201);
+  assert.equal(claimed.body.data.status, "CLAIMED");
+
+  assert.equal((await claim(voucher.code, budi)).body.reason, "ALREADY_CLAIMED");
+  assert.equal((await claim(voucher.code, sari)).body.reason, "VOUCHER_EXHAUSTED");
+  assert.equal((await redeem(voucher.code, sari)).body.reason, "VOUCHER_EXHAUSTED");
+
+  assert.equal((await redeem(voucher.code, budi)).status, 200);
+});
+
+test("claim ditolak selama cooldown per user, sama seperti redeem", async () => {
+  const voucher = await app.createVoucher(admin, { max_redemptions_per_user: null, per_user_cooldown_seconds: 3600 });
+
+  assert.equal((await redeem(voucher.code, budi)).status, 200);
+
+  const { status, body } = await claim(voucher.code, budi);
+  assert.equal(status, 400);
+  assert.equal(body.reason, "USER_COOLDOWN");
+  assert.ok(Date.parse(body.next_available_at) > Date.now());
+
+  const { data: stored } = await app.storage.vouchers.findById(voucher.id);
+  assert.equal(stored.total_claimed, 0);
+
+  assert.equal((await claim(voucher.code, sari)).status, 201);
+});
+
+test("claim ditolak kalau batas per user sudah habis", async () => {
+  const voucher = await app.createVoucher(admin, { max_redemptions_per_user: 1 });
+
+  assert.equal((await redeem(voucher.code, budi)).status, 200);
+  assert.equal((await claim(voucher.code, budi)).body.reason, "ALREADY_REDEEMED");
+});
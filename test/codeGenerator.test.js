@@ -0,0 +1,49 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { SAFE_ALPHABET, checkCharacter, generateCodes, codeSpace } = require("../src/services/codeGenerator");
+
+test("code unik, dengan prefix, panjang & alphabet sesuai option", () => {
+  const codes = generateCodes(500, { prefix: "RAMADAN-", length: 6 });
+
+  assert.equal(new Set(codes).size, 500);
+  for (const code of codes) {
+    assert.match(code, new RegExp(`^RAMADAN-[${SAFE_ALPHABET}]{6}$`));
+  }
+});
+
+test("code di exclude tidak dipakai lagi", () => {
+  const alphabet = "ABCDEFGHIJ";
+  const exclude = new Set(["AA", "AB", "AC"]);
+
+  const codes = generateCodes(97, { length: 2, alphabet }, exclude);
+
+  assert.equal(codes.length, 97);
+  assert.ok(codes.every((code) => !exclude.has(code)));
+});
+
+test("check character menangkap salah ketik 1 karakter dan tukar posisi bersebelahan", () => {
+  // Tanpa pasangan karakter pertama & terakhir alphabet bersebelahan (satu-satunya tukar posisi
+  // yang tidak tertangkap Luhn mod N)
+  const body = "KX7PQ2MZ";
+  const check = checkCharacter(body);
+
+  const [generated] = generateCodes(1, { length: 8, checkDigit: true });
+  assert.equal(checkCharacter(generated.slice(0, -1)), generated.slice(-1));
+
+  for (let i = 0; i < body.length; i++) {
+    const replacement = SAFE_ALPHABET[(SAFE_ALPHABET.indexOf(body[i]) + 1) % SAFE_ALPHABET.length];
+    const typo = body.slice(0, i) + replacement + body.slice(i + 1);
+    assert.notEqual(checkCharacter(typo), check, `salah ketik di posisi ${i}`);
+  }
+
+  for (let i = 0; i < body.length - 1; i++) {
+    if (body[i] === body[i + 1]) continue;
+    const swapped = body.slice(0, i) + body[i + 1] + body[i] + body.slice(i + 2);
+    assert.notEqual(checkCharacter(swapped), check, `tukar posisi ${i} dan ${i + 1}`);
+  }
+});
+
+test("codeSpace = alphabet ^ length", () => {
+  assert.equal(codeSpace({ length: 4, alphabet: "ABCDEFGHIJ" }), 10000);
+  assert.equal(codeSpace(), SAFE_ALPHABET.length ** 8);
+});
@@ -0,0 +1,49 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { toCsv, parseCsv } = require("../src/lib/csv");
+
+test("toCsv meng-quote cell berisi koma, kutip, dan baris baru", () => {
+  const csv = toCsv(
+    [{ code: "HEMAT", name: 'Diskon "Spesial", akhir tahun', description: "baris 1\nbaris 2", value: null }],
+    ["code", "name", "description", "value"]
+  );
+
+  assert.equal(
+    csv,
+    'code,name,description,value\r\nHEMAT,"Diskon ""Spesial"", akhir tahun","baris 1\nbaris 2",\r\n'
+  );
+});
+
+test("toCsv menulis object sebagai JSON", () => {
+  const csv = toCsv([{ rules: { tiers: [1, 2] } }], ["rules"]);
+
+  assert.equal(csv, 'rules\r\n"{""tiers"":[1,2]}"\r\n');
+});
+
+test("parseCsv membaca kembali hasil toCsv", () => {
+  const rows = [
+    { code: "A1", name: "Koma, titik. \"kutip\"", description: "multi\r\nline" },
+    { code: "B2", name: "", description: "biasa" },
+  ];
+  const columns = ["code", "name", "description"];
+
+  assert.deepEqual(parseCsv(toCsv(rows, columns)), { columns, rows });
+});
+
+test("parseCsv: BOM, baris kosong, kolom kurang, dan newline LF", () => {
+  const parsed = parseCsv('\uFEFFcode, name\n\nA1,Satu\nB2\n');
+
+  assert.deepEqual(parsed.columns, ["code", "name"]);
+  assert.deepEqual(parsed.rows, [
+    { code: "A1", name: "Satu" },
+    { code: "B2", name: "" },
+  ]);
+});
+
+test("parseCsv: kutip di tengah cell dibaca apa adanya", () => {
+  assert.deepEqual(parseCsv('name\r\n5" pizza\r\n').rows, [{ name: '5" pizza' }]);
+});
+
+test("parseCsv menolak kutip yang tidak ditutup", () => {
+  assert.throws(() => parseCsv('code,name\r\nA1,"tidak ditutup\r\n'), /tanda kutip tidak ditutup/);
+});
@@ -0,0 +1,108 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+// Kurs dibaca sekali dari env saat pertama dipakai
+process.env.CURRENCY_RATES = JSON.stringify({ "SGD/IDR": 11800 });
+
+const { minorUnits, formatAmount, exchangeRate, convertAmount, priceVoucher } = require("../src/services/currency");
+
+let app;
+let admin;
+let user;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.login({ id: "admin", role: "ADMIN" });
+  user = await app.login({ id: "user-1" });
+});
+
+after(() => app.close());
+
+test("minor unit per mata uang (IDR tanpa desimal)", () => {
+  assert.equal(minorUnits("IDR"), 0);
+  assert.equal(minorUnits("JPY"), 0);
+  assert.equal(minorUnits("SGD"), 2);
+  assert.equal(minorUnits("KWD"), 3);
+});
+
+test("formatAmount menulis nominal major unit sesuai minor unit", () => {
+  assert.equal(formatAmount(50000, "IDR"), "IDR 50000");
+  assert.equal(formatAmount(1050, "SGD"), "SGD 10.50");
+  assert.equal(formatAmount(1234, "KWD"), "KWD 1.234");
+});
+
+test("kurs kebalikan dihitung otomatis", () => {
+  assert.equal(exchangeRate("SGD", "IDR"), 11800);
+  assert.equal(exchangeRate("IDR", "SGD"), 1 / 11800);
+  assert.equal(exchangeRate("IDR", "IDR"), 1);
+  assert.equal(exchangeRate("IDR", "USD"), null);
+});
+
+test("convertAmount menyesuaikan minor unit dan membulatkan", () => {
+  // SGD 10.50 -> IDR 123900
+  assert.equal(convertAmount(1050, "SGD", "IDR", 11800), 123900);
+  // IDR 10000 = SGD 0.847... -> 85 sen (terdekat), 84 sen (ke bawah)
+  assert.equal(convertAmount(10000, "IDR", "SGD", 1 / 11800), 85);
+  assert.equal(convertAmount(10000, "IDR", "SGD", 1 / 11800, Math.floor), 84);
+  assert.equal(convertAmount(777, "IDR", "IDR", 1), 777);
+});
+
+test("priceVoucher mengonversi nominal voucher, field persen tidak berubah", () => {
+  const voucher = {
+    currency: "IDR",
+    discount_type: "PERCENT",
+    discount_value: 15,
+    discount_rules: { min_discount_amount: 20000 },
+    min_order_amount: 50000,
+    max_discount_amount: 100000,
+  };
+
+  const priced = priceVoucher(voucher, "SGD", exchangeRate("IDR", "SGD"));
+
+  assert.equal(priced.currency, "SGD");
+  assert.equal(priced.discount_value, 15);
+  assert.equal(priced.discount_rules.min_discount_amount, 169);
+  assert.equal(priced.min_order_amount, 424);
+  assert.equal(priced.max_discount_amount, 847);
+});
+
+test("priceVoucher memakai currency_amounts kalau ada", () => {
+  const voucher = {
+    currency: "IDR",
+    discount_type: "FIXED",
+    discount_value: 20000,
+    min_order_amount: 50000,
+    max_discount_amount: null,
+    currency_amounts: { SGD: { discount_value: 200, min_order_amount: 500 } },
+  };
+
+  const priced = priceVoucher(voucher, "SGD", exchangeRate("IDR", "SGD"));
+
+  assert.equal(priced.discount_value, 200);
+  assert.equal(priced.min_order_amount, 500);
+  assert.equal(priced.max_discount_amount, null);
+  assert.equal(priceVoucher(voucher, "IDR", 1), voucher);
+});
+
+test("redeem order mata uang lain memakai kurs, tanpa kurs = CURRENCY_NOT_SUPPORTED", async () => {
+  const voucher = await app.createVoucher(admin, { currency: "IDR", discount_type: "FIXED", discount_value: 20000 });
+
+  const redeemed = await app.request("POST", `/vouchers/${voucher.code}/redeem`, {
+    token: user,
+    body: { order_amount: 5000, order_currency: "SGD" },
+  });
+  assert.equal(redeemed.status, 200);
+  assert.equal(redeemed.body.data.currency, "SGD");
+  assert.equal(redeemed.body.data.voucher_currency, "IDR");
+  // IDR 20000 = SGD 1.69
+  assert.equal(redeemed.body.data.discount_amount, 169);
+  assert.equal(redeemed.body.data.final_amount, 4831);
+
+  const rejected = await app.request("POST", `/vouchers/${voucher.code}/redeem`, {
+    token: user,
+    body: { order_amount: 5000, order_currency: "USD" },
+  });
+  assert.equal(rejected.status, 400);
+  assert.equal(rejected.body.reason, "CURRENCY_NOT_SUPPORTED");
+});
@@ -0,0 +1,134 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { calculateDiscount, normalizeDiscount, discountSchema } = require("../src/services/discounts");
+
+// =======================
+// PERCENT
+// =======================
+test("PERCENT dibulatkan ke bawah ke minor unit", () => {
+  const result = calculateDiscount({ discount_type: "PERCENT", discount_value: 10 }, { order_amount: 55555 });
+
+  assert.equal(result.discount_amount, 5555);
+  assert.equal(result.delivery_discount_amount, 0);
+  assert.equal(result.item_discounts, null);
+});
+
+test("PERCENT dengan floor min_discount_amount dan ceiling max_discount_amount", () => {
+  const voucher = {
+    discount_type: "PERCENT",
+    discount_value: 10,
+    discount_rules: { min_discount_amount: 10000 },
+    max_discount_amount: 25000,
+  };
+
+  assert.equal(calculateDiscount(voucher, { order_amount: 50000 }).discount_amount, 10000);
+  assert.equal(calculateDiscount(voucher, { order_amount: 180000 }).discount_amount, 18000);
+  assert.equal(calculateDiscount(voucher, { order_amount: 500000 }).discount_amount, 25000);
+});
+
+// =======================
+// FIXED
+// =======================
+test("FIXED tidak melebihi subtotal dan max_percent_of_order", () => {
+  const voucher = { discount_type: "FIXED", discount_value: 20000, discount_rules: { max_percent_of_order: 30 } };
+
+  assert.equal(calculateDiscount(voucher, { order_amount: 100000 }).discount_amount, 20000);
+  assert.equal(calculateDiscount(voucher, { order_amount: 50001 }).discount_amount, 15000);
+  assert.equal(
+    calculateDiscount({ discount_type: "FIXED", discount_value: 20000 }, { order_amount: 12000 }).discount_amount,
+    12000
+  );
+});
+
+// =======================
+// TIERED
+// =======================
+test("TIERED memakai tier tertinggi yang terpenuhi", () => {
+  const voucher = normalizeDiscount({
+    discount_type: "TIERED",
+    discount_rules: {
+      tiers: [
+        { min_order_amount: 200000, discount_amount: 30000 },
+        { min_order_amount: 100000, discount_amount: 10000 },
+      ],
+    },
+  });
+
+  assert.equal(voucher.discount_value, 30000);
+  assert.equal(calculateDiscount(voucher, { order_amount: 150000 }).discount_amount, 10000);
+  assert.equal(calculateDiscount(voucher, { order_amount: 200000 }).discount_amount, 30000);
+  assert.deepEqual(calculateDiscount(voucher, { order_amount: 99999 }), {
+    reason: "MIN_ORDER_NOT_MET",
+    details: { min_order_amount: 100000 },
+  });
+});
+
+// =======================
+// FREE_DELIVERY
+// =======================
+test("FREE_DELIVERY memotong ongkir, bukan subtotal", () => {
+  const voucher = { discount_type: "FREE_DELIVERY", discount_value: 50 };
+
+  const result = calculateDiscount(voucher, { order_amount: 80000, delivery_fee: 15001 });
+
+  assert.equal(result.discount_amount, 7500);
+  assert.equal(result.delivery_discount_amount, 7500);
+  assert.deepEqual(calculateDiscount(voucher, { order_amount: 80000 }), { reason: "NO_DELIVERY_FEE" });
+});
+
+// =======================
+// BUY_X_GET_Y
+// =======================
+test("BUY_X_GET_Y menggratiskan item termurah dan mengalokasikan discount ke item itu", () => {
+  const voucher = {
+    discount_type: "BUY_X_GET_Y",
+    discount_value: 100,
+    discount_rules: { buy_quantity: 2, get_quantity: 1 },
+  };
+  const items = [
+    { sku: "A", qty: 2, unit_price: 30000 },
+    { sku: "B", qty: 1, unit_price: 12000 },
+  ];
+
+  const result = calculateDiscount(voucher, { order_amount: 72000, items });
+
+  assert.equal(result.discount_amount, 12000);
+  assert.deepEqual(result.item_discounts, [0, 12000]);
+  assert.equal(
+    calculateDiscount(voucher, { order_amount: 60000, items: items.slice(0, 1) }).reason,
+    "BUY_QUANTITY_NOT_MET"
+  );
+});
+
+test("tipe discount tidak dikenal ditolak", () => {
+  assert.deepEqual(calculateDiscount({ discount_type: "CASHBACK" }, { order_amount: 10000 }), {
+    reason: "DISCOUNT_TYPE_UNSUPPORTED",
+    details: { discount_type: "CASHBACK" },
+  });
+});
+
+test("schema menolak aturan discount yang tidak valid per tipe", () => {
+  const invalid = [
+    { discount_type: "PERCENT", discount_value: 101 },
+    { discount_type: "FIXED", discount_value: 0 },
+    { discount_type: "FIXED", discount_value: 5000, discount_rules: { max_percent_of_order: 150 } },
+    {
+      discount_type: "TIERED",
+      discount_rules: {
+        tiers: [
+          { min_order_amount: 50000, discount_amount: 5000 },
+          { min_order_amount: 50000, discount_amount: 8000 },
+        ],
+      },
+    },
+    { discount_type: "BUY_X_GET_Y", discount_rules: { buy_quantity: 2 } },
+    { discount_type: "CASHBACK", discount_value: 10 },
+  ];
+
+  for (const discount of invalid) {
+    assert.equal(discountSchema().safeParse(discount).success, false, JSON.stringify(discount));
+  }
+
+  const freeDelivery = discountSchema().parse({ discount_type: "FREE_DELIVERY" });
+  assert.equal(freeDelivery.discount_value, 100);
+});
@@ -0,0 +1,118 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+const { startFakeSupabaseAuth } = require("./helpers/supabaseAuth");
+
+// User id Supabase Auth selalu UUID (auth.admin.getUserById menolak id lain)
+const SARI = "7d0c4a51-2f6b-4c1e-9a57-0b8e3d6f1a22";
+const NOBODY = "00000000-0000-4000-8000-000000000000";
+
+let auth;
+let app;
+let admin;
+let support;
+
+before(async () => {
+  auth = await startFakeSupabaseAuth({
+    users: [{ id: SARI, email: "sari@Company.com", created_at: "2026-01-10T00:00:00.000Z" }],
+  });
+  app = await startApp({ SUPABASE_URL: auth.url, SUPABASE_SERVICE_ROLE_KEY: "test-service-role-key" });
+  admin = await app.login({ id: "admin", role: "ADMIN" });
+  support = await app.login({ id: "support", role: "SUPPORT" });
+});
+
+after(async () => {
+  await app.close();
+  await auth.close();
+});
+
+test("checkEligibility: user_ids, domain email, tanggal registrasi, order pertama", () => {
+  const { checkEligibility } = require("../src/services/eligibility");
+  const user = { id: "budi", email: "budi@Company.com", created_at: "2026-03-01T00:00:00.000Z" };
+
+  assert.equal(checkEligibility(null, user), null);
+  assert.equal(checkEligibility({ user_ids: [SARI] }, user).reason, "USER_NOT_ALLOWED");
+  assert.equal(checkEligibility({ email_domains: ["company.com"] }, user), null);
+  assert.equal(checkEligibility({ email_domains: ["other.com"] }, user).reason, "EMAIL_DOMAIN_NOT_ALLOWED");
+  assert.equal(
+    checkEligibility({ registered_after: "2026-04-01T00:00:00.000Z" }, user).reason,
+    "REGISTERED_TOO_EARLY"
+  );
+  assert.equal(
+    checkEligibility({ registered_before: "2026-02-01T00:00:00.000Z" }, user).reason,
+    "REGISTERED_TOO_LATE"
+  );
+  assert.equal(
+    checkEligibility({ registered_after: "2026-01-01T00:00:00.000Z" }, { id: "budi" }).reason,
+    "REGISTRATION_DATE_UNKNOWN"
+  );
+  assert.equal(checkEligibility({ first_order_only: true }, user, { redemption_count: 0 }), null);
+  assert.equal(checkEligibility({ first_order_only: true }, user, { redemption_count: 1 }).reason, "NOT_FIRST_ORDER");
+});
+
+test("eligible-vouchers: hanya voucher public / di-claim yang lolos aturan eligibility", async () => {
+  const budi = await app.login({ id: "budi" }, { email: "budi@gmail.com" });
+
+  const open = await app.createVoucher(admin);
+  const companyOnly = await app.createVoucher(admin, { eligibility: { email_domains: ["company.com"] } });
+  const firstOrder = await app.createVoucher(admin, { eligibility: { first_order_only: true } });
+  const privateVoucher = await app.createVoucher(admin, { is_public: false });
+  const claimedPrivate = await app.createVoucher(admin, { is_public: false });
+  const draft = await app.createVoucher(admin, { draft: true });
+
+  const claim = await app.request("POST", `/vouchers/${claimedPrivate.code}/claim`, { token: budi });
+  assert.equal(claim.status, 201);
+
+  const list = async () => {
+    const { status, body } = await app.request("GET", "/users/budi/eligible-vouchers", { token: budi });
+    assert.equal(status, 200);
+    return new Map(body.data.map((voucher) => [voucher.code, voucher]));
+  };
+
+  const before = await list();
+  assert.ok(before.has(open.code));
+  assert.ok(before.has(firstOrder.code));
+  assert.equal(before.get(claimedPrivate.code).claimed, true);
+  assert.equal(before.has(companyOnly.code), false);
+  assert.equal(before.has(privateVoucher.code), false);
+  assert.equal(before.has(draft.code), false);
+  // User biasa hanya dapat field public
+  assert.equal(before.get(open.code).created_by, undefined);
+
+  const redeem = await app.request("POST", `/vouchers/${open.code}/redeem`, {
+    token: budi,
+    body: { order_amount: 50000 },
+  });
+  assert.equal(redeem.status, 200);
+
+  assert.equal((await list()).has(firstOrder.code), false);
+});
+
+test("eligible-vouchers user lain: butuh users:read, email & tanggal registrasi dari Supabase Auth", async () => {
+  await app.storage.profiles.upsert({ id: SARI, role: "USER" });
+  const companyOnly = await app.createVoucher(admin, { eligibility: { email_domains: ["company.com"] } });
+
+  const budi = await app.login({ id: "budi" });
+  const forbidden = await app.request("GET", `/users/${SARI}/eligible-vouchers`, { token: budi });
+  assert.equal(forbidden.status, 403);
+
+  const { status, body } = await app.request("GET", `/users/${SARI}/eligible-vouchers`, { token: support });
+  assert.equal(status, 200);
+  assert.ok(body.data.some((voucher) => voucher.code === companyOnly.code));
+  assert.ok(auth.requests.some((request) => request.url === `/auth/v1/admin/users/${SARI}`));
+
+  const missing = await app.request("GET", `/users/${NOBODY}/eligible-vouchers`, { token: support });
+  assert.equal(missing.status, 404);
+});
+
+test("eligible-vouchers user lain tanpa Supabase Auth admin (service role key) = 503", async () => {
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  process.env.SUPABASE_SERVICE_ROLE_KEY = "";
+
+  try {
+    const { status } = await app.request("GET", `/users/${SARI}/eligible-vouchers`, { token: support });
+    assert.equal(status, 503);
+  } finally {
+    process.env.SUPABASE_SERVICE_ROLE_KEY = key;
+  }
+});
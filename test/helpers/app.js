@@ -0,0 +1,126 @@
+const jwt = require("jsonwebtoken");
+
+/**
+ * Helper test HTTP: jalankan app (src/server.js) di port acak dengan storage SQLite in-memory
+ * dan verifikasi token lokal HS256, tanpa project Supabase
+ *
+ * Module service membaca env saat di-load, jadi startApp harus dipanggil sebelum
+ * file test me-require apa pun dari src/
+ */
+
+const JWT_SECRET = "test-supabase-jwt-secret";
+
+const DEFAULT_ENV = {
+  DOTENV_CONFIG_QUIET: "true",
+  STORAGE_DRIVER: "sqlite",
+  SQLITE_PATH: ":memory:",
+  AUTH_VERIFY_MODE: "local",
+  SUPABASE_JWT_SECRET: JWT_SECRET,
+  // Port tertutup: request ke Supabase (remote auth, admin API) gagal cepat, tidak keluar ke network
+  SUPABASE_URL: "http://127.0.0.1:9",
+  SUPABASE_ANON_KEY: "test-anon-key",
+  // String kosong = tidak di-set (dotenv tidak menimpa env yang sudah ada)
+  SUPABASE_SERVICE_ROLE_KEY: "",
+  SERVICE_JWT_SECRET: "",
+  JWT_SECRET: "",
+  SERVICE_CLIENTS: "",
+  RATE_LIMIT_ENABLED: "false",
+};
+
+/**
+ * Access token user seperti yang diterbitkan Supabase Auth
+ * @param {object} [claims] - claim tambahan / pengganti (misal email, aud)
+ * @param {import("jsonwebtoken").SignOptions & { secret?: string }} [options]
+ */
+function userToken(userId, claims = {}, { secret = JWT_SECRET, ...options } = {}) {
+  return jwt.sign({ sub: userId, aud: "authenticated", role: "authenticated", ...claims }, secret, {
+    algorithm: "HS256",
+    expiresIn: "1h",
+    ...options,
+  });
+}
+
+/**
+ * @param {Record<string, string>} [env] - env tambahan / pengganti DEFAULT_ENV
+ */
+async function startApp(env = {}) {
+  Object.assign(process.env, DEFAULT_ENV, env);
+
+  const app = require("../../src/server");
+  const { getStorage } = require("../../src/storage");
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * @param {{ token?: string, body?: object | string, headers?: object }} [options]
+   * @returns {Promise<{ status: number, headers: Headers, body: any }>}
+   */
+  async function request(method, path, { token, body, headers = {} } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(body !== undefined && typeof body !== "string" && { "Content-Type": "application/json" }),
+        ...headers,
+      },
+      body: body === undefined || typeof body === "string" ? body : JSON.stringify(body),
+    });
+    const text = await response.text();
+
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // Bukan JSON (CSV / HTML error express), dikembalikan apa adanya
+    }
+
+    return { status: response.status, headers: response.headers, body: parsed };
+  }
+
+  /**
+   * Buat profile lalu return token user tersebut
+   */
+  async function login(profile, claims = {}) {
+    const { error } = await getStorage().profiles.upsert({ role: "USER", ...profile });
+    if (error) throw new Error(error.message);
+
+    return userToken(profile.id, claims);
+  }
+
+  /**
+   * Buat voucher lewat POST /vouchers
+   * @returns {Promise<object>} voucher yang dibuat
+   */
+  async function createVoucher(token, fields = {}) {
+    const { status, body } = await request("POST", "/vouchers", {
+      token,
+      body: {
+        code: `T${Math.random().toString(36).slice(2, 10).toUpperCase()}`,
+        name: "Voucher test",
+        discount_type: "FIXED",
+        discount_value: 10000,
+        max_total_redemptions: 100,
+        ...fields,
+      },
+    });
+
+    if (status !== 201) throw new Error(`POST /vouchers ${status}: ${JSON.stringify(body)}`);
+    return body.data;
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  return { storage: getStorage(), baseUrl, request, login, createVoucher, close };
+}
+
+module.exports = {
+  JWT_SECRET,
+  userToken,
+  startApp,
+};
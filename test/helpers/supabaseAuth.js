@@ -0,0 +1,63 @@
+const http = require("http");
+
+/**
+ * Supabase Auth palsu di port lokal (SUPABASE_URL diarahkan ke sini):
+ * - GET /auth/v1/user              -> user pemilik token (verifikasi remote)
+ * - GET /auth/v1/admin/users/:id   -> user by id (findAuthUser, butuh service role key)
+ * - GET /auth/v1/.well-known/jwks.json -> public key JWKS (verifikasi lokal RS256 / ES256)
+ *
+ * @param {{ users?: object[], tokens?: Record<string, string>, jwks?: object[] }} [options]
+ *   users = user Supabase Auth ({ id, email, created_at }), tokens = access token -> user id
+ *   (boleh ditambah setelah server jalan), jwks = public key dalam format JWK (dengan kid)
+ */
+async function startFakeSupabaseAuth({ users = [], tokens = {}, jwks = [] } = {}) {
+  const byId = new Map(users.map((user) => [user.id, user]));
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers });
+    res.setHeader("Content-Type", "application/json");
+
+    const send = (status, body) => {
+      res.statusCode = status;
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method === "GET" && req.url === "/auth/v1/user") {
+      const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+      const user = byId.get(tokens[token]);
+
+      return user
+        ? send(200, user)
+        : send(403, { code: "bad_jwt", msg: "invalid JWT: unable to parse or verify signature" });
+    }
+
+    if (req.method === "GET" && req.url === "/auth/v1/.well-known/jwks.json") {
+      return send(200, { keys: jwks });
+    }
+
+    const admin = req.url.match(/^\/auth\/v1\/admin\/users\/([^/?]+)$/);
+    if (req.method === "GET" && admin) {
+      const user = byId.get(decodeURIComponent(admin[1]));
+      return user ? send(200, user) : send(404, { code: "user_not_found", msg: "User not found" });
+    }
+
+    send(404, { code: "not_found", msg: "Not found" });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    users: byId,
+    requests,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = {
+  startFakeSupabaseAuth,
+};
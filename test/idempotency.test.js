@@ -0,0 +1,109 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { startApp } = require("./helpers/app");
+const { startFakeSupabaseAuth } = require("./helpers/supabaseAuth");
+
+const BUDI = "3f9a7c2e-5b1d-4e8a-9c6f-2d4b8e1a7c30";
+const CLIENT = { client_id: "checkout", client_secret: "checkout-secret-0123456789abcdef0123", scopes: ["vouchers:redeem"] };
+
+let auth;
+let app;
+let admin;
+let budi;
+let service;
+
+before(async () => {
+  auth = await startFakeSupabaseAuth({ users: [{ id: BUDI, email: "budi@example.com" }] });
+  app = await startApp({
+    SUPABASE_URL: auth.url,
+    SUPABASE_SERVICE_ROLE_KEY: "test-service-role-key",
+    SERVICE_JWT_SECRET: "test-service-jwt-secret",
+    SERVICE_CLIENTS: JSON.stringify([CLIENT]),
+  });
+  admin = await app.login({ id: "admin", role: "ADMIN" });
+  budi = await app.login({ id: BUDI });
+
+  const { body } = await app.request("POST", "/auth/token", {
+    body: { grant_type: "client_credentials", client_id: CLIENT.client_id, client_secret: CLIENT.client_secret },
+  });
+  service = body.data.access_token;
+});
+
+after(async () => {
+  await app.close();
+  await auth.close();
+});
+
+function redeem(voucher, key, { token = budi, body = { order_amount: 50000 }, headers = {} } = {}) {
+  return app.request("POST", `/vouchers/${voucher.code}/redeem`, {
+    token,
+    body,
+    headers: { "Idempotency-Key": key, ...headers },
+  });
+}
+
+const totalRedeemed = async (voucher) => (await app.storage.vouchers.findById(voucher.id)).data.total_redeemed;
+
+test("retry dengan key & body sama me-replay response pertama tanpa memakai quota lagi", async () => {
+  const voucher = await app.createVoucher(admin, { max_redemptions_per_user: null });
+
+  const first = await redeem(voucher, "retry-1");
+  const retry = await redeem(voucher, "retry-1");
+
+  assert.equal(first.status, 200);
+  assert.equal(retry.status, 200);
+  assert.equal(retry.headers.get("idempotent-replayed"), "true");
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(await totalRedeemed(voucher), 1);
+});
+
+test("key sama dengan body berbeda = 422", async () => {
+  const voucher = await app.createVoucher(admin, { max_redemptions_per_user: null });
+
+  assert.equal((await redeem(voucher, "mismatch-1")).status, 200);
+
+  const { status, body } = await redeem(voucher, "mismatch-1", { body: { order_amount: 99000 } });
+  assert.equal(status, 422);
+  assert.equal(body.reason, "IDEMPOTENCY_KEY_MISMATCH");
+  assert.equal(await totalRedeemed(voucher), 1);
+});
+
+test("request pertama belum selesai = 409", async () => {
+  const voucher = await app.createVoucher(admin, { max_redemptions_per_user: null });
+  const body = { order_amount: 50000 };
+
+  // Request pertama yang masih diproses: key sudah di-lock, response belum disimpan
+  await app.storage.idempotency.begin({
+    scope: BUDI,
+    key: "key:in-progress-1",
+    requestHash: crypto
+      .createHash("sha256")
+      .update(`POST /vouchers/${voucher.code}/redeem\n${JSON.stringify(body)}`)
+      .digest("hex"),
+    lockSeconds: 60,
+  });
+
+  const { status, body: response } = await redeem(voucher, "in-progress-1", { body });
+  assert.equal(status, 409);
+  assert.equal(response.reason, "IDEMPOTENCY_KEY_IN_PROGRESS");
+  assert.equal(await totalRedeemed(voucher), 0);
+});
+
+test("key yang sama dari service client atas nama user tidak bentrok dengan key user", async () => {
+  const voucher = await app.createVoucher(admin, { max_redemptions_per_user: null });
+  const onBehalf = { token: service, headers: { "X-On-Behalf-Of": BUDI } };
+
+  const fromUser = await redeem(voucher, "shared-key");
+  const fromService = await redeem(voucher, "shared-key", { ...onBehalf, body: { order_amount: 80000 } });
+
+  assert.equal(fromUser.status, 200);
+  assert.equal(fromService.status, 200);
+  assert.equal(fromService.headers.get("idempotent-replayed"), null);
+  assert.notEqual(fromService.body.data.redemption_id, fromUser.body.data.redemption_id);
+
+  const replay = await redeem(voucher, "shared-key", { ...onBehalf, body: { order_amount: 80000 } });
+  assert.equal(replay.headers.get("idempotent-replayed"), "true");
+  assert.equal(replay.body.data.redemption_id, fromService.body.data.redemption_id);
+  assert.equal(await totalRedeemed(voucher), 2);
+});
@@ -0,0 +1,123 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+let app;
+let admin;
+let user;
+let runStatusScheduler;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.login({ id: "admin", role: "ADMIN" });
+  user = await app.login({ id: "user-1" });
+  ({ runStatusScheduler } = require("../src/services/lifecycle"));
+});
+
+after(() => app.close());
+
+const HOUR_MS = 60 * 60 * 1000;
+const inHours = (hours) => new Date(Date.now() + hours * HOUR_MS);
+
+const statusOf = async (voucher) => (await app.storage.vouchers.findById(voucher.id)).data.status;
+
+async function transitions(voucher) {
+  const { status, body } = await app.request("GET", `/vouchers/${voucher.id}/status-history`, { token: admin });
+  assert.equal(status, 200);
+  return body.data.history.map((entry) => `${entry.from_status}->${entry.to_status}:${entry.trigger}`);
+}
+
+const action = (voucher, name) => app.request("POST", `/vouchers/${voucher.id}/${name}`, { token: admin });
+
+test("scheduler: SCHEDULED -> ACTIVE saat start_at, ACTIVE -> EXPIRED setelah end_at", async () => {
+  const voucher = await app.createVoucher(admin, {
+    start_at: inHours(1).toISOString(),
+    end_at: inHours(2).toISOString(),
+  });
+  assert.equal(voucher.status, "SCHEDULED");
+
+  await runStatusScheduler(app.storage, inHours(0.5));
+  assert.equal(await statusOf(voucher), "SCHEDULED");
+
+  await runStatusScheduler(app.storage, inHours(1.5));
+  assert.equal(await statusOf(voucher), "ACTIVE");
+
+  await runStatusScheduler(app.storage, inHours(3));
+  assert.equal(await statusOf(voucher), "EXPIRED");
+
+  assert.deepEqual(await transitions(voucher), [
+    "null->SCHEDULED:create",
+    "SCHEDULED->ACTIVE:scheduler",
+    "ACTIVE->EXPIRED:scheduler",
+  ]);
+});
+
+test("quota habis = EXHAUSTED, kembali ACTIVE setelah refund", async () => {
+  const voucher = await app.createVoucher(admin, { max_total_redemptions: 1 });
+
+  const redeemed = await app.request("POST", `/vouchers/${voucher.code}/redeem`, {
+    token: user,
+    body: { order_amount: 50000 },
+  });
+  await runStatusScheduler(app.storage);
+  assert.equal(await statusOf(voucher), "EXHAUSTED");
+
+  await app.request("POST", `/redemptions/${redeemed.body.data.redemption_id}/refund`, {
+    token: admin,
+    body: { reason: "order batal" },
+  });
+  await runStatusScheduler(app.storage);
+  assert.equal(await statusOf(voucher), "ACTIVE");
+
+  assert.deepEqual(await transitions(voucher), [
+    "null->ACTIVE:create",
+    "ACTIVE->EXHAUSTED:scheduler",
+    "EXHAUSTED->ACTIVE:scheduler",
+  ]);
+});
+
+test("publish / pause / resume hanya dari status yang diizinkan", async () => {
+  const draft = await app.createVoucher(admin, { draft: true });
+  assert.equal(draft.status, "DRAFT");
+
+  assert.equal((await action(draft, "pause")).status, 409);
+
+  const published = await action(draft, "publish");
+  assert.equal(published.status, 200);
+  assert.equal(published.body.data.status, "ACTIVE");
+
+  const republish = await action(draft, "publish");
+  assert.equal(republish.status, 409);
+  assert.equal(republish.body.reason, "INVALID_STATUS_TRANSITION");
+  assert.equal(republish.body.details.status, "ACTIVE");
+
+  assert.equal((await action(draft, "resume")).status, 409);
+  assert.equal((await action(draft, "pause")).body.data.status, "PAUSED");
+
+  const redeem = await app.request("POST", `/vouchers/${draft.code}/redeem`, {
+    token: user,
+    body: { order_amount: 50000 },
+  });
+  assert.equal(redeem.status, 400);
+
+  assert.equal((await action(draft, "resume")).body.data.status, "ACTIVE");
+  assert.deepEqual(await transitions(draft), [
+    "null->DRAFT:create",
+    "DRAFT->ACTIVE:publish",
+    "ACTIVE->PAUSED:pause",
+    "PAUSED->ACTIVE:resume",
+  ]);
+});
+
+test("publish voucher yang end_at-nya sudah lewat ditolak", async () => {
+  const voucher = await app.createVoucher(admin, {
+    draft: true,
+    start_at: inHours(-3).toISOString(),
+    end_at: inHours(-1).toISOString(),
+  });
+
+  const { status, body } = await action(voucher, "publish");
+  assert.equal(status, 409);
+  assert.equal(body.details.target_status, "EXPIRED");
+  assert.equal(await statusOf(voucher), "DRAFT");
+});
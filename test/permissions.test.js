@@ -0,0 +1,98 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+let app;
+let admin;
+let merchantA;
+let merchantB;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.login({ id: "admin", role: "ADMIN" });
+  merchantA = await app.login({ id: "merchant-a", role: "MERCHANT", restaurant_id: "resto-a" });
+  merchantB = await app.login({ id: "merchant-b", role: "MERCHANT", restaurant_id: "resto-b" });
+});
+
+after(() => app.close());
+
+test("permission per role, MERCHANT tanpa restaurant_id tidak punya permission", () => {
+  const { permissionsOf, hasPermission, canManageVoucher } = require("../src/services/permissions");
+
+  assert.ok(permissionsOf("ADMIN").includes("vouchers:purge"));
+  assert.deepEqual(permissionsOf("USER"), ["vouchers:redeem"]);
+  assert.deepEqual(permissionsOf("TIDAK_ADA"), []);
+
+  assert.equal(hasPermission({ role: "SUPPORT" }, "users:read"), true);
+  assert.equal(hasPermission({ role: "SUPPORT" }, "vouchers:update"), false);
+  assert.equal(hasPermission({ role: "FINANCE_VIEWER" }, "reports:read"), true);
+  assert.equal(hasPermission({ role: "MERCHANT", restaurant_id: "resto-a" }, "vouchers:create"), true);
+  assert.equal(hasPermission({ role: "MERCHANT" }, "vouchers:create"), false);
+
+  const merchant = { role: "MERCHANT", restaurant_id: "resto-a" };
+  assert.equal(canManageVoucher(merchant, { restaurant_id: "resto-a" }), true);
+  assert.equal(canManageVoucher(merchant, { restaurant_id: "resto-b" }), false);
+  assert.equal(canManageVoucher({ role: "CAMPAIGN_MANAGER" }, { restaurant_id: "resto-b" }), true);
+});
+
+test("voucher MERCHANT otomatis milik restaurant sendiri, restaurant lain ditolak", async () => {
+  const voucher = await app.createVoucher(merchantA);
+
+  assert.equal(voucher.restaurant_id, "resto-a");
+  assert.deepEqual(voucher.targeting.include.restaurant_ids, ["resto-a"]);
+
+  const otherRestaurant = await app.request("POST", "/vouchers", {
+    token: merchantA,
+    body: { code: "RESTO-B-ONLY", name: "Voucher B", discount_type: "FIXED", discount_value: 1000, restaurant_id: "resto-b" },
+  });
+  assert.equal(otherRestaurant.status, 403);
+});
+
+test("MERCHANT tidak bisa melihat detail internal / mengubah voucher restaurant lain", async () => {
+  const voucher = await app.createVoucher(merchantA, { is_public: false });
+
+  const own = await app.request("GET", `/vouchers/${voucher.code}`, { token: merchantA });
+  assert.equal(own.body.data.created_by, "merchant-a");
+
+  // Restaurant lain hanya dapat tampilan public (seperti user biasa)
+  const other = await app.request("GET", `/vouchers/${voucher.code}`, { token: merchantB });
+  assert.equal(other.body.data.created_by, undefined);
+
+  const history = await app.request("GET", `/vouchers/${voucher.id}/status-history`, { token: merchantB });
+  assert.equal(history.status, 403);
+
+  const listing = await app.request("GET", "/vouchers?limit=100", { token: merchantB });
+  assert.ok(listing.body.data.every((entry) => entry.restaurant_id === "resto-b"));
+
+  const update = await app.request("PUT", `/vouchers/${voucher.id}`, { token: merchantB, body: { name: "Diambil alih" } });
+  assert.equal(update.status, 403);
+  assert.equal((await app.request("DELETE", `/vouchers/${voucher.id}`, { token: merchantB })).status, 403);
+  assert.equal((await app.request("POST", `/vouchers/${voucher.id}/pause`, { token: merchantB })).status, 403);
+
+  assert.equal((await app.storage.vouchers.findById(voucher.id)).data.name, voucher.name);
+  assert.equal((await app.request("PUT", `/vouchers/${voucher.id}`, { token: merchantA, body: { name: "Nama baru" } })).status, 200);
+});
+
+test("MERCHANT tanpa restaurant_id = 403 di semua endpoint voucher", async () => {
+  const unlinked = await app.login({ id: "merchant-x", role: "MERCHANT" });
+
+  for (const [method, path] of [
+    ["GET", "/vouchers/export"],
+    ["POST", "/vouchers"],
+  ]) {
+    const { status, body } = await app.request(method, path, { token: unlinked, body: method === "POST" ? {} : undefined });
+    assert.equal(status, 403, `${method} ${path}`);
+    assert.equal(body.reason, "PERMISSION_DENIED");
+    assert.match(body.message, /belum terhubung ke restaurant_id/);
+  }
+});
+
+test("role tanpa permission endpoint = 403 PERMISSION_DENIED dengan permission yang kurang", async () => {
+  const support = await app.login({ id: "support", role: "SUPPORT" });
+
+  const { status, body } = await app.request("POST", "/vouchers", { token: support, body: {} });
+  assert.equal(status, 403);
+  assert.deepEqual(body.required_permissions, ["vouchers:create"]);
+
+  assert.equal((await app.request("GET", "/admin-only", { token: admin })).status, 200);
+});
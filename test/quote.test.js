@@ -0,0 +1,61 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+let app;
+let admin;
+let user;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.login({ id: "admin", role: "ADMIN" });
+  user = await app.login({ id: "user-1" });
+});
+
+after(() => app.close());
+
+function quote(code, body) {
+  return app.request("POST", `/vouchers/${code}/quote`, { token: user, body });
+}
+
+test("quote menghitung discount tanpa memakai quota", async () => {
+  const voucher = await app.createVoucher(admin, {
+    discount_type: "PERCENT",
+    discount_value: 20,
+    max_discount_amount: 15000,
+    max_total_redemptions: 1,
+  });
+
+  for (let i = 0; i < 2; i++) {
+    const { status, body } = await quote(voucher.code, { order_amount: 100000, delivery_fee: 10000 });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.valid, true);
+    assert.equal(body.data.discount_amount, 15000);
+    assert.equal(body.data.final_amount, 95000);
+  }
+
+  const { data: stored } = await app.storage.vouchers.findById(voucher.id);
+  assert.equal(stored.total_redeemed, 0);
+});
+
+test("order yang tidak memenuhi syarat = valid false dengan reason, bukan error", async () => {
+  const voucher = await app.createVoucher(admin, { min_order_amount: 100000 });
+
+  const { status, body } = await quote(voucher.code, { order_amount: 60000 });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.valid, false);
+  assert.equal(body.data.reason, "MIN_ORDER_NOT_MET");
+  assert.equal(body.data.min_order_amount, 100000);
+});
+
+test("quote code yang tidak ada = 404, body tidak valid = 400", async () => {
+  const notFound = await quote("TIDAKADA", { order_amount: 60000 });
+  assert.equal(notFound.status, 404);
+  assert.equal(notFound.body.reason, "VOUCHER_NOT_FOUND");
+
+  const voucher = await app.createVoucher(admin);
+  const invalid = await quote(voucher.code, { delivery_fee: 1000 });
+  assert.equal(invalid.status, 400);
+});
@@ -0,0 +1,31 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+let app;
+let admin;
+
+before(async () => {
+  app = await startApp({ RATE_LIMIT_ENABLED: "true", RATE_LIMIT_LOOKUP_PER_CODE: "2" });
+  admin = await app.login({ id: "admin", role: "ADMIN" });
+});
+
+after(() => app.close());
+
+test("limit per code tidak bisa diakali dengan variasi huruf besar / kecil", async () => {
+  const voucher = await app.createVoucher(admin, { code: "LIMIT10" });
+  const other = await app.createVoucher(admin, { code: "LIMIT20" });
+
+  for (const code of ["limit10", "Limit10"]) {
+    assert.equal((await app.request("GET", `/vouchers/${code}`)).status, 200, code);
+  }
+
+  const { status, headers, body } = await app.request("GET", `/vouchers/${encodeURIComponent(` ${voucher.code.toLowerCase()} `)}`);
+  assert.equal(status, 429);
+  assert.equal(body.reason, "RATE_LIMITED");
+  assert.equal(headers.get("retry-after"), String(body.retry_after));
+  assert.ok(body.retry_after > 0);
+
+  // Counter code lain terpisah
+  assert.equal((await app.request("GET", `/vouchers/${other.code}`)).status, 200);
+});
@@ -0,0 +1,97 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+let app;
+let admin;
+let finance;
+let voucher;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.login({ id: "admin", role: "ADMIN" });
+  finance = await app.login({ id: "finance", role: "FINANCE_VIEWER" });
+
+  voucher = await app.createVoucher(admin, { discount_type: "FIXED", discount_value: 10000 });
+
+  // 3 redeem (1 di-refund) + 1 reservasi pending
+  const redemptions = [];
+  for (const [userId, orderAmount] of [["budi", 50000], ["sari", 70000], ["andi", 30000]]) {
+    const token = await app.login({ id: userId });
+    const { body } = await app.request("POST", `/vouchers/${voucher.code}/redeem`, {
+      token,
+      body: { order_amount: orderAmount },
+    });
+    redemptions.push(body.data);
+  }
+
+  await app.request("POST", `/redemptions/${redemptions[2].redemption_id}/refund`, {
+    token: admin,
+    body: { reason: "order batal" },
+  });
+
+  const reserved = await app.request("POST", `/vouchers/${voucher.code}/reserve`, {
+    token: await app.login({ id: "dewi" }),
+    body: { order_amount: 40000 },
+  });
+  assert.equal(reserved.status, 201);
+});
+
+after(() => app.close());
+
+test("report 1 voucher: summary redemption sukses, pending, reversed dan time series", async () => {
+  const { status, body } = await app.request("GET", `/reports/vouchers/${voucher.id}`, { token: finance });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.summary, {
+    redemptions: 2,
+    pending_redemptions: 1,
+    reversed_redemptions: 1,
+    unique_users: 2,
+    gross_order_value: 120000,
+    total_discount: 20000,
+    net_order_value: 100000,
+    reversed_discount: 10000,
+    average_order_value: 60000,
+    average_discount: 10000,
+    max_total_redemptions: 100,
+    remaining_redemptions: 97,
+    max_total_discount_amount: null,
+    // Budget terpakai ikut menghitung discount reservasi yang masih pending
+    total_discount_given: 30000,
+    remaining_discount_budget: null,
+  });
+  assert.equal(body.data.time_series.length, 1);
+  assert.equal(body.data.time_series[0].redemptions, 2);
+});
+
+test("report semua voucher di periode, JSON dan CSV", async () => {
+  const { body } = await app.request("GET", "/reports/vouchers", { token: finance });
+  const row = body.data.vouchers.find((entry) => entry.voucher_id === voucher.id);
+
+  assert.equal(row.code, voucher.code);
+  assert.equal(row.total_discount, 20000);
+
+  const future = await app.request("GET", `/reports/vouchers?from=${new Date(Date.now() + 3600000).toISOString()}`, {
+    token: finance,
+  });
+  assert.equal(future.body.data.summary.redemptions, 0);
+  assert.deepEqual(future.body.data.vouchers, []);
+
+  const csv = await app.request("GET", "/reports/vouchers?format=csv", { token: finance });
+  assert.match(csv.headers.get("content-type"), /^text\/csv/);
+  assert.match(csv.body, /^voucher_id,code,name,discount_type,redemptions,/);
+});
+
+test("report butuh reports:read dan periode from < to", async () => {
+  const user = await app.login({ id: "budi" });
+  assert.equal((await app.request("GET", "/reports/vouchers", { token: user })).status, 403);
+
+  const { status, body } = await app.request(
+    "GET",
+    "/reports/vouchers?from=2026-02-01T00:00:00Z&to=2026-01-01T00:00:00Z",
+    { token: finance }
+  );
+  assert.equal(status, 400);
+  assert.equal(body.error, "Validation Error");
+});
@@ -0,0 +1,97 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+let app;
+let admin;
+let user;
+let other;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.login({ id: "admin", role: "ADMIN" });
+  user = await app.login({ id: "user-1" });
+  other = await app.login({ id: "user-2" });
+});
+
+after(() => app.close());
+
+async function reserve(voucher, token = user, body = {}) {
+  return app.request("POST", `/vouchers/${voucher.code}/reserve`, {
+    token,
+    body: { order_amount: 50000, ttl_seconds: 600, ...body },
+  });
+}
+
+async function totalRedeemed(voucher) {
+  return (await app.storage.vouchers.findById(voucher.id)).data.total_redeemed;
+}
+
+test("reserve menahan slot, confirm menjadikannya redemption SUCCESS", async () => {
+  const voucher = await app.createVoucher(admin, { max_total_redemptions: 1 });
+
+  const reserved = await reserve(voucher);
+  assert.equal(reserved.status, 201);
+  assert.equal(reserved.body.data.status, "RESERVED");
+  assert.equal(reserved.body.data.discount_amount, 10000);
+  assert.equal(await totalRedeemed(voucher), 1);
+
+  // Slot satu-satunya sedang ditahan
+  const blocked = await reserve(voucher, other);
+  assert.equal(blocked.status, 400);
+  assert.equal(blocked.body.reason, "VOUCHER_EXHAUSTED");
+
+  const confirmed = await app.request("POST", `/reservations/${reserved.body.data.reservation_id}/confirm`, {
+    token: user,
+  });
+  assert.equal(confirmed.status, 200);
+  assert.equal(confirmed.body.data.status, "SUCCESS");
+
+  const again = await app.request("POST", `/reservations/${reserved.body.data.reservation_id}/confirm`, {
+    token: user,
+  });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.reason, "RESERVATION_NOT_PENDING");
+});
+
+test("cancel reservasi mengembalikan slot", async () => {
+  const voucher = await app.createVoucher(admin, { max_total_redemptions: 1 });
+  const { body } = await reserve(voucher);
+
+  const cancelled = await app.request("POST", `/reservations/${body.data.reservation_id}/cancel`, {
+    token: user,
+    body: { reason: "checkout dibatalkan" },
+  });
+
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.data.status, "CANCELLED");
+  assert.equal(await totalRedeemed(voucher), 0);
+  assert.equal((await reserve(voucher, other)).status, 201);
+});
+
+test("confirm reservasi yang sudah expired = 410 dan slot kembali", async () => {
+  const voucher = await app.createVoucher(admin, { max_total_redemptions: 1 });
+  const { body } = await reserve(voucher);
+
+  app.storage.db
+    .prepare("UPDATE voucher_redemptions SET expires_at = ? WHERE id = ?")
+    .run(new Date(Date.now() - 1000).toISOString(), body.data.reservation_id);
+
+  const confirmed = await app.request("POST", `/reservations/${body.data.reservation_id}/confirm`, { token: user });
+
+  assert.equal(confirmed.status, 410);
+  assert.equal(confirmed.body.reason, "RESERVATION_EXPIRED");
+  assert.equal(await totalRedeemed(voucher), 0);
+});
+
+test("reservasi milik user lain tidak bisa di-confirm / cancel", async () => {
+  const voucher = await app.createVoucher(admin);
+  const { body } = await reserve(voucher);
+
+  for (const action of ["confirm", "cancel"]) {
+    const { status } = await app.request("POST", `/reservations/${body.data.reservation_id}/${action}`, {
+      token: other,
+    });
+    assert.equal(status, 404);
+  }
+});
@@ -0,0 +1,111 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+let app;
+let admin;
+let user;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.login({ id: "admin", role: "ADMIN" });
+  user = await app.login({ id: "user-1" });
+});
+
+after(() => app.close());
+
+async function redeem(voucher, body = {}) {
+  const { status, body: response } = await app.request("POST", `/vouchers/${voucher.code}/redeem`, {
+    token: user,
+    body: { order_amount: 50000, ...body },
+  });
+
+  assert.equal(status, 200);
+  return response.data;
+}
+
+async function findVoucher(voucher) {
+  return (await app.storage.vouchers.findById(voucher.id)).data;
+}
+
+test("refund mengembalikan quota dan user bisa redeem lagi", async () => {
+  const voucher = await app.createVoucher(admin, { max_total_redemptions: 1, max_redemptions_per_user: 1 });
+  const redemption = await redeem(voucher);
+
+  const refunded = await app.request("POST", `/redemptions/${redemption.redemption_id}/refund`, {
+    token: admin,
+    body: { reason: "order dibatalkan restoran" },
+  });
+
+  assert.equal(refunded.status, 200);
+  assert.equal(refunded.body.data.status, "REFUNDED");
+  assert.equal(refunded.body.data.status_reason, "order dibatalkan restoran");
+
+  const stored = await findVoucher(voucher);
+  assert.equal(stored.total_redeemed, 0);
+  assert.equal(stored.total_discount_given, 0);
+
+  await redeem(voucher);
+});
+
+test("redemption yang sudah di-refund tidak bisa di-cancel / refund lagi", async () => {
+  const voucher = await app.createVoucher(admin);
+  const redemption = await redeem(voucher);
+  const path = `/redemptions/${redemption.redemption_id}`;
+
+  assert.equal((await app.request("POST", `${path}/cancel`, { token: admin, body: { reason: "salah input" } })).status, 200);
+
+  const again = await app.request("POST", `${path}/refund`, { token: admin, body: { reason: "salah input" } });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.reason, "REDEMPTION_NOT_REVERSIBLE");
+  assert.equal((await findVoucher(voucher)).total_redeemed, 0);
+});
+
+test("cancel by order_id membatalkan semua redemption order", async () => {
+  const first = await app.createVoucher(admin);
+  const second = await app.createVoucher(admin);
+  await redeem(first, { order_id: "ORDER-1" });
+
+  // 1 order hanya boleh punya 1 request redeem aktif
+  const blocked = await app.request("POST", `/vouchers/${second.code}/redeem`, {
+    token: user,
+    body: { order_amount: 50000, order_id: "ORDER-1" },
+  });
+  assert.equal(blocked.status, 409);
+
+  const cancelled = await app.request("POST", "/orders/ORDER-1/redemptions/cancel", {
+    token: admin,
+    body: { reason: "order gagal dibayar" },
+  });
+  assert.equal(cancelled.status, 200);
+  assert.deepEqual(cancelled.body.data.map((redemption) => redemption.status), ["CANCELLED"]);
+
+  await redeem(second, { order_id: "ORDER-1" });
+});
+
+test("reason wajib diisi, redemption yang tidak ada = 404", async () => {
+  const missingReason = await app.request("POST", "/redemptions/00000000-0000-0000-0000-000000000000/refund", {
+    token: admin,
+    body: {},
+  });
+  assert.equal(missingReason.status, 400);
+
+  const notFound = await app.request("POST", "/redemptions/00000000-0000-0000-0000-000000000000/refund", {
+    token: admin,
+    body: { reason: "tidak ada" },
+  });
+  assert.equal(notFound.status, 404);
+  assert.equal(notFound.body.reason, "REDEMPTION_NOT_FOUND");
+});
+
+test("USER tidak bisa refund redemption", async () => {
+  const voucher = await app.createVoucher(admin);
+  const redemption = await redeem(voucher);
+
+  const { status } = await app.request("POST", `/redemptions/${redemption.redemption_id}/refund`, {
+    token: user,
+    body: { reason: "refund sendiri" },
+  });
+
+  assert.equal(status, 403);
+});
@@ -0,0 +1,150 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+const { startFakeSupabaseAuth } = require("./helpers/supabaseAuth");
+
+const BUDI = "9b2e4f60-1c3a-4d7e-8f5b-6a0c2e9d4b17";
+const CHECKOUT = {
+  client_id: "checkout",
+  client_secret: "checkout-secret-0123456789abcdef0123",
+  scopes: ["vouchers:read", "vouchers:redeem"],
+};
+const REFUNDS = {
+  client_id: "refunds",
+  client_secret: "refunds-secret-0123456789abcdef01234",
+  scopes: ["redemptions:refund"],
+};
+
+let auth;
+let app;
+let admin;
+
+before(async () => {
+  auth = await startFakeSupabaseAuth({ users: [{ id: BUDI, email: "budi@example.com" }] });
+  app = await startApp({
+    SUPABASE_URL: auth.url,
+    SUPABASE_SERVICE_ROLE_KEY: "test-service-role-key",
+    SERVICE_JWT_SECRET: "test-service-jwt-secret",
+    SERVICE_CLIENTS: JSON.stringify([CHECKOUT, REFUNDS]),
+  });
+  admin = await app.login({ id: "admin", role: "ADMIN" });
+  await app.storage.profiles.upsert({ id: BUDI, role: "USER" });
+});
+
+after(async () => {
+  await app.close();
+  await auth.close();
+});
+
+function requestToken(client, fields = {}) {
+  return app.request("POST", "/auth/token", {
+    body: { grant_type: "client_credentials", client_id: client.client_id, client_secret: client.client_secret, ...fields },
+  });
+}
+
+async function serviceToken(client, scope) {
+  const { status, body } = await requestToken(client, scope && { scope });
+  assert.equal(status, 200);
+  return body.data.access_token;
+}
+
+test("token service: scope default semua scope client, bisa dipersempit", async () => {
+  const full = await requestToken(CHECKOUT);
+  assert.equal(full.status, 200);
+  assert.equal(full.body.data.token_type, "Bearer");
+  assert.equal(full.body.data.scope, "vouchers:read vouchers:redeem");
+
+  assert.equal((await requestToken(CHECKOUT, { scope: "vouchers:read" })).body.data.scope, "vouchers:read");
+
+  const outside = await requestToken(CHECKOUT, { scope: "vouchers:read redemptions:refund" });
+  assert.equal(outside.status, 400);
+  assert.equal(outside.body.reason, "INVALID_SCOPE");
+
+  assert.equal((await requestToken(CHECKOUT, { client_secret: "salah-0123456789abcdef0123456789" })).status, 401);
+  assert.equal((await requestToken(CHECKOUT, { grant_type: "password" })).status, 400);
+});
+
+test("token tanpa scope endpoint = 403 INSUFFICIENT_SCOPE, endpoint tanpa scope service = 403", async () => {
+  const voucher = await app.createVoucher(admin);
+  const readOnly = await serviceToken(CHECKOUT, "vouchers:read");
+
+  assert.equal((await app.request("GET", `/vouchers/${voucher.code}`, { token: readOnly })).status, 200);
+
+  const { status, body } = await app.request("POST", `/vouchers/${voucher.code}/redeem`, {
+    token: readOnly,
+    headers: { "X-On-Behalf-Of": BUDI },
+    body: { order_amount: 50000 },
+  });
+  assert.equal(status, 403);
+  assert.equal(body.reason, "INSUFFICIENT_SCOPE");
+  assert.equal(body.required_scope, "vouchers:redeem");
+
+  const create = await app.request("POST", "/vouchers", { token: readOnly, body: { code: "SVC-CREATE" } });
+  assert.equal(create.status, 403);
+});
+
+test("on_behalf_of: redemption atas nama user, header & body harus sama", async () => {
+  const voucher = await app.createVoucher(admin);
+  const token = await serviceToken(CHECKOUT);
+  const redeem = (options) => app.request("POST", `/vouchers/${voucher.code}/redeem`, { token, ...options });
+
+  const mismatch = await redeem({
+    headers: { "X-On-Behalf-Of": BUDI },
+    body: { order_amount: 50000, on_behalf_of: "user-lain" },
+  });
+  assert.equal(mismatch.status, 400);
+  assert.match(mismatch.body.message, /X-On-Behalf-Of dan on_behalf_of berbeda/);
+
+  assert.equal((await redeem({ body: { order_amount: 50000, on_behalf_of: "admin" } })).status, 403);
+
+  const { status, body } = await redeem({ body: { order_amount: 50000, on_behalf_of: BUDI } });
+  assert.equal(status, 200);
+
+  const { data: redemption } = await app.storage.redemptions.findById(body.data.redemption_id);
+  assert.equal(redemption.user_id, BUDI);
+});
+
+test("requirePermission: service client lolos dengan scope, kecuali endpoint atas nama user", async () => {
+  const voucher = await app.createVoucher(admin);
+
+  const checkout = await serviceToken(CHECKOUT);
+  const withoutUser = await app.request("POST", `/vouchers/${voucher.code}/redeem`, {
+    token: checkout,
+    body: { order_amount: 50000 },
+  });
+  assert.equal(withoutUser.status, 403);
+  assert.match(withoutUser.body.message, /on_behalf_of/);
+
+  const budi = await app.login({ id: BUDI });
+  const redeemed = await app.request("POST", `/vouchers/${voucher.code}/redeem`, {
+    token: budi,
+    body: { order_amount: 50000 },
+  });
+
+  // Service principal tidak punya role dengan redemptions:refund, lolos karena scope
+  const refunds = await serviceToken(REFUNDS);
+  const refunded = await app.request("POST", `/redemptions/${redeemed.body.data.redemption_id}/refund`, {
+    token: refunds,
+    body: { reason: "refund dari order service" },
+  });
+  assert.equal(refunded.status, 200);
+  assert.equal(refunded.body.data.status, "REFUNDED");
+});
+
+test("signing secret belum di-set = 503 KEY_UNAVAILABLE, bukan 500", async () => {
+  const token = await serviceToken(CHECKOUT);
+  const secret = process.env.SERVICE_JWT_SECRET;
+  process.env.SERVICE_JWT_SECRET = "";
+
+  try {
+    const issued = await requestToken(CHECKOUT);
+    assert.equal(issued.status, 503);
+    assert.equal(issued.body.reason, "KEY_UNAVAILABLE");
+
+    const used = await app.request("GET", "/vouchers", { token });
+    assert.equal(used.status, 503);
+    assert.equal(used.body.reason, "KEY_UNAVAILABLE");
+  } finally {
+    process.env.SERVICE_JWT_SECRET = secret;
+  }
+});
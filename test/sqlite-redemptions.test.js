@@ -0,0 +1,239 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { createSqliteStorage } = require("../src/storage/sqlite");
+
+/**
+ * Race RedemptionStore antar koneksi: tiap worker thread membuka koneksi SQLite sendiri
+ * ke file yang sama (seperti beberapa instance service) lalu memanggil store bersamaan
+ */
+
+const WORKERS = 4;
+const ATTEMPTS_PER_WORKER = 5;
+
+// Worker: buka storage, tunggu "go", jalankan calls [{ method, args }] berurutan, kirim hasilnya
+const WORKER_SOURCE = `
+const { parentPort, workerData } = require("worker_threads");
+const { createSqliteStorage } = require(workerData.storagePath);
+
+const storage = createSqliteStorage({ path: workerData.dbPath });
+
+parentPort.once("message", async () => {
+  const outcomes = [];
+
+  for (const { method, args } of workerData.calls) {
+    const { data, error } = await storage.redemptions[method](...args);
+    outcomes.push(error ? { error: error.code || error.message } : { data });
+  }
+
+  storage.db.close();
+  parentPort.postMessage(outcomes);
+});
+
+parentPort.postMessage("ready");
+`;
+
+let dir;
+let dbPath;
+let storage;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "voucher-race-"));
+  dbPath = path.join(dir, "voucher.db");
+  storage = createSqliteStorage({ path: dbPath });
+
+  for (let i = 0; i < WORKERS * ATTEMPTS_PER_WORKER; i++) {
+    await storage.profiles.upsert({ id: `user-${i}`, role: "USER" });
+  }
+});
+
+after(() => {
+  storage.db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function createVoucher(fields) {
+  const { data, error } = await storage.vouchers.create({
+    code: `RACE${Math.random().toString(36).slice(2, 8).toUpperCase()}`,
+    name: "Voucher race",
+    discount_type: "FIXED",
+    discount_value: 10000,
+    max_redemptions_per_user: null,
+    ...fields,
+  });
+
+  assert.equal(error, null);
+  return data;
+}
+
+function reserveParams(voucher, userId, ttlSeconds = null) {
+  return {
+    voucherId: voucher.id,
+    userId,
+    orderAmount: 50000,
+    deliveryFee: 0,
+    discountAmount: 10000,
+    finalAmount: 40000,
+    ttlSeconds,
+    dayStart: null,
+  };
+}
+
+// User berbeda untuk setiap percobaan
+const eachUser = (w, a) => `user-${w * ATTEMPTS_PER_WORKER + a}`;
+
+/**
+ * Jalankan semua worker bersamaan
+ * @param {(worker: number, attempt: number) => { method: string, args: any[] }} callOf
+ * @returns {Promise<object[]>} semua hasil ({ data } / { error: code })
+ */
+async function race(callOf) {
+  const workers = Array.from({ length: WORKERS }, (_, w) => {
+    const calls = Array.from({ length: ATTEMPTS_PER_WORKER }, (_, a) => callOf(w, a));
+
+    return new Worker(WORKER_SOURCE, {
+      eval: true,
+      workerData: { storagePath: require.resolve("../src/storage/sqlite"), dbPath, calls },
+    });
+  });
+
+  const finished = workers.map(
+    (worker) =>
+      new Promise((resolve, reject) => {
+        worker.on("error", reject);
+        worker.on("message", (message) => {
+          if (message !== "ready") resolve(message);
+        });
+      })
+  );
+
+  await Promise.all(workers.map((worker) => new Promise((resolve) => worker.once("message", resolve))));
+  workers.forEach((worker) => worker.postMessage("go"));
+
+  return (await Promise.all(finished)).flat();
+}
+
+function countBy(outcomes) {
+  const counts = {};
+  for (const outcome of outcomes) {
+    const key = outcome.error || "OK";
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+}
+
+const TOTAL = WORKERS * ATTEMPTS_PER_WORKER;
+
+test("quota max_total_redemptions tidak terlampaui saat reserve bersamaan", async () => {
+  const voucher = await createVoucher({ max_total_redemptions: 5 });
+
+  const outcomes = await race((w, a) => ({ method: "reserve", args: [reserveParams(voucher, eachUser(w, a))] }));
+
+  assert.deepEqual(countBy(outcomes), { OK: 5, VOUCHER_EXHAUSTED: TOTAL - 5 });
+
+  const { data: stored } = await storage.vouchers.findById(voucher.id);
+  assert.equal(stored.total_redeemed, 5);
+  assert.equal(
+    storage.db.prepare("SELECT COUNT(*) FROM voucher_redemptions WHERE voucher_id = ?").pluck().get(voucher.id),
+    5
+  );
+});
+
+test("reservasi yang sama hanya bisa di-confirm / cancel sekali walaupun bersamaan", async () => {
+  const voucher = await createVoucher({ max_total_redemptions: 10 });
+  const { data: reservation } = await storage.redemptions.reserve(reserveParams(voucher, "user-0", 600));
+
+  const outcomes = await race((w) => ({
+    method: w % 2 === 0 ? "confirm" : "cancelReservation",
+    args: [reservation.id],
+  }));
+  const winners = outcomes.filter((outcome) => !outcome.error);
+
+  assert.deepEqual(countBy(outcomes), { OK: 1, RESERVATION_NOT_PENDING: TOTAL - 1 });
+
+  const { data: stored } = await storage.vouchers.findById(voucher.id);
+  assert.equal(stored.total_redeemed, winners[0].data.status === "SUCCESS" ? 1 : 0);
+});
+
+test("reservasi expired melepas slot sebelum reserve berikutnya", async () => {
+  const voucher = await createVoucher({ max_total_redemptions: 1 });
+  const { data: reservation } = await storage.redemptions.reserve(reserveParams(voucher, "user-0", 600));
+
+  assert.equal((await storage.redemptions.reserve(reserveParams(voucher, "user-1"))).error.code, "VOUCHER_EXHAUSTED");
+
+  storage.db
+    .prepare("UPDATE voucher_redemptions SET expires_at = ? WHERE id = ?")
+    .run(new Date(Date.now() - 1000).toISOString(), reservation.id);
+
+  const { data: next, error } = await storage.redemptions.reserve(reserveParams(voucher, "user-1"));
+  assert.equal(error, null);
+  assert.equal(next.status, "SUCCESS");
+  assert.equal((await storage.redemptions.findById(reservation.id)).data.status, "EXPIRED");
+  assert.equal((await storage.redemptions.confirm(reservation.id)).error.code, "RESERVATION_NOT_PENDING");
+});
+
+test("max_redemptions_per_user berlaku untuk reserve bersamaan dari user yang sama", async () => {
+  const voucher = await createVoucher({ max_total_redemptions: 100, max_redemptions_per_user: 1 });
+
+  const outcomes = await race(() => ({ method: "reserve", args: [reserveParams(voucher, "user-0")] }));
+
+  assert.deepEqual(countBy(outcomes), { OK: 1, ALREADY_REDEEMED: TOTAL - 1 });
+});
+
+test("cooldown per user dan cap harian dicek di dalam transaction reserve", async () => {
+  const cooldown = await createVoucher({ max_total_redemptions: 100, per_user_cooldown_seconds: 3600 });
+
+  assert.equal((await storage.redemptions.reserve(reserveParams(cooldown, "user-0"))).error, null);
+  assert.equal((await storage.redemptions.reserve(reserveParams(cooldown, "user-0"))).error.code, "USER_COOLDOWN");
+  assert.equal((await storage.redemptions.reserve(reserveParams(cooldown, "user-1"))).error, null);
+
+  const daily = await createVoucher({ max_total_redemptions: 100, max_redemptions_per_day: 2 });
+  const dayStart = new Date(Date.now() - 60 * 1000).toISOString();
+  const reserveToday = (userId) => storage.redemptions.reserve({ ...reserveParams(daily, userId), dayStart });
+
+  assert.equal((await reserveToday("user-0")).error, null);
+  assert.equal((await reserveToday("user-1")).error, null);
+  assert.equal((await reserveToday("user-2")).error.code, "DAILY_LIMIT_REACHED");
+});
+
+test("budget discount dipotong di redemption terakhir dan tidak terlampaui", async () => {
+  const voucher = await createVoucher({ max_total_redemptions: 100, max_total_discount_amount: 25000 });
+
+  const outcomes = await race((w, a) => ({ method: "reserve", args: [reserveParams(voucher, eachUser(w, a))] }));
+  const booked = outcomes.filter((outcome) => !outcome.error);
+
+  assert.deepEqual(countBy(outcomes), { OK: 3, BUDGET_EXHAUSTED: TOTAL - 3 });
+  assert.deepEqual(booked.map((outcome) => outcome.data.discount_amount).sort((a, b) => a - b), [5000, 10000, 10000]);
+
+  const { data: stored } = await storage.vouchers.findById(voucher.id);
+  assert.equal(stored.total_discount_given, 25000);
+  assert.equal(stored.is_active, false);
+  assert.equal(stored.deactivated_reason, "BUDGET_EXHAUSTED");
+});
+
+test("budget campaign dibagi semua code campaign walaupun reserve bersamaan", async () => {
+  const { data: campaign } = await storage.campaigns.create({
+    name: "Campaign budget",
+    discount_type: "FIXED",
+    discount_value: 10000,
+    max_total_discount_amount: 15000,
+  });
+  const vouchers = [
+    await createVoucher({ max_total_redemptions: 100, campaign_id: campaign.id }),
+    await createVoucher({ max_total_redemptions: 100, campaign_id: campaign.id }),
+  ];
+
+  const outcomes = await race((w, a) => ({
+    method: "reserve",
+    args: [reserveParams(vouchers[w % 2], eachUser(w, a))],
+  }));
+
+  assert.deepEqual(countBy(outcomes), { OK: 2, BUDGET_EXHAUSTED: TOTAL - 2 });
+
+  const { data: stored } = await storage.campaigns.findById(campaign.id);
+  assert.equal(stored.total_discount_given, 15000);
+  assert.equal((await storage.redemptions.reserve(reserveParams(vouchers[1], "user-0"))).error.code, "BUDGET_EXHAUSTED");
+});
@@ -0,0 +1,110 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+let app;
+let admin;
+let user;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.login({ id: "admin", role: "ADMIN" });
+  user = await app.login({ id: "user-1" });
+});
+
+after(() => app.close());
+
+const stackable = (fields = {}) => ({ mode: "STACKABLE", priority: 0, calculation: "COMPOUND", ...fields });
+
+test("quote beberapa voucher: priority terbesar dulu, COMPOUND dari sisa harga", async () => {
+  const percent = await app.createVoucher(admin, {
+    discount_type: "PERCENT",
+    discount_value: 10,
+    stacking: stackable({ priority: 1 }),
+  });
+  const fixed = await app.createVoucher(admin, { discount_value: 10000, stacking: stackable({ priority: 2 }) });
+
+  const { status, body } = await app.request("POST", "/orders/ORD-QUOTE/vouchers/quote", {
+    token: user,
+    body: { codes: [percent.code, fixed.code], order_amount: 100000 },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.valid, true);
+  assert.deepEqual(
+    body.data.vouchers.map((entry) => [entry.voucher_code, entry.discount_amount]),
+    [
+      [fixed.code, 10000],
+      [percent.code, 9000],
+    ]
+  );
+  assert.equal(body.data.discount_amount, 19000);
+  assert.equal(body.data.final_amount, 81000);
+
+  // Quote tidak memakai quota
+  assert.equal((await app.storage.vouchers.findById(fixed.id)).data.total_redeemed, 0);
+});
+
+test("pakai beberapa voucher untuk 1 order: semua redemption tercatat", async () => {
+  const first = await app.createVoucher(admin, { discount_value: 5000, stacking: stackable() });
+  const second = await app.createVoucher(admin, { discount_value: 7000, stacking: stackable() });
+
+  const { status, body } = await app.request("POST", "/orders/ORD-APPLY/vouchers", {
+    token: user,
+    body: { codes: [first.code, second.code], order_amount: 100000 },
+  });
+
+  assert.equal(status, 201);
+  assert.equal(body.data.discount_amount, 12000);
+  assert.ok(body.data.vouchers.every((entry) => entry.status === "SUCCESS" && entry.redemption_id));
+
+  for (const voucher of [first, second]) {
+    assert.equal((await app.storage.vouchers.findById(voucher.id)).data.total_redeemed, 1);
+  }
+});
+
+test("voucher EXCLUSIVE dan 2 voucher di grup yang sama tidak bisa digabung", async () => {
+  const exclusive = await app.createVoucher(admin);
+  const open = await app.createVoucher(admin, { stacking: stackable() });
+  const groupA = await app.createVoucher(admin, { stacking: stackable({ group: "ongkir" }) });
+  const groupB = await app.createVoucher(admin, { stacking: stackable({ group: "ongkir" }) });
+
+  const quote = await app.request("POST", "/orders/ORD-EXCL/vouchers/quote", {
+    token: user,
+    body: { codes: [open.code, exclusive.code], order_amount: 100000 },
+  });
+  assert.equal(quote.body.data.valid, false);
+  assert.equal(quote.body.data.reason, "VOUCHER_NOT_STACKABLE");
+  assert.equal(quote.body.data.code, exclusive.code);
+
+  const apply = await app.request("POST", "/orders/ORD-GROUP/vouchers", {
+    token: user,
+    body: { codes: [groupA.code, groupB.code], order_amount: 100000 },
+  });
+  assert.equal(apply.status, 400);
+  assert.equal(apply.body.reason, "STACK_GROUP_CONFLICT");
+  assert.equal((await app.storage.vouchers.findById(groupA.id)).data.total_redeemed, 0);
+
+  const duplicate = await app.request("POST", "/orders/ORD-DUP/vouchers", {
+    token: user,
+    body: { codes: [open.code, open.code.toLowerCase()], order_amount: 100000 },
+  });
+  assert.equal(duplicate.body.reason, "DUPLICATE_CODE");
+});
+
+test("1 voucher gagal = tidak ada voucher yang dipakai", async () => {
+  const open = await app.createVoucher(admin, { stacking: stackable() });
+  const soldOut = await app.createVoucher(admin, { max_total_redemptions: 1, stacking: stackable() });
+
+  const other = await app.login({ id: "user-2" });
+  await app.request("POST", `/vouchers/${soldOut.code}/redeem`, { token: other, body: { order_amount: 50000 } });
+
+  const { status, body } = await app.request("POST", "/orders/ORD-FAIL/vouchers", {
+    token: user,
+    body: { codes: [open.code, soldOut.code], order_amount: 100000 },
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.reason, "VOUCHER_EXHAUSTED");
+  assert.equal((await app.storage.vouchers.findById(open.id)).data.total_redeemed, 0);
+});
@@ -0,0 +1,88 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startApp } = require("./helpers/app");
+
+let app;
+let admin;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.login({ id: "admin", role: "ADMIN" });
+});
+
+after(() => app.close());
+
+test("STORAGE_DRIVER yang tidak dikenal ditolak", () => {
+  const { createStorage } = require("../src/storage");
+
+  assert.throws(() => createStorage({ driver: "mongodb" }), /STORAGE_DRIVER tidak dikenal: 'mongodb'/);
+});
+
+test("migration SQLite hanya di-apply sekali per database", () => {
+  const { createSqliteStorage } = require("../src/storage/sqlite");
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "voucher-storage-"));
+  const dbPath = path.join(dir, "voucher.db");
+
+  try {
+    const first = createSqliteStorage({ path: dbPath });
+    const applied = first.db.prepare("SELECT version FROM schema_migrations").pluck().all();
+    first.db.close();
+
+    const second = createSqliteStorage({ path: dbPath });
+    const reapplied = second.db.prepare("SELECT version FROM schema_migrations").pluck().all();
+    second.db.close();
+
+    const files = fs.readdirSync(path.join(__dirname, "../src/storage/sqlite/migrations"));
+    assert.equal(applied.length, files.filter((file) => file.endsWith(".sql")).length);
+    assert.deepEqual(reapplied, applied);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("store return { data, error } dan code voucher case-insensitive", async () => {
+  const { data: created, error } = await app.storage.vouchers.create({
+    code: "STORE10",
+    name: "Voucher store",
+    discount_type: "FIXED",
+    discount_value: 10000,
+  });
+  assert.equal(error, null);
+  assert.equal(created.is_active, true);
+
+  const { data: found } = await app.storage.vouchers.findByCode("store10");
+  assert.equal(found.id, created.id);
+
+  const duplicate = await app.storage.vouchers.create({
+    code: "Store10",
+    name: "Voucher store",
+    discount_type: "FIXED",
+    discount_value: 10000,
+  });
+  assert.equal(duplicate.data, null);
+  assert.match(duplicate.error.code, /^SQLITE_CONSTRAINT/);
+});
+
+test("route voucher berjalan di atas storage SQLite", async () => {
+  const voucher = await app.createVoucher(admin, { code: "ROUTE10" });
+
+  const { status, body } = await app.request("GET", "/vouchers/route10");
+  assert.equal(status, 200);
+  assert.equal(body.data.id, voucher.id);
+
+  const duplicate = await app.request("POST", "/vouchers", {
+    token: admin,
+    body: { code: "Route10", name: "Voucher duplikat", discount_type: "FIXED", discount_value: 5000 },
+  });
+  assert.equal(duplicate.status, 409);
+});
+
+test("voucher yang tidak ada = 404", async () => {
+  const { status, body } = await app.request("GET", "/vouchers/TIDAKADA");
+
+  assert.equal(status, 404);
+  assert.equal(body.error, "Not Found");
+});
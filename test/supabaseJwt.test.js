@@ -0,0 +1,107 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { JWT_SECRET, startApp, userToken } = require("./helpers/app");
+const { startFakeSupabaseAuth } = require("./helpers/supabaseAuth");
+
+const BUDI = "5c8d1e3f-7a2b-4c6d-9e0f-1a2b3c4d5e6f";
+const KID = "test-rs256";
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+// Access token yang belum pernah diverifikasi remote -> user id (lihat startFakeSupabaseAuth)
+const remoteTokens = {};
+
+let auth;
+let app;
+
+before(async () => {
+  auth = await startFakeSupabaseAuth({
+    users: [{ id: BUDI, email: "budi@example.com" }],
+    tokens: remoteTokens,
+    jwks: [{ ...publicKey.export({ format: "jwk" }), kid: KID, alg: "RS256", use: "sig" }],
+  });
+  app = await startApp({ SUPABASE_URL: auth.url });
+  await app.storage.profiles.upsert({ id: BUDI, role: "USER" });
+});
+
+after(async () => {
+  await app.close();
+  await auth.close();
+});
+
+const whoami = (token) => app.request("GET", "/protected", { token });
+const remoteCalls = () => auth.requests.filter((request) => request.url === "/auth/v1/user").length;
+
+test("token HS256 valid diverifikasi lokal tanpa request ke Supabase Auth", async () => {
+  const { status, body } = await whoami(userToken(BUDI, { email: "budi@example.com" }));
+
+  assert.equal(status, 200);
+  assert.equal(body.user.id, BUDI);
+  assert.equal(body.user.email, "budi@example.com");
+  assert.equal(remoteCalls(), 0);
+});
+
+test("token expired, signature salah, audience / algoritma salah ditolak 401", async () => {
+  const expired = userToken(BUDI, { iat: Math.floor(Date.now() / 1000) - 7200 });
+  const reasons = {
+    TOKEN_EXPIRED: [expired],
+    TOKEN_INVALID_SIGNATURE: [userToken(BUDI, {}, { secret: "bukan-secret-project" })],
+    TOKEN_INVALID: [
+      userToken(BUDI, { aud: "anon" }),
+      userToken(BUDI, {}, { algorithm: "HS512" }),
+      jwt.sign({ sub: BUDI, aud: "authenticated" }, null, { algorithm: "none" }),
+      "bukan-jwt",
+    ],
+  };
+
+  for (const [reason, tokens] of Object.entries(reasons)) {
+    for (const token of tokens) {
+      const { status, body } = await whoami(token);
+      assert.equal(status, 401, reason);
+      assert.equal(body.reason, reason);
+    }
+  }
+
+  assert.equal(remoteCalls(), 0);
+});
+
+test("token RS256 diverifikasi dengan public key dari JWKS project", async () => {
+  const sign = (options) =>
+    jwt.sign({ sub: BUDI, aud: "authenticated" }, privateKey, { algorithm: "RS256", expiresIn: "1h", ...options });
+
+  const { status, body } = await whoami(sign({ keyid: KID }));
+  assert.equal(status, 200);
+  assert.equal(body.user.id, BUDI);
+  assert.ok(auth.requests.some((request) => request.url === "/auth/v1/.well-known/jwks.json"));
+
+  const { privateKey: otherKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const forged = jwt.sign({ sub: BUDI, aud: "authenticated" }, otherKey, { algorithm: "RS256", keyid: KID });
+  assert.equal((await whoami(forged)).body.reason, "TOKEN_INVALID_SIGNATURE");
+});
+
+test("key tidak tersedia (KEY_UNAVAILABLE) = fallback verifikasi ke Supabase Auth", async () => {
+  const secret = process.env.SUPABASE_JWT_SECRET;
+  process.env.SUPABASE_JWT_SECRET = "";
+
+  try {
+    const token = userToken(BUDI, {}, { secret: JWT_SECRET });
+    remoteTokens[token] = BUDI;
+
+    const before = remoteCalls();
+    const { status, body } = await whoami(token);
+
+    assert.equal(status, 200);
+    assert.equal(body.user.id, BUDI);
+    assert.equal(body.user.email, "budi@example.com");
+    assert.equal(remoteCalls(), before + 1);
+
+    // Ditolak Supabase Auth = ditolak juga di sini
+    const rejected = await whoami(userToken(BUDI, {}, { secret: "bukan-secret-project" }));
+    assert.equal(rejected.status, 401);
+    assert.equal(remoteCalls(), before + 2);
+  } finally {
+    process.env.SUPABASE_JWT_SECRET = secret;
+  }
+});
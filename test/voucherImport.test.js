@@ -0,0 +1,76 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+let app;
+let admin;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.login({ id: "admin", role: "ADMIN" });
+});
+
+after(() => app.close());
+
+const importCsv = (csv, query = "") =>
+  app.request("POST", `/vouchers/import${query}`, { token: admin, body: csv, headers: { "Content-Type": "text/csv" } });
+
+const exists = async (code) => Boolean((await app.storage.vouchers.findByCode(code)).data);
+
+test("import CSV membuat semua voucher, DRAFT lewat kolom draft", async () => {
+  const csv = [
+    "code,name,discount_type,discount_value,min_order_amount,draft",
+    "IMPORT10,Diskon 10%,PERCENT,10,50000,",
+    'IMPORT20,"Potongan 20rb, tanpa minimum",FIXED,20000,,true',
+  ].join("\r\n");
+
+  const { status, body } = await importCsv(csv);
+  assert.equal(status, 201);
+  assert.deepEqual(body.summary, { format: "csv", total: 2, valid: 2, invalid: 0, created: 2, skipped: 0 });
+
+  const [percent, fixed] = body.data;
+  assert.equal(percent.min_order_amount, 50000);
+  assert.equal(percent.status, "ACTIVE");
+  assert.equal(fixed.name, "Potongan 20rb, tanpa minimum");
+  assert.equal(fixed.status, "DRAFT");
+
+  const audit = await app.request("GET", `/vouchers/${percent.id}/audit`, { token: admin });
+  assert.deepEqual(audit.body.data[0].metadata, { source: "import", format: "csv" });
+});
+
+test("row tidak valid, code duplikat & code yang sudah ada dilaporkan per row", async () => {
+  const existing = await app.createVoucher(admin);
+  const vouchers = [
+    { code: "JSON10", name: "Valid", discount_type: "FIXED", discount_value: 10000 },
+    { code: "JSON150", name: "Persen lebih dari 100", discount_type: "PERCENT", discount_value: 150 },
+    { code: "json10", name: "Duplikat", discount_type: "FIXED", discount_value: 5000 },
+    { code: existing.code, name: "Sudah ada", discount_type: "FIXED", discount_value: 5000 },
+  ];
+
+  const dryRun = await app.request("POST", "/vouchers/import?dry_run=true", { token: admin, body: { vouchers } });
+  assert.equal(dryRun.status, 200);
+  assert.deepEqual(dryRun.body.summary, { format: "json", total: 4, valid: 1, invalid: 3 });
+  assert.deepEqual(dryRun.body.errors.map((entry) => entry.row), [2, 3, 4]);
+  assert.match(dryRun.body.errors[1].errors.join(), /duplikat dengan row 1/);
+  assert.match(dryRun.body.errors[2].errors.join(), /sudah ada/);
+
+  const rejected = await app.request("POST", "/vouchers/import", { token: admin, body: { vouchers } });
+  assert.equal(rejected.status, 400);
+  assert.equal(await exists("JSON10"), false);
+
+  const skipped = await app.request("POST", "/vouchers/import?mode=skip_invalid", { token: admin, body: { vouchers } });
+  assert.equal(skipped.status, 201);
+  assert.equal(skipped.body.summary.created, 1);
+  assert.equal(await exists("JSON10"), true);
+  assert.equal(await exists("JSON150"), false);
+});
+
+test("body CSV tanpa kolom code / kutip tidak ditutup / format lain = 400", async () => {
+  for (const csv of ["name,discount_value\r\nTanpa code,1000", 'code,name\r\nA1,"tidak ditutup']) {
+    assert.equal((await importCsv(csv)).status, 400);
+  }
+
+  const { status, body } = await app.request("POST", "/vouchers/import", { token: admin, body: { code: "X" } });
+  assert.equal(status, 400);
+  assert.match(body.message, /JSON \{ vouchers/);
+});
@@ -0,0 +1,85 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+let app;
+let admin;
+let user;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.login({ id: "admin", role: "ADMIN" });
+  user = await app.login({ id: "user-1" });
+});
+
+after(() => app.close());
+
+test("toPublicVoucher hanya memuat field whitelist dan syarat eligibility umum", () => {
+  const { PUBLIC_VOUCHER_FIELDS, toPublicVoucher } = require("../src/services/voucherView");
+
+  const view = toPublicVoucher({
+    id: "v1",
+    code: "HEMAT",
+    created_by: "admin",
+    campaign_id: "c1",
+    max_total_discount_amount: 500000,
+    total_discount_amount: 120000,
+    deactivated_reason: "BUDGET_EXHAUSTED",
+    archived_at: null,
+    eligibility: { first_order_only: true, user_ids: ["u1"], email_domains: ["company.com"] },
+  });
+
+  assert.ok(Object.keys(view).every((field) => field === "eligibility" || PUBLIC_VOUCHER_FIELDS.includes(field)));
+  assert.deepEqual(view, { id: "v1", code: "HEMAT", eligibility: { first_order_only: true } });
+  assert.equal(toPublicVoucher({ code: "X" }).eligibility, null);
+});
+
+test("detail voucher: caller tanpa vouchers:read_all dapat tampilan public", async () => {
+  const voucher = await app.createVoucher(admin, {
+    max_total_discount_amount: 500000,
+    eligibility: { first_order_only: true, email_domains: ["company.com"] },
+  });
+
+  const full = await app.request("GET", `/vouchers/${voucher.code}`, { token: admin });
+  assert.equal(full.body.data.created_by, "admin");
+  assert.equal(full.body.data.remaining_discount_budget, 500000);
+  assert.deepEqual(full.body.data.eligibility.email_domains, ["company.com"]);
+
+  for (const token of [undefined, user]) {
+    const { status, body } = await app.request("GET", `/vouchers/${voucher.code}`, { token });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.code, voucher.code);
+    assert.equal(body.data.created_by, undefined);
+    assert.equal(body.data.max_total_discount_amount, undefined);
+    assert.equal(body.data.remaining_discount_budget, undefined);
+    assert.deepEqual(body.data.eligibility, { first_order_only: true });
+  }
+});
+
+test("voucher DRAFT tersembunyi, voucher non-public butuh token", async () => {
+  const draft = await app.createVoucher(admin, { draft: true });
+  const privateVoucher = await app.createVoucher(admin, { is_public: false });
+
+  assert.equal((await app.request("GET", `/vouchers/${draft.code}`, { token: user })).status, 404);
+  assert.equal((await app.request("GET", `/vouchers/${draft.code}`, { token: admin })).status, 200);
+
+  assert.equal((await app.request("GET", `/vouchers/${privateVoucher.code}`)).status, 404);
+  assert.equal((await app.request("GET", `/vouchers/${privateVoucher.code}`, { token: user })).status, 200);
+});
+
+test("listing voucher untuk user: hanya public aktif, tampilan public", async () => {
+  const open = await app.createVoucher(admin);
+  const privateVoucher = await app.createVoucher(admin, { is_public: false });
+
+  const { status, body } = await app.request("GET", "/vouchers?limit=100", { token: user });
+  const codes = body.data.map((voucher) => voucher.code);
+
+  assert.equal(status, 200);
+  assert.ok(codes.includes(open.code));
+  assert.equal(codes.includes(privateVoucher.code), false);
+  assert.ok(body.data.every((voucher) => voucher.created_by === undefined));
+
+  const all = await app.request("GET", "/vouchers?limit=100", { token: admin });
+  assert.ok(all.body.data.some((voucher) => voucher.code === privateVoucher.code));
+});
@@ -0,0 +1,44 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+let app;
+let superAdmin;
+
+before(async () => {
+  app = await startApp();
+  superAdmin = await app.login({ id: "super-admin", role: "SUPER_ADMIN" });
+});
+
+after(() => app.close());
+
+test("daftar endpoint webhook: secret hanya ada di response create", async () => {
+  const created = await app.request("POST", "/webhooks", {
+    token: superAdmin,
+    body: { url: "http://localhost:4000/hooks/voucher", events: ["redemption.*", "voucher.expired"] },
+  });
+  assert.equal(created.status, 201);
+  assert.ok(created.body.data.secret.length >= 16);
+  assert.deepEqual(created.body.data.events, ["redemption.*", "voucher.expired"]);
+
+  const listed = await app.request("GET", "/webhooks", { token: superAdmin });
+  assert.equal(listed.status, 200);
+  const endpoint = listed.body.data.find((entry) => entry.id === created.body.data.id);
+  assert.equal(endpoint.url, "http://localhost:4000/hooks/voucher");
+  assert.equal(endpoint.secret, undefined);
+});
+
+test("webhook butuh webhooks:manage, event / url tidak valid = 400", async () => {
+  const manager = await app.login({ id: "manager", role: "CAMPAIGN_MANAGER" });
+  const body = { url: "http://localhost:4000/hooks/voucher" };
+
+  const forbidden = await app.request("POST", "/webhooks", { token: manager, body });
+  assert.equal(forbidden.status, 403);
+  assert.deepEqual(forbidden.body.required_permissions, ["webhooks:manage"]);
+
+  for (const invalid of [{ ...body, events: ["voucher.dihapus"] }, { url: "ftp://localhost/hooks" }]) {
+    const { status, body: response } = await app.request("POST", "/webhooks", { token: superAdmin, body: invalid });
+    assert.equal(status, 400);
+    assert.equal(response.error, "Validation Error");
+  }
+});
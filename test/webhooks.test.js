@@ -0,0 +1,126 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+
+// Dibaca saat module di-load: 3 percobaan, retry langsung jatuh tempo (tanpa jeda)
+process.env.WEBHOOK_MAX_ATTEMPTS = "3";
+process.env.WEBHOOK_RETRY_BASE_SECONDS = "0";
+
+const { dispatchEvents, deliverDue } = require("../src/services/webhooks");
+const { createSqliteStorage } = require("../src/storage/sqlite");
+
+const SECRET = "whsec_test";
+
+/**
+ * Receiver webhook lokal: catat setiap request, balas status dari `statuses` berurutan
+ * (status terakhir dipakai untuk request selanjutnya)
+ */
+async function startReceiver(statuses) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/webhook`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Storage in-memory + endpoint ke receiver + 1 event voucher.created yang sudah di-dispatch
+ */
+async function setup(t, statuses) {
+  const receiver = await startReceiver(statuses);
+  const storage = createSqliteStorage({ path: ":memory:" });
+
+  t.after(async () => {
+    storage.db.close();
+    await receiver.close();
+  });
+
+  const { error: endpointError } = await storage.webhooks.createEndpoint({
+    url: receiver.url,
+    secret: SECRET,
+    events: ["voucher.created"],
+  });
+  assert.equal(endpointError, null);
+
+  const { error: voucherError } = await storage.vouchers.create({
+    code: "WEBHOOK10",
+    name: "Voucher webhook",
+    discount_type: "PERCENT",
+    discount_value: 10,
+  });
+  assert.equal(voucherError, null);
+
+  assert.deepEqual(await dispatchEvents(storage), { data: 1, error: null });
+
+  const delivery = () => storage.db.prepare("SELECT * FROM webhook_deliveries").get();
+
+  return { storage, receiver, delivery };
+}
+
+test("delivery ditandatangani HMAC-SHA256 atas timestamp dan body", async (t) => {
+  const { storage, receiver } = await setup(t, [200]);
+
+  assert.deepEqual(await deliverDue(storage), { data: { delivered: 1, failed: 0 }, error: null });
+  assert.equal(receiver.requests.length, 1);
+
+  const [{ headers, body }] = receiver.requests;
+  const expected = crypto
+    .createHmac("sha256", SECRET)
+    .update(`${headers["x-webhook-timestamp"]}.${body}`)
+    .digest("hex");
+
+  assert.equal(headers["x-webhook-signature"], `sha256=${expected}`);
+  assert.equal(headers["x-webhook-event"], "voucher.created");
+  assert.equal(JSON.parse(body).type, "voucher.created");
+  assert.equal(JSON.parse(body).data.code, "WEBHOOK10");
+});
+
+test("respons 500 di-retry, lalu DELIVERED dengan body yang sama", async (t) => {
+  const { storage, receiver, delivery } = await setup(t, [500, 200]);
+
+  assert.deepEqual(await deliverDue(storage), { data: { delivered: 0, failed: 1 }, error: null });
+  assert.equal(delivery().status, "PENDING");
+  assert.equal(delivery().attempts, 1);
+  assert.equal(delivery().last_status_code, 500);
+  assert.equal(delivery().last_error, "HTTP 500");
+
+  assert.deepEqual(await deliverDue(storage), { data: { delivered: 1, failed: 0 }, error: null });
+  assert.equal(delivery().status, "DELIVERED");
+  assert.equal(delivery().attempts, 2);
+
+  const [first, second] = receiver.requests;
+  assert.equal(receiver.requests.length, 2);
+  assert.equal(second.body, first.body);
+  assert.equal(second.headers["x-webhook-delivery-id"], first.headers["x-webhook-delivery-id"]);
+});
+
+test("delivery jadi DEAD setelah WEBHOOK_MAX_ATTEMPTS percobaan gagal", async (t) => {
+  const { storage, receiver, delivery } = await setup(t, [500]);
+
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    assert.deepEqual(await deliverDue(storage), { data: { delivered: 0, failed: 1 }, error: null });
+    assert.equal(delivery().attempts, attempt);
+  }
+
+  assert.equal(delivery().status, "DEAD");
+  assert.equal(receiver.requests.length, 3);
+
+  // Dead letter tidak dikirim lagi sampai di-replay
+  assert.deepEqual(await deliverDue(storage), { data: { delivered: 0, failed: 0 }, error: null });
+  assert.equal(receiver.requests.length, 3);
+});